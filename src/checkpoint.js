@@ -0,0 +1,123 @@
+/**
+ * Run Checkpoints
+ *
+ * Persists the output of each pipeline stage to a per-run working directory
+ * (/tmp/podcast-runs/<runId>/) so a retry or `--resume <runId>` only repeats
+ * the stage that failed instead of re-paying for synthesis and TTS.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RUNS_DIR = process.env.PODCAST_RUNS_DIR || '/tmp/podcast-runs';
+
+// Pipeline stages in execution order
+const STAGES = ['content', 'articles', 'script', 'audio', 'feed', 'publish'];
+
+class RunCheckpoint {
+  /**
+   * @param {string} runId - Run identifier (e.g. 'benpod-20261019-130000')
+   * @param {string} runsDir - Parent directory holding every run
+   */
+  constructor(runId, runsDir = RUNS_DIR) {
+    this.runId = runId;
+    this.dir = path.join(runsDir, runId);
+    this.manifestPath = path.join(this.dir, 'manifest.json');
+  }
+
+  /**
+   * Create a new run for a podcast, fixing the episode date/time up front so
+   * every attempt names its files the same way.
+   * @param {Object} config - Podcast configuration
+   * @param {Date} now - Start time (injectable for tests)
+   * @param {string} runsDir - Parent directory holding every run
+   * @returns {RunCheckpoint}
+   */
+  static create(config, now = new Date(), runsDir = RUNS_DIR) {
+    // Current time in the podcast's timezone
+    const localTime = new Date(now.toLocaleString('en-US', { timeZone: config.location.timezone }));
+    const dateStr = localTime.toISOString().slice(0, 10); // YYYY-MM-DD in local time
+    const timestamp = localTime.toISOString(); // Full ISO 8601 timestamp
+    const timeStr = timestamp.slice(11, 19).replace(/:/g, ''); // HHMMSS format
+
+    const runId = `${config.id}-${dateStr.replace(/-/g, '')}-${timeStr}`;
+    const checkpoint = new RunCheckpoint(runId, runsDir);
+
+    fs.mkdirSync(checkpoint.dir, { recursive: true });
+    checkpoint.writeManifest({
+      runId,
+      configId: config.id,
+      createdAt: now.toISOString(),
+      episode: { dateStr, timestamp, timeStr },
+      completedStages: []
+    });
+
+    return checkpoint;
+  }
+
+  /**
+   * Open an existing run
+   * @throws {Error} If the run directory or manifest does not exist
+   */
+  static open(runId, runsDir = RUNS_DIR) {
+    const checkpoint = new RunCheckpoint(runId, runsDir);
+    if (!fs.existsSync(checkpoint.manifestPath)) {
+      throw new Error(`No checkpointed run found: ${checkpoint.dir}`);
+    }
+    return checkpoint;
+  }
+
+  readManifest() {
+    return JSON.parse(fs.readFileSync(this.manifestPath, 'utf-8'));
+  }
+
+  writeManifest(manifest) {
+    fs.writeFileSync(this.manifestPath, JSON.stringify(manifest, null, 2));
+  }
+
+  /**
+   * Whether a stage finished in an earlier attempt
+   */
+  has(stage) {
+    return this.readManifest().completedStages.includes(stage);
+  }
+
+  /**
+   * Load a completed stage's output
+   */
+  load(stage) {
+    return JSON.parse(fs.readFileSync(this.stagePath(stage), 'utf-8'));
+  }
+
+  /**
+   * Persist a stage's output and mark it complete
+   */
+  save(stage, data) {
+    if (!STAGES.includes(stage)) {
+      throw new Error(`Unknown pipeline stage: ${stage}`);
+    }
+    fs.writeFileSync(this.stagePath(stage), JSON.stringify(data, null, 2));
+
+    const manifest = this.readManifest();
+    if (!manifest.completedStages.includes(stage)) {
+      manifest.completedStages.push(stage);
+    }
+    this.writeManifest(manifest);
+  }
+
+  /**
+   * Mark a stage (and everything after it) as not done, so it runs again
+   */
+  invalidate(stage) {
+    const later = STAGES.slice(STAGES.indexOf(stage));
+    const manifest = this.readManifest();
+    manifest.completedStages = manifest.completedStages.filter(s => !later.includes(s));
+    this.writeManifest(manifest);
+  }
+
+  stagePath(stage) {
+    return path.join(this.dir, `${stage}.json`);
+  }
+}
+
+module.exports = { RunCheckpoint, STAGES, RUNS_DIR };
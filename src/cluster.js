@@ -0,0 +1,178 @@
+/**
+ * Story Clustering
+ *
+ * The same story often arrives from several outlets (The Verge, TechCrunch, Hacker News,
+ * a newsletter...). Before synthesis, near-duplicate items are grouped and each group is
+ * reduced to one canonical item listing every outlet in `sources`.
+ *
+ * Two items are the same story when any of these hold:
+ * - they link to the same URL (ignoring query string, fragment and "www.")
+ * - their titles share most of their words (word Jaccard ≥ titleSimilarity)
+ * - they name at least two of the same entities and their titles overlap somewhat
+ */
+
+// Sections of the content bundle whose headlines are clustered together
+const CLUSTERED_SECTIONS = ['aiNews', 'newsletters'];
+
+const DEFAULT_TITLE_SIMILARITY = 0.6;
+const ENTITY_TITLE_SIMILARITY = 0.3;
+const MIN_SHARED_ENTITIES = 2;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'here', 'how',
+  'in', 'into', 'is', 'it', 'its', 'new', 'now', 'of', 'on', 'or', 'over', 'says', 'that', 'the',
+  'this', 'to', 'up', 'what', 'why', 'will', 'with', 'you', 'your'
+]);
+
+/**
+ * Cluster near-duplicate items across the headline sections of a content bundle
+ * @param {Object} contentBundle - { aiNews, newsletters, additionalSourcing, ... }
+ * @param {Object} options - { titleSimilarity } (see clusterItems)
+ * @returns {{contentBundle: Object, merged: number, stories: number}} A new bundle with
+ *   duplicates removed; each canonical item stays in the section it came from
+ */
+function clusterContent(contentBundle, options = {}) {
+  const tagged = CLUSTERED_SECTIONS.flatMap(section =>
+    (contentBundle[section] || []).map(item => ({ ...item, _section: section }))
+  );
+  const { items, merged, stories } = clusterItems(tagged, options);
+
+  const clustered = { ...contentBundle };
+  for (const section of CLUSTERED_SECTIONS) {
+    if (!contentBundle[section]) continue;
+    clustered[section] = items
+      .filter(item => item._section === section)
+      .map(({ _section, ...item }) => item);
+  }
+
+  return { contentBundle: clustered, merged, stories };
+}
+
+/**
+ * Group near-duplicate items and keep one canonical item per group
+ * @param {Array<Object>} items - Items with title, summary, source and optional url
+ * @param {Object} options
+ * @param {number} options.titleSimilarity - Title word overlap (0–1) that alone makes two items one story
+ * @returns {{items: Array<Object>, merged: number, stories: number}} Canonical items in first-seen
+ *   order (each with `sources`), how many items were merged away, and how many stories had duplicates
+ */
+function clusterItems(items, { titleSimilarity: threshold = DEFAULT_TITLE_SIMILARITY } = {}) {
+  const features = items.map(item => ({
+    tokens: titleTokens(item.title),
+    entities: extractEntities(`${item.title || ''} ${item.summary || ''}`),
+    link: normalizeLink(item.url)
+  }));
+
+  // Union-find over every pair judged to be the same story
+  const parent = items.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      if (find(i) !== find(j) && isSameStory(features[i], features[j], threshold)) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  items.forEach((item, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(item);
+  });
+
+  const canonical = [...groups.values()].map(mergeGroup);
+  return {
+    items: canonical,
+    merged: items.length - canonical.length,
+    stories: [...groups.values()].filter(group => group.length > 1).length
+  };
+}
+
+/**
+ * Word-level Jaccard similarity of two titles (0–1), ignoring case, punctuation and stopwords
+ */
+function titleSimilarity(a, b) {
+  return jaccard(titleTokens(a), titleTokens(b));
+}
+
+// ─────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────
+
+function isSameStory(a, b, threshold) {
+  if (a.link && a.link === b.link) return true;
+
+  const similarity = jaccard(a.tokens, b.tokens);
+  if (similarity >= threshold) return true;
+
+  const sharedEntities = [...a.entities].filter(entity => b.entities.has(entity)).length;
+  return sharedEntities >= MIN_SHARED_ENTITIES && similarity >= ENTITY_TITLE_SIMILARITY;
+}
+
+/**
+ * The most detailed item (longest summary) represents the group; ties go to the first seen
+ */
+function mergeGroup(group) {
+  const canonical = group.reduce((best, item) =>
+    (item.summary || '').length > (best.summary || '').length ? item : best
+  );
+  const sources = [...new Set(group.map(item => item.source).filter(Boolean))];
+  const merged = { ...canonical, sources };
+
+  const url = canonical.url || group.find(item => item.url)?.url;
+  if (url) merged.url = url;
+  return merged;
+}
+
+/**
+ * Lowercased title words without punctuation, possessives or stopwords
+ * @returns {Set<string>}
+ */
+function titleTokens(title) {
+  return new Set(
+    String(title || '')
+      .toLowerCase()
+      .replace(/['’]s\b/g, '')
+      .split(/[^a-z0-9.-]+/)
+      .map(word => word.replace(/^[.-]+|[.-]+$/g, ''))
+      .filter(word => word && !STOPWORDS.has(word))
+  );
+}
+
+/**
+ * Capitalized words, acronyms and model names (GPT-5, o3) from free text, lowercased
+ */
+function extractEntities(text) {
+  const words = String(text).replace(/['’]s\b/g, '').match(/\b[A-Za-z0-9][\w.-]*[\w]|\b[A-Z]\b/g) || [];
+  return new Set(
+    words
+      .filter(word => /[A-Z]/.test(word) || (/\d/.test(word) && /[a-z]/i.test(word)))
+      .map(word => word.toLowerCase())
+      .filter(word => !STOPWORDS.has(word))
+  );
+}
+
+function normalizeLink(url) {
+  if (!url) return null;
+  try {
+    const parsed = new URL(url);
+    return `${parsed.hostname.replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}`;
+  } catch {
+    return null;
+  }
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  const shared = [...a].filter(word => b.has(word)).length;
+  return shared / (a.size + b.size - shared);
+}
+
+module.exports = {
+  clusterContent,
+  clusterItems,
+  titleSimilarity,
+  titleTokens
+};
@@ -5,94 +5,491 @@
 
 const fs = require('fs');
 const path = require('path');
+const { configSchema } = require('./configSchema');
+const { sources: BUILTIN_SOURCES } = require('./data/sources.json');
+const { providers: SURF_PROVIDERS } = require('./data/surfProviders.json');
+
+const CONFIG_DIR = path.join(__dirname, '..', 'configs');
 
 /**
  * Load configuration for a specific podcast
+ * Resolves the `extends` chain and ${ENV_VAR} placeholders before validating the result.
  * @param {string} podcastId - The podcast identifier (e.g., 'benpod', 'matchmass')
+ * @param {Object} options
+ * @param {Object} options.env - Environment used for placeholders (defaults to process.env)
  * @returns {Object} Validated configuration object
  * @throws {Error} If config file doesn't exist or is invalid
  */
-function loadConfig(podcastId = 'benpod') {
-  const configPath = path.join(__dirname, '..', 'configs', `${podcastId}.json`);
+function loadConfig(podcastId = 'benpod', { env = process.env } = {}) {
+  const { value: config, errors: envErrors } = interpolateEnv(resolveConfig(podcastId), env);
+
+  // Validate against the schema (throws with every problem listed)
+  validateConfig(config, podcastId, envErrors);
+
+  return config;
+}
+
+/**
+ * List the podcast ids that have a config file (shared `_*.json` defaults excluded)
+ * @returns {Array<string>} Podcast ids sorted alphabetically
+ */
+function listConfigIds() {
+  return fs.readdirSync(CONFIG_DIR)
+    .filter(file => file.endsWith('.json') && !file.startsWith('_'))
+    .map(file => file.slice(0, -'.json'.length))
+    .sort();
+}
+
+/**
+ * Read a config file and merge it over everything it extends
+ * Files named with a leading underscore (e.g. _base.json) are shared defaults,
+ * not podcasts, and are never validated on their own.
+ * @param {string} configName - Config file name without .json
+ * @param {Array<string>} chain - Names already being resolved (cycle detection)
+ * @returns {Object} Merged configuration with `extends` removed
+ */
+function resolveConfig(configName, chain = []) {
+  if (chain.includes(configName)) {
+    throw new Error(`Circular config inheritance: ${[...chain, configName].join(' -> ')}`);
+  }
+
+  const raw = readConfigFile(configName);
+  const { extends: parents, ...own } = raw;
+  const parentNames = parents === undefined ? [] : [].concat(parents);
+
+  let merged = {};
+  for (const parentName of parentNames) {
+    if (typeof parentName !== 'string') {
+      throw new Error(`Invalid "extends" in ${configName}.json: expected config name, got ${typeof parentName}`);
+    }
+    merged = mergeConfig(merged, resolveConfig(parentName, [...chain, configName]));
+  }
+
+  return mergeConfig(merged, own);
+}
+
+/**
+ * Read and parse a single config file from the configs directory
+ */
+function readConfigFile(configName) {
+  const configPath = path.join(CONFIG_DIR, `${configName}.json`);
 
   if (!fs.existsSync(configPath)) {
     throw new Error(`Configuration file not found: ${configPath}`);
   }
 
-  let config;
   try {
     const configContent = fs.readFileSync(configPath, 'utf-8');
-    config = JSON.parse(configContent);
+    return JSON.parse(configContent);
   } catch (error) {
     throw new Error(`Failed to parse configuration file ${configPath}: ${error.message}`);
   }
+}
+
+/**
+ * Deep-merge an override config onto a base config. Pure function — inputs are not mutated.
+ *
+ * - Objects merge key by key.
+ * - Scalars and plain arrays in the override replace the base value.
+ * - Array directives control how arrays combine:
+ *     {"$append": [...]}  - base items followed by these
+ *     {"$prepend": [...]} - these followed by base items
+ *     {"$replace": [...]} - these only (same as a plain array, but explicit)
+ * @param {*} base - Inherited value
+ * @param {*} override - Value from the extending config
+ * @returns {*} Merged value
+ */
+function mergeConfig(base, override) {
+  if (isArrayDirective(override)) {
+    const baseArray = Array.isArray(base) ? base : [];
+    if ('$append' in override) return [...baseArray, ...cloneValue(override.$append)];
+    if ('$prepend' in override) return [...cloneValue(override.$prepend), ...baseArray];
+    return cloneValue(override.$replace);
+  }
 
-  // Validate required fields
-  validateConfig(config, podcastId);
+  if (isPlainObject(base) && isPlainObject(override)) {
+    const result = cloneValue(base);
+    for (const [key, value] of Object.entries(override)) {
+      result[key] = mergeConfig(base[key], value);
+    }
+    return result;
+  }
 
-  return config;
+  return cloneValue(override);
 }
 
+const ARRAY_DIRECTIVES = ['$append', '$prepend', '$replace'];
+
+function isArrayDirective(value) {
+  if (!isPlainObject(value)) return false;
+  const keys = Object.keys(value);
+  if (keys.length !== 1 || !ARRAY_DIRECTIVES.includes(keys[0])) return false;
+  if (!Array.isArray(value[keys[0]])) {
+    throw new Error(`Config directive ${keys[0]} expects an array`);
+  }
+  return true;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function cloneValue(value) {
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (isPlainObject(value)) {
+    // A directive with nothing to merge into resolves to its own array
+    if (isArrayDirective(value)) return mergeConfig(undefined, value);
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, cloneValue(v)]));
+  }
+  return value;
+}
+
+/**
+ * Replace ${VAR} placeholders in every string value of the config tree.
+ *
+ *   ${VAR}           - required; reported as an error when unset or empty
+ *   ${VAR:-default}  - falls back to `default` when unset or empty
+ *   ${VAR:?message}  - required, with a custom error message
+ *
+ * Pure function — the input is not mutated.
+ * @param {*} value - Config value to interpolate
+ * @param {Object} env - Variables to read from
+ * @param {string} nodePath - Dotted path of value (for error messages)
+ * @returns {{value: *, errors: Array<{path: string, message: string}>}}
+ */
+function interpolateEnv(value, env = process.env, nodePath = '') {
+  const errors = [];
+
+  const walk = (node, currentPath) => {
+    if (typeof node === 'string') {
+      return node.replace(ENV_PLACEHOLDER, (match, name, operator, argument) => {
+        const envValue = env[name];
+        if (envValue !== undefined && envValue !== '') return envValue;
+        if (operator === ':-') return argument;
+
+        const hint = operator === ':?' && argument ? ` (${argument})` : '';
+        errors.push({
+          path: currentPath || '(root)',
+          message: `environment variable ${name} is not set${hint}`
+        });
+        return match;
+      });
+    }
+    if (Array.isArray(node)) {
+      return node.map((item, i) => walk(item, `${currentPath}[${i}]`));
+    }
+    if (isPlainObject(node)) {
+      return Object.fromEntries(Object.entries(node).map(([key, child]) => [
+        key,
+        walk(child, currentPath ? `${currentPath}.${key}` : key)
+      ]));
+    }
+    return node;
+  };
+
+  return { value: walk(value, nodePath), errors };
+}
+
+// ${NAME}, ${NAME:-default} or ${NAME:?message}
+const ENV_PLACEHOLDER = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?:(:-|:\?)([^}]*))?\}/g;
+
 /**
  * Validate configuration structure
  * @param {Object} config - Configuration object to validate
  * @param {string} podcastId - Podcast identifier for error messages
- * @throws {Error} If required fields are missing or invalid
- */
-function validateConfig(config, podcastId) {
-  const requiredFields = [
-    'id',
-    'metadata.title',
-    'metadata.author',
-    'metadata.description',
-    'metadata.email',
-    'location.city',
-    'location.state',
-    'location.latitude',
-    'location.longitude',
-    'location.timezone',
-    'paths.feedFile',
-    'paths.episodesDir',
-    'paths.episodeMemoryFile',
-    'paths.artworkFile',
-    'content',
-    'voices.host',
-    'voices.cohost'
+ * @param {Array<{path: string, message: string}>} envErrors - Unresolved placeholders from interpolateEnv()
+ * @throws {Error} If the config does not match the schema; error.errors holds each message
+ */
+function validateConfig(config, podcastId, envErrors = []) {
+  const errors = collectConfigErrors(config, `${podcastId}.json`, envErrors);
+  if (errors.length === 0) return;
+
+  const error = new Error(
+    `Invalid configuration ${podcastId}.json (${errors.length} error${errors.length !== 1 ? 's' : ''}):\n` +
+    errors.map(e => `  - ${e}`).join('\n')
+  );
+  error.errors = errors;
+  throw error;
+}
+
+/**
+ * Check a config against the schema and return every problem found
+ * Schema errors on a path that already has an unresolved placeholder are dropped,
+ * so a missing variable is reported once rather than also as a bad URL or email.
+ * @param {Object} config - Configuration object to check
+ * @param {string} fileName - File name prefixed to each message
+ * @param {Array<{path: string, message: string}>} envErrors - Unresolved placeholders
+ * @returns {Array<string>} Error messages, empty when the config is valid
+ */
+function collectConfigErrors(config, fileName, envErrors = []) {
+  const schemaErrors = [];
+  validateNode(config, configSchema, '', schemaErrors);
+  if (schemaErrors.length === 0) {
+    // Cross-field checks run only on a schema-valid config, so shapes can be trusted there
+    schemaErrors.push(...checkSourceReferences(config), ...checkEvents(config), ...checkSurfSpots(config));
+  }
+
+  const envPaths = envErrors.map(e => `${e.path}:`);
+  const errors = [
+    ...envErrors.map(e => `${e.path}: ${e.message}`),
+    ...schemaErrors.filter(e => !envPaths.some(p => e.startsWith(p)))
   ];
+  return errors.map(e => `${fileName}: ${e}`);
+}
 
-  for (const field of requiredFields) {
-    const keys = field.split('.');
-    let value = config;
+// Config sections that list source ids
+const SOURCE_LIST_SECTIONS = ['aiNews', 'newsletters', 'news', 'realEstate'];
+
+/**
+ * Check declared sources (content.sources) and every section's source ids against
+ * them and the built-in ids in data/sources.json.
+ * @returns {Array<string>} Error messages
+ */
+function checkSourceReferences(config) {
+  const errors = [];
+  const declared = config.content.sources || [];
+  const declaredIds = new Set();
+  const builtinIds = Object.keys(BUILTIN_SOURCES);
 
-    for (const key of keys) {
-      if (value === undefined || value === null) {
-        throw new Error(`Missing required configuration field: ${field} in ${podcastId}.json`);
+  declared.forEach((source, i) => {
+    const label = `content.sources[${i}]`;
+    if (declaredIds.has(source.id) || builtinIds.includes(source.id)) {
+      errors.push(`${label}.id: "${source.id}" is already defined`);
+    }
+    declaredIds.add(source.id);
+    if (source.type === 'scrape' && !source.selectors) {
+      errors.push(`${label}: scrape sources need selectors`);
+    }
+    if (source.type === 'json' && !source.fields) {
+      errors.push(`${label}: json sources need fields`);
+    }
+  });
+
+  const known = [...builtinIds, ...declaredIds];
+  for (const { path, ids } of sourceLists(config)) {
+    ids.forEach((id, i) => {
+      if (known.includes(id.toLowerCase())) return;
+      const suggestion = closestKey(id, known);
+      const hint = suggestion ? ` (did you mean "${suggestion}"?)` : '';
+      errors.push(`${path}[${i}]: unknown source "${id}"${hint}`);
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Every list of source ids in the config, with its path
+ * @returns {Array<{path: string, ids: Array<string>}>}
+ */
+function sourceLists(config) {
+  const lists = SOURCE_LIST_SECTIONS.map(section => ({
+    path: `content.${section}.sources`,
+    ids: config.content[section]?.sources || []
+  }));
+  (config.content.internationalRelations?.regions || []).forEach((region, i) => {
+    lists.push({ path: `content.internationalRelations.regions[${i}].sources`, ids: region.sources || [] });
+  });
+  eventLists(config).forEach(({ path, event }) => {
+    lists.push({ path: `${path}.sources`, ids: event.sources || [] });
+  });
+  return lists;
+}
+
+/**
+ * Check that config-defined ('custom') events say what they are and when they are on.
+ * @returns {Array<string>} Error messages
+ */
+function checkEvents(config) {
+  const errors = [];
+  for (const { path, event } of eventLists(config)) {
+    if (event.type !== 'custom') continue;
+    if (!event.name) {
+      errors.push(`${path}: custom events need a name`);
+    }
+    if (!event.windows?.length) {
+      errors.push(`${path}: custom events need windows`);
+    }
+    (event.windows || []).forEach((window, i) => {
+      if (window.end < window.start) {
+        errors.push(`${path}.windows[${i}]: ends before it starts`);
       }
-      value = value[key];
+    });
+  }
+  return errors;
+}
+
+/**
+ * Check that every surf spot has the id its configured provider needs (a Surfline
+ * `id`, a NOAA `buoyId`); a spot the fallback can serve is enough.
+ * @returns {Array<string>} Error messages
+ */
+function checkSurfSpots(config) {
+  const section = config.content.surfConditions;
+  if (!section?.spots) return [];
+
+  const providers = [section.provider || 'surfline', section.fallback].filter(Boolean);
+  const errors = [];
+  section.spots.forEach((spot, i) => {
+    if (!providers.some(provider => spot[SURF_PROVIDERS[provider].spotField])) {
+      const fields = providers.map(provider => SURF_PROVIDERS[provider].spotField).join(' or ');
+      errors.push(`content.surfConditions.spots[${i}]: needs ${fields} for ${providers.join(' / ')}`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Every scheduled event in the config (content.events and content.sports.events), with its path
+ * @returns {Array<{path: string, event: Object}>}
+ */
+function eventLists(config) {
+  return [
+    ...(config.content.events || []).map((event, i) => ({ path: `content.events[${i}]`, event })),
+    ...(config.content.sports?.events || []).map((event, i) => ({ path: `content.sports.events[${i}]`, event }))
+  ];
+}
+
+/**
+ * Recursively validate a value against a schema node, appending to errors
+ */
+function validateNode(value, schema, nodePath, errors) {
+  const label = nodePath || '(root)';
+
+  if (value === undefined || value === null) {
+    errors.push(`${label}: expected ${schema.type}, got ${value === null ? 'null' : 'nothing'}`);
+    return;
+  }
+
+  const actualType = typeOf(value);
+  if (schema.type && !matchesType(actualType, schema.type)) {
+    errors.push(`${label}: expected ${schema.type}, got ${actualType}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label}: "${value}" is not one of ${schema.enum.join(', ')}`);
+  }
+
+  if (actualType === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${label}: must not be empty`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${label}: "${value}" does not match ${schema.pattern}`);
+    }
+    if (schema.format && !FORMATS[schema.format](value)) {
+      errors.push(`${label}: "${value}" is not a valid ${schema.format}`);
+    }
+  }
+
+  if (actualType === 'number' || actualType === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${label}: ${value} is below the minimum of ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${label}: ${value} is above the maximum of ${schema.maximum}`);
     }
+  }
 
-    if (value === undefined || value === null) {
-      throw new Error(`Missing required configuration field: ${field} in ${podcastId}.json`);
+  if (actualType === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${label}: must contain at least ${schema.minItems} item${schema.minItems !== 1 ? 's' : ''}`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateNode(item, schema.items, `${nodePath}[${i}]`, errors));
     }
   }
 
-  // Validate latitude/longitude ranges
-  if (config.location.latitude < -90 || config.location.latitude > 90) {
-    throw new Error(`Invalid latitude in ${podcastId}.json: ${config.location.latitude}`);
+  if (actualType === 'object') {
+    const properties = schema.properties || {};
+    const childPath = key => (nodePath ? `${nodePath}.${key}` : key);
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${childPath(key)}: missing required field`);
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        if (child !== undefined && child !== null) {
+          validateNode(child, properties[key], childPath(key), errors);
+        }
+      } else if (typeof schema.additionalProperties === 'object') {
+        // Map-style objects: every key's value must match additionalProperties
+        if (child !== undefined && child !== null) {
+          validateNode(child, schema.additionalProperties, childPath(key), errors);
+        }
+      } else if (schema.additionalProperties === false) {
+        const suggestion = closestKey(key, Object.keys(properties));
+        errors.push(`${childPath(key)}: unknown key${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+      }
+    }
   }
-  if (config.location.longitude < -180 || config.location.longitude > 180) {
-    throw new Error(`Invalid longitude in ${podcastId}.json: ${config.location.longitude}`);
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(actualType, expectedType) {
+  if (expectedType === 'number') return actualType === 'number' || actualType === 'integer';
+  return actualType === expectedType;
+}
+
+// String formats referenced by the schema
+const FORMATS = {
+  url: value => /^https?:\/\/\S+$/.test(value),
+  email: value => /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(value),
+  timezone: value => {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: value });
+      return true;
+    } catch {
+      return false;
+    }
   }
+};
 
-  // Validate voices have required fields
-  if (!config.voices.host.languageCode || !config.voices.host.name) {
-    throw new Error(`Invalid host voice configuration in ${podcastId}.json`);
+/**
+ * Suggest the closest known key for a typo (edit distance <= 2)
+ */
+function closestKey(key, candidates) {
+  let best = null;
+  let bestDistance = 3;
+  for (const candidate of candidates) {
+    const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
   }
-  if (!config.voices.cohost.languageCode || !config.voices.cohost.name) {
-    throw new Error(`Invalid cohost voice configuration in ${podcastId}.json`);
+  return best;
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const temp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = temp;
+    }
   }
+  return row[b.length];
 }
 
 module.exports = {
-  loadConfig
+  loadConfig,
+  listConfigIds,
+  resolveConfig,
+  mergeConfig,
+  interpolateEnv,
+  validateConfig,
+  collectConfigErrors
 };
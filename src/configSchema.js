@@ -0,0 +1,438 @@
+/**
+ * Podcast Configuration Schema
+ *
+ * JSON Schema (draft-07 subset) describing configs/*.json. Every object sets
+ * additionalProperties: false so misspelled keys are reported instead of
+ * silently ignored. Consumed by validateConfig() in config.js.
+ */
+
+// Id lists come from data modules, not the fetchers that use them, so validating a
+// config doesn't load the fetch stack. Source ids are checked against
+// data/sources.json in config.js.
+const { LEAGUE_IDS } = require('./leagues');
+const { tournaments: TOURNAMENTS } = require('./data/tournaments.json');
+const { providers: SURF_PROVIDER_DATA } = require('./data/surfProviders.json');
+const { units: WEATHER_UNIT_DATA } = require('./data/weatherUnits.json');
+
+const SOURCE_TYPES = ['rss', 'scrape', 'json'];
+// Leagues registered in leagues.js
+const SPORTS_LEAGUES = LEAGUE_IDS;
+// Scheduled event types events.js registers: the Olympics, each tournament in
+// data/tournaments.json, and 'custom' for config-defined events
+const EVENT_TYPES = ['olympics', ...TOURNAMENTS.map(t => t.type), 'custom'];
+// Providers in data/surfProviders.json
+const SURF_PROVIDERS = Object.keys(SURF_PROVIDER_DATA);
+// Unit systems in data/weatherUnits.json
+const WEATHER_UNITS = Object.keys(WEATHER_UNIT_DATA);
+
+// Drop items published before this many hours ago, counted from local midnight in
+// location.timezone (0 = today only); see recency.js
+const maxAgeHoursSchema = { type: 'number', minimum: 0 };
+
+const feedSchema = {
+  type: 'object',
+  required: ['url', 'name'],
+  additionalProperties: false,
+  properties: {
+    url: { type: 'string', format: 'url' },
+    name: { type: 'string', minLength: 1 },
+    focus: { type: 'string' },
+    maxItems: { type: 'integer', minimum: 1 },
+    maxAgeHours: maxAgeHoursSchema
+  }
+};
+
+// Generic source declared in content.sources and referenced by id from other sections
+const sourceSchema = {
+  type: 'object',
+  required: ['id', 'type', 'url'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', pattern: '^[a-z0-9-]+$' },
+    type: { type: 'string', enum: SOURCE_TYPES },
+    url: { type: 'string', format: 'url' },
+    name: { type: 'string', minLength: 1 },
+    maxItems: { type: 'integer', minimum: 1 },
+    maxAgeHours: maxAgeHoursSchema,
+    // scrape: base for relative links (defaults to url)
+    baseUrl: { type: 'string', format: 'url' },
+    // scrape: CSS selectors, relative to each container element
+    selectors: {
+      type: 'object',
+      required: ['container', 'title'],
+      additionalProperties: false,
+      properties: {
+        container: { type: 'string', minLength: 1 },
+        title: { type: 'string', minLength: 1 },
+        summary: { type: 'string', minLength: 1 },
+        date: { type: 'string', minLength: 1 },
+        link: { type: 'string', minLength: 1 }
+      }
+    },
+    // json: dot path to the array of entries, and dot paths to fields within each entry
+    itemsPath: { type: 'string' },
+    fields: {
+      type: 'object',
+      required: ['title'],
+      additionalProperties: false,
+      properties: {
+        title: { type: 'string', minLength: 1 },
+        summary: { type: 'string', minLength: 1 },
+        date: { type: 'string', minLength: 1 },
+        link: { type: 'string', minLength: 1 }
+      }
+    }
+  }
+};
+
+const stringListSchema = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+// Ids of built-in or declared sources
+const sourceListSchema = stringListSchema;
+
+// International relations region (or topic) with its own sources and analyst briefing
+const regionSchema = {
+  type: 'object',
+  required: ['name'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    // What the analyst should focus on (e.g. "nuclear talks and sanctions")
+    focus: { type: 'string' },
+    feeds: { type: 'array', items: feedSchema },
+    // Built-in or declared source ids, e.g. a scrape source from content.sources
+    sources: sourceListSchema,
+    // News search queries, fetched as Google News RSS
+    search: stringListSchema,
+    maxItemsPerFeed: { type: 'integer', minimum: 1, maximum: 50 },
+    maxAgeHours: maxAgeHoursSchema
+  }
+};
+
+// Scheduled event (Olympics, a tournament, or a config-defined 'custom' event) covered while it is on
+const eventSchema = {
+  type: 'object',
+  required: ['type', 'enabled'],
+  additionalProperties: false,
+  properties: {
+    type: { type: 'string', enum: EVENT_TYPES },
+    enabled: { type: 'boolean' },
+    // Kept for older configs; events are only fetched while they are on
+    onlyDuringEvent: { type: 'boolean' },
+    // Olympics: NOC codes and disciplines to follow (all when empty)
+    countries: stringListSchema,
+    sports: stringListSchema,
+    // Tournaments: nations to follow, by name or abbreviation
+    nations: stringListSchema,
+    // Custom events: name, inclusive YYYY-MM-DD date windows, what to fetch and the prompt theme
+    name: { type: 'string', minLength: 1 },
+    windows: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['start', 'end'],
+        additionalProperties: false,
+        properties: {
+          start: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+          end: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' }
+        }
+      }
+    },
+    feeds: { type: 'array', items: feedSchema },
+    sources: sourceListSchema,
+    maxAgeHours: maxAgeHoursSchema,
+    theme: { type: 'string', minLength: 1 }
+  }
+};
+
+const voiceSchema = {
+  type: 'object',
+  required: ['languageCode', 'name'],
+  additionalProperties: false,
+  properties: {
+    languageCode: { type: 'string', minLength: 1 },
+    name: { type: 'string', minLength: 1 },
+    ssmlGender: { type: 'string', enum: ['MALE', 'FEMALE', 'NEUTRAL'] }
+  }
+};
+
+const configSchema = {
+  type: 'object',
+  required: ['id', 'metadata', 'location', 'paths', 'content', 'voices'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', pattern: '^[a-z0-9-]+$' },
+    metadata: {
+      type: 'object',
+      required: ['title', 'author', 'description', 'email'],
+      additionalProperties: false,
+      properties: {
+        title: { type: 'string', minLength: 1 },
+        author: { type: 'string', minLength: 1 },
+        description: { type: 'string', minLength: 1 },
+        email: { type: 'string', format: 'email' },
+        recipientName: { type: 'string', minLength: 1 }
+      }
+    },
+    location: {
+      type: 'object',
+      required: ['city', 'state', 'latitude', 'longitude', 'timezone'],
+      additionalProperties: false,
+      properties: {
+        city: { type: 'string', minLength: 1 },
+        state: { type: 'string', minLength: 1 },
+        latitude: { type: 'number', minimum: -90, maximum: 90 },
+        longitude: { type: 'number', minimum: -180, maximum: 180 },
+        timezone: { type: 'string', format: 'timezone' },
+        // ISO 3166 country code; weather alerts are US only (default: US when state is a US state code)
+        country: { type: 'string', pattern: '^[A-Z]{2}$' },
+        // Weather units (default imperial: °F and mph)
+        units: { type: 'string', enum: WEATHER_UNITS }
+      }
+    },
+    paths: {
+      type: 'object',
+      required: ['feedFile', 'episodesDir', 'episodeMemoryFile', 'artworkFile'],
+      additionalProperties: false,
+      properties: {
+        feedFile: { type: 'string', minLength: 1 },
+        episodesDir: { type: 'string', minLength: 1 },
+        episodeMemoryFile: { type: 'string', minLength: 1 },
+        artworkFile: { type: 'string', minLength: 1 }
+      }
+    },
+    // What the listener wants more and less of; see interests.js
+    interests: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        // Keywords that widen keyword-filtered sources (Hacker News) and boost ranking
+        topics: stringListSchema,
+        // People, companies or products whose stories must always make the episode
+        entities: stringListSchema,
+        // Never reach the script: dropped before any LLM call, and scrubbed from the script
+        muted: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            topics: stringListSchema,
+            people: stringListSchema,
+            companies: stringListSchema
+          }
+        }
+      }
+    },
+    content: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        sources: { type: 'array', items: sourceSchema },
+        events: { type: 'array', items: eventSchema },
+        // Merge near-duplicate AI news / newsletter items before synthesis (on unless disabled)
+        clustering: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            enabled: { type: 'boolean' },
+            titleSimilarity: { type: 'number', minimum: 0, maximum: 1 }
+          }
+        },
+        // Story ranking and per-segment token budgets; see ranking.js
+        ranking: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            // Source id or display name → score multiplier (default 1)
+            sourceWeights: { type: 'object', additionalProperties: { type: 'number', minimum: 0 } },
+            // Segment (aiNews, newsletters, sports, ...) or "default" → max prompt tokens
+            tokenBudgets: { type: 'object', additionalProperties: { type: 'integer', minimum: 1 } }
+          }
+        },
+        aiNews: {
+          type: 'object',
+          required: ['enabled'],
+          additionalProperties: false,
+          properties: {
+            enabled: { type: 'boolean' },
+            sources: sourceListSchema,
+            maxAgeHours: maxAgeHoursSchema,
+            focus: { type: 'string' }
+          }
+        },
+        newsletters: {
+          type: 'object',
+          required: ['enabled'],
+          additionalProperties: false,
+          properties: {
+            enabled: { type: 'boolean' },
+            sources: sourceListSchema,
+            maxAgeHours: maxAgeHoursSchema,
+            killTheNewsletterFeedUrl: { type: 'string', format: 'url' }
+          }
+        },
+        sports: {
+          type: 'object',
+          required: ['enabled'],
+          additionalProperties: false,
+          properties: {
+            enabled: { type: 'boolean' },
+            teams: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['league', 'name'],
+                additionalProperties: false,
+                properties: {
+                  league: { type: 'string', enum: SPORTS_LEAGUES },
+                  name: { type: 'string', minLength: 1 },
+                  // ESPN team id, used to find games and news (espnNewsId is the older name)
+                  espnTeamId: { type: 'string' },
+                  espnApiName: { type: 'string' },
+                  espnNewsId: { type: 'string' },
+                  rssFeedUrl: { type: 'string', format: 'url' }
+                }
+              }
+            },
+            includeTeamNews: { type: 'boolean' },
+            // Players followed through the followed teams' box scores and news
+            players: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['id', 'name'],
+                additionalProperties: false,
+                properties: {
+                  id: { type: 'string', minLength: 1 },
+                  name: { type: 'string', minLength: 1 }
+                }
+              }
+            },
+            // Preview today's games and standings for each team (default true)
+            includeOutlook: { type: 'boolean' },
+            // Older home of content.events
+            events: { type: 'array', items: eventSchema }
+          }
+        },
+        realEstate: {
+          type: 'object',
+          required: ['enabled'],
+          additionalProperties: false,
+          properties: {
+            enabled: { type: 'boolean' },
+            feeds: { type: 'array', items: feedSchema },
+            sources: sourceListSchema,
+            maxAgeHours: maxAgeHoursSchema,
+            targetMarkets: { type: 'array', items: { type: 'string', minLength: 1 } },
+            priceRange: { type: 'string' },
+            briefFormat: { type: 'boolean' }
+          }
+        },
+        internationalRelations: {
+          type: 'object',
+          required: ['enabled'],
+          additionalProperties: false,
+          properties: {
+            enabled: { type: 'boolean' },
+            regions: { type: 'array', items: regionSchema },
+            maxAgeHours: maxAgeHoursSchema,
+            // Legacy single-region form: focus + rss sources (used when regions is not set)
+            focus: { type: 'string' },
+            sources: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['type', 'url', 'name'],
+                additionalProperties: false,
+                properties: {
+                  type: { type: 'string', enum: ['rss'] },
+                  url: { type: 'string', format: 'url' },
+                  name: { type: 'string', minLength: 1 }
+                }
+              }
+            }
+          }
+        },
+        news: {
+          type: 'object',
+          required: ['enabled'],
+          additionalProperties: false,
+          properties: {
+            enabled: { type: 'boolean' },
+            feeds: { type: 'array', items: feedSchema },
+            sources: sourceListSchema,
+            maxAgeHours: maxAgeHoursSchema,
+            maxItemsPerFeed: { type: 'integer', minimum: 1, maximum: 50 }
+          }
+        },
+        articles: {
+          type: 'object',
+          required: ['enabled'],
+          additionalProperties: false,
+          properties: {
+            enabled: { type: 'boolean' },
+            killTheNewsletterFeedUrl: { type: 'string', format: 'url' },
+            feeds: { type: 'array', items: feedSchema },
+            maxPerEpisode: { type: 'integer', minimum: 1, maximum: 10 },
+            maxAgeHours: maxAgeHoursSchema,
+            includeInDepthDiscussion: { type: 'boolean' }
+          }
+        },
+        surfConditions: {
+          type: 'object',
+          required: ['enabled'],
+          additionalProperties: false,
+          properties: {
+            enabled: { type: 'boolean' },
+            location: { type: 'string' },
+            // Forecast provider (default surfline), and the one to try for a spot when it fails
+            provider: { type: 'string', enum: SURF_PROVIDERS },
+            fallback: { type: 'string', enum: SURF_PROVIDERS },
+            // Spots to compare; facing is the compass bearing the break faces (e.g. 225 for SW)
+            spots: {
+              type: 'array',
+              minItems: 1,
+              items: {
+                type: 'object',
+                required: ['name'],
+                additionalProperties: false,
+                properties: {
+                  // Surfline spot id
+                  id: { type: 'string', pattern: '^[0-9a-f]{24}$' },
+                  name: { type: 'string', minLength: 1 },
+                  facing: { type: 'number', minimum: 0, maximum: 360 },
+                  // NOAA: NDBC buoy station and Tides & Currents station nearest the spot
+                  buoyId: { type: 'string', pattern: '^[A-Za-z0-9]{5}$' },
+                  tideStation: { type: 'string', pattern: '^\\d{7}$' }
+                }
+              }
+            },
+            // Older unnamed form of spots (used when spots is not set)
+            spotIds: {
+              type: 'array',
+              minItems: 1,
+              items: { type: 'string', pattern: '^[0-9a-f]{24}$' }
+            }
+          }
+        }
+      }
+    },
+    voices: {
+      type: 'object',
+      required: ['host', 'cohost'],
+      additionalProperties: false,
+      properties: {
+        host: voiceSchema,
+        cohost: voiceSchema
+      }
+    },
+    preferredDurationMinutes: { type: 'integer', minimum: 3, maximum: 60 }
+  }
+};
+
+module.exports = {
+  configSchema,
+  SOURCE_TYPES,
+  SPORTS_LEAGUES,
+  EVENT_TYPES,
+  SURF_PROVIDERS
+};
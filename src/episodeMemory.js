@@ -226,6 +226,34 @@ function getCoveredArticles(memoryData, days = 30) {
   return coveredArticles;
 }
 
+/**
+ * Get the key topic labels of recent episodes
+ * @param {Object} memoryData - Episode memory data
+ * @param {number} days - Number of days to look back (default 7)
+ * @returns {Array<string>} Topic labels, newest episode first
+ */
+function getRecentTopics(memoryData, days = 7) {
+  if (!memoryData?.episodes || memoryData.episodes.length === 0) return [];
+
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - days);
+  cutoff.setHours(0, 0, 0, 0);
+
+  return memoryData.episodes
+    .filter(ep => new Date(ep.date) >= cutoff)
+    .flatMap(ep => ep.keyTopics || []);
+}
+
+/**
+ * Date of the most recent episode in memory
+ * @param {Object} memoryData - Episode memory data
+ * @returns {string|null} YYYY-MM-DD, or null before the first episode
+ */
+function getLastEpisodeDate(memoryData) {
+  const dates = (memoryData?.episodes || []).map(ep => ep.date).filter(Boolean).sort();
+  return dates.length > 0 ? dates[dates.length - 1] : null;
+}
+
 /**
  * Check if an article title has been covered recently
  * @param {Object} memoryData - Episode memory data
@@ -247,5 +275,7 @@ module.exports = {
   addEpisodeToMemory,
   formatMemoryForPrompt,
   getCoveredArticles,
+  getRecentTopics,
+  getLastEpisodeDate,
   hasArticleBeenCovered,
 };
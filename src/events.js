@@ -0,0 +1,189 @@
+/**
+ * Scheduled Event Registry
+ *
+ * Every scheduled event type is a plugin:
+ *   { type, name, live(event, ctx) → { name } | null, fetch(event, ctx) → Promise<items>, theme(event, ctx) → string }
+ * `live` decides from dates alone whether the event is on today, so no request is made
+ * for events that are over; `ctx` is { config, now, timezone, live }.
+ *
+ * Built-in types (the Olympics and each major soccer tournament in data/tournaments.json)
+ * are registered below. Configs add their own events under `content.events` with
+ * type 'custom': a name, date windows, feeds and/or source ids to follow while it is on,
+ * and the prompt theme — enough for March Madness, the Masters, an election or an
+ * Apple keynote without code changes.
+ */
+
+const { localDateKey } = require('./recency');
+const { fetchSectionItems } = require('./sources');
+const { removeMuted } = require('./interests');
+const { areOlympicsActive, fetchOlympicsUpdates } = require('./olympics');
+const { activeTournament, fetchTournamentUpdates } = require('./tournaments');
+const { tournaments: TOURNAMENTS } = require('./data/tournaments.json');
+
+const eventTypes = new Map();
+
+// Feed items per custom event feed
+const CUSTOM_FEED_ITEMS = 5;
+
+/**
+ * Register a scheduled event type
+ * @param {Object} plugin
+ * @param {string} plugin.type - Value of `type` in a config event (e.g. 'olympics')
+ * @param {string} plugin.name - Display name used in logs
+ * @param {Function} plugin.live - (event, ctx) → { name } while the event is on, else null
+ * @param {Function} plugin.fetch - async (event, ctx) → Array of items
+ * @param {Function} plugin.theme - (event, ctx) → what the episode's segment should cover
+ */
+function registerEventType(plugin) {
+  if (!plugin?.type || typeof plugin.live !== 'function' || typeof plugin.fetch !== 'function') {
+    throw new Error('Event types need a type, a live(event, ctx) and a fetch(event, ctx) function');
+  }
+  if (eventTypes.has(plugin.type)) {
+    throw new Error(`Event type already registered: ${plugin.type}`);
+  }
+  eventTypes.set(plugin.type, { name: plugin.type, theme: () => 'Updates and highlights.', ...plugin });
+}
+
+/**
+ * Look up a registered event type
+ */
+function getEventType(type) {
+  return eventTypes.get(type) || null;
+}
+
+/**
+ * Types of every registered event
+ */
+function listEventTypes() {
+  return [...eventTypes.keys()];
+}
+
+/**
+ * Enabled events from content.events and the older content.sports.events
+ * @param {Object} config - Podcast configuration
+ * @returns {Array<Object>} Config event entries
+ */
+function configuredEvents(config) {
+  const events = [...(config?.content?.events || []), ...(config?.content?.sports?.events || [])];
+  return events.filter(event => event.enabled);
+}
+
+/**
+ * Configured events that are on today
+ * @param {Object} config - Podcast configuration
+ * @param {Object} options
+ * @param {Date} options.now - Reference time (default: now)
+ * @returns {Array<Object>} [{ event, plugin, ctx }] where ctx.live.name names the event
+ */
+function liveEvents(config, { now = new Date() } = {}) {
+  const timezone = config?.location?.timezone;
+  const live = [];
+
+  for (const event of configuredEvents(config)) {
+    const plugin = getEventType(event.type);
+    if (!plugin) {
+      console.error(`  Unknown event type "${event.type}", skipping`);
+      continue;
+    }
+    const ctx = { config, now, timezone };
+    const status = plugin.live(event, ctx);
+    if (status) {
+      live.push({ event, plugin, ctx: { ...ctx, live: status } });
+    }
+  }
+
+  return live;
+}
+
+/**
+ * Fetch every live event. Errors are logged and produce no items, so one broken
+ * event never fails the run. Items mentioning a muted interest are dropped.
+ * @param {Object} config - Podcast configuration
+ * @param {Object} options - { now } as for liveEvents()
+ * @returns {Promise<{items: Array, usage: null}>} Items tagged with `event` (the live event's name)
+ */
+async function fetchEventUpdates(config, options = {}) {
+  const fetched = await Promise.all(liveEvents(config, options).map(async ({ event, plugin, ctx }) => {
+    try {
+      const { items, removed } = removeMuted(await plugin.fetch(event, ctx), config);
+      if (removed > 0) {
+        console.log(`  Dropped ${removed} muted ${ctx.live.name} item(s)`);
+      }
+      return items.map(item => ({ ...item, event: ctx.live.name }));
+    } catch (error) {
+      console.error(`Error fetching ${ctx.live.name}:`, error.message);
+      return [];
+    }
+  }));
+
+  return { items: fetched.flat(), usage: null };
+}
+
+/**
+ * Prompt themes for the events that are on today
+ * @param {Object} config - Podcast configuration
+ * @param {Object} options - { now } as for liveEvents()
+ * @returns {Array<string>} e.g. '- "Milan Cortina 2026": ...'
+ */
+function eventThemes(config, options = {}) {
+  return liveEvents(config, options).map(({ event, plugin, ctx }) =>
+    `- "${ctx.live.name}": ${plugin.theme(event, ctx)} Use the additionalSourcing.events items for ${ctx.live.name}.`
+  );
+}
+
+/**
+ * Whether today falls in one of a custom event's date windows
+ * @param {Array<{start: string, end: string}>} windows - Inclusive YYYY-MM-DD dates
+ */
+function inWindow(windows, { now, timezone }) {
+  const today = localDateKey(now, timezone);
+  return (windows || []).some(w => today >= w.start.replace(/-/g, '') && today <= w.end.replace(/-/g, ''));
+}
+
+// ─────────────────────────────────────────────
+// Built-in event types
+// ─────────────────────────────────────────────
+
+registerEventType({
+  type: 'olympics',
+  name: 'Olympics',
+  live: (event, { now, timezone }) => {
+    const status = areOlympicsActive({ now, timezone });
+    return status.active ? { name: status.games.name } : null;
+  },
+  fetch: async (event, { now, timezone }) =>
+    (await fetchOlympicsUpdates({ countries: event.countries, sports: event.sports, timezone, now })).items,
+  theme: () => 'The medal table, yesterday\'s medal winners and today\'s must-watch medal events.'
+});
+
+for (const type of new Set(TOURNAMENTS.map(t => t.type))) {
+  registerEventType({
+    type,
+    name: TOURNAMENTS.find(t => t.type === type).name,
+    live: (event, { now, timezone }) => {
+      const tournament = activeTournament(type, { now, timezone });
+      return tournament ? { name: tournament.name, tournament } : null;
+    },
+    fetch: (event, { now, timezone, live }) =>
+      fetchTournamentUpdates(live.tournament, { nations: event.nations, timezone, now }),
+    theme: event => `Yesterday's results, today's fixtures and the group tables${event.nations?.length ? `, following ${event.nations.join(', ')}'s run` : ''}.`
+  });
+}
+
+registerEventType({
+  type: 'custom',
+  name: 'Custom event',
+  live: (event, ctx) => (inWindow(event.windows, ctx) ? { name: event.name } : null),
+  fetch: (event, { config }) => fetchSectionItems(event, config, CUSTOM_FEED_ITEMS),
+  theme: event => event.theme || `Updates and highlights from ${event.name}.`
+});
+
+module.exports = {
+  registerEventType,
+  getEventType,
+  listEventTypes,
+  configuredEvents,
+  liveEvents,
+  fetchEventUpdates,
+  eventThemes
+};
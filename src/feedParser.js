@@ -0,0 +1,171 @@
+/**
+ * Feed Parser
+ *
+ * Parses RSS 2.0, RSS 1.0 (RDF), Atom and JSON Feed documents into one entry shape:
+ *   { title, link, summary, content, author, categories, date, rawDate }
+ * `summary` is plain text, `content` is the full HTML body (content:encoded, Atom
+ * <content>, content_html) and `date` is an ISO 8601 timestamp, or null when the
+ * feed's date could not be parsed (the original string is kept in `rawDate`).
+ */
+
+const cheerio = require('cheerio');
+
+/**
+ * Parse a feed document
+ * @param {string|Object} body - XML string, JSON Feed string, or already-parsed JSON Feed
+ * @returns {{format: string, title: string, items: Array<Object>}} format is 'rss', 'rdf', 'atom' or 'json'
+ * @throws {Error} If the document is not a recognized feed format
+ */
+function parseFeed(body) {
+  if (body && typeof body === 'object') {
+    return parseJsonFeed(body);
+  }
+
+  const text = String(body ?? '').trim();
+  if (text.startsWith('{')) {
+    return parseJsonFeed(JSON.parse(text));
+  }
+
+  const $ = cheerio.load(text, { xmlMode: true });
+  const root = $.root().children().first();
+  const rootName = (root.prop('tagName') || '').toLowerCase();
+
+  if (rootName === 'rss') return parseRss($, root);
+  if (rootName === 'rdf:rdf') return parseRdf($, root);
+  if (rootName === 'feed') return parseAtom($, root);
+
+  throw new Error(`Unrecognized feed format${rootName ? ` (<${rootName}>)` : ''}`);
+}
+
+// ─────────────────────────────────────────────
+// Formats
+// ─────────────────────────────────────────────
+
+function parseRss($, root) {
+  const channel = root.children('channel').first();
+  const items = channel.children('item').toArray().map(el => {
+    const item = $(el);
+    const guid = item.children('guid').first();
+    const link = childText(item, 'link') ||
+      (guid.attr('isPermaLink') !== 'false' && /^https?:/.test(guid.text().trim()) ? guid.text().trim() : '');
+    const rawDate = childText(item, 'pubDate') || childText(item, 'dc\\:date');
+
+    return buildEntry({
+      title: childText(item, 'title'),
+      link,
+      description: childText(item, 'description'),
+      content: childText(item, 'content\\:encoded'),
+      author: childText(item, 'dc\\:creator') || childText(item, 'author'),
+      categories: item.children('category').toArray().map(c => $(c).text().trim()),
+      rawDate
+    });
+  });
+
+  return { format: 'rss', title: childText(channel, 'title'), items };
+}
+
+function parseRdf($, root) {
+  const items = root.children('item').toArray().map(el => {
+    const item = $(el);
+    return buildEntry({
+      title: childText(item, 'title'),
+      link: childText(item, 'link') || item.attr('rdf:about') || '',
+      description: childText(item, 'description'),
+      content: childText(item, 'content\\:encoded'),
+      author: childText(item, 'dc\\:creator'),
+      categories: item.children('dc\\:subject').toArray().map(c => $(c).text().trim()),
+      rawDate: childText(item, 'dc\\:date')
+    });
+  });
+
+  return { format: 'rdf', title: childText(root.children('channel').first(), 'title'), items };
+}
+
+function parseAtom($, root) {
+  const items = root.children('entry').toArray().map(el => {
+    const entry = $(el);
+    const links = entry.children('link').toArray().map(l => $(l));
+    const alternate = links.find(l => (l.attr('rel') || 'alternate') === 'alternate');
+    // type="xhtml" content is inline markup rather than escaped text
+    const contentEl = entry.children('content').first();
+    const content = contentEl.attr('type') === 'xhtml' ? (contentEl.html() || '').trim() : contentEl.text().trim();
+
+    return buildEntry({
+      title: childText(entry, 'title'),
+      link: alternate?.attr('href') || '',
+      description: childText(entry, 'summary'),
+      content,
+      author: childText(entry.children('author').first(), 'name'),
+      categories: entry.children('category').toArray().map(c => $(c).attr('term') || $(c).text().trim()),
+      rawDate: childText(entry, 'published') || childText(entry, 'updated')
+    });
+  });
+
+  return { format: 'atom', title: stripHtml(childText(root, 'title')), items };
+}
+
+function parseJsonFeed(feed) {
+  if (!Array.isArray(feed.items) || !String(feed.version || '').includes('jsonfeed')) {
+    throw new Error('Unrecognized feed format (JSON without a JSON Feed version)');
+  }
+
+  const items = feed.items.map(item => buildEntry({
+    title: item.title || '',
+    link: item.url || item.external_url || '',
+    description: item.summary || '',
+    content: item.content_html || item.content_text || '',
+    author: item.authors?.[0]?.name || item.author?.name || '',
+    categories: item.tags || [],
+    rawDate: item.date_published || item.date_modified || ''
+  }));
+
+  return { format: 'json', title: feed.title || '', items };
+}
+
+// ─────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────
+
+function buildEntry({ title, link, description, content, author, categories, rawDate }) {
+  return {
+    title: stripHtml(title),
+    link: link.trim(),
+    summary: stripHtml(description) || stripHtml(content),
+    content,
+    author: author.trim(),
+    categories: categories.filter(Boolean),
+    date: normalizeDate(rawDate),
+    rawDate
+  };
+}
+
+/**
+ * Text of the first direct child matching `selector` (escape namespace colons: 'dc\\:date')
+ */
+function childText(parent, selector) {
+  return parent.children(selector).first().text().trim();
+}
+
+/**
+ * Convert HTML (or entity-encoded text) to plain text with collapsed whitespace
+ */
+function stripHtml(html) {
+  if (!html) return '';
+  return cheerio.load(`<div>${html}</div>`, null, false).text().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse an RFC 822 (RSS) or ISO 8601 (Atom, JSON Feed) date into an ISO string
+ * @returns {string|null} ISO timestamp, or null when missing or unparseable
+ */
+function normalizeDate(raw) {
+  if (!raw) return null;
+  const date = new Date(raw.trim());
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+module.exports = {
+  parseFeed,
+  normalizeDate,
+  stripHtml
+};
@@ -4,15 +4,25 @@
  * Fetches content from AI/ML news sources, sports, newsletters, and other configured sources
  */
 
-const axios = require('axios');
 const cheerio = require('cheerio');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { fetchSurflineConditions } = require('./surfConditions');
-const { areOlympicsActive, fetchOlympicsUpdates } = require('./olympics');
-const { isWorldCupActive, fetchWorldCupUpdates } = require('./worldcup');
-const { hasArticleBeenCovered } = require('./episodeMemory');
-
-const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36';
+const { surfSpots, fetchSurfConditions } = require('./surfConditions');
+const { fetchEventUpdates } = require('./events');
+const { hasArticleBeenCovered, getLastEpisodeDate } = require('./episodeMemory');
+const { httpGet } = require('./http');
+const { parseFeed, normalizeDate } = require('./feedParser');
+const { withTimestamp, filterByAge, recapDates, localDateKey } = require('./recency');
+const {
+  getLeague, espnUrl, summaryUrl, recapPrompt, standingsUrl, teamId, isTeam,
+  findCompletedGames, findUpcomingGame, describeUpcomingGame, findStanding, describeStanding
+} = require('./leagues');
+const { getInterests, mentions, findMutedTerm, removeMuted, interestsPrompt } = require('./interests');
+const { buildPlayerWatch } = require('./playerWatch');
+const {
+  registerSource, registerSourceType, listSources, createSource, resolveSources, runSource, fetchSectionItems, sourceMaxAgeHours
+} = require('./sources');
+// Built-in source ids, names and categories; config validation reads the same file
+const { sources: BUILTIN_SOURCES } = require('./data/sources.json');
 
 // Initialize Gemini
 const genAI = process.env.GOOGLE_API_KEY ? new GoogleGenerativeAI(process.env.GOOGLE_API_KEY) : null;
@@ -25,20 +35,17 @@ const modelFlash = genAI ? genAI.getGenerativeModel({ model: "gemini-flash-lates
 /**
  * Fetch and summarize real estate news
  */
-async function fetchRealEstateNews(config) {
+async function fetchRealEstateNews(config, podcastConfig = null) {
   console.log('Fetching Real Estate news...');
 
-  // Use feeds from config if provided, otherwise fall back to defaults
-  const feeds = config?.feeds || [
-    { url: 'https://www.zillow.com/research/feed/', name: 'Zillow Research' },
-    { url: 'https://www.redfin.com/news/feed/', name: 'Redfin News' }
-  ];
-
-  const allItems = [];
-  for (const feed of feeds) {
-    const items = await fetchRSSFeed(feed.url, feed.name, 3);
-    allItems.push(...items);
-  }
+  // Use feeds/sources from config if provided, otherwise fall back to defaults
+  const section = config?.feeds || config?.sources ? config : {
+    feeds: [
+      { url: 'https://www.zillow.com/research/feed/', name: 'Zillow Research' },
+      { url: 'https://www.redfin.com/news/feed/', name: 'Redfin News' }
+    ]
+  };
+  const allItems = await fetchSectionItems(section, podcastConfig, 3);
 
   if (!modelFlash || allItems.length === 0) {
     return { items: allItems, usage: null };
@@ -62,6 +69,7 @@ Extraction Categories:
 Strict Constraints:
 - No Inference: Only report what is explicitly stated in the text. If a category is not mentioned, explicitly state 'No data available for this topic.'
 
+${interestsPrompt(podcastConfig)}
 Output: Transform the extracted facts into a summary that will be used to build a conversational podcast script segment. If data for a category is missing, skip it in the script rather than speculating.
 
 RSS Content:
@@ -79,6 +87,7 @@ ${allItems.map(i => `Title: ${i.title}\nSummary: ${i.summary}`).join('\n\n')}
         title: 'Real Estate Market Analysis',
         summary: summary,
         date: new Date().toLocaleDateString(),
+        timestamp: new Date().toISOString(),
         source: 'Real Estate Analysis'
       }],
       usage: usage ? { geminiFlash: { promptTokens: usage.promptTokenCount, candidatesTokens: usage.candidatesTokenCount } } : null
@@ -94,275 +103,173 @@ ${allItems.map(i => `Title: ${i.title}\nSummary: ${i.summary}`).join('\n\n')}
 // ============================================================================
 
 /**
- * Get YYYYMMDD for yesterday
+ * Fetch and summarize a configured team's games in any registered league. Covers
+ * every date in `dates`; several games are summarized together in one recap.
+ * @param {Object} team - content.sports.teams entry ({ league, name, espnTeamId })
+ * @param {Object} config - Podcast configuration (for listener interests)
+ * @param {Array<string>} dates - YYYYMMDD dates to cover (default: yesterday in the podcast timezone)
+ * @returns {Promise<{items: Array, usage: Object|null, games: Array|undefined}>} The recap, plus
+ *   { event, summary } per game for the player watch
  */
-function getYesterdayDate() {
-  const d = new Date();
-  d.setDate(d.getDate() - 1);
-  return d.toISOString().slice(0, 10).replace(/-/g, '');
-}
-
-/**
- * Fetch and summarize Warriors game
- */
-async function fetchWarriorsGame() {
-  const date = getYesterdayDate();
-  console.log(`Fetching Warriors game for ${date}...`);
+async function fetchSportsGame(team, config = null, dates = recapDates(null, { timezone: config?.location?.timezone })) {
+  const range = dates.length > 1 ? `${dates[0]}-${dates[dates.length - 1]}` : dates[0];
+  const teamName = team.name;
+  console.log(`Fetching ${teamName} games for ${range}...`);
 
   try {
-    const scoreboardUrl = `https://site.api.espn.com/apis/site/v2/sports/basketball/nba/scoreboard?dates=${date}`;
-    const { data: scoreboard } = await axios.get(scoreboardUrl);
-
-    const event = scoreboard.events?.find(e => 
-      e.competitions[0].competitors.some(c => c.team.name === 'Warriors')
-    );
-
-    if (!event) {
-      console.log('  No Warriors game found for yesterday.');
+    const league = getLeague(team.league);
+    if (!league) {
+      console.error(`  Unknown league: ${team.league}`);
       return { items: [], usage: null };
     }
 
-    const summaryUrl = `https://site.api.espn.com/apis/site/v2/sports/basketball/nba/summary?event=${event.id}`;
-    const { data: summaryData } = await axios.get(summaryUrl);
-
-    if (!modelFlash) return { items: [{ title: `Warriors Game: ${event.name}`, summary: event.status.type.detail, source: 'ESPN' }], usage: null };
-
-    console.log('  Summarizing Warriors game with Gemini Flash...');
-    const prompt = `Analyze the provided NBA game JSON data to write a concise narrative of the event. Identify the winner, final score, and game flow. Highlight top performers and those who struggled (using efficiency and +/-). Describe the game's style (e.g., defensive struggle, shootout) based on shooting percentages and turnover counts (specify counts for both teams). Note any notable stat lines or major lead swings.\n\nJSON Data:\n${JSON.stringify(summaryData)}`;
-
-    const result = await modelFlash.generateContent(prompt);
-    const response = await result.response;
-    const usage = response.usageMetadata;
-
-    return {
-      items: [{
-        title: `Warriors Recap: ${event.name}`,
-        summary: response.text(),
-        date: new Date().toLocaleDateString(),
-        source: 'ESPN Warriors'
-      }],
-      usage: usage ? { geminiFlash: { promptTokens: usage.promptTokenCount, candidatesTokens: usage.candidatesTokenCount } } : null
-    };
-  } catch (error) {
-    console.error('Error fetching Warriors game:', error.message);
-    return { items: [], usage: null };
-  }
-}
-
-/**
- * Fetch and summarize SF Giants game
- */
-async function fetchGiantsGame() {
-  const date = getYesterdayDate();
-  console.log(`Fetching SF Giants game for ${date}...`);
+    const { data: scoreboard } = await httpGet(espnUrl(league, 'scoreboard', { dates: range }));
+    const events = findCompletedGames(scoreboard, team);
 
-  try {
-    const scoreboardUrl = `https://site.api.espn.com/apis/site/v2/sports/baseball/mlb/scoreboard?dates=${date}`;
-    const { data: scoreboard } = await axios.get(scoreboardUrl);
-
-    const event = scoreboard.events?.find(e => 
-      e.competitions[0].competitors.some(c => c.team.name === 'San Francisco Giants')
-    );
-
-    if (!event) {
-      console.log('  No SF Giants game found for yesterday.');
+    if (events.length === 0) {
+      console.log(`  No ${teamName} games found since the last episode.`);
       return { items: [], usage: null };
     }
 
-    const summaryUrl = `https://site.api.espn.com/apis/site/v2/sports/baseball/mlb/scoreboard/summary?event=${event.id}`;
-    const { data: summaryData } = await axios.get(summaryUrl);
-
-    if (!modelFlash) return { items: [{ title: `Giants Game: ${event.name}`, summary: event.status.type.detail, source: 'ESPN' }], usage: null };
-
-    console.log('  Summarizing SF Giants game with Gemini Flash...');
-    const prompt = `Analyze the provided MLB game JSON data to write a (no more than 5 sentence) concise narrative of the event. Identify the winner, final score, and game flow. Highlight top performers and those who struggled (ERA, at bats). Describe the game's style.\n\nJSON Data:\n${JSON.stringify(summaryData)}`;
-
-    const result = await modelFlash.generateContent(prompt);
-    const response = await result.response;
-    const usage = response.usageMetadata;
-
-    return {
-      items: [{
-        title: `Giants Recap: ${event.name}`,
-        summary: response.text(),
-        date: new Date().toLocaleDateString(),
-        source: 'ESPN Giants'
-      }],
-      usage: usage ? { geminiFlash: { promptTokens: usage.promptTokenCount, candidatesTokens: usage.candidatesTokenCount } } : null
-    };
-  } catch (error) {
-    console.error('Error fetching SF Giants game:', error.message);
-    return { items: [], usage: null };
-  }
-}
-
-/**
- * Fetch and summarize 49ers game
- */
-async function fetchNinersGame() {
-  const date = getYesterdayDate();
-  console.log(`Fetching 49ers game for ${date}...`);
-
-  try {
-    const scoreboardUrl = `https://site.api.espn.com/apis/site/v2/sports/football/nfl/scoreboard?dates=${date}`;
-    const { data: scoreboard } = await axios.get(scoreboardUrl);
+    const summaries = [];
+    for (const event of events) {
+      const { data: summaryData } = await httpGet(summaryUrl(league, event.id));
+      summaries.push(summaryData);
+    }
 
-    const event = scoreboard.events?.find(e =>
-      e.competitions[0].competitors.some(c => c.team.name === '49ers')
-    );
+    const games = events.map((event, i) => ({ event, summary: summaries[i] }));
 
-    if (!event) {
-      console.log('  No 49ers game found for yesterday.');
-      return { items: [], usage: null };
+    if (!modelFlash) {
+      return {
+        items: events.map(event => ({ title: `${teamName} Game: ${event.name}`, summary: event.status.type.detail, timestamp: normalizeDate(event.date), source: 'ESPN' })),
+        usage: null,
+        games
+      };
     }
 
-    const summaryUrl = `https://site.api.espn.com/apis/site/v2/sports/football/nfl/summary?event=${event.id}`;
-    const { data: summaryData } = await axios.get(summaryUrl);
+    console.log(`  Summarizing ${events.length} ${teamName} game${events.length !== 1 ? 's' : ''} with Gemini Flash...`);
 
-    if (!modelFlash) return { items: [{ title: `49ers Game: ${event.name}`, summary: event.status.type.detail, source: 'ESPN' }], usage: null };
-
-    console.log('  Summarizing 49ers game with Gemini Flash...');
-    const prompt = `Analyze the provided NFL game JSON data to write a concise narrative of the event. Identify the winner, final score, and game flow. Highlight top performers and those who struggled. Describe the game's style (e.g., defensive struggle, shootout) based on score and turnover counts. Note any notable stat lines or major lead swings.\n\nJSON Data:\n${JSON.stringify(summaryData)}`;
+    let prompt = recapPrompt(league, summaries);
+    const guidance = interestsPrompt(config);
+    if (guidance) prompt = `${guidance}\n${prompt}`;
 
     const result = await modelFlash.generateContent(prompt);
     const response = await result.response;
     const usage = response.usageMetadata;
+    const latest = events[events.length - 1];
 
     return {
       items: [{
-        title: `49ers Recap: ${event.name}`,
+        title: `${teamName} Recap: ${events.map(event => event.name).join('; ')}`,
         summary: response.text(),
         date: new Date().toLocaleDateString(),
-        source: 'ESPN 49ers'
+        timestamp: normalizeDate(latest.date),
+        source: `ESPN ${teamName}`
       }],
-      usage: usage ? { geminiFlash: { promptTokens: usage.promptTokenCount, candidatesTokens: usage.candidatesTokenCount } } : null
+      usage: usage ? { geminiFlash: { promptTokens: usage.promptTokenCount, candidatesTokens: usage.candidatesTokenCount } } : null,
+      games
     };
   } catch (error) {
-    console.error('Error fetching 49ers game:', error.message);
+    console.error(`Error fetching ${teamName} game:`, error.message);
     return { items: [], usage: null };
   }
 }
 
 /**
- * Generic function to fetch and summarize a sports game by league
+ * Today's game and current standings for a configured team, so the Sports Desk can
+ * preview as well as recap. Both come straight from ESPN; nothing is summarized.
+ * @param {Object} team - content.sports.teams entry ({ league, name, espnTeamId })
+ * @param {Object} config - Podcast configuration (for location.timezone)
+ * @returns {Promise<{items: Array, usage: null}>} One "<team> Outlook" item, or none
  */
-async function fetchSportsGame(league, teamName, espnApiName) {
-  const date = getYesterdayDate();
-  console.log(`Fetching ${teamName} game for ${date}...`);
-
-  try {
-    const leagueMap = {
-      'nba': { sport: 'basketball', league: 'nba' },
-      'mlb': { sport: 'baseball', league: 'mlb' },
-      'nfl': { sport: 'football', league: 'nfl' }
-    };
-
-    const leagueInfo = leagueMap[league.toLowerCase()];
-    if (!leagueInfo) {
-      console.error(`  Unknown league: ${league}`);
-      return { items: [], usage: null };
-    }
-
-    const scoreboardUrl = `https://site.api.espn.com/apis/site/v2/sports/${leagueInfo.sport}/${leagueInfo.league}/scoreboard?dates=${date}`;
-    const { data: scoreboard } = await axios.get(scoreboardUrl);
-
-    const event = scoreboard.events?.find(e =>
-      e.competitions[0].competitors.some(c =>
-        c.team.name === teamName ||
-        c.team.displayName === teamName ||
-        c.team.shortDisplayName === teamName
-      )
-    );
-
-    if (!event) {
-      console.log(`  No ${teamName} game found for yesterday.`);
-      return { items: [], usage: null };
-    }
-
-    let summaryUrl;
-    if (league.toLowerCase() === 'mlb') {
-      summaryUrl = `https://site.api.espn.com/apis/site/v2/sports/${leagueInfo.sport}/${leagueInfo.league}/scoreboard/summary?event=${event.id}`;
-    } else {
-      summaryUrl = `https://site.api.espn.com/apis/site/v2/sports/${leagueInfo.sport}/${leagueInfo.league}/summary?event=${event.id}`;
-    }
-
-    const { data: summaryData } = await axios.get(summaryUrl);
-
-    if (!modelFlash) return { items: [{ title: `${teamName} Game: ${event.name}`, summary: event.status.type.detail, source: 'ESPN' }], usage: null };
-
-    console.log(`  Summarizing ${teamName} game with Gemini Flash...`);
+async function fetchTeamOutlook(team, config = null) {
+  const league = getLeague(team.league);
+  if (!league) {
+    return { items: [], usage: null };
+  }
 
-    let prompt;
-    if (league.toLowerCase() === 'nba') {
-      prompt = `Analyze the provided NBA game JSON data to write a concise narrative of the event. Identify the winner, final score, and game flow. Highlight top performers and those who struggled (using efficiency and +/-). Describe the game's style (e.g., defensive struggle, shootout) based on shooting percentages and turnover counts (specify counts for both teams). Note any notable stat lines or major lead swings.\n\nJSON Data:\n${JSON.stringify(summaryData)}`;
-    } else if (league.toLowerCase() === 'mlb') {
-      prompt = `Analyze the provided MLB game JSON data to write a (no more than 5 sentence) concise narrative of the event. Identify the winner, final score, and game flow. Highlight top performers and those who struggled (ERA, at bats). Describe the game's style.\n\nJSON Data:\n${JSON.stringify(summaryData)}`;
-    } else if (league.toLowerCase() === 'nfl') {
-      prompt = `Analyze the provided NFL game JSON data to write a concise narrative of the event. Identify the winner, final score, and game flow. Highlight top performers and those who struggled. Describe the game's style (e.g., defensive struggle, shootout) based on score and turnover counts. Note any notable stat lines or major lead swings.\n\nJSON Data:\n${JSON.stringify(summaryData)}`;
-    }
+  const timezone = config?.location?.timezone;
+  const today = localDateKey(new Date(), timezone);
+  console.log(`Fetching ${team.name} schedule and standings for ${today}...`);
+
+  const [scoreboard, standings] = await Promise.all([
+    httpGet(espnUrl(league, 'scoreboard', { dates: today })).then(res => res.data).catch(error => {
+      console.error(`  Error fetching ${team.name} schedule:`, error.message);
+      return null;
+    }),
+    httpGet(standingsUrl(league)).then(res => res.data).catch(error => {
+      console.error(`  Error fetching ${league.name} standings:`, error.message);
+      return null;
+    })
+  ]);
 
-    const result = await modelFlash.generateContent(prompt);
-    const response = await result.response;
-    const usage = response.usageMetadata;
+  const lines = [];
+  const game = findUpcomingGame(scoreboard, team);
+  if (game) {
+    lines.push(`Today: ${describeUpcomingGame(game, team, timezone)}`);
+  }
+  const standing = findStanding(standings, team);
+  if (standing) {
+    lines.push(`Standings: ${describeStanding(standing, league)}`);
+  }
 
-    return {
-      items: [{
-        title: `${teamName} Recap: ${event.name}`,
-        summary: response.text(),
-        date: new Date().toLocaleDateString(),
-        source: `ESPN ${teamName}`
-      }],
-      usage: usage ? { geminiFlash: { promptTokens: usage.promptTokenCount, candidatesTokens: usage.candidatesTokenCount } } : null
-    };
-  } catch (error) {
-    console.error(`Error fetching ${teamName} game:`, error.message);
+  if (lines.length === 0) {
+    console.log(`  No ${team.name} game today or standings found.`);
     return { items: [], usage: null };
   }
+
+  return {
+    items: [{
+      title: `${team.name} Outlook`,
+      summary: lines.join('\n'),
+      date: new Date().toLocaleDateString(),
+      timestamp: new Date().toISOString(),
+      source: `ESPN ${team.name}`
+    }],
+    usage: null
+  };
 }
 
 /**
  * Fetch team news from ESPN and filter for newsworthy items
- * @param {string} league - 'nba', 'mlb', or 'nfl'
- * @param {string} teamName - Team display name
- * @param {string} espnNewsId - ESPN team ID for news API
+ * @param {Object} team - content.sports.teams entry ({ league, name, espnTeamId })
+ * @param {Object} config - Podcast configuration (for listener interests)
+ * @returns {Promise<{items: Array, usage: Object|null, articles: Array|undefined}>} Newsworthy
+ *   items, plus the ESPN articles (muted stories left out) for the player watch
  */
-async function fetchTeamNews(league, teamName, espnNewsId) {
-  if (!espnNewsId) {
+async function fetchTeamNews(team, config = null) {
+  const teamName = team.name;
+  const espnTeamId = teamId(team);
+  if (!espnTeamId) {
     return { items: [], usage: null };
   }
 
   try {
-    // Map league to ESPN API sport path
-    const sportPath = {
-      'nba': 'basketball/nba',
-      'mlb': 'baseball/mlb',
-      'nfl': 'football/nfl'
-    }[league];
-
-    if (!sportPath) {
-      console.error(`Unknown league: ${league}`);
+    const league = getLeague(team.league);
+    if (!league) {
+      console.error(`Unknown league: ${team.league}`);
       return { items: [], usage: null };
     }
 
-    const url = `https://site.api.espn.com/apis/site/v2/sports/${sportPath}/news?team=${espnNewsId}&limit=10`;
-    const { data } = await axios.get(url, {
-      headers: { 'User-Agent': USER_AGENT },
-      timeout: 10000
-    });
+    const url = espnUrl(league, 'news', { team: espnTeamId, limit: 10 });
+    const { data } = await httpGet(url);
 
     if (!data.articles || data.articles.length === 0) {
       return { items: [], usage: null };
     }
 
+    // Leave out muted stories, for the prompt and for everything downstream
+    const unmuted = data.articles.filter(article => !findMutedTerm(`${article.headline} ${article.description || ''}`, config));
+
     // Extract article data for Gemini filtering
-    const articles = data.articles.map(article => ({
+    const articles = unmuted.map(article => ({
       headline: article.headline,
       description: article.description,
       published: article.published
     }));
 
-    if (!modelFlash) {
-      return { items: [], usage: null };
+    if (!modelFlash || articles.length === 0) {
+      return { items: [], usage: null, articles: unmuted };
     }
 
     // Use Gemini to identify truly newsworthy items
@@ -393,6 +300,7 @@ Return a JSON array of newsworthy items with this structure:
 
 If NO items are newsworthy, return an empty array: []
 
+${interestsPrompt(config)}
 News items:
 ${JSON.stringify(articles, null, 2)}
 
@@ -410,11 +318,11 @@ Return ONLY valid JSON, no other text.`;
       newsItems = JSON.parse(jsonText);
     } catch (parseError) {
       console.error(`Failed to parse team news JSON for ${teamName}:`, parseError.message);
-      return { items: [], usage: usage ? { geminiFlash: { promptTokens: usage.promptTokenCount, candidatesTokens: usage.candidatesTokenCount } } : null };
+      return { items: [], usage: usage ? { geminiFlash: { promptTokens: usage.promptTokenCount, candidatesTokens: usage.candidatesTokenCount } } : null, articles: unmuted };
     }
 
     if (!Array.isArray(newsItems) || newsItems.length === 0) {
-      return { items: [], usage: usage ? { geminiFlash: { promptTokens: usage.promptTokenCount, candidatesTokens: usage.candidatesTokenCount } } : null };
+      return { items: [], usage: usage ? { geminiFlash: { promptTokens: usage.promptTokenCount, candidatesTokens: usage.candidatesTokenCount } } : null, articles: unmuted };
     }
 
     console.log(`  Found ${newsItems.length} newsworthy ${teamName} items`);
@@ -423,12 +331,14 @@ Return ONLY valid JSON, no other text.`;
       title: `${teamName}: ${item.headline}`,
       summary: item.summary,
       date: new Date().toLocaleDateString(),
+      timestamp: new Date().toISOString(),
       source: `ESPN ${teamName} News`
     }));
 
     return {
       items: formattedItems,
-      usage: usage ? { geminiFlash: { promptTokens: usage.promptTokenCount, candidatesTokens: usage.candidatesTokenCount } } : null
+      usage: usage ? { geminiFlash: { promptTokens: usage.promptTokenCount, candidatesTokens: usage.candidatesTokenCount } } : null,
+      articles: unmuted
     };
 
   } catch (error) {
@@ -442,8 +352,9 @@ Return ONLY valid JSON, no other text.`;
  * @param {string} teamName - Team display name
  * @param {string} rssFeedUrl - RSS feed URL
  * @param {number} maxItems - Maximum number of items to fetch (default 3)
+ * @param {Object} config - Podcast configuration (for listener interests)
  */
-async function fetchTeamRSSFeed(teamName, rssFeedUrl, maxItems = 3) {
+async function fetchTeamRSSFeed(teamName, rssFeedUrl, maxItems = 3, config = null) {
   if (!rssFeedUrl) {
     return { items: [], usage: null };
   }
@@ -451,7 +362,7 @@ async function fetchTeamRSSFeed(teamName, rssFeedUrl, maxItems = 3) {
   console.log(`Fetching ${teamName} RSS feed...`);
 
   try {
-    const items = await fetchRSSFeed(rssFeedUrl, `${teamName} Fan Analysis`, maxItems);
+    const { items } = removeMuted(await fetchRSSFeed(rssFeedUrl, `${teamName} Fan Analysis`, maxItems), config);
 
     if (items.length === 0) {
       return { items: [], usage: null };
@@ -465,6 +376,7 @@ async function fetchTeamRSSFeed(teamName, rssFeedUrl, maxItems = 3) {
         title: `${teamName} Analysis: ${item.title}`,
         summary: item.summary,
         date: item.date,
+        timestamp: item.timestamp,
         source: item.source
       }));
       return { items: formattedItems, usage: null };
@@ -495,6 +407,7 @@ Return a JSON array of items with this structure:
 
 If no items are relevant or newsworthy, return an empty array: []
 
+${interestsPrompt(config)}
 RSS Articles:
 ${items.map(item => `Title: ${item.title}\nContent: ${item.summary}`).join('\n\n---\n\n')}
 
@@ -524,6 +437,7 @@ Return ONLY valid JSON, no other text.`;
       title: `${teamName} Fan Perspective`,
       summary: item.summary,
       date: new Date().toLocaleDateString(),
+      timestamp: new Date().toISOString(),
       source: `${teamName} Fan Analysis`
     }));
 
@@ -539,25 +453,117 @@ Return ONLY valid JSON, no other text.`;
 }
 
 // ============================================================================
-// IRAN NEWS
+// INTERNATIONAL RELATIONS
 // ============================================================================
 
 /**
- * Fetch Iran international relations news
+ * Regions configured under internationalRelations. The legacy form (`focus` plus rss
+ * `sources`) is read as a single region named after its focus.
+ * @param {Object} section - content.internationalRelations
+ * @returns {Array<Object>} Region configs ({ name, focus, feeds, sources, search, ... })
+ */
+function getRegions(section) {
+  if (section?.regions?.length) {
+    return section.regions;
+  }
+  return [{
+    name: section?.focus || 'International',
+    feeds: (section?.sources || []).map(({ url, name }) => ({ url, name }))
+  }];
+}
+
+/**
+ * Google News RSS search URL for a query
+ */
+function newsSearchUrl(query) {
+  return `https://news.google.com/rss/search?q=${encodeURIComponent(query)}&hl=en-US&gl=US&ceid=US:en`;
+}
+
+/**
+ * Fetch each international relations region's sources and summarize them into a
+ * per-region analyst briefing with Gemini Flash
+ * @param {Object} section - content.internationalRelations
+ * @param {Object} podcastConfig - Full podcast configuration
+ * @returns {Promise<{items: Array, usage: Object|null}>} One briefing item per region
+ *   (raw items tagged with `region` when Gemini is unavailable)
  */
-async function fetchIranNews() {
-  console.log('Fetching Iran international relations news...');
+async function fetchInternationalRelations(section, podcastConfig = null) {
+  const results = await Promise.all(getRegions(section).map(async region => {
+    console.log(`Fetching ${region.name} international relations news...`);
+
+    const searchFeeds = (region.search || []).map(query => ({ url: newsSearchUrl(query), name: `News search: ${query}` }));
+    const items = await fetchSectionItems({
+      feeds: [...(region.feeds || []), ...searchFeeds],
+      sources: region.sources || [],
+      maxAgeHours: region.maxAgeHours ?? section?.maxAgeHours
+    }, podcastConfig, region.maxItemsPerFeed || 3);
+
+    if (!modelFlash || items.length === 0) {
+      return { items: items.map(item => ({ ...item, region: region.name })), usage: null };
+    }
+    return summarizeRegion(region, items, podcastConfig);
+  }));
+
+  return {
+    items: results.flatMap(r => r.items),
+    usage: combineUsage(results.map(r => r.usage))
+  };
+}
+
+/**
+ * Analyst briefing for one region
+ */
+async function summarizeRegion(region, items, podcastConfig) {
+  console.log(`  Summarizing ${region.name} news with Gemini Flash...`);
+
+  const prompt = `
+Act as a foreign policy analyst preparing a short briefing on ${region.name}${region.focus ? `, focused on ${region.focus}` : ''}, to be used in a podcast segment. Analyze the provided news text and extract:
+
+1. Key Developments: What happened, with dates, places and numbers where stated.
+2. Actors: The governments, leaders and groups involved and their stated positions.
+3. Why It Matters: Consequences for the region, the United States and global markets, as stated in the text.
+4. What to Watch: Upcoming deadlines, meetings, votes or escalation points mentioned.
+
+Strict Constraints:
+- No Inference: Only report what is explicitly stated in the text. Skip a category rather than speculating.
+- Merge duplicate reports of the same event into one development.
+
+${interestsPrompt(podcastConfig)}
+News Content:
+${items.map(i => `Title: ${i.title}\nSummary: ${i.summary}\nSource: ${i.source}`).join('\n\n')}
+`;
+
   try {
-    const [fp] = await Promise.all([
-      fetchRSSFeed('https://foreignpolicy.com/tag/iran/feed', 'Foreign Policy - Iran', 3)
-    ]);
-    return { items: [...fp], usage: null };
+    const result = await modelFlash.generateContent(prompt);
+    const response = await result.response;
+    const usage = response.usageMetadata;
+
+    return {
+      items: [{
+        title: `${region.name} Briefing`,
+        summary: response.text(),
+        date: new Date().toLocaleDateString(),
+        timestamp: new Date().toISOString(),
+        region: region.name,
+        source: 'International Relations Analysis'
+      }],
+      usage: usage ? { geminiFlash: { promptTokens: usage.promptTokenCount, candidatesTokens: usage.candidatesTokenCount } } : null
+    };
   } catch (error) {
-    console.error('Error fetching Iran news:', error.message);
-    return { items: [], usage: null };
+    console.error(`Error summarizing ${region.name} news:`, error.message);
+    return { items: items.map(item => ({ ...item, region: region.name })), usage: null };
   }
 }
 
+/**
+ * Fetch Iran international relations news
+ */
+async function fetchIranNews(config = null) {
+  return fetchInternationalRelations({
+    regions: [{ name: 'Iran', feeds: [{ url: 'https://foreignpolicy.com/tag/iran/feed', name: 'Foreign Policy - Iran' }] }]
+  }, config);
+}
+
 // ============================================================================
 // GENERAL NEWS SOURCES
 // ============================================================================
@@ -566,22 +572,18 @@ async function fetchIranNews() {
  * Fetch and summarize general RSS news feeds
  * @param {Object} config - News configuration with feeds array
  */
-async function fetchNewsFeeds(config) {
+async function fetchNewsFeeds(config, podcastConfig = null) {
   console.log('Fetching general news feeds...');
 
-  // Use feeds from config
+  // Use feeds and registered sources from config
   const feeds = config?.feeds || [];
-  if (feeds.length === 0) {
+  const sourceIds = config?.sources || [];
+  if (feeds.length === 0 && sourceIds.length === 0) {
     return { items: [], usage: null };
   }
 
   const maxItemsPerFeed = config?.maxItemsPerFeed || 5;
-  const allItems = [];
-
-  for (const feed of feeds) {
-    const items = await fetchRSSFeed(feed.url, feed.name, maxItemsPerFeed);
-    allItems.push(...items);
-  }
+  const allItems = await fetchSectionItems(config, podcastConfig, maxItemsPerFeed);
 
   if (!modelFlash || allItems.length === 0) {
     return { items: allItems, usage: null };
@@ -590,7 +592,10 @@ async function fetchNewsFeeds(config) {
   console.log('  Summarizing news feeds with Gemini Flash...');
 
   // Build prompt with dynamic focus areas from config
-  const feedDescriptions = feeds.map(f => `${f.name}${f.focus ? ` (${f.focus})` : ''}`).join(', ');
+  const feedDescriptions = [
+    ...feeds.map(f => `${f.name}${f.focus ? ` (${f.focus})` : ''}`),
+    ...resolveSources(sourceIds, podcastConfig).map(plugin => plugin.name)
+  ].join(', ');
 
   const prompt = `
 Act as a news analyst. Analyze the provided RSS feed text and extract the most newsworthy stories to be used in a short podcast segment.
@@ -608,6 +613,7 @@ Extraction Guidelines:
 Output Format:
 Transform the extracted stories into a summary that will be used to build a conversational podcast script segment. Focus on facts and significance, not speculation.
 
+${interestsPrompt(podcastConfig)}
 RSS Content:
 ${allItems.map(i => `Title: ${i.title}\nSummary: ${i.summary}\nSource: ${i.source}`).join('\n\n')}
 `;
@@ -623,6 +629,7 @@ ${allItems.map(i => `Title: ${i.title}\nSummary: ${i.summary}\nSource: ${i.sourc
         title: 'News Update',
         summary: summary,
         date: new Date().toLocaleDateString(),
+        timestamp: new Date().toISOString(),
         source: 'News Feeds'
       }],
       usage: usage ? { geminiFlash: { promptTokens: usage.promptTokenCount, candidatesTokens: usage.candidatesTokenCount } } : null
@@ -817,31 +824,21 @@ async function fetchDatabricksExecTweets() {
 // ============================================================================
 
 /**
- * Fetch from RSS feed helper
+ * Fetch a feed (RSS 2.0, RSS 1.0/RDF, Atom or JSON Feed) as content items. Untitled and
+ * out-of-window entries are dropped before taking `maxItems`, so stale entries at the top
+ * of a feed don't crowd out fresh ones further down.
+ * @param {string} url - Feed URL
+ * @param {string} sourceName - Source label for items
+ * @param {number} maxItems - Maximum number of items
+ * @param {Object} window - { maxAgeHours, timezone } recency window (see recency.js; none by default)
  */
-async function fetchRSSFeed(url, sourceName, maxItems = 5) {
+async function fetchRSSFeed(url, sourceName, maxItems = 5, { maxAgeHours, timezone } = {}) {
   try {
-    const { data } = await axios.get(url, {
-      headers: { 'User-Agent': USER_AGENT },
-      timeout: 10000
-    });
-
-    const $ = cheerio.load(data, { xmlMode: true });
-    const items = [];
-
-    $('item').slice(0, maxItems).each((_, el) => {
-      const title = $(el).find('title').text().trim();
-      const description = $(el).find('description').text().trim()
-        .replace(/<[^>]*>/g, '')
-        .slice(0, 300);
-      const pubDate = $(el).find('pubDate').text().trim();
-
-      if (title) {
-        items.push({ title, summary: description, date: pubDate, source: sourceName });
-      }
-    });
-
-    return items;
+    const { data } = await httpGet(url);
+    const items = parseFeed(data).items
+      .filter(entry => entry.title)
+      .map(entry => feedEntryToItem(entry, sourceName));
+    return filterByAge(items, maxAgeHours, { timezone }).slice(0, maxItems);
   } catch (error) {
     console.error(`Error fetching ${sourceName}:`, error.message);
     return [];
@@ -849,29 +846,64 @@ async function fetchRSSFeed(url, sourceName, maxItems = 5) {
 }
 
 /**
- * Scrape blog posts from a page
+ * Convert a parsed feed entry to the item shape used across the pipeline
+ */
+function feedEntryToItem(entry, sourceName) {
+  const item = {
+    title: entry.title,
+    summary: entry.summary.slice(0, 300),
+    date: entry.date || entry.rawDate,
+    timestamp: entry.date,
+    source: sourceName
+  };
+  if (entry.link) item.url = entry.link;
+  if (entry.author) item.author = entry.author;
+  if (entry.categories.length > 0) item.categories = entry.categories;
+  return item;
+}
+
+/**
+ * Recency window for a feed fetched by a source plugin (ctx comes from runSource)
+ */
+function feedWindow(config, ctx = {}) {
+  return { maxAgeHours: ctx.maxAgeHours, timezone: config?.location?.timezone };
+}
+
+/**
+ * Scrape blog posts from a page. Like fetchRSSFeed(), out-of-window posts are dropped
+ * before taking `maxItems`.
+ * @param {string} url - Page listing the posts
+ * @param {string} sourceName - Source label for items
+ * @param {Object} selectors - { container, title, summary, date, link } CSS selectors; all but
+ *   container are relative to each container element
+ * @param {number} maxItems - Maximum number of items
+ * @param {string} baseUrl - Base for relative links (defaults to the page URL)
+ * @param {Object} window - { maxAgeHours, timezone } recency window (see recency.js; none by default)
  */
-async function scrapeBlog(url, sourceName, selectors, maxItems = 5) {
+async function scrapeBlog(url, sourceName, selectors, maxItems = 5, baseUrl = url, { maxAgeHours, timezone } = {}) {
   try {
-    const { data } = await axios.get(url, {
-      headers: { 'User-Agent': USER_AGENT },
-      timeout: 10000
-    });
+    const { data } = await httpGet(url);
 
     const $ = cheerio.load(data);
     const items = [];
 
-    $(selectors.container).slice(0, maxItems).each((_, el) => {
+    $(selectors.container).each((_, el) => {
       const title = $(el).find(selectors.title).first().text().trim();
       const summary = $(el).find(selectors.summary).first().text().trim().slice(0, 300);
-      const date = $(el).find(selectors.date).first().text().trim();
+      const dateEl = $(el).find(selectors.date).first();
+      const date = (dateEl.attr('datetime') || dateEl.text()).trim();
+      // The container itself may be the link (e.g. <a class="card">)
+      const linkEl = selectors.link ? $(el).find(selectors.link).first() : $(el).filter('a');
+      const link = resolveLink(linkEl.attr('href'), baseUrl);
 
       if (title) {
-        items.push({ title, summary, date, source: sourceName });
+        const item = { title, summary, date, source: sourceName };
+        if (link) item.url = link;
+        items.push(withTimestamp(item));
       }
     });
 
-    return items;
+    return filterByAge(items, maxAgeHours, { timezone }).slice(0, maxItems);
   } catch (error) {
     console.error(`Error scraping ${sourceName}:`, error.message);
     return [];
@@ -879,16 +911,65 @@ async function scrapeBlog(url, sourceName, selectors, maxItems = 5) {
 }
 
 /**
- * Fetch OpenAI blog
+ * Absolute URL for a scraped href; null when missing or malformed, so one bad link
+ * only costs that post its URL
  */
-async function fetchOpenAIBlog() {
-  console.log('Fetching OpenAI blog...');
-  return scrapeBlog(
-    'https://openai.com/blog',
-    'OpenAI Blog',
-    { container: 'article, .post', title: 'h2, h3, .title', summary: 'p', date: 'time, .date' },
-    5
-  );
+function resolveLink(href, baseUrl) {
+  if (!href) return null;
+  try {
+    return new URL(href, baseUrl).href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fetch items from a JSON API. Like fetchRSSFeed(), out-of-window entries are dropped
+ * before taking `maxItems`.
+ * @param {string} url - Endpoint returning JSON
+ * @param {string} sourceName - Source label for items
+ * @param {Object} mapping - { itemsPath, fields: { title, summary, date, link } } as dot paths
+ * @param {number} maxItems - Maximum number of items
+ * @param {Object} window - { maxAgeHours, timezone } recency window (see recency.js; none by default)
+ */
+async function fetchJsonFeed(url, sourceName, { itemsPath, fields }, maxItems = 5, { maxAgeHours, timezone } = {}) {
+  try {
+    const { data } = await httpGet(url);
+    const entries = itemsPath ? getPath(data, itemsPath) : data;
+    if (!Array.isArray(entries)) {
+      throw new Error(`no array found at "${itemsPath || '(root)'}"`);
+    }
+
+    const items = [];
+    for (const entry of entries) {
+      const title = String(getPath(entry, fields.title) ?? '').trim();
+      if (!title) continue;
+
+      const item = {
+        title,
+        summary: String(getPath(entry, fields.summary) ?? '').replace(/<[^>]*>/g, '').trim().slice(0, 300),
+        date: String(getPath(entry, fields.date) ?? ''),
+        source: sourceName
+      };
+      const link = getPath(entry, fields.link);
+      if (link) item.url = String(link);
+
+      items.push(withTimestamp(item));
+    }
+
+    return filterByAge(items, maxAgeHours, { timezone }).slice(0, maxItems);
+  } catch (error) {
+    console.error(`Error fetching ${sourceName}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Read a dot path ('data.items.0.title') from an object; undefined when missing or no path given
+ */
+function getPath(value, dotPath) {
+  if (!dotPath) return undefined;
+  return dotPath.split('.').reduce((current, key) => (current == null ? undefined : current[key]), value);
 }
 
 /**
@@ -898,10 +979,7 @@ async function fetchAnthropicNews() {
   console.log('Fetching Anthropic news...');
 
   try {
-    const { data } = await axios.get('https://www.anthropic.com/news', {
-      headers: { 'User-Agent': USER_AGENT },
-      timeout: 10000
-    });
+    const { data } = await httpGet('https://www.anthropic.com/news');
 
     const $ = cheerio.load(data);
     const items = [];
@@ -932,87 +1010,67 @@ async function fetchAnthropicNews() {
   }
 }
 
-/**
- * Fetch Google DeepMind blog
- */
-async function fetchDeepMindBlog() {
-  console.log('Fetching DeepMind blog...');
-  return scrapeBlog(
-    'https://deepmind.google/discover/blog/',
-    'Google DeepMind',
-    { container: 'article, .blog-post', title: 'h2, h3, .title', summary: 'p', date: 'time, .date' },
-    5
-  );
-}
-
-/**
- * Fetch Meta AI blog
- */
-async function fetchMetaAIBlog() {
-  console.log('Fetching Meta AI blog...');
-  return scrapeBlog(
-    'https://ai.meta.com/blog/',
-    'Meta AI',
-    { container: 'article, .blog-item', title: 'h2, h3, .title', summary: 'p', date: 'time, .date' },
-    5
-  );
-}
-
 /**
  * Fetch The Verge AI RSS
  */
-async function fetchVergeAI() {
+async function fetchVergeAI(config, ctx) {
   console.log('Fetching The Verge AI...');
   return fetchRSSFeed(
     'https://www.theverge.com/rss/ai-artificial-intelligence/index.xml',
     'The Verge AI',
-    5
+    5,
+    feedWindow(config, ctx)
   );
 }
 
 /**
  * Fetch TechCrunch AI RSS
  */
-async function fetchTechCrunchAI() {
+async function fetchTechCrunchAI(config, ctx) {
   console.log('Fetching TechCrunch AI...');
   return fetchRSSFeed(
     'https://techcrunch.com/category/artificial-intelligence/feed/',
     'TechCrunch AI',
-    5
+    5,
+    feedWindow(config, ctx)
   );
 }
 
 /**
  * Fetch VentureBeat AI RSS
  */
-async function fetchVentureBeatAI() {
+async function fetchVentureBeatAI(config, ctx) {
   console.log('Fetching VentureBeat AI...');
   return fetchRSSFeed(
     'https://venturebeat.com/category/ai/feed/',
     'VentureBeat AI',
-    5
+    5,
+    feedWindow(config, ctx)
   );
 }
 
+// Hacker News front-page stories matching any of these (or the listener's interest topics
+// and entities) are picked up as AI news
+const HN_AI_KEYWORDS = ['ai', 'ml', 'machine learning', 'deep learning', 'llm', 'gpt',
+                        'neural', 'artificial intelligence', 'openai', 'anthropic', 'claude',
+                        'databricks'];
+
 /**
  * Fetch Hacker News AI stories
+ * @param {Object} config - Podcast configuration (interests widen the keyword list)
  */
-async function fetchHackerNewsAI() {
+async function fetchHackerNewsAI(config = null) {
   console.log('Fetching Hacker News AI stories...');
 
   try {
-    const { data: topStories } = await axios.get(
-      'https://hacker-news.firebaseio.com/v0/topstories.json',
-      { timeout: 10000 }
-    );
+    const { data: topStories } = await httpGet('https://hacker-news.firebaseio.com/v0/topstories.json');
 
     const items = [];
-    const aiKeywords = ['ai', 'ml', 'machine learning', 'deep learning', 'llm', 'gpt',
-                        'neural', 'artificial intelligence', 'openai', 'anthropic', 'claude',
-                        'databricks'];
+    const { topics, entities } = getInterests(config);
+    const keywords = [...HN_AI_KEYWORDS, ...topics, ...entities];
 
     const storyPromises = topStories.slice(0, 30).map(id =>
-      axios.get(`https://hacker-news.firebaseio.com/v0/item/${id}.json`, { timeout: 10000 })
+      httpGet(`https://hacker-news.firebaseio.com/v0/item/${id}.json`)
         .then(res => res.data)
         .catch(() => null)
     );
@@ -1022,14 +1080,14 @@ async function fetchHackerNewsAI() {
     for (const story of stories) {
       if (!story || !story.title) continue;
 
-      const titleLower = story.title.toLowerCase();
-      const isAIRelated = aiKeywords.some(kw => titleLower.includes(kw));
+      const isRelevant = keywords.some(keyword => mentions(story.title, keyword));
 
-      if (isAIRelated && items.length < 5) {
+      if (isRelevant && items.length < 5) {
         items.push({
           title: story.title,
           summary: story.title,
           date: new Date(story.time * 1000).toLocaleDateString(),
+          timestamp: new Date(story.time * 1000).toISOString(),
           source: 'Hacker News'
         });
       }
@@ -1063,59 +1121,131 @@ async function fetchArxivAI() {
  * Fetch Axios newsletters via Kill The Newsletter feed
  * Sources: Axios Chicago, Axios Future of Energy, Axios AI,
  *          Axios Daily Essentials, Axios PM, Axios Finish Line
- * Filters for items published/updated today
+ * Returns every dated entry; the source's recency window (default: today in the
+ * podcast's timezone) decides which ones make the episode
  */
 async function fetchKillTheNewsletter(feedUrl) {
   console.log('Fetching Axios newsletters (via Kill The Newsletter)...');
 
-  // Use provided URL or fall back to default
-  const url = feedUrl || 'https://kill-the-newsletter.com/feeds/fs23gw6u0bqlwqmjs3fj.xml';
+  // Feed URLs are private tokens and come from the config (via ${ENV_VAR} placeholders)
+  if (!feedUrl) {
+    console.log('  No newsletter feed URL configured, skipping');
+    return [];
+  }
 
   try {
-    const { data } = await axios.get(
-      url,
-      {
-        headers: { 'User-Agent': USER_AGENT },
-        timeout: 10000
-      }
-    );
+    const { data } = await httpGet(feedUrl);
+
+    const items = parseFeed(data).items
+      .filter(entry => entry.title && entry.date)
+      .map(entry => ({
+        title: entry.title,
+        summary: entry.summary.slice(0, 300) || entry.title,
+        date: entry.date,
+        timestamp: entry.date,
+        source: 'Axios Newsletters'
+      }));
 
-    const $ = cheerio.load(data, { xmlMode: true });
-    const items = [];
-    const today = new Date();
-    today.setHours(0, 0, 0, 0); // Start of today
+    console.log(`  Found ${items.length} newsletter items`);
+    return items;
+  } catch (error) {
+    console.error('Error fetching Axios newsletters:', error.message);
+    return [];
+  }
+}
 
-    $('item, entry').each((_, el) => {
-      const title = $(el).find('title').text().trim();
-      const description = $(el).find('description, summary, content').first().text().trim()
-        .replace(/<[^>]*>/g, '')
-        .slice(0, 300);
+// ============================================================================
+// SOURCE REGISTRY
+// ============================================================================
+
+// Generic source types configs can declare under content.sources
+registerSourceType('rss', source => ({
+  fetch: (config, ctx) => fetchRSSFeed(source.url, source.name || source.id, source.maxItems || 5, feedWindow(config, ctx))
+}));
+registerSourceType('scrape', source => ({
+  fetch: (config, ctx) => {
+    console.log(`Fetching ${source.name || source.id}...`);
+    return scrapeBlog(
+      source.url, source.name || source.id, source.selectors, source.maxItems || 5, source.baseUrl, feedWindow(config, ctx)
+    );
+  }
+}));
+registerSourceType('json', source => ({
+  fetch: (config, ctx) => fetchJsonFeed(source.url, source.name || source.id, source, source.maxItems || 5, feedWindow(config, ctx))
+}));
 
-      // Try multiple date field names (RSS 2.0, Atom, custom)
-      const pubDateText = $(el).find('pubDate, published, updated, date').first().text().trim();
+// Built-in scraped blogs, declared the same way configs declare scrape sources
+const BUILTIN_SCRAPE_SOURCES = [
+  {
+    id: 'openai',
+    type: 'scrape',
+    url: 'https://openai.com/blog',
+    selectors: { container: 'article, .post', title: 'h2, h3, .title', summary: 'p', date: 'time, .date', link: 'a' }
+  },
+  {
+    id: 'deepmind',
+    type: 'scrape',
+    url: 'https://deepmind.google/discover/blog/',
+    selectors: { container: 'article, .blog-post', title: 'h2, h3, .title', summary: 'p', date: 'time, .date', link: 'a' }
+  },
+  {
+    id: 'meta',
+    type: 'scrape',
+    url: 'https://ai.meta.com/blog/',
+    selectors: { container: 'article, .blog-item', title: 'h2, h3, .title', summary: 'p', date: 'time, .date', link: 'a' }
+  }
+];
 
-      if (!title || !pubDateText) return;
+/**
+ * Register a built-in source under the name and category data/sources.json gives it
+ */
+function registerBuiltinSource(id, plugin) {
+  registerSource({ ...plugin, id, ...BUILTIN_SOURCES[id] });
+}
 
-      const pubDate = new Date(pubDateText);
-      pubDate.setHours(0, 0, 0, 0);
+for (const declaration of BUILTIN_SCRAPE_SOURCES) {
+  registerBuiltinSource(declaration.id, createSource({ ...declaration, name: BUILTIN_SOURCES[declaration.id].name }));
+}
+registerBuiltinSource('anthropic', { fetch: fetchAnthropicNews });
+registerBuiltinSource('verge', { fetch: fetchVergeAI });
+registerBuiltinSource('techcrunch', { fetch: fetchTechCrunchAI });
+registerBuiltinSource('venturebeat', { fetch: fetchVentureBeatAI });
+registerBuiltinSource('hackernews', { fetch: config => fetchHackerNewsAI(config) });
+registerBuiltinSource('killthenewsletter', {
+  defaultMaxAgeHours: 0,
+  fetch: config => fetchKillTheNewsletter(config?.content?.newsletters?.killTheNewsletterFeedUrl)
+});
 
-      // Only include items from today
-      if (pubDate.getTime() === today.getTime()) {
-        items.push({
-          title,
-          summary: description || title,
-          date: pubDateText,
-          source: 'Axios Newsletters'
-        });
-      }
-    });
+/**
+ * Fetch a list of sources in parallel and combine their items and LLM usage
+ * @param {Array<string>} ids - Built-in or declared source ids
+ * @param {Object} config - Podcast configuration
+ * @param {Object} section - Config section listing the sources, for its `maxAgeHours` default
+ * @returns {Promise<{items: Array, usage: Object|null}>}
+ */
+async function fetchSourceList(ids, config, section = null) {
+  const plugins = resolveSources(ids, config);
+  const results = await Promise.all(plugins.map(plugin =>
+    runSource(plugin, config, { maxAgeHours: sourceMaxAgeHours(plugin, section) })
+  ));
+  return {
+    items: results.flatMap(r => r.items),
+    usage: combineUsage(results.map(r => r.usage))
+  };
+}
 
-    console.log(`  Found ${items.length} newsletter items from today`);
-    return items;
-  } catch (error) {
-    console.error('Error fetching Axios newsletters:', error.message);
-    return [];
-  }
+/**
+ * Sum Gemini Flash usage objects; null when none of them used the LLM
+ */
+function combineUsage(usages) {
+  const used = usages.filter(u => u?.geminiFlash);
+  if (used.length === 0) return null;
+  return {
+    geminiFlash: {
+      promptTokens: used.reduce((sum, u) => sum + (u.geminiFlash.promptTokens || 0), 0),
+      candidatesTokens: used.reduce((sum, u) => sum + (u.geminiFlash.candidatesTokens || 0), 0)
+    }
+  };
 }
 
 // ============================================================================
@@ -1140,56 +1270,48 @@ async function fetchDatabricksContent() {
 }
 */
 /**
- * Fetch all AI/ML news
+ * Fetch all AI/ML news from the sources listed in content.aiNews.sources
+ * (every built-in AI source when none are listed)
  * @param {Object} config - Configuration object with content.aiNews settings
- * @returns {Promise<Array>} Array of news items
+ * @returns {Promise<{items: Array, usage: Object|null}>} News items and any LLM usage
  */
 async function fetchAINews(config) {
   // Check if AI news is enabled
   if (config?.content?.aiNews?.enabled === false) {
     console.log('AI news fetching disabled by configuration');
-    return [];
+    return { items: [], usage: null };
   }
 
-  // Define source mapping
-  const sourceMap = {
-    'openai': fetchOpenAIBlog,
-    'anthropic': fetchAnthropicNews,
-    'deepmind': fetchDeepMindBlog,
-    'meta': fetchMetaAIBlog,
-    'verge': fetchVergeAI,
-    'techcrunch': fetchTechCrunchAI,
-    'venturebeat': fetchVentureBeatAI,
-    'hackernews': fetchHackerNewsAI
-  };
-
-  // Get enabled sources from config, or use all by default
-  const enabledSources = config?.content?.aiNews?.sources || Object.keys(sourceMap);
-
-  // Build promise array for enabled sources
-  const promises = enabledSources
-    .filter(source => sourceMap[source.toLowerCase()])
-    .map(source => sourceMap[source.toLowerCase()]());
-
-  const results = await Promise.all(promises);
-
-  return results.flat();
+  const sourceIds = config?.content?.aiNews?.sources || listSources('ai').map(plugin => plugin.id);
+  return fetchSourceList(sourceIds, config, config?.content?.aiNews);
 }
 
 /**
- * Fetch Axios newsletters (Chicago, Energy, AI, Politics, General)
+ * Fetch newsletters from content.newsletters.sources (default: the Kill The Newsletter feed)
  * @param {Object} config - Configuration object with content.newsletters settings
- * @returns {Promise<Array>} Array of newsletter items
+ * @returns {Promise<{items: Array, usage: Object|null}>} Newsletter items and any LLM usage
  */
 async function fetchNewsletters(config) {
   // Check if newsletters are enabled
   if (config?.content?.newsletters?.enabled === false) {
     console.log('Newsletters fetching disabled by configuration');
-    return [];
+    return { items: [], usage: null };
   }
 
-  const killTheNewsletter = await fetchKillTheNewsletter(config?.content?.newsletters?.killTheNewsletterFeedUrl);
-  return killTheNewsletter;
+  const sourceIds = config?.content?.newsletters?.sources || ['killthenewsletter'];
+  return fetchSourceList(sourceIds, config, config?.content?.newsletters);
+}
+
+/**
+ * Pick the article URL for a feed entry. Kill The Newsletter entries link back to the
+ * feed itself, so for those the first link inside the newsletter body is used instead.
+ */
+function articleLink(entry) {
+  if (entry.link && !entry.link.includes('kill-the-newsletter.com/feeds')) {
+    return entry.link;
+  }
+  const match = entry.content.match(/href=["']([^"']+)["']/);
+  return match ? cheerio.load(match[1], null, false).text() : '';
 }
 
 /**
@@ -1212,11 +1334,21 @@ async function fetchArticles(config, episodeMemory) {
     // Build list of feed sources: legacy KTN URL + any direct feeds[]
     const feedSources = [];
     if (articlesConfig.killTheNewsletterFeedUrl) {
-      feedSources.push({ url: articlesConfig.killTheNewsletterFeedUrl, name: 'Kill The Newsletter', maxItems: maxPerEpisode });
+      feedSources.push({
+        url: articlesConfig.killTheNewsletterFeedUrl,
+        name: 'Kill The Newsletter',
+        maxItems: maxPerEpisode,
+        maxAgeHours: articlesConfig.maxAgeHours
+      });
     }
     if (Array.isArray(articlesConfig.feeds)) {
       for (const feed of articlesConfig.feeds) {
-        feedSources.push({ url: feed.url, name: feed.name || feed.url, maxItems: feed.maxItems ?? maxPerEpisode });
+        feedSources.push({
+          url: feed.url,
+          name: feed.name || feed.url,
+          maxItems: feed.maxItems ?? maxPerEpisode,
+          maxAgeHours: feed.maxAgeHours ?? articlesConfig.maxAgeHours
+        });
       }
     }
 
@@ -1231,54 +1363,40 @@ async function fetchArticles(config, episodeMemory) {
     for (const feedSource of feedSources) {
       let feedData;
       try {
-        const response = await axios.get(feedSource.url, {
-          headers: { 'User-Agent': USER_AGENT },
-          timeout: 10000
-        });
+        const response = await httpGet(feedSource.url);
         feedData = response.data;
       } catch (feedError) {
         console.error(`  Failed to fetch feed "${feedSource.name}": ${feedError.message}`);
         continue;
       }
 
-      const $ = cheerio.load(feedData, { xmlMode: true });
-      let entries = $('item');
-      let isAtom = false;
-
-      if (entries.length === 0) {
-        entries = $('entry');
-        isAtom = true;
+      let entries;
+      try {
+        entries = parseFeed(feedData).items;
+      } catch (parseError) {
+        console.error(`  Failed to parse feed "${feedSource.name}": ${parseError.message}`);
+        continue;
       }
 
       const feedLinks = [];
-      entries.each((_, el) => {
-        const title = $(el).find('title').text().trim();
-        let link = '';
-
-        if (isAtom) {
-          // For Atom feeds, extract link from content HTML (handle entity-encoded quotes)
-          const content = $(el).find('content').html() || '';
-          const linkMatch = content.match(/href=(?:&quot;|["'])([^&"']+)(?:&quot;|["'])/);
-          if (linkMatch) {
-            link = linkMatch[1];
-            link = link.replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"');
-          }
-        } else {
-          // For standard RSS feeds, get link element
-          link = $(el).find('link').text().trim();
+      for (const entry of entries) {
+        const link = articleLink(entry);
+        if (!entry.title || !link) continue;
+        if (findMutedTerm(entry, config)) {
+          console.log(`  Skipping muted article: ${entry.title}`);
+          continue;
         }
 
-        if (title && link && !link.includes('kill-the-newsletter.com/feeds')) {
-          if (!hasArticleBeenCovered(episodeMemory, title, 30)) {
-            feedLinks.push({ title, link, source: feedSource.name });
-          } else {
-            console.log(`  Skipping previously covered article: ${title}`);
-          }
+        if (!hasArticleBeenCovered(episodeMemory, entry.title, 30)) {
+          feedLinks.push({ title: entry.title, link, source: feedSource.name, timestamp: entry.date });
+        } else {
+          console.log(`  Skipping previously covered article: ${entry.title}`);
         }
-      });
+      }
 
-      // Apply per-feed cap before adding to global pool
-      allArticleLinks.push(...feedLinks.slice(0, feedSource.maxItems));
+      // Apply per-feed recency window and cap before adding to global pool
+      const recentLinks = filterByAge(feedLinks, feedSource.maxAgeHours, { timezone: config.location?.timezone });
+      allArticleLinks.push(...recentLinks.slice(0, feedSource.maxItems));
     }
 
     if (allArticleLinks.length === 0) {
@@ -1305,10 +1423,7 @@ async function fetchArticles(config, episodeMemory) {
         console.log(`  Fetching article: ${title}`);
 
         // Fetch article web page
-        const articleResponse = await axios.get(link, {
-          headers: { 'User-Agent': USER_AGENT },
-          timeout: 15000
-        });
+        const articleResponse = await httpGet(link, { timeout: 15000 });
 
         // Extract article content
         const $page = cheerio.load(articleResponse.data);
@@ -1403,18 +1518,19 @@ Format as structured text (not JSON), keeping it conversational and suitable for
 }
 
 /**
- * Fetch all additional sourcing (Sports, Real Estate, Iran, Surf, Olympics, World Cup)
+ * Fetch all additional sourcing (Sports, Real Estate, International Relations, Surf, scheduled events)
  * @param {Object} config - Configuration object with content settings
+ * @param {Object} episodeMemory - Episode memory data; game recaps cover every day since the last episode
  * @returns {Promise<Object>} Object with items and usage data
  */
-async function fetchAdditionalSourcing(config) {
+async function fetchAdditionalSourcing(config, episodeMemory = null) {
   const promises = [];
   const results = {};
 
   // Fetch Real Estate if enabled
   if (config?.content?.realEstate?.enabled) {
     promises.push(
-      fetchRealEstateNews(config.content.realEstate).then(res => {
+      fetchRealEstateNews(config.content.realEstate, config).then(res => {
         results.realEstate = res;
       })
     );
@@ -1424,19 +1540,29 @@ async function fetchAdditionalSourcing(config) {
   if (config?.content?.sports?.enabled) {
     const teams = config.content.sports.teams || [];
 
-    // Fetch game recaps
-    const sportsPromises = teams.map(team => fetchSportsGame(team.league, team.name, team.espnApiName));
+    // Fetch game recaps for every day since the last episode
+    const dates = recapDates(getLastEpisodeDate(episodeMemory), { timezone: config.location?.timezone });
+    const sportsPromises = teams.map(team => fetchSportsGame(team, config, dates));
     promises.push(
       Promise.all(sportsPromises).then(sportsResults => {
         results.sports = sportsResults;
       })
     );
 
+    // Fetch today's games and standings unless turned off
+    if (config.content.sports.includeOutlook !== false) {
+      promises.push(
+        Promise.all(teams.map(team => fetchTeamOutlook(team, config))).then(outlookResults => {
+          results.teamOutlook = outlookResults;
+        })
+      );
+    }
+
     // Fetch team news if enabled
     if (config.content.sports.includeTeamNews) {
       const teamNewsPromises = teams
-        .filter(team => team.espnNewsId)
-        .map(team => fetchTeamNews(team.league, team.name, team.espnNewsId));
+        .filter(team => teamId(team))
+        .map(team => fetchTeamNews(team, config));
 
       promises.push(
         Promise.all(teamNewsPromises).then(newsResults => {
@@ -1449,7 +1575,7 @@ async function fetchAdditionalSourcing(config) {
     const teamsWithRSS = teams.filter(team => team.rssFeedUrl);
     if (teamsWithRSS.length > 0) {
       const teamRSSPromises = teamsWithRSS.map(team =>
-        fetchTeamRSSFeed(team.name, team.rssFeedUrl, 3)
+        fetchTeamRSSFeed(team.name, team.rssFeedUrl, 3, config)
       );
 
       promises.push(
@@ -1460,11 +1586,11 @@ async function fetchAdditionalSourcing(config) {
     }
   }
 
-  // Fetch Iran international relations if enabled
+  // Fetch international relations briefings (one per region) if enabled
   if (config?.content?.internationalRelations?.enabled) {
     promises.push(
-      fetchIranNews().then(res => {
-        results.iran = res;
+      fetchInternationalRelations(config.content.internationalRelations, config).then(res => {
+        results.internationalRelations = res;
       })
     );
   }
@@ -1472,7 +1598,7 @@ async function fetchAdditionalSourcing(config) {
   // Fetch general news feeds if enabled
   if (config?.content?.news?.enabled) {
     promises.push(
-      fetchNewsFeeds(config.content.news).then(res => {
+      fetchNewsFeeds(config.content.news, config).then(res => {
         results.news = res;
       })
     );
@@ -1481,44 +1607,26 @@ async function fetchAdditionalSourcing(config) {
   // Fetch Surf Conditions if enabled
   if (config?.content?.surfConditions?.enabled) {
     promises.push(
-      fetchSurflineConditions(
-        config.content.surfConditions.spotIds,
-        config.content.surfConditions.location
+      fetchSurfConditions(
+        surfSpots(config.content.surfConditions),
+        config.content.surfConditions.location,
+        {
+          provider: config.content.surfConditions.provider,
+          fallback: config.content.surfConditions.fallback,
+          timezone: config.location?.timezone
+        }
       ).then(res => {
         results.surf = res;
       })
     );
   }
 
-  // Fetch Olympics if enabled and active
-  if (config?.content?.sports?.events) {
-    const olympicsEvent = config.content.sports.events.find(e => e.type === 'olympics');
-    if (olympicsEvent?.enabled) {
-      const olympicsStatus = areOlympicsActive();
-      if (!olympicsEvent.onlyDuringEvent || olympicsStatus.active) {
-        promises.push(
-          fetchOlympicsUpdates().then(res => {
-            results.olympics = res;
-          })
-        );
-      }
-    }
-  }
-
-  // Fetch World Cup if enabled and active
-  if (config?.content?.sports?.events) {
-    const worldcupEvent = config.content.sports.events.find(e => e.type === 'worldcup');
-    if (worldcupEvent?.enabled) {
-      const worldcupStatus = isWorldCupActive();
-      if (!worldcupEvent.onlyDuringEvent || worldcupStatus.active) {
-        promises.push(
-          fetchWorldCupUpdates().then(res => {
-            results.worldcup = res;
-          })
-        );
-      }
-    }
-  }
+  // Fetch scheduled events (Olympics, World Cup, config-defined events) that are on today
+  promises.push(
+    fetchEventUpdates(config).then(res => {
+      results.events = res;
+    })
+  );
 
   // Wait for all promises to resolve
   await Promise.all(promises);
@@ -1527,13 +1635,21 @@ async function fetchAdditionalSourcing(config) {
   const items = {
     realEstate: results.realEstate?.items || [],
     sports: [],
-    iran: results.iran?.items || [],
+    internationalRelations: results.internationalRelations?.items || [],
     news: results.news?.items || [],
-    surf: results.surf ? [{ title: 'Surf Conditions', summary: results.surf.summary, source: 'Surfline' }] : [],
-    olympics: results.olympics ? [{ title: 'Olympics Update', summary: results.olympics.summary, source: 'Olympics' }] : [],
-    worldcup: results.worldcup ? [{ title: 'World Cup Update', summary: results.worldcup.summary, source: 'World Cup' }] : []
+    surf: results.surf?.items || [],
+    events: results.events?.items || []
   };
 
+  // Player watch from the game summaries and team news fetched above
+  const players = config?.content?.sports?.enabled ? config.content.sports.players || [] : [];
+  if (players.length > 0) {
+    items.playerWatch = buildPlayerWatch(players, {
+      games: (results.sports || []).flatMap(r => r.games || []),
+      articles: (results.teamNews || []).flatMap(r => r.articles || [])
+    }, config);
+  }
+
   // Flatten sports game results
   if (results.sports) {
     for (const sportResult of results.sports) {
@@ -1541,6 +1657,13 @@ async function fetchAdditionalSourcing(config) {
     }
   }
 
+  // Flatten today's games and standings
+  if (results.teamOutlook) {
+    for (const outlookResult of results.teamOutlook) {
+      items.sports.push(...(outlookResult.items || []));
+    }
+  }
+
   // Flatten team news results
   if (results.teamNews) {
     for (const newsResult of results.teamNews) {
@@ -1555,6 +1678,11 @@ async function fetchAdditionalSourcing(config) {
     }
   }
 
+  // Every item carries a timestamp (from its date when the fetcher did not set one)
+  for (const key of Object.keys(items)) {
+    items[key] = items[key].map(withTimestamp);
+  }
+
   // Combine usage
   const usage = {
     geminiFlash: {
@@ -1605,6 +1733,12 @@ async function fetchAdditionalSourcing(config) {
     usage.geminiFlash.candidatesTokens += results.news.usage.geminiFlash.candidatesTokens || 0;
   }
 
+  // Add international relations usage
+  if (results.internationalRelations?.usage?.geminiFlash) {
+    usage.geminiFlash.promptTokens += results.internationalRelations.usage.geminiFlash.promptTokens || 0;
+    usage.geminiFlash.candidatesTokens += results.internationalRelations.usage.geminiFlash.candidatesTokens || 0;
+  }
+
   return { items, usage };
 }
 
@@ -1613,13 +1747,14 @@ module.exports = {
   fetchNewsletters,
   fetchAdditionalSourcing,
   fetchArticles,
+  fetchInternationalRelations,
+  fetchSourceList,
+  combineUsage,
   // Legacy functions kept for backward compatibility
   fetchRealEstateNews,
-  fetchWarriorsGame,
-  fetchGiantsGame,
-  fetchNinersGame,
   fetchIranNews,
   fetchSportsGame,
+  fetchTeamOutlook,
   fetchTeamNews,
   fetchNewsFeeds
 };
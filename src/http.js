@@ -0,0 +1,188 @@
+/**
+ * Shared HTTP Client
+ *
+ * Every content fetcher routes GET requests through httpGet(), or getJson() for JSON
+ * APIs (which parses the body on top of it). httpGet() adds two layers:
+ * 1. In-process: identical requests made in one run (e.g. several podcasts following
+ *    the same feeds) hit the network only once.
+ * 2. On disk: responses are cached under /tmp/podcast-cache keyed by URL, so retries
+ *    and repeated dry runs are fast. Entries older than the TTL are revalidated with
+ *    ETag / Last-Modified conditional requests when the server supplied them.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36';
+const DEFAULT_TIMEOUT_MS = 10000;
+
+const cacheSettings = {
+  enabled: true,
+  dir: process.env.PODCAST_CACHE_DIR || '/tmp/podcast-cache',
+  ttlSeconds: 60 * 60 // 1 hour
+};
+
+// url -> Promise<{ data, status, headers, fromCache }>, shared by every caller in this process
+const inFlight = new Map();
+
+/**
+ * Change disk cache behaviour (e.g. for --no-cache)
+ * @param {Object} settings
+ * @param {boolean} settings.enabled - Read and write the disk cache
+ * @param {string} settings.dir - Cache directory
+ * @param {number} settings.ttlSeconds - Age after which entries are revalidated
+ */
+function configureHttpCache(settings = {}) {
+  Object.assign(cacheSettings, settings);
+}
+
+/**
+ * GET a URL through the in-process and on-disk caches.
+ * Failed requests are never cached, so retries go back to the network.
+ * @param {string} url - URL to fetch
+ * @param {Object} options
+ * @param {Object} options.headers - Extra request headers
+ * @param {number} options.timeout - Timeout in milliseconds (default 10s)
+ * @param {number} options.ttlSeconds - Override the cache TTL for this URL
+ * @returns {Promise<{data: *, status: number, headers: Object, fromCache: boolean}>} axios-style response
+ */
+function httpGet(url, { headers = {}, timeout = DEFAULT_TIMEOUT_MS, ttlSeconds } = {}) {
+  if (inFlight.has(url)) {
+    return inFlight.get(url);
+  }
+
+  const request = fetchWithDiskCache(url, {
+    headers: { 'User-Agent': USER_AGENT, ...headers },
+    timeout,
+    ttlSeconds: ttlSeconds ?? cacheSettings.ttlSeconds
+  }).catch(error => {
+    inFlight.delete(url);
+    throw error;
+  });
+
+  inFlight.set(url, request);
+  return request;
+}
+
+/**
+ * GET a URL through httpGet() and parse its body as JSON. Bodies that arrive as text
+ * (e.g. served as text/plain) are parsed here.
+ * @param {string} url - URL to fetch
+ * @param {Object} options - As for httpGet(), plus:
+ * @param {string} options.label - Name used in error messages (default: the URL's host)
+ * @returns {Promise<*>} Parsed body
+ * @throws {Error} If the request fails or the body is empty or not JSON
+ */
+async function getJson(url, { label = new URL(url).host, ...options } = {}) {
+  const { data } = await httpGet(url, options);
+  if (data === undefined || data === null || data === '') {
+    throw new Error(`${label} returned an empty response`);
+  }
+  if (typeof data !== 'string') {
+    return data;
+  }
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    throw new Error(`${label} returned invalid JSON: ${error.message}`);
+  }
+}
+
+async function fetchWithDiskCache(url, { headers, timeout, ttlSeconds }) {
+  const cached = cacheSettings.enabled ? readCacheEntry(url) : null;
+
+  if (cached && (Date.now() - cached.fetchedAt) / 1000 < ttlSeconds) {
+    return { data: cached.data, status: cached.status, headers: cached.headers, fromCache: true };
+  }
+
+  // Stale entry: ask the server whether it changed
+  const conditionalHeaders = {};
+  if (cached?.headers.etag) conditionalHeaders['If-None-Match'] = cached.headers.etag;
+  if (cached?.headers['last-modified']) conditionalHeaders['If-Modified-Since'] = cached.headers['last-modified'];
+
+  const response = await axios.get(url, {
+    headers: { ...headers, ...conditionalHeaders },
+    timeout,
+    validateStatus: status => (status >= 200 && status < 300) || (status === 304 && Boolean(cached))
+  });
+
+  if (response.status === 304) {
+    writeCacheEntry(url, { ...cached, fetchedAt: Date.now() });
+    return { data: cached.data, status: cached.status, headers: cached.headers, fromCache: true };
+  }
+
+  const entry = {
+    url,
+    fetchedAt: Date.now(),
+    status: response.status,
+    headers: pickHeaders(response.headers),
+    data: response.data
+  };
+  if (cacheSettings.enabled) {
+    writeCacheEntry(url, entry);
+  }
+
+  return { data: entry.data, status: entry.status, headers: entry.headers, fromCache: false };
+}
+
+/**
+ * Keep only the headers needed for revalidation and content handling
+ */
+function pickHeaders(headers = {}) {
+  const picked = {};
+  for (const name of ['etag', 'last-modified', 'content-type']) {
+    const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+    if (value) picked[name] = String(value);
+  }
+  return picked;
+}
+
+function cacheFilePath(url) {
+  const key = crypto.createHash('sha256').update(url).digest('hex');
+  return path.join(cacheSettings.dir, `${key}.json`);
+}
+
+function readCacheEntry(url) {
+  try {
+    const entry = JSON.parse(fs.readFileSync(cacheFilePath(url), 'utf-8'));
+    return entry.url === url ? entry : null;
+  } catch {
+    return null; // Missing or unreadable entries are treated as a cache miss
+  }
+}
+
+function writeCacheEntry(url, entry) {
+  if (!cacheSettings.enabled) return;
+  try {
+    fs.mkdirSync(cacheSettings.dir, { recursive: true });
+    fs.writeFileSync(cacheFilePath(url), JSON.stringify(entry));
+  } catch (err) {
+    console.error(`  Warning: could not write HTTP cache for ${url}: ${err.message}`);
+  }
+}
+
+/**
+ * Number of distinct URLs requested so far in this process
+ */
+function getRequestCount() {
+  return inFlight.size;
+}
+
+/**
+ * Forget every in-process response (used between independent runs and in tests).
+ * The disk cache is left alone.
+ */
+function clearRequestCache() {
+  inFlight.clear();
+}
+
+module.exports = {
+  httpGet,
+  getJson,
+  configureHttpCache,
+  getRequestCount,
+  clearRequestCache,
+  USER_AGENT
+};
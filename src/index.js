@@ -8,18 +8,30 @@
  * 4. Publish to GitHub Pages with RSS feed
  */
 
-require('dotenv').config();
+require('dotenv').config({ quiet: true });
+
+// Replays never reach Gemini, but modules only create their Gemini clients when a key is set
+if (process.argv.includes('--replay') && !process.env.GOOGLE_API_KEY) {
+  process.env.GOOGLE_API_KEY = 'replay';
+}
+
 const path = require('path');
 const fs = require('fs');
 const axios = require('axios');
 
-const { loadConfig } = require('./config');
-const { fetchAINews, fetchNewsletters, fetchAdditionalSourcing, fetchArticles } = require('./fetcher');
+const { loadConfig, listConfigIds } = require('./config');
+const { fetchAINews, fetchNewsletters, fetchAdditionalSourcing, fetchArticles, combineUsage } = require('./fetcher');
 const { synthesizeScript } = require('./synthesizer');
+const { clusterContent } = require('./cluster');
+const { rankContent } = require('./ranking');
 const { convertToAudio } = require('./tts');
 const { buildUpdatedFeed } = require('./publisher');
 const { publishEpisode } = require('./githubCommitter');
 const { CostTracker } = require('./costTracker');
+const { RunCheckpoint } = require('./checkpoint');
+const { getRequestCount, configureHttpCache } = require('./http');
+const { startRecording, startReplay } = require('./recorder');
+const { createSource, getSource, fieldCoverage } = require('./sources');
 const { updateTTSUsage } = require('./ttsUsageTracker');
 const {
   getEpisodeMemory,
@@ -58,7 +70,17 @@ async function getCurrentFeed(feedFile) {
   }
 }
 
-async function run({ dryRun = false, config = null } = {}) {
+/**
+ * Run the full pipeline for one podcast.
+ * Each stage's output is checkpointed; stages already completed in `checkpoint`
+ * (from an earlier attempt or `--resume`) are loaded instead of being run again.
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Stop after audio, skip RSS and publishing
+ * @param {Object} options.config - Podcast configuration
+ * @param {RunCheckpoint} options.checkpoint - Run to continue (a new one is created if omitted)
+ * @returns {Promise<Object>} Cost summary for the stages executed in this attempt
+ */
+async function run({ dryRun = false, config = null, checkpoint = null } = {}) {
   console.log('='.repeat(60));
   console.log(`Starting ${config.metadata.title} Pipeline`);
   console.log('='.repeat(60));
@@ -73,42 +95,32 @@ async function run({ dryRun = false, config = null } = {}) {
   const startTime = Date.now();
   const costTracker = new CostTracker();
 
-  try {
-    // 1. Fetch content from all sources
-    console.log('STEP 1: Fetching content from sources...');
-    console.log();
+  checkpoint = checkpoint || RunCheckpoint.create(config);
+  const { dateStr, timestamp, timeStr } = checkpoint.readManifest().episode;
+  console.log(`  Run ID: ${checkpoint.runId} (checkpoints in ${checkpoint.dir})`);
+  console.log();
 
-    const [aiNews, newsletters, additionalSourcingData] = await Promise.all([
-      fetchAINews(config),
-      fetchNewsletters(config),
-      fetchAdditionalSourcing(config)
-    ]);
-
-    const { items: additionalSourcing, usage: fetcherUsage } = additionalSourcingData;
-
-    const contentBundle = {
-      aiNews: aiNews,
-      newsletters: newsletters,
-      additionalSourcing: additionalSourcing
-    };
-
-    const totalItems = aiNews.length + newsletters.length +
-                     additionalSourcing.realEstate.length +
-                     additionalSourcing.sports.length +
-                     additionalSourcing.iran.length +
-                     additionalSourcing.news.length;
+  if (checkpoint.has('publish')) {
+    console.log('  This run was already published — nothing to do.');
     console.log();
-    console.log(`  Total items collected: ${totalItems}`);
+    return costTracker.getSummary();
+  }
 
-    // Track fetcher-level LLM costs
-    if (fetcherUsage && (fetcherUsage.geminiFlash?.promptTokens > 0)) {
-      const fetcherCost = costTracker.trackGemini(fetcherUsage);
-      console.log(`  💰 Fetcher LLM cost: $${fetcherCost.totalCost.toFixed(4)}`);
+  // Load a stage from the checkpoint if an earlier attempt finished it, otherwise run and save it
+  const runStage = async (stage, compute) => {
+    if (checkpoint.has(stage)) {
+      console.log(`  ↩️  Reusing ${stage} from checkpoint (skipping)`);
+      console.log();
+      return checkpoint.load(stage);
     }
-    console.log();
+    const output = await compute();
+    checkpoint.save(stage, output);
+    return output;
+  };
 
-    // 1.5. Fetch episode memory for cross-episode continuity
-    console.log('STEP 1.5: Fetching episode memory...');
+  try {
+    // 0. Fetch episode memory for cross-episode continuity (sports recaps look back to the last episode)
+    console.log('STEP 0: Fetching episode memory...');
     let episodeMemoryData = { episodes: [] };
     let episodeMemorySha = null;
     let episodeMemoryForPrompt = '';
@@ -126,56 +138,118 @@ async function run({ dryRun = false, config = null } = {}) {
     }
     console.log();
 
+    // 1. Fetch content from all sources
+    console.log('STEP 1: Fetching content from sources...');
+    console.log();
+
+    const { contentBundle, totalItems } = await runStage('content', async () => {
+      const [aiNewsData, newslettersData, additionalSourcingData] = await Promise.all([
+        fetchAINews(config),
+        fetchNewsletters(config),
+        fetchAdditionalSourcing(config, episodeMemoryData)
+      ]);
+
+      const { items: aiNews } = aiNewsData;
+      const { items: newsletters } = newslettersData;
+      const { items: additionalSourcing } = additionalSourcingData;
+      const fetcherUsage = combineUsage([aiNewsData.usage, newslettersData.usage, additionalSourcingData.usage]);
+
+      const itemCount = aiNews.length + newsletters.length +
+                       additionalSourcing.realEstate.length +
+                       additionalSourcing.sports.length +
+                       additionalSourcing.internationalRelations.length +
+                       additionalSourcing.news.length;
+      console.log();
+      console.log(`  Total items collected: ${itemCount}`);
+
+      // Track fetcher-level LLM costs
+      if (fetcherUsage && (fetcherUsage.geminiFlash?.promptTokens > 0)) {
+        const fetcherCost = costTracker.trackGemini(fetcherUsage);
+        console.log(`  💰 Fetcher LLM cost: $${fetcherCost.totalCost.toFixed(4)}`);
+      }
+      console.log();
+
+      return {
+        contentBundle: {
+          aiNews: aiNews,
+          newsletters: newsletters,
+          additionalSourcing: additionalSourcing
+        },
+        totalItems: itemCount
+      };
+    });
+
+    // 1.1. Merge the same story reported by several outlets
+    const clusteringConfig = config.content?.clustering || {};
+    if (clusteringConfig.enabled !== false) {
+      console.log('STEP 1.1: Clustering duplicate stories...');
+      const clustered = clusterContent(contentBundle, clusteringConfig);
+      Object.assign(contentBundle, clustered.contentBundle);
+      console.log(`  Merged ${clustered.merged} duplicate item${clustered.merged !== 1 ? 's' : ''} ` +
+        `across ${clustered.stories} stor${clustered.stories !== 1 ? 'ies' : 'y'}`);
+      console.log();
+    }
+
     // 1.6. Fetch articles for in-depth discussion (after episode memory is loaded)
     let articlesData = { items: [], usage: null };
     if (config?.content?.articles?.enabled) {
       console.log('STEP 1.6: Fetching articles for in-depth discussion...');
       console.log();
-      articlesData = await fetchArticles(config, episodeMemoryData);
+      articlesData = await runStage('articles', async () => {
+        const fetched = await fetchArticles(config, episodeMemoryData);
 
-      if (articlesData.items.length > 0) {
-        console.log(`  Found ${articlesData.items.length} article(s) for discussion`);
-      }
+        if (fetched.items.length > 0) {
+          console.log(`  Found ${fetched.items.length} article(s) for discussion`);
+        }
 
-      // Track article fetching costs
-      if (articlesData.usage && articlesData.usage.geminiFlash?.promptTokens > 0) {
-        const articleCost = costTracker.trackGemini(articlesData.usage);
-        console.log(`  💰 Article analysis cost: $${articleCost.totalCost.toFixed(4)}`);
-      }
-      console.log();
+        // Track article fetching costs
+        if (fetched.usage && fetched.usage.geminiFlash?.promptTokens > 0) {
+          const articleCost = costTracker.trackGemini(fetched.usage);
+          console.log(`  💰 Article analysis cost: $${articleCost.totalCost.toFixed(4)}`);
+        }
+        console.log();
+        return fetched;
+      });
     }
 
     // Add articles to content bundle
     contentBundle.articles = articlesData.items;
 
+    // 1.7. Put the most important stories first and keep each segment within its token budget
+    console.log('STEP 1.7: Ranking stories...');
+    const ranked = rankContent(contentBundle, { config, episodeMemory: episodeMemoryData });
+    Object.assign(contentBundle, ranked.contentBundle);
+    for (const { segment, kept, total, tokens, budget } of ranked.segments) {
+      const budgetText = budget ? ` of ${budget.toLocaleString()} budget` : '';
+      console.log(`  ${segment}: kept ${kept}/${total} item${total !== 1 ? 's' : ''} (~${tokens.toLocaleString()} tokens${budgetText})`);
+    }
+    console.log();
+
     // 2. Synthesize script with Claude/Gemini
     console.log('STEP 2: Synthesizing audio script...');
     console.log();
 
-    const { script, summary, usage: synthesizerUsage } = await synthesizeScript(
-      contentBundle,
-      episodeMemoryForPrompt || null,
-      config
-    );
+    const { script, summary } = await runStage('script', async () => {
+      const synthesized = await synthesizeScript(
+        contentBundle,
+        episodeMemoryForPrompt || null,
+        config
+      );
+      const synthesizerUsage = synthesized.usage;
+
+      // Track LLM costs (handles Claude or Gemini)
+      if (synthesizerUsage.geminiPro || synthesizerUsage.geminiFlash || synthesizerUsage.gemini2Flash || synthesizerUsage.gemini25Flash) {
+        const geminiCost = costTracker.trackGemini(synthesizerUsage);
+        console.log(`  💰 Gemini cost: $${geminiCost.totalCost.toFixed(4)}`);
+      } else {
+        const claudeCost = costTracker.trackClaude(synthesizerUsage.inputTokens, synthesizerUsage.outputTokens);
+        console.log(`  💰 Claude cost: $${claudeCost.totalCost.toFixed(4)} (${synthesizerUsage.inputTokens} in + ${synthesizerUsage.outputTokens} out tokens)`);
+      }
+      console.log();
+      return synthesized;
+    });
     const wordCount = script.split(/\s+/).length;
 
-    // Track LLM costs (handles Claude or Gemini)
-    if (synthesizerUsage.geminiPro || synthesizerUsage.geminiFlash || synthesizerUsage.gemini2Flash || synthesizerUsage.gemini25Flash) {
-      const geminiCost = costTracker.trackGemini(synthesizerUsage);
-      console.log(`  💰 Gemini cost: $${geminiCost.totalCost.toFixed(4)}`);
-    } else {
-      const claudeCost = costTracker.trackClaude(synthesizerUsage.inputTokens, synthesizerUsage.outputTokens);
-      console.log(`  💰 Claude cost: $${claudeCost.totalCost.toFixed(4)} (${synthesizerUsage.inputTokens} in + ${synthesizerUsage.outputTokens} out tokens)`);
-    }
-    console.log();
-
-    // Get current time in podcast's timezone
-    const now = new Date();
-    const localTime = new Date(now.toLocaleString('en-US', { timeZone: config.location.timezone }));
-    const dateStr = localTime.toISOString().slice(0, 10); // YYYY-MM-DD in local time
-    const timestamp = localTime.toISOString(); // Full ISO 8601 timestamp
-    const timeStr = timestamp.slice(11, 19).replace(/:/g, ''); // HHMMSS format
-
     // Save script to file for reference
     const scriptFileName = `${config.id}-${dateStr}-script.txt`;
     const scriptPath = path.join('/tmp', scriptFileName);
@@ -188,17 +262,28 @@ async function run({ dryRun = false, config = null } = {}) {
     console.log();
 
     const episodeFileName = `${config.id}-${dateStr}-${timeStr}.mp3`;
-    const audioPath = path.join('/tmp', episodeFileName);
-    const { outputPath: finalAudioPath, characters: ttsCharacters } = await convertToAudio(script, audioPath, config);
-
-    // Track TTS costs (Journey-D is a WaveNet/Neural voice)
-    const ttsCost = costTracker.trackTTS(ttsCharacters, 'wavenet');
-    console.log(`  💰 TTS cost: $${ttsCost.cost.toFixed(4)} (${ttsCharacters} characters)`);
-    console.log();
 
-    if (!fs.existsSync(finalAudioPath)) {
-      throw new Error(`Audio file not created by TTS conversion: ${finalAudioPath}`);
+    // A checkpointed audio file that has since been deleted must be regenerated
+    if (checkpoint.has('audio') && !fs.existsSync(checkpoint.load('audio').audioPath)) {
+      console.log('  Checkpointed audio file is missing, regenerating');
+      checkpoint.invalidate('audio');
     }
+
+    const { audioPath: finalAudioPath, ttsCharacters } = await runStage('audio', async () => {
+      const audioPath = path.join('/tmp', episodeFileName);
+      const { outputPath, characters } = await convertToAudio(script, audioPath, config);
+
+      // Track TTS costs (Journey-D is a WaveNet/Neural voice)
+      const ttsCost = costTracker.trackTTS(characters, 'wavenet');
+      console.log(`  💰 TTS cost: $${ttsCost.cost.toFixed(4)} (${characters} characters)`);
+      console.log();
+
+      if (!fs.existsSync(outputPath)) {
+        throw new Error(`Audio file not created by TTS conversion: ${outputPath}`);
+      }
+      return { audioPath: outputPath, ttsCharacters: characters };
+    });
+
     const fileSizeBytes = fs.statSync(finalAudioPath).size;
     // Estimate duration: MP3 at 128 kbps = (fileSize * 8 bits) / (128,000 bits/sec)
     const durationSeconds = Math.round((fileSizeBytes * 8) / (128 * 1000));
@@ -214,47 +299,53 @@ async function run({ dryRun = false, config = null } = {}) {
       console.log(`  Script words: ${wordCount}`);
       console.log(`  Script file: ${scriptPath}`);
       console.log(`  Audio file: ${finalAudioPath}`);
+      console.log(`  Publish later with: node src/index.js --resume ${checkpoint.runId}`);
       console.log();
       costTracker.printSummary();
       costTracker.logToFile('/tmp/podcast-costs.jsonl');
-      return;
+      return costTracker.getSummary();
     }
 
     // 4. Build updated RSS feed
     console.log('STEP 4: Building RSS feed...');
     console.log();
 
-    const existingFeed = await getCurrentFeed(config.paths.feedFile);
-    const updatedFeed = buildUpdatedFeed(
-      existingFeed,
-      {
-        title: `${config.metadata.title} — ${dateStr}`,
-        date: dateStr,
-        timestamp: timestamp,
-        fileName: episodeFileName,
-        fileSizeBytes,
-        durationSeconds,
-        description: summary,
-      },
-      BASE_URL,
-      {
-        title: config.metadata.title,
-        author: config.metadata.author,
-        description: config.metadata.description,
-        email: config.metadata.email,
-      },
-      config
-    );
+    const { feedXml: updatedFeed } = await runStage('feed', async () => {
+      const existingFeed = await getCurrentFeed(config.paths.feedFile);
+      const feedXml = buildUpdatedFeed(
+        existingFeed,
+        {
+          title: `${config.metadata.title} — ${dateStr}`,
+          date: dateStr,
+          timestamp: timestamp,
+          fileName: episodeFileName,
+          fileSizeBytes,
+          durationSeconds,
+          description: summary,
+        },
+        BASE_URL,
+        {
+          title: config.metadata.title,
+          author: config.metadata.author,
+          description: config.metadata.description,
+          email: config.metadata.email,
+        },
+        config
+      );
 
-    console.log('  Feed updated successfully');
-    console.log();
+      console.log('  Feed updated successfully');
+      console.log();
+      return { feedXml };
+    });
 
     // 5. Publish to GitHub Pages
     console.log('STEP 5: Publishing to GitHub Pages...');
     console.log();
 
-    await publishEpisode(finalAudioPath, updatedFeed, episodeFileName, config);
-
+    await runStage('publish', async () => {
+      await publishEpisode(finalAudioPath, updatedFeed, episodeFileName, config);
+      return { episodeFileName, publishedAt: new Date().toISOString() };
+    });
     // Summary
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
     console.log('='.repeat(60));
@@ -317,6 +408,8 @@ async function run({ dryRun = false, config = null } = {}) {
     }
     console.log();
 
+    return costTracker.getSummary();
+
   } catch (error) {
     console.error();
     console.error('='.repeat(60));
@@ -324,54 +417,296 @@ async function run({ dryRun = false, config = null } = {}) {
     console.error('='.repeat(60));
     console.error(error);
     console.error();
+    // Let callers report what the failed attempt already spent
+    error.costSummary = costTracker.getSummary();
     throw error;
   }
 }
 
-async function runWithRetry({ dryRun = false, maxRetries = 2, config = null } = {}) {
+/**
+ * Run the pipeline for one podcast, retrying on failure.
+ * Every attempt shares one checkpointed run, so a retry resumes from the stage that failed.
+ * @param {Object} options
+ * @param {RunCheckpoint} options.checkpoint - Existing run to resume (a new one is created if omitted)
+ * @returns {Promise<{attempts: number, totalCost: number, runId: string}>} Spend summed across every attempt
+ * @throws {Error} The last attempt's error (with attempts/totalCost/runId attached) once retries are exhausted
+ */
+async function runWithRetry({ dryRun = false, maxRetries = 2, config = null, checkpoint = null } = {}) {
+  checkpoint = checkpoint || RunCheckpoint.create(config);
+  let totalCost = 0;
+
   for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
     try {
       if (attempt > 1) {
-        console.log(`Retry attempt ${attempt - 1}/${maxRetries}...`);
+        console.log(`Retry attempt ${attempt - 1}/${maxRetries} (resuming run ${checkpoint.runId})...`);
         console.log();
       }
-      await run({ dryRun, config });
-      return;
+      const summary = await run({ dryRun, config, checkpoint });
+      return { attempts: attempt, totalCost: totalCost + summary.costs.total, runId: checkpoint.runId };
     } catch (error) {
+      totalCost += error.costSummary?.costs.total || 0;
       console.error(`Attempt ${attempt} failed: ${error.message}`);
       if (attempt <= maxRetries) {
         const delaySec = attempt * 5;
         console.error(`Retrying in ${delaySec}s...`);
         await new Promise(resolve => setTimeout(resolve, delaySec * 1000));
       } else {
-        console.error('All retry attempts exhausted. Exiting.');
-        process.exit(1);
+        console.error('All retry attempts exhausted.');
+        console.error(`Resume later with: node src/index.js --resume ${checkpoint.runId}`);
+        error.attempts = attempt;
+        error.totalCost = totalCost;
+        error.runId = checkpoint.runId;
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Run several podcasts one after another in this process.
+ * HTTP responses are shared through http.js, so feeds that several shows follow
+ * are downloaded once. A failing show is recorded and the next one still runs.
+ * @param {Object} options
+ * @param {Array<string>} options.configIds - Podcast ids to run, in order
+ * @param {boolean} options.dryRun - Skip publishing
+ * @returns {Promise<Array<Object>>} One result per show: { id, title, ok, error, attempts, totalCost, durationSeconds }
+ */
+async function runShows({ configIds, dryRun = false }) {
+  const results = [];
+
+  for (const configId of configIds) {
+    const startTime = Date.now();
+    const result = { id: configId, title: configId, ok: false, error: null, attempts: 0, totalCost: 0 };
+
+    try {
+      console.log(`Loading configuration: ${configId}`);
+      const config = loadConfig(configId);
+      result.title = config.metadata.title;
+      console.log(`✅ Configuration loaded for: ${config.metadata.title}`);
+      console.log();
+
+      const { attempts, totalCost } = await runWithRetry({ dryRun, config });
+      Object.assign(result, { ok: true, attempts, totalCost });
+    } catch (error) {
+      Object.assign(result, {
+        error: error.message,
+        attempts: error.attempts || 0,
+        totalCost: error.totalCost || 0
+      });
+      if (!error.attempts) {
+        // Failed before the pipeline started (e.g. invalid config)
+        console.error(`❌ ${error.message}`);
+        console.error();
       }
     }
+
+    result.durationSeconds = (Date.now() - startTime) / 1000;
+    results.push(result);
   }
+
+  return results;
+}
+
+/**
+ * Print a per-show success/failure and cost table
+ */
+function printShowResults(results) {
+  console.log('='.repeat(60));
+  console.log('MULTI-SHOW SUMMARY');
+  console.log('='.repeat(60));
+  for (const r of results) {
+    const status = r.ok ? '✅' : '❌';
+    const attempts = r.attempts > 1 ? `, ${r.attempts} attempts` : '';
+    console.log(`  ${status} ${r.id} — $${r.totalCost.toFixed(4)}, ${r.durationSeconds.toFixed(1)}s${attempts}`);
+    if (!r.ok) {
+      console.log(`      ${r.error.split('\n')[0]}`);
+    }
+  }
+  const totalCost = results.reduce((sum, r) => sum + r.totalCost, 0);
+  const failed = results.filter(r => !r.ok).length;
+  console.log();
+  console.log(`  ${results.length - failed}/${results.length} shows succeeded, total cost $${totalCost.toFixed(4)}`);
+  console.log(`  Unique URLs requested: ${getRequestCount()}`);
+  console.log('='.repeat(60));
+  console.log();
+}
+
+/**
+ * Fetch a single source and print what it extracts, so broken selectors show up
+ * before a scheduled run. Summarize steps are skipped.
+ * @param {string} sourceId - Built-in id or an id declared in the config's content.sources
+ * @param {Object} config - Podcast configuration
+ * @returns {Promise<boolean>} Whether the source returned any items
+ */
+async function testSource(sourceId, config) {
+  const declaration = (config.content.sources || []).find(source => source.id === sourceId);
+  const plugin = declaration ? createSource(declaration) : getSource(sourceId);
+  if (!plugin) {
+    throw new Error(`Unknown source "${sourceId}" (not built in or declared in ${config.id}.json)`);
+  }
+
+  console.log(`Testing source: ${plugin.name} (${declaration ? `declared in ${config.id}.json` : 'built in'})`);
+  console.log();
+  const items = await plugin.fetch(config, {});
+  console.log();
+
+  items.forEach((item, i) => {
+    console.log(`  ${i + 1}. ${item.title}`);
+    console.log(`     date: ${item.date || '(none)'}`);
+    console.log(`     link: ${item.url || '(none)'}`);
+    console.log(`     summary: ${item.summary ? item.summary.slice(0, 120) : '(none)'}`);
+  });
+
+  if (items.length === 0) {
+    console.log('  ❌ No items extracted — check the url and container/title selectors');
+    return false;
+  }
+
+  const coverage = fieldCoverage(items);
+  console.log();
+  console.log(`  ${items.length} item(s). Fields found: ` +
+    Object.entries(coverage).map(([field, count]) => `${field} ${count}/${items.length}`).join(', '));
+  for (const [field, count] of Object.entries(coverage)) {
+    if (count === 0) {
+      console.log(`  ⚠️  No ${field === 'url' ? 'link' : field} found on any item — check that selector`);
+    }
+  }
+  return true;
+}
+
+/**
+ * Work out which podcasts to run from --all or --config id[,id...]
+ */
+function parseConfigIds(argv) {
+  if (argv.includes('--all')) {
+    return listConfigIds();
+  }
+  const configArgIndex = argv.indexOf('--config');
+  const configArg = configArgIndex !== -1 && argv[configArgIndex + 1]
+    ? argv[configArgIndex + 1]
+    : 'benpod'; // Default to benpod for backward compatibility
+  return [...new Set(configArg.split(',').map(id => id.trim()).filter(Boolean))];
 }
 
 // Run if called directly
 if (require.main === module) {
-  const dryRun = process.argv.includes('--dry-run');
+  // --validate-config <id>: check the config and exit without running the pipeline
+  const validateArgIndex = process.argv.indexOf('--validate-config');
+  if (validateArgIndex !== -1) {
+    const validateId = process.argv[validateArgIndex + 1] || 'benpod';
+    try {
+      const config = loadConfig(validateId);
+      console.log(`✅ Configuration valid: ${validateId} (${config.metadata.title})`);
+      process.exit(0);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+  }
 
-  // Parse --config argument
-  const configArgIndex = process.argv.indexOf('--config');
-  const configId = configArgIndex !== -1 && process.argv[configArgIndex + 1]
-    ? process.argv[configArgIndex + 1]
-    : 'benpod'; // Default to benpod for backward compatibility
+  // --print-config <id>: dump the fully resolved config (after `extends` merging) and exit
+  const printArgIndex = process.argv.indexOf('--print-config');
+  if (printArgIndex !== -1) {
+    const printId = process.argv[printArgIndex + 1] || 'benpod';
+    try {
+      console.log(JSON.stringify(loadConfig(printId), null, 2));
+      process.exit(0);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+  }
 
-  console.log(`Loading configuration: ${configId}`);
-  const config = loadConfig(configId);
-  console.log(`✅ Configuration loaded for: ${config.metadata.title}`);
-  console.log();
+  const dryRun = process.argv.includes('--dry-run');
+  const configIds = parseConfigIds(process.argv);
+  const resumeArgIndex = process.argv.indexOf('--resume');
+  const testSourceArgIndex = process.argv.indexOf('--test-source');
+
+  // --no-cache: always go to the network (responses are still shared within this run)
+  if (process.argv.includes('--no-cache')) {
+    configureHttpCache({ enabled: false });
+    console.log('*** HTTP cache disabled ***');
+    console.log();
+  }
+
+  // --record <dir> / --replay <dir>: capture every external response, or run entirely from a capture
+  const recordArgIndex = process.argv.indexOf('--record');
+  const replayArgIndex = process.argv.indexOf('--replay');
+  try {
+    if (recordArgIndex !== -1 && replayArgIndex !== -1) {
+      throw new Error('--record and --replay cannot be combined');
+    }
+    if (recordArgIndex !== -1) {
+      const recordDir = process.argv[recordArgIndex + 1];
+      if (!recordDir) throw new Error('--record requires a directory');
+      startRecording(path.resolve(recordDir));
+      console.log(`*** RECORDING external responses to ${recordDir} ***`);
+      console.log();
+    }
+    if (replayArgIndex !== -1) {
+      const replayDir = process.argv[replayArgIndex + 1];
+      if (!replayDir) throw new Error('--replay requires a directory');
+      startReplay(path.resolve(replayDir));
+      console.log(`*** REPLAYING external responses from ${replayDir} (no network) ***`);
+      console.log();
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  if (recordArgIndex !== -1 || replayArgIndex !== -1) {
+    // Every request must reach the recorder, not the disk cache
+    configureHttpCache({ enabled: false });
+  }
 
   if (dryRun) {
     console.log('*** DRY RUN MODE — will not publish to RSS/GitHub Pages ***');
     console.log();
   }
 
-  runWithRetry({ dryRun, config });
+  if (testSourceArgIndex !== -1) {
+    // --test-source <id> [--config <id>]: print what one source extracts and exit
+    const sourceId = process.argv[testSourceArgIndex + 1];
+    (async () => {
+      if (!sourceId) throw new Error('--test-source requires a source id');
+      configureHttpCache({ enabled: false }); // Always check the live page
+      const config = loadConfig(configIds[0]);
+      return testSource(sourceId, config);
+    })()
+      .then(ok => process.exit(ok ? 0 : 1))
+      .catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+      });
+  } else if (resumeArgIndex !== -1) {
+    // --resume <runId>: continue a checkpointed run from its first unfinished stage
+    const runId = process.argv[resumeArgIndex + 1];
+    let checkpoint;
+    let config;
+    try {
+      if (!runId) throw new Error('--resume requires a run ID');
+      checkpoint = RunCheckpoint.open(runId);
+      const { configId, completedStages } = checkpoint.readManifest();
+      config = loadConfig(configId);
+      console.log(`Resuming run ${runId} for ${config.metadata.title}`);
+      console.log(`  Completed stages: ${completedStages.join(', ') || 'none'}`);
+      console.log();
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+
+    runWithRetry({ dryRun, config, checkpoint })
+      .then(() => process.exit(0))
+      .catch(() => process.exit(1));
+  } else {
+    runShows({ configIds, dryRun }).then(results => {
+      if (results.length > 1) {
+        printShowResults(results);
+      }
+      process.exit(results.every(r => r.ok) ? 0 : 1);
+    });
+  }
 }
 
-module.exports = { run };
+module.exports = { run, runWithRetry, runShows };
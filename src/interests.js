@@ -0,0 +1,119 @@
+/**
+ * Listener Interests
+ *
+ * One place for what the listener wants more and less of, configured under `interests`:
+ *   topics:   keywords that widen keyword-filtered sources and boost ranking
+ *   entities: people, companies or products whose stories must always make the episode
+ *   muted:    { topics, people, companies } that must never reach the script
+ *
+ * Mutes are enforced at every step: matching raw items are dropped before any LLM sees
+ * them, summarization and synthesis prompts are told to leave them out, and any speaker
+ * turn of the finished script that still mentions one is removed.
+ */
+
+/**
+ * Normalized interests for a podcast
+ * @param {Object} config - Podcast configuration
+ * @returns {{topics: Array<string>, entities: Array<string>, muted: Array<string>}}
+ */
+function getInterests(config) {
+  const interests = config?.interests || {};
+  const muted = interests.muted || {};
+  return {
+    topics: interests.topics || [],
+    entities: interests.entities || [],
+    muted: [...(muted.topics || []), ...(muted.people || []), ...(muted.companies || [])]
+  };
+}
+
+/**
+ * Whether `text` mentions `term` as a whole word or phrase (case-insensitive)
+ */
+function mentions(text, term) {
+  const escaped = term.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  return new RegExp(`(?<![\\w])${escaped}(?![\\w])`, 'i').test(text || '');
+}
+
+/**
+ * The first muted term an item (or string) mentions, or null
+ * @param {Object|string} itemOrText - Content item (title, summary, categories) or plain text
+ * @param {Object} config - Podcast configuration
+ */
+function findMutedTerm(itemOrText, config) {
+  const text = typeof itemOrText === 'string' ? itemOrText : itemText(itemOrText);
+  return getInterests(config).muted.find(term => mentions(text, term)) || null;
+}
+
+/**
+ * Drop items that mention a muted topic, person or company
+ * @param {Array<Object>} items - Content items
+ * @param {Object} config - Podcast configuration
+ * @returns {{items: Array<Object>, removed: number}}
+ */
+function removeMuted(items, config) {
+  if (getInterests(config).muted.length === 0) return { items, removed: 0 };
+  const kept = items.filter(item => !findMutedTerm(item, config));
+  return { items: kept, removed: items.length - kept.length };
+}
+
+/**
+ * Whether an item mentions one of the must-include entities
+ */
+function mentionsEntity(item, config) {
+  const text = itemText(item);
+  return getInterests(config).entities.some(entity => mentions(text, entity));
+}
+
+/**
+ * Interest guidance to append to an LLM prompt ('' when none is configured)
+ * @param {Object} config - Podcast configuration
+ * @returns {string}
+ */
+function interestsPrompt(config) {
+  const { topics, entities, muted } = getInterests(config);
+  const lines = [];
+  if (topics.length > 0) lines.push(`- The listener is especially interested in: ${topics.join(', ')}.`);
+  if (entities.length > 0) lines.push(`- Always include any story about: ${entities.join(', ')}.`);
+  if (muted.length > 0) lines.push(`- Never mention or allude to: ${muted.join(', ')}. Leave out any story about them entirely.`);
+  return lines.length > 0 ? `Listener interests:\n${lines.join('\n')}\n` : '';
+}
+
+/**
+ * Remove speaker turns that mention a muted term from a [HOST]/[COHOST] script
+ * @param {string} script - Synthesized script
+ * @param {Object} config - Podcast configuration
+ * @returns {{script: string, removed: Array<string>}} Cleaned script and the muted terms found
+ * @throws {Error} When no speaker turn is left
+ */
+function scrubScript(script, config) {
+  if (getInterests(config).muted.length === 0) return { script, removed: [] };
+
+  const removed = [];
+  // Tags may sit on their own line or inline ("[HOST] Good morning..."), as tts.js accepts both
+  const turns = script.split(/(?=\[(?:HOST|COHOST)\])/).filter(turn => {
+    const term = findMutedTerm(turn, config);
+    if (term) removed.push(term);
+    return !term;
+  });
+
+  // Publishing a script with nothing left to say would ship a silent episode
+  if (removed.length > 0 && !turns.some(turn => /^\[(?:HOST|COHOST)\]\s*\S/.test(turn))) {
+    throw new Error(`Every speaker turn mentioned a muted interest (${[...new Set(removed)].join(', ')}); nothing left to record`);
+  }
+
+  return { script: turns.join('').trim(), removed };
+}
+
+function itemText(item) {
+  return [item.title, item.summary, ...(item.categories || [])].filter(Boolean).join(' ');
+}
+
+module.exports = {
+  getInterests,
+  mentions,
+  findMutedTerm,
+  removeMuted,
+  mentionsEntity,
+  interestsPrompt,
+  scrubScript
+};
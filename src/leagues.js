@@ -0,0 +1,249 @@
+/**
+ * League Registry
+ *
+ * Every league a sports team can be followed in, keyed by the id configs use in
+ * content.sports.teams[].league. Each entry maps to ESPN's site API path
+ * (sports/<sport>/<path>) and picks the recap prompt for its sport, so adding a
+ * league ESPN covers is one line here. Also reads the parts of ESPN scoreboard and
+ * standings responses the Sports Desk previews use.
+ */
+
+const ESPN_API_BASE = 'https://site.api.espn.com/apis/site/v2/sports';
+const ESPN_STANDINGS_BASE = 'https://site.api.espn.com/apis/v2/sports';
+
+// Recap instructions per sport; `{league}` is replaced with the league's name
+const RECAP_PROMPTS = {
+  basketball: "Analyze the provided {league} game JSON data to write a concise narrative of the event. Identify the winner, final score, and game flow. Highlight top performers and those who struggled (using efficiency and +/-). Describe the game's style (e.g., defensive struggle, shootout) based on shooting percentages and turnover counts (specify counts for both teams). Note any notable stat lines or major lead swings.",
+  baseball: "Analyze the provided {league} game JSON data to write a (no more than 5 sentence) concise narrative of the event. Identify the winner, final score, and game flow. Highlight top performers and those who struggled (ERA, at bats). Describe the game's style.",
+  football: "Analyze the provided {league} game JSON data to write a concise narrative of the event. Identify the winner, final score, and game flow. Highlight top performers and those who struggled. Describe the game's style (e.g., defensive struggle, shootout) based on score and turnover counts. Note any notable stat lines or major lead swings.",
+  hockey: "Analyze the provided {league} game JSON data to write a concise narrative of the event. Identify the winner, final score, and whether it went to overtime or a shootout. Name the goal scorers and the goaltenders' saves, and note power-play conversions and shots on goal for both teams. Describe the game's flow, including comebacks or late goals.",
+  soccer: "Analyze the provided {league} match JSON data to write a concise narrative of the match. Identify the result (including a draw), final score, and who scored and in which minute. Note red cards, penalties and injuries, and use possession and shots on target to describe which side controlled the match. Mention what the result means for the team's position in the competition if the data says so."
+};
+
+/**
+ * @typedef {Object} League
+ * @property {string} name - Display name used in prompts and logs
+ * @property {string} sport - ESPN sport path segment and recap prompt key
+ * @property {string} path - ESPN league path segment
+ * @property {string} [scoreboardQuery] - Extra scoreboard query (college scoreboards default to ranked teams only)
+ * @property {string} [summaryPath] - Game summary endpoint, when not the default `summary`
+ */
+
+/** @type {Object<string, League>} */
+const LEAGUES = {
+  nba: { name: 'NBA', sport: 'basketball', path: 'nba' },
+  wnba: { name: 'WNBA', sport: 'basketball', path: 'wnba' },
+  ncaam: { name: "NCAA men's basketball", sport: 'basketball', path: 'mens-college-basketball', scoreboardQuery: 'groups=50' },
+  ncaaw: { name: "NCAA women's basketball", sport: 'basketball', path: 'womens-college-basketball', scoreboardQuery: 'groups=50' },
+  mlb: { name: 'MLB', sport: 'baseball', path: 'mlb', summaryPath: 'scoreboard/summary' },
+  nfl: { name: 'NFL', sport: 'football', path: 'nfl' },
+  ncaaf: { name: 'NCAA football', sport: 'football', path: 'college-football', scoreboardQuery: 'groups=80' },
+  nhl: { name: 'NHL', sport: 'hockey', path: 'nhl' },
+  mls: { name: 'MLS', sport: 'soccer', path: 'usa.1' },
+  nwsl: { name: 'NWSL', sport: 'soccer', path: 'usa.nwsl' },
+  epl: { name: 'Premier League', sport: 'soccer', path: 'eng.1' },
+  laliga: { name: 'La Liga', sport: 'soccer', path: 'esp.1' },
+  bundesliga: { name: 'Bundesliga', sport: 'soccer', path: 'ger.1' },
+  seriea: { name: 'Serie A', sport: 'soccer', path: 'ita.1' },
+  ligue1: { name: 'Ligue 1', sport: 'soccer', path: 'fra.1' },
+  ligamx: { name: 'Liga MX', sport: 'soccer', path: 'mex.1' },
+  ucl: { name: 'UEFA Champions League', sport: 'soccer', path: 'uefa.champions' }
+};
+
+const LEAGUE_IDS = Object.keys(LEAGUES);
+
+/**
+ * Look up a league by id (case-insensitive)
+ * @returns {League|null}
+ */
+function getLeague(id) {
+  return LEAGUES[String(id || '').toLowerCase()] || null;
+}
+
+/**
+ * ESPN API URL for one of a league's endpoints
+ * @param {League} league
+ * @param {string} endpoint - e.g. 'scoreboard', 'news'
+ * @param {Object} params - Query parameters
+ */
+function espnUrl(league, endpoint, params = {}) {
+  const query = [new URLSearchParams(params).toString(), endpoint === 'scoreboard' ? league.scoreboardQuery : '']
+    .filter(Boolean)
+    .join('&');
+  return `${ESPN_API_BASE}/${league.sport}/${league.path}/${endpoint}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * ESPN game summary URL for an event
+ */
+function summaryUrl(league, eventId) {
+  return espnUrl(league, league.summaryPath || 'summary', { event: eventId });
+}
+
+/**
+ * Recap prompt for a league's game data. Several games (a weekend's worth) are
+ * recapped together in one prompt.
+ * @param {League} league
+ * @param {Object|Array<Object>} summaryData - ESPN game summary JSON, or one per game, oldest first
+ */
+function recapPrompt(league, summaryData) {
+  const instructions = RECAP_PROMPTS[league.sport].replace('{league}', league.name);
+  const games = Array.isArray(summaryData) ? summaryData : [summaryData];
+  if (games.length === 1) {
+    return `${instructions}\n\nJSON Data:\n${JSON.stringify(games[0])}`;
+  }
+  return `${instructions}\n\nThe team has played ${games.length} games since the last episode. Recap them together in date order, one short paragraph per game, then sum up the stretch (series result, winning or losing run).\n\n` +
+    games.map((game, i) => `Game ${i + 1} JSON Data:\n${JSON.stringify(game)}`).join('\n\n');
+}
+
+/**
+ * ESPN standings URL for a league (served from the v2 API rather than site/v2)
+ */
+function standingsUrl(league) {
+  return `${ESPN_STANDINGS_BASE}/${league.sport}/${league.path}/standings`;
+}
+
+/**
+ * ESPN team id for a configured team (`espnNewsId` is the older name for the same id)
+ */
+function teamId(team) {
+  return team.espnTeamId || team.espnNewsId || null;
+}
+
+/**
+ * Whether an ESPN scoreboard competitor is the configured team: by ESPN team id when
+ * the config has one, otherwise by name
+ */
+function isTeam(competitor, team) {
+  const id = teamId(team);
+  if (id) return String(competitor.team?.id) === String(id);
+  return [competitor.team?.name, competitor.team?.displayName, competitor.team?.shortDisplayName].includes(team.name);
+}
+
+// ─────────────────────────────────────────────
+// Previews
+// ─────────────────────────────────────────────
+
+/**
+ * The team's finished games on a scoreboard, oldest first
+ * @param {Object} scoreboard - ESPN scoreboard JSON (may span several dates)
+ * @param {Object} team - content.sports.teams entry
+ */
+function findCompletedGames(scoreboard, team) {
+  return (scoreboard?.events || [])
+    .filter(e =>
+      e.status?.type?.completed !== false &&
+      e.competitions?.[0]?.competitors?.some(c => isTeam(c, team))
+    )
+    .sort((a, b) => new Date(a.date || 0) - new Date(b.date || 0));
+}
+
+/**
+ * The team's game on a scoreboard that has not finished yet, or null
+ * @param {Object} scoreboard - ESPN scoreboard JSON
+ * @param {Object} team - content.sports.teams entry
+ */
+function findUpcomingGame(scoreboard, team) {
+  return scoreboard?.events?.find(e =>
+    e.status?.type?.state !== 'post' &&
+    e.competitions?.[0]?.competitors?.some(c => isTeam(c, team))
+  ) || null;
+}
+
+/**
+ * One-line preview of an upcoming game: opponent, local start time, TV and probable starters
+ * @param {Object} event - ESPN scoreboard event
+ * @param {Object} team - content.sports.teams entry
+ * @param {string} timezone - IANA timezone of the podcast
+ * @returns {string} e.g. "Giants host Los Angeles Dodgers (80-60) at 7:15 PM PDT on NBCS-BA. Probable starters: Logan Webb vs Clayton Kershaw."
+ */
+function describeUpcomingGame(event, team, timezone) {
+  const competition = event.competitions[0];
+  const ours = competition.competitors.find(c => isTeam(c, team));
+  const theirs = competition.competitors.find(c => c !== ours);
+
+  const opponentRecord = theirs?.records?.[0]?.summary ? ` (${theirs.records[0].summary})` : '';
+  const matchup = ours?.homeAway === 'away'
+    ? `${team.name} visit ${theirs?.team?.displayName}${opponentRecord}`
+    : `${team.name} host ${theirs?.team?.displayName}${opponentRecord}`;
+
+  const time = event.status?.type?.detail === 'TBD'
+    ? ', time TBD'
+    : ` at ${new Date(event.date).toLocaleTimeString('en-US', { timeZone: timezone, hour: 'numeric', minute: '2-digit', timeZoneName: 'short' })}`;
+
+  const networks = (competition.broadcasts || []).flatMap(b => b.names || []);
+  const tv = networks.length > 0 ? ` on ${networks.join(', ')}` : '';
+
+  const probable = competitor => competitor?.probables?.[0]?.athlete?.displayName;
+  const starters = probable(ours) && probable(theirs)
+    ? ` Probable starters: ${probable(ours)} vs ${probable(theirs)}.`
+    : '';
+
+  return `${matchup}${time}${tv}.${starters}`;
+}
+
+/**
+ * The team's standings entry and the group (conference, division, table) it sits in
+ * @param {Object} standings - ESPN standings JSON
+ * @param {Object} team - content.sports.teams entry
+ * @returns {{entry: Object, group: string}|null}
+ */
+function findStanding(standings, team) {
+  const search = node => {
+    const entry = node?.standings?.entries?.find(e => isTeam(e, team));
+    if (entry) return { entry, group: node.name || '' };
+    for (const child of node?.children || []) {
+      const found = search(child);
+      if (found) return found;
+    }
+    return null;
+  };
+  return search(standings);
+}
+
+/**
+ * One-line summary of a standings entry: record, place and streak
+ * @param {{entry: Object, group: string}} standing - From findStanding()
+ * @param {League} league
+ * @returns {string} e.g. "National League West: 45-30, playoff seed 2, 1.5 games back, streak W3"
+ */
+function describeStanding({ entry, group }, league) {
+  const stat = name => entry.stats?.find(s => s.name === name)?.displayValue;
+
+  const record = league.sport === 'soccer'
+    ? [stat('wins'), stat('ties'), stat('losses')]
+    : [stat('wins'), stat('losses'), stat('ties') || stat('otLosses')];
+  const parts = [record.filter(Boolean).join('-')];
+
+  if (stat('points')) parts.push(`${stat('points')} pts`);
+  if (stat('rank')) parts.push(`${ordinal(stat('rank'))} place`);
+  if (stat('playoffSeed')) parts.push(`playoff seed ${stat('playoffSeed')}`);
+  const gamesBehind = stat('gamesBehind');
+  if (gamesBehind && gamesBehind !== '-' && Number(gamesBehind) !== 0) parts.push(`${gamesBehind} games back`);
+  if (stat('streak')) parts.push(`streak ${stat('streak')}`);
+
+  return `${group ? `${group}: ` : ''}${parts.filter(Boolean).join(', ')}`;
+}
+
+function ordinal(value) {
+  const n = Number(value);
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  return `${n}${suffix}`;
+}
+
+module.exports = {
+  LEAGUES,
+  LEAGUE_IDS,
+  getLeague,
+  espnUrl,
+  summaryUrl,
+  recapPrompt,
+  standingsUrl,
+  teamId,
+  isTeam,
+  findCompletedGames,
+  findUpcomingGame,
+  describeUpcomingGame,
+  findStanding,
+  describeStanding
+};
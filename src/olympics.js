@@ -1,90 +1,194 @@
 /**
  * Olympics updates and event detection
- * Fetches medal counts and event highlights when Olympics are active
+ * Fetches the medal table, yesterday's medal results and today's marquee events
+ * while an Olympic Games is on. Games dates and data endpoints live in
+ * data/olympics.json; the endpoints serve Olympics.com's results JSON
+ * (medal standings and per-day schedule units).
  */
 
+const { getJson } = require('./http');
+const { recapDates, localDateKey } = require('./recency');
+const { games: OLYMPIC_GAMES } = require('./data/olympics.json');
+
+const MEDAL_TABLE_SIZE = 5;
+const MAX_EVENTS = 8;
+const MEDAL_NAMES = { ME_GOLD: 'gold', ME_SILVER: 'silver', ME_BRONZE: 'bronze' };
+
 /**
- * Check if Olympics are currently active based on date
- * @returns {Object} {active: boolean, type: 'summer'|'winter'|null, year: number|null}
+ * Check if an Olympic Games is currently on
+ * @param {Object} options
+ * @param {Date} options.now - Reference time (default: now)
+ * @param {string} options.timezone - IANA timezone of the podcast
+ * @returns {Object} {active: boolean, type: 'summer'|'winter'|null, year: number|null, games: Object|null}
  */
-function areOlympicsActive() {
-  const now = new Date();
-  const currentYear = now.getFullYear();
-  const currentMonth = now.getMonth(); // 0-indexed
-  const currentDay = now.getDate();
-
-  // Olympic date ranges (approximate, adjust as needed)
-  const olympicDates = [
-    // 2026 Winter Olympics - Milan-Cortina
-    { year: 2026, type: 'winter', startMonth: 1, startDay: 6, endMonth: 1, endDay: 22 },
-
-    // 2028 Summer Olympics - Los Angeles
-    { year: 2028, type: 'summer', startMonth: 6, startDay: 21, endMonth: 7, endDay: 6 },
-
-    // 2030 Winter Olympics - French Alps
-    { year: 2030, type: 'winter', startMonth: 1, startDay: 10, endMonth: 1, endDay: 26 }
-  ];
-
-  for (const olympics of olympicDates) {
-    if (currentYear !== olympics.year) continue;
-
-    const startDate = new Date(olympics.year, olympics.startMonth, olympics.startDay);
-    const endDate = new Date(olympics.year, olympics.endMonth, olympics.endDay);
-
-    if (now >= startDate && now <= endDate) {
-      return {
-        active: true,
-        type: olympics.type,
-        year: olympics.year
-      };
-    }
-  }
+function areOlympicsActive({ now = new Date(), timezone } = {}) {
+  const today = localDateKey(now, timezone);
+  // Games dates are calendar dates, which parse as UTC midnight
+  const games = OLYMPIC_GAMES.find(g => today >= localDateKey(new Date(g.start), 'UTC') && today <= localDateKey(new Date(g.end), 'UTC'));
 
-  return { active: false, type: null, year: null };
+  if (!games) {
+    return { active: false, type: null, year: null, games: null };
+  }
+  return { active: true, type: games.type, year: games.year, games };
 }
 
 /**
  * Fetch Olympics updates when active
- * @returns {Promise<Object>} Olympics summary with medal counts and highlights
+ * @param {Object} options
+ * @param {Array<string>} options.countries - NOC codes to follow (e.g. 'USA'); all when empty
+ * @param {Array<string>} options.sports - Disciplines to follow (e.g. 'Swimming'); all when empty
+ * @param {string} options.timezone - IANA timezone of the podcast
+ * @returns {Promise<Object>} { active, type, year, items } with medal table, results and today's events items
  */
-async function fetchOlympicsUpdates() {
-  const olympicsStatus = areOlympicsActive();
+async function fetchOlympicsUpdates({ countries = [], sports = [], timezone, now = new Date() } = {}) {
+  const olympicsStatus = areOlympicsActive({ now, timezone });
 
   if (!olympicsStatus.active) {
-    return {
-      summary: 'No Olympics currently active',
-      active: false
-    };
+    return { items: [], active: false };
+  }
+
+  const { games } = olympicsStatus;
+  const filters = { countries: countries.map(c => c.toUpperCase()), sports: sports.map(s => s.toLowerCase()) };
+  const [yesterday] = recapDates(null, { now, timezone });
+  const today = localDateKey(now, timezone);
+
+  console.log(`📊 Fetching ${games.name} Olympics updates...`);
+
+  const [medals, results, schedule] = await Promise.all([
+    getJson(games.medalsUrl).catch(fetchFailed('medal table')),
+    getJson(scheduleUrl(games, yesterday)).catch(fetchFailed('results')),
+    getJson(scheduleUrl(games, today)).catch(fetchFailed('schedule'))
+  ]);
+
+  const items = [];
+
+  const table = medalTable(medals, filters.countries);
+  if (table.length > 0) {
+    items.push(olympicsItem(`${games.name} Medal Table`, table));
   }
 
-  try {
-    console.log(`📊 Fetching ${olympicsStatus.type} Olympics updates for ${olympicsStatus.year}...`);
-
-    // For now, return a placeholder since Olympics aren't currently active
-    // When active, this would call ESPN Olympics API or parse Olympics.com RSS
-    const summary = `${olympicsStatus.year} ${olympicsStatus.type.charAt(0).toUpperCase() + olympicsStatus.type.slice(1)} Olympics: ` +
-                    `Live coverage available. Check official sources for medal counts and event schedules.`;
-
-    console.log(`✅ Olympics updates: ${summary}`);
-
-    return {
-      summary,
-      active: true,
-      type: olympicsStatus.type,
-      year: olympicsStatus.year
-    };
-
-  } catch (error) {
-    console.error('❌ Failed to fetch Olympics updates:', error.message);
-    return {
-      summary: 'Olympics updates unavailable (API error)',
-      active: true,
-      error: error.message
-    };
+  const medalResults = yesterdaysResults(results?.units || [], filters);
+  if (medalResults.length > 0) {
+    items.push(olympicsItem(`${games.name} Results`, medalResults));
   }
+
+  const events = marqueeEvents(schedule?.units || [], filters, timezone);
+  if (events.length > 0) {
+    items.push(olympicsItem(`${games.name} Today`, events));
+  }
+
+  console.log(`✅ Olympics updates: ${table.length} medal table rows, ${medalResults.length} results, ${events.length} events today`);
+
+  return {
+    items,
+    active: true,
+    type: olympicsStatus.type,
+    year: olympicsStatus.year
+  };
+}
+
+// ─────────────────────────────────────────────
+// Parsing
+// ─────────────────────────────────────────────
+
+/**
+ * Medal table lines: the leaders plus any followed country outside them
+ * @param {Object} medals - Medal standings JSON ({ medalStandings: { medalsTable } })
+ * @param {Array<string>} countries - Followed NOC codes
+ * @returns {Array<string>} e.g. "1. United States — 12 gold, 9 silver, 10 bronze (31 total)"
+ */
+function medalTable(medals, countries = []) {
+  const rows = medals?.medalStandings?.medalsTable || [];
+  return rows
+    .filter((row, i) => i < MEDAL_TABLE_SIZE || countries.includes(row.organisation))
+    .map(row => {
+      const total = (row.medalsNumber || []).find(m => m.type === 'Total') || {};
+      return `${row.rank}. ${row.description} — ${total.gold || 0} gold, ${total.silver || 0} silver, ${total.bronze || 0} bronze (${total.total || 0} total)`;
+    });
+}
+
+/**
+ * Finished medal events and their medalists, limited to followed countries and sports
+ * @param {Array<Object>} units - Schedule units for yesterday
+ * @param {Object} filters - { countries, sports }
+ * @returns {Array<string>} e.g. "Swimming, Women's 200m Freestyle: gold Ledecky (USA), silver ..."
+ */
+function yesterdaysResults(units, filters) {
+  return units
+    .filter(unit => unit.medalFlag > 0 && unit.status === 'FINISHED')
+    .map(unit => ({
+      unit,
+      medalists: (unit.competitors || [])
+        .filter(c => MEDAL_NAMES[c.results?.medalType])
+        .sort((a, b) => Number(a.results.position) - Number(b.results.position))
+    }))
+    .filter(({ unit, medalists }) => medalists.length > 0 && isFollowed(unit, medalists, filters))
+    .slice(0, MAX_EVENTS)
+    .map(({ unit, medalists }) =>
+      `${unit.disciplineName}, ${unit.eventUnitName}: ` +
+      medalists.map(c => `${MEDAL_NAMES[c.results.medalType]} ${c.name} (${c.noc})${c.results.mark ? ` ${c.results.mark}` : ''}`).join(', ')
+    );
+}
+
+/**
+ * Today's medal events, limited to followed countries and sports, with local start times
+ * @param {Array<Object>} units - Schedule units for today
+ * @param {Object} filters - { countries, sports }
+ * @param {string} timezone - IANA timezone of the podcast
+ * @returns {Array<string>} e.g. "7:30 PM CST — Figure Skating, Men's Free Skating (USA competing)"
+ */
+function marqueeEvents(units, filters, timezone) {
+  return units
+    .filter(unit => unit.medalFlag > 0 && unit.status !== 'FINISHED' && isFollowed(unit, unit.competitors || [], filters))
+    .sort((a, b) => new Date(a.startDate) - new Date(b.startDate))
+    .slice(0, MAX_EVENTS)
+    .map(unit => {
+      const time = new Date(unit.startDate).toLocaleTimeString('en-US', { timeZone: timezone, hour: 'numeric', minute: '2-digit', timeZoneName: 'short' });
+      const followed = [...new Set((unit.competitors || []).map(c => c.noc).filter(noc => filters.countries.includes(noc)))];
+      return `${time} — ${unit.disciplineName}, ${unit.eventUnitName}${followed.length > 0 ? ` (${followed.join(', ')} competing)` : ''}`;
+    });
+}
+
+/**
+ * With no filters every event counts; otherwise the sport or a competing country must be followed
+ */
+function isFollowed(unit, competitors, { countries, sports }) {
+  if (countries.length === 0 && sports.length === 0) return true;
+  return sports.includes(String(unit.disciplineName).toLowerCase()) ||
+    competitors.some(c => countries.includes(c.noc));
+}
+
+// ─────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────
+
+/**
+ * Log a failed request and carry on without its data
+ */
+function fetchFailed(label) {
+  return error => {
+    console.error(`❌ Failed to fetch Olympics ${label}:`, error.message);
+    return null;
+  };
+}
+
+function scheduleUrl(games, key) {
+  return games.scheduleUrl.replace('{date}', `${key.slice(0, 4)}-${key.slice(4, 6)}-${key.slice(6, 8)}`);
+}
+
+function olympicsItem(title, lines) {
+  return {
+    title,
+    summary: lines.join('\n'),
+    timestamp: new Date().toISOString(),
+    source: 'Olympics'
+  };
 }
 
 module.exports = {
   areOlympicsActive,
-  fetchOlympicsUpdates
+  fetchOlympicsUpdates,
+  medalTable,
+  yesterdaysResults,
+  marqueeEvents
 };
@@ -0,0 +1,123 @@
+/**
+ * Player Watch
+ *
+ * Follows individual players listed under content.sports.players by ESPN athlete id.
+ * Nothing extra is fetched: each player's box-score line and injury status are read
+ * from the game summaries fetchSportsGame() already pulled, and news mentions from the
+ * articles fetchTeamNews() already pulled, so players are covered through the games
+ * and news of followed teams.
+ */
+
+const { findMutedTerm, mentions } = require('./interests');
+
+/**
+ * Build the Player Watch block
+ * @param {Array<Object>} players - content.sports.players ({ id, name })
+ * @param {Object} data
+ * @param {Array<Object>} data.games - { event, summary } per recapped game, oldest first
+ * @param {Array<Object>} data.articles - ESPN news articles
+ * @param {Object} config - Podcast configuration (for muted interests)
+ * @returns {Array<Object>} One "Player Watch" item, or none when no player turned up
+ */
+function buildPlayerWatch(players, { games = [], articles = [] }, config = null) {
+  const lines = players
+    .map(player => playerLine(player, games, articles, config))
+    .filter(Boolean);
+
+  if (lines.length === 0) return [];
+
+  return [{
+    title: 'Player Watch',
+    summary: lines.join('\n'),
+    date: new Date().toLocaleDateString(),
+    timestamp: new Date().toISOString(),
+    source: 'ESPN Player Watch'
+  }];
+}
+
+/**
+ * One line for a player, e.g.
+ * "Stephen Curry — Warriors at Bulls: MIN 34, PTS 31, AST 8. Injury: Questionable (Ankle). News: Curry ..."
+ * @returns {string|null} null when the player appears in no game, injury report or article
+ */
+function playerLine(player, games, articles, config) {
+  const parts = [];
+
+  const latest = [...games].reverse()
+    .map(game => ({ game, line: boxScoreLine(game.summary, player.id) }))
+    .find(({ line }) => line);
+  if (latest) parts.push(`${latest.game.event?.name || 'Last game'}: ${latest.line}.`);
+
+  const injury = games.map(game => injuryStatus(game.summary, player.id)).filter(Boolean).pop();
+  if (injury) parts.push(`Injury: ${injury}.`);
+
+  const headlines = newsMentions(articles, player, config);
+  if (headlines.length > 0) parts.push(`News: ${headlines.join('; ')}.`);
+
+  return parts.length > 0 ? `${player.name} — ${parts.join(' ')}` : null;
+}
+
+/**
+ * A player's stat line from an ESPN game summary (box score), or null if they are not in it
+ * @param {Object} summary - ESPN game summary JSON
+ * @param {string} athleteId - ESPN athlete id
+ * @returns {string|null} e.g. "MIN 34, PTS 31, REB 6" or "batting: AB 4, H 2; pitching: IP 6.0, ER 1"
+ */
+function boxScoreLine(summary, athleteId) {
+  const groups = [];
+
+  for (const teamStats of summary?.boxscore?.players || []) {
+    for (const group of teamStats.statistics || []) {
+      const entry = group.athletes?.find(a => String(a.athlete?.id) === String(athleteId));
+      if (!entry) continue;
+
+      if (entry.didNotPlay) {
+        return `did not play${entry.reason ? ` (${entry.reason})` : ''}`;
+      }
+      const labels = group.labels || group.names || [];
+      const stats = (entry.stats || []).map((value, i) => `${labels[i] || `#${i + 1}`} ${value}`);
+      groups.push({ type: group.type || group.name, stats: stats.join(', ') });
+    }
+  }
+
+  if (groups.length === 0) return null;
+  if (groups.length === 1) return groups[0].stats;
+  return groups.map(g => `${g.type ? `${g.type}: ` : ''}${g.stats}`).join('; ');
+}
+
+/**
+ * A player's status from a game summary's injury report, or null
+ * @returns {string|null} e.g. "Questionable (Ankle)"
+ */
+function injuryStatus(summary, athleteId) {
+  for (const team of summary?.injuries || []) {
+    const injury = team.injuries?.find(i => String(i.athlete?.id) === String(athleteId));
+    if (injury) {
+      const detail = injury.details?.type || injury.type?.description;
+      return `${injury.status || 'Injured'}${detail ? ` (${detail})` : ''}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Headlines of articles tagged with the athlete or naming them, leaving out muted stories
+ * @returns {Array<string>}
+ */
+function newsMentions(articles, player, config) {
+  return articles
+    .filter(article =>
+      (article.categories || []).some(c => c.type === 'athlete' && String(c.athleteId ?? c.athlete?.id) === String(player.id)) ||
+      mentions(article.headline, player.name)
+    )
+    .filter(article => !findMutedTerm(`${article.headline} ${article.description || ''}`, config))
+    .map(article => article.headline)
+    .filter((headline, i, all) => all.indexOf(headline) === i);
+}
+
+module.exports = {
+  buildPlayerWatch,
+  boxScoreLine,
+  injuryStatus,
+  newsMentions
+};
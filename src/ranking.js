@@ -0,0 +1,194 @@
+/**
+ * Story Ranking
+ *
+ * Orders each segment of the content bundle by how much a story matters to the listener,
+ * then trims it to the segment's token budget so heavy news days don't blow up the
+ * synthesis prompt. An item's score is its source weight times the sum of:
+ * - recency: 1 for brand new, halving every 24 hours (0.5 when undated)
+ * - coverage: 0.5 per extra outlet that reported it (see cluster.js), up to 3
+ * - interest: 0.75 per listener interest topic it mentions, up to 2
+ * - novelty: 1 minus how much it overlaps topics from the last week of episodes
+ * Stories about a must-include entity (interests.entities) go first and are never
+ * trimmed by a budget.
+ *
+ * Configured under content.ranking:
+ *   sourceWeights: { "<source id or name>": 2 }   (default 1)
+ *   tokenBudgets:  { "default": 4000, "aiNews": 6000 } (per segment; no budget when unset)
+ * The default budget only covers the headline segments below. Recaps, outlooks, surf
+ * spots and event results are trimmed only when their own segment has a budget.
+ */
+
+const { getSource } = require('./sources');
+const { titleTokens } = require('./cluster');
+const { getRecentTopics } = require('./episodeMemory');
+const { getInterests, mentions, mentionsEntity } = require('./interests');
+
+const HOUR_MS = 60 * 60 * 1000;
+const RECENCY_HALF_LIFE_HOURS = 24;
+const COVERAGE_POINTS = 0.5;
+const MAX_EXTRA_SOURCES = 3;
+const INTEREST_POINTS = 0.75;
+const MAX_INTEREST_MATCHES = 2;
+const NOVELTY_LOOKBACK_DAYS = 7;
+// Segments of interchangeable stories, where tokenBudgets.default applies
+const HEADLINE_SEGMENTS = ['aiNews', 'newsletters', 'news'];
+
+/**
+ * Rank and budget every segment of a content bundle
+ * @param {Object} contentBundle - { aiNews, newsletters, additionalSourcing: { ... }, articles }
+ * @param {Object} options
+ * @param {Object} options.config - Podcast configuration
+ * @param {Object} options.episodeMemory - Episode memory data ({ episodes })
+ * @param {Date} options.now - Reference time for recency (default: now)
+ * @returns {{contentBundle: Object, segments: Array<Object>}} A new bundle with segments sorted
+ *   and trimmed, and per-segment { segment, kept, total, tokens, budget } for logging.
+ *   Articles are left as selected by fetchArticles.
+ */
+function rankContent(contentBundle, { config, episodeMemory = null, now = new Date() }) {
+  const context = buildContext(config, episodeMemory, now);
+  const budgets = config?.content?.ranking?.tokenBudgets || {};
+  const segments = [];
+
+  const rankSegment = (segment, items) => {
+    if (!Array.isArray(items) || items.length === 0) return items;
+    const budget = budgets[segment] ?? (HEADLINE_SEGMENTS.includes(segment) ? budgets.default : undefined);
+    const { items: kept, tokens } = fillBudget(rankItems(items, context), budget, context.isPinned);
+    segments.push({ segment, kept: kept.length, total: items.length, tokens, budget: budget ?? null });
+    return kept;
+  };
+
+  const ranked = {
+    ...contentBundle,
+    aiNews: rankSegment('aiNews', contentBundle.aiNews),
+    newsletters: rankSegment('newsletters', contentBundle.newsletters)
+  };
+  if (contentBundle.additionalSourcing) {
+    ranked.additionalSourcing = Object.fromEntries(
+      Object.entries(contentBundle.additionalSourcing).map(([segment, items]) => [segment, rankSegment(segment, items)])
+    );
+  }
+
+  return { contentBundle: ranked, segments };
+}
+
+/**
+ * Sort items by score, highest first (stable for equal scores), with pinned items ahead of the rest
+ * @param {Array<Object>} items - Content items
+ * @param {Object} context - From buildContext()
+ * @returns {Array<Object>} The same items, reordered
+ */
+function rankItems(items, context) {
+  const isPinned = context.isPinned || (() => false);
+  return items
+    .map((item, index) => ({ item, index, pinned: isPinned(item), score: scoreItem(item, context) }))
+    .sort((a, b) => b.pinned - a.pinned || b.score - a.score || a.index - b.index)
+    .map(({ item }) => item);
+}
+
+/**
+ * Score one item (see the module comment for the formula)
+ * @param {Object} item - Content item with title, summary, timestamp, source(s)
+ * @param {Object} context - { now, sourceWeights, interests, recentTopics, isPinned } from buildContext()
+ * @returns {number}
+ */
+function scoreItem(item, context) {
+  const text = `${item.title || ''} ${item.summary || ''}`;
+
+  const recency = item.timestamp
+    ? 0.5 ** (Math.max(0, context.now - new Date(item.timestamp)) / HOUR_MS / RECENCY_HALF_LIFE_HOURS)
+    : 0.5;
+  const extraSources = Math.min(Math.max((item.sources?.length || 1) - 1, 0), MAX_EXTRA_SOURCES);
+  const interestMatches = Math.min(context.interests.filter(topic => mentions(text, topic)).length, MAX_INTEREST_MATCHES);
+  const novelty = 1 - memoryOverlap(item.title, context.recentTopics);
+
+  return sourceWeight(item, context.sourceWeights) *
+    (recency + COVERAGE_POINTS * extraSources + INTEREST_POINTS * interestMatches + novelty);
+}
+
+/**
+ * Keep ranked items, in order, that still fit in the token budget. The top item and pinned
+ * items are always kept, so a segment never disappears just because its one story is long.
+ * @param {Array<Object>} items - Ranked items (pinned ones first)
+ * @param {number|undefined} budget - Token budget; everything is kept when undefined
+ * @param {Function} isPinned - item → true for items that must be kept
+ * @returns {{items: Array<Object>, tokens: number}} Kept items and their estimated tokens
+ */
+function fillBudget(items, budget, isPinned = () => false) {
+  const kept = [];
+  let tokens = 0;
+
+  for (const item of items) {
+    const cost = estimateTokens(item);
+    if (budget !== undefined && kept.length > 0 && !isPinned(item) && tokens + cost > budget) continue;
+    kept.push(item);
+    tokens += cost;
+  }
+
+  return { items: kept, tokens };
+}
+
+/**
+ * Rough prompt tokens for an item as serialized into the synthesis prompt (~4 characters per token)
+ */
+function estimateTokens(item) {
+  return Math.ceil(JSON.stringify(item, null, 2).length / 4);
+}
+
+// ─────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────
+
+function buildContext(config, episodeMemory, now) {
+  return {
+    now: now.getTime(),
+    sourceWeights: resolveSourceWeights(config),
+    interests: getInterests(config).topics,
+    isPinned: item => mentionsEntity(item, config),
+    recentTopics: getRecentTopics(episodeMemory, NOVELTY_LOOKBACK_DAYS).map(titleTokens).filter(t => t.size > 0)
+  };
+}
+
+/**
+ * Map configured weights to item source names. Keys may be source ids (built-in or
+ * declared in content.sources) or the display names items carry in `source`.
+ */
+function resolveSourceWeights(config) {
+  const weights = new Map();
+  const declared = config?.content?.sources || [];
+
+  for (const [key, weight] of Object.entries(config?.content?.ranking?.sourceWeights || {})) {
+    const declaration = declared.find(d => d.id === key);
+    const name = declaration ? (declaration.name || declaration.id) : (getSource(key.toLowerCase())?.name || key);
+    weights.set(name, weight);
+  }
+  return weights;
+}
+
+/**
+ * Weight of the best-weighted outlet that reported the item
+ */
+function sourceWeight(item, weights) {
+  const names = item.sources?.length ? item.sources : [item.source];
+  return Math.max(...names.map(name => weights.get(name) ?? 1));
+}
+
+/**
+ * Largest share of any recent episode topic's words found in the title (0–1)
+ */
+function memoryOverlap(title, recentTopics) {
+  const words = titleTokens(title);
+  let overlap = 0;
+  for (const topic of recentTopics) {
+    const shared = [...topic].filter(word => words.has(word)).length;
+    overlap = Math.max(overlap, shared / topic.size);
+  }
+  return overlap;
+}
+
+module.exports = {
+  rankContent,
+  rankItems,
+  scoreItem,
+  fillBudget,
+  estimateTokens
+};
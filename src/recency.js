@@ -0,0 +1,134 @@
+/**
+ * Recency
+ *
+ * Every fetched item carries an ISO `timestamp` (null when its source gives no usable
+ * date). Sources can set `maxAgeHours` to drop older items. Windows are evaluated in
+ * the podcast's `location.timezone`:
+ * - The cutoff is rounded down to local midnight, so `24` means "yesterday and today"
+ *   on the listener's calendar and `0` means "today only".
+ * - On Mondays the window is stretched back over the weekend, so the first episode of
+ *   the week picks up Saturday and Sunday news.
+ * Items without a timestamp are kept, since their age is unknown.
+ */
+
+const { normalizeDate } = require('./feedParser');
+
+const HOUR_MS = 60 * 60 * 1000;
+const WEEKEND_HOURS = 48;
+const MAX_RECAP_DAYS = 7;
+
+/**
+ * Fill in `timestamp` from `date` when a fetcher did not set it
+ * @param {Object} item - Content item
+ * @returns {Object} The item with `timestamp` set (ISO string or null)
+ */
+function withTimestamp(item) {
+  if (item.timestamp !== undefined) return item;
+  return { ...item, timestamp: normalizeDate(item.date) };
+}
+
+/**
+ * Earliest publish time kept for a window
+ * @param {number} maxAgeHours - Window length in hours
+ * @param {Object} options
+ * @param {Date} options.now - Reference time (default: now)
+ * @param {string} options.timezone - IANA timezone of the podcast
+ * @returns {Date} Local midnight at or before now - maxAgeHours
+ */
+function windowStart(maxAgeHours, { now = new Date(), timezone }) {
+  const hours = maxAgeHours + (localWeekday(now, timezone) === 'Mon' ? WEEKEND_HOURS : 0);
+  return startOfLocalDay(new Date(now.getTime() - hours * HOUR_MS), timezone);
+}
+
+/**
+ * Drop items published before the window for `maxAgeHours`
+ * @param {Array<Object>} items - Items with `timestamp` set
+ * @param {number|undefined} maxAgeHours - No filtering when undefined
+ * @param {Object} options - { now, timezone } as for windowStart()
+ * @returns {Array<Object>} Items inside the window, plus items with no timestamp
+ */
+function filterByAge(items, maxAgeHours, options) {
+  if (maxAgeHours === undefined || maxAgeHours === null) return items;
+  const cutoff = windowStart(maxAgeHours, options).getTime();
+  return items.filter(item => !item.timestamp || new Date(item.timestamp).getTime() >= cutoff);
+}
+
+/**
+ * UTC instant of midnight, local time, on the day `date` falls on in `timezone`
+ */
+function startOfLocalDay(date, timezone) {
+  const { year, month, day } = localParts(date, timezone);
+  const utcGuess = Date.UTC(year, month - 1, day);
+  // Use the offset in effect at local midnight itself, which differs from `date`'s across DST changes
+  const firstTry = utcGuess - timezoneOffset(new Date(utcGuess), timezone);
+  return new Date(utcGuess - timezoneOffset(new Date(firstTry), timezone));
+}
+
+/**
+ * Offset of `timezone` from UTC at `date`, in milliseconds (local - UTC)
+ */
+function timezoneOffset(date, timezone) {
+  const p = localParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Local calendar days whose games a recap should cover: every day from the last
+ * episode's date through yesterday, so Monday picks up the weekend and a missed
+ * weekday is caught up. Just yesterday when there is no earlier episode.
+ * @param {string|null} since - Date of the last published episode (YYYY-MM-DD, local)
+ * @param {Object} options
+ * @param {Date} options.now - Reference time (default: now)
+ * @param {string} options.timezone - IANA timezone of the podcast
+ * @param {number} options.maxDays - Never look back further than this (default 7)
+ * @returns {Array<string>} YYYYMMDD dates, oldest first
+ */
+function recapDates(since, { now = new Date(), timezone, maxDays = MAX_RECAP_DAYS } = {}) {
+  const sinceKey = since ? since.replace(/-/g, '') : null;
+  const midnight = startOfLocalDay(now, timezone).getTime();
+  const dates = [];
+  for (let daysAgo = 1; daysAgo <= maxDays; daysAgo++) {
+    // Noon of each earlier day, clear of DST transitions
+    const key = localDateKey(new Date(midnight - daysAgo * 24 * HOUR_MS + 12 * HOUR_MS), timezone);
+    if (daysAgo > 1 && (!sinceKey || key < sinceKey)) break;
+    dates.unshift(key);
+  }
+  return dates;
+}
+
+/**
+ * YYYYMMDD of the day `date` falls on in `timezone`
+ */
+function localDateKey(date, timezone) {
+  const { year, month, day } = localParts(date, timezone);
+  return `${year}${String(month).padStart(2, '0')}${String(day).padStart(2, '0')}`;
+}
+
+function localParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(date);
+  const value = type => Number(parts.find(p => p.type === type).value);
+  return {
+    year: value('year'), month: value('month'), day: value('day'),
+    hour: value('hour'), minute: value('minute'), second: value('second')
+  };
+}
+
+function localWeekday(date, timezone) {
+  return new Intl.DateTimeFormat('en-US', { timeZone: timezone, weekday: 'short' }).format(date);
+}
+
+module.exports = {
+  withTimestamp,
+  windowStart,
+  filterByAge,
+  startOfLocalDay,
+  recapDates,
+  localDateKey,
+  localWeekday
+};
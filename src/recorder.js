@@ -0,0 +1,256 @@
+/**
+ * Record / Replay
+ *
+ * `--record <dir>` saves every external response the pipeline receives — HTTP
+ * through axios (feeds, ESPN, weather, GitHub contents API), Gemini and Google
+ * Cloud TTS — as JSON fixtures. `--replay <dir>` serves the pipeline from those
+ * fixtures with no network access, so a bad episode can be debugged later and
+ * end-to-end tests run offline.
+ *
+ * Both modes freeze the clock at the recording's start time, so date-dependent
+ * URLs (e.g. yesterday's ESPN scoreboard) and episode file names match exactly.
+ *
+ * Fixtures live in <dir>/<kind>/<hash>-<n>.json, where the hash covers the
+ * request (method + URL, model + prompt, TTS request) and n counts repeats of
+ * the same request in call order.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { GenerativeModel } = require('@google/generative-ai');
+const { TextToSpeechClient } = require('@google-cloud/text-to-speech');
+
+const RealDate = Date;
+
+const state = {
+  mode: null, // 'record' | 'replay' | null
+  dir: null,
+  callCounts: new Map(),
+  originals: null
+};
+
+/**
+ * Start recording external responses into `dir`
+ * @param {string} dir - Fixture directory (created if missing)
+ * @param {Date} now - Time to freeze the clock at (default: now)
+ */
+function startRecording(dir, now = new RealDate()) {
+  stopRecorder();
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(
+    path.join(dir, 'tape.json'),
+    JSON.stringify({ recordedAt: now.toISOString() }, null, 2)
+  );
+  install('record', dir, now.getTime());
+}
+
+/**
+ * Serve external responses from fixtures previously recorded into `dir`
+ * @param {string} dir - Fixture directory written by startRecording()
+ * @throws {Error} If `dir` does not contain a recording
+ */
+function startReplay(dir) {
+  const tapePath = path.join(dir, 'tape.json');
+  if (!fs.existsSync(tapePath)) {
+    throw new Error(`No recording found: ${tapePath}`);
+  }
+  stopRecorder();
+  const { recordedAt } = JSON.parse(fs.readFileSync(tapePath, 'utf-8'));
+
+  install('replay', dir, new RealDate(recordedAt).getTime());
+}
+
+/**
+ * Restore the real transports and clock
+ */
+function stopRecorder() {
+  if (!state.originals) return;
+  axios.defaults.adapter = state.originals.adapter;
+  GenerativeModel.prototype.generateContent = state.originals.generateContent;
+  TextToSpeechClient.prototype.synthesizeSpeech = state.originals.synthesizeSpeech;
+  global.Date = RealDate;
+  Object.assign(state, { mode: null, dir: null, callCounts: new Map(), originals: null });
+}
+
+/**
+ * Current mode: 'record', 'replay' or null
+ */
+function getRecorderMode() {
+  return state.mode;
+}
+
+function install(mode, dir, frozenMs) {
+  const originals = {
+    adapter: axios.defaults.adapter,
+    generateContent: GenerativeModel.prototype.generateContent,
+    synthesizeSpeech: TextToSpeechClient.prototype.synthesizeSpeech
+  };
+  Object.assign(state, { mode, dir, callCounts: new Map(), originals });
+
+  const realAdapter = axios.getAdapter(originals.adapter);
+  axios.defaults.adapter = config => recordedHttp(config, realAdapter);
+
+  GenerativeModel.prototype.generateContent = function (request, ...rest) {
+    return recordedGemini(this, request, () => originals.generateContent.call(this, request, ...rest));
+  };
+
+  TextToSpeechClient.prototype.synthesizeSpeech = function (request, ...rest) {
+    return recordedSpeech(request, () => originals.synthesizeSpeech.call(this, request, ...rest));
+  };
+
+  global.Date = frozenDate(frozenMs);
+}
+
+/**
+ * Date class whose "now" is fixed; explicit dates behave normally
+ */
+function frozenDate(frozenMs) {
+  class FrozenDate extends RealDate {
+    constructor(...args) {
+      if (args.length === 0) {
+        super(frozenMs);
+      } else {
+        super(...args);
+      }
+    }
+
+    static now() {
+      return frozenMs;
+    }
+  }
+  return FrozenDate;
+}
+
+// ─────────────────────────────────────────────
+// Transports
+// ─────────────────────────────────────────────
+
+async function recordedHttp(config, realAdapter) {
+  const request = { method: (config.method || 'get').toUpperCase(), url: axios.getUri(config) };
+
+  const fixture = await recorded('http', request, async () => {
+    try {
+      const response = await realAdapter(config);
+      return serializeHttpResponse(response);
+    } catch (error) {
+      if (error.response) return serializeHttpResponse(error.response);
+      return { error: error.message, code: error.code };
+    }
+  });
+
+  if (fixture.error) {
+    throw new axios.AxiosError(fixture.error, fixture.code, config);
+  }
+
+  const response = {
+    data: fixture.data,
+    status: fixture.status,
+    statusText: fixture.statusText,
+    headers: new axios.AxiosHeaders(fixture.headers),
+    config,
+    request: null
+  };
+  const validateStatus = config.validateStatus || (status => status >= 200 && status < 300);
+  if (!validateStatus(response.status)) {
+    const code = response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST;
+    throw new axios.AxiosError(`Request failed with status code ${response.status}`, code, config, null, response);
+  }
+  return response;
+}
+
+function serializeHttpResponse(response) {
+  const headers = {};
+  for (const name of ['content-type', 'etag', 'last-modified']) {
+    const value = response.headers?.[name];
+    if (value) headers[name] = String(value);
+  }
+  return {
+    status: response.status,
+    statusText: response.statusText || '',
+    headers,
+    data: response.data
+  };
+}
+
+async function recordedGemini(model, request, callReal) {
+  const fixture = await recorded('gemini', { model: model.model, request }, async () => {
+    try {
+      const result = await callReal();
+      const response = await result.response;
+      return { text: response.text(), usageMetadata: response.usageMetadata };
+    } catch (error) {
+      return { error: error.message };
+    }
+  });
+
+  if (fixture.error) {
+    throw new Error(fixture.error);
+  }
+  return {
+    response: {
+      text: () => fixture.text,
+      usageMetadata: fixture.usageMetadata
+    }
+  };
+}
+
+async function recordedSpeech(request, callReal) {
+  const fixture = await recorded('tts', request, async () => {
+    try {
+      const [response] = await callReal();
+      return { audioContent: Buffer.from(response.audioContent).toString('base64') };
+    } catch (error) {
+      return { error: error.message };
+    }
+  });
+
+  if (fixture.error) {
+    throw new Error(fixture.error);
+  }
+  return [{ audioContent: Buffer.from(fixture.audioContent, 'base64') }];
+}
+
+// ─────────────────────────────────────────────
+// Fixture storage
+// ─────────────────────────────────────────────
+
+/**
+ * Record the result of `callReal` for `request`, or replay it from disk.
+ * Errors are captured in the fixture so failures replay too.
+ */
+async function recorded(kind, request, callReal) {
+  const { mode, dir } = state;
+  const key = crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex').slice(0, 16);
+  const countKey = `${kind}/${key}`;
+  const n = state.callCounts.get(countKey) || 0;
+  state.callCounts.set(countKey, n + 1);
+
+  const fixturePath = path.join(dir, kind, `${key}-${n}.json`);
+
+  if (mode === 'replay') {
+    if (!fs.existsSync(fixturePath)) {
+      throw new Error(`No recorded ${kind} response for ${describeRequest(kind, request)} (${fixturePath})`);
+    }
+    return JSON.parse(fs.readFileSync(fixturePath, 'utf-8')).response;
+  }
+
+  const response = await callReal();
+  fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+  fs.writeFileSync(fixturePath, JSON.stringify({ kind, request, response }, null, 2));
+  return response;
+}
+
+function describeRequest(kind, request) {
+  if (kind === 'http') return `${request.method} ${request.url}`;
+  if (kind === 'gemini') return request.model;
+  return 'speech request';
+}
+
+module.exports = {
+  startRecording,
+  startReplay,
+  stopRecorder,
+  getRecorderMode
+};
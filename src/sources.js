@@ -0,0 +1,194 @@
+/**
+ * Source Registry
+ *
+ * Every content source is a plugin:
+ *   { id, name, category, fetch(config, ctx) → Promise<items>, summarize?(items, config, ctx) → Promise<{ items, usage }> }
+ * Plugins may set `defaultMaxAgeHours`, used when neither the source declaration nor its
+ * config section sets `maxAgeHours`.
+ *
+ * Built-in sources (OpenAI blog, Hacker News, Kill The Newsletter, ...) are registered
+ * by fetcher.js. Configs can also declare generic sources under `content.sources`
+ * ({ id, type: 'rss' | 'scrape' | 'json', url, ... }), which are built with the factory
+ * registered for their type — so a new outlet can be followed without code changes.
+ */
+
+const { withTimestamp, filterByAge } = require('./recency');
+const { removeMuted } = require('./interests');
+
+const plugins = new Map();
+const sourceTypes = new Map();
+
+/**
+ * Register a source plugin
+ * @param {Object} plugin
+ * @param {string} plugin.id - Unique id referenced from configs (e.g. 'hackernews')
+ * @param {string} plugin.name - Display name used in logs and item.source
+ * @param {string} plugin.category - Grouping for defaults (e.g. 'ai')
+ * @param {Function} plugin.fetch - async (config, ctx) → Array of items
+ * @param {Function} plugin.summarize - Optional async (items, config, ctx) → { items, usage }
+ */
+function registerSource(plugin) {
+  if (!plugin?.id || typeof plugin.fetch !== 'function') {
+    throw new Error('Source plugins need an id and a fetch(config, ctx) function');
+  }
+  if (plugins.has(plugin.id)) {
+    throw new Error(`Source already registered: ${plugin.id}`);
+  }
+  plugins.set(plugin.id, { name: plugin.id, ...plugin });
+}
+
+/**
+ * Register a factory for a generic source type declared in configs
+ * @param {string} type - Value of `type` in a source declaration (e.g. 'rss')
+ * @param {Function} factory - (declaration) → plugin
+ */
+function registerSourceType(type, factory) {
+  sourceTypes.set(type, factory);
+}
+
+/**
+ * Look up a registered plugin by id
+ */
+function getSource(id) {
+  return plugins.get(id) || null;
+}
+
+/**
+ * List registered plugins, optionally limited to one category
+ */
+function listSources(category = null) {
+  const all = [...plugins.values()];
+  return category ? all.filter(p => p.category === category) : all;
+}
+
+/**
+ * Build a plugin from a config source declaration
+ * @param {Object} declaration - { id, type, url, name, maxItems, maxAgeHours, ... }
+ * @returns {Object} Source plugin
+ * @throws {Error} If no factory is registered for the declaration's type
+ */
+function createSource(declaration) {
+  const factory = sourceTypes.get(declaration.type);
+  if (!factory) {
+    throw new Error(`Unknown source type "${declaration.type}" for source ${declaration.id || declaration.url}`);
+  }
+  return {
+    id: declaration.id,
+    name: declaration.name || declaration.id,
+    maxAgeHours: declaration.maxAgeHours,
+    ...factory(declaration)
+  };
+}
+
+/**
+ * Resolve source ids against the config's declared sources, then the registry.
+ * Unknown ids are logged and skipped (validateConfig reports them up front).
+ * @param {Array<string>} ids - Source ids from a config section
+ * @param {Object} config - Podcast configuration
+ * @returns {Array<Object>} Source plugins in the order given
+ */
+function resolveSources(ids, config) {
+  const declared = config?.content?.sources || [];
+  const resolved = [];
+
+  for (const id of ids) {
+    const declaration = declared.find(d => d.id === id);
+    const plugin = declaration ? createSource(declaration) : getSource(id.toLowerCase());
+    if (plugin) {
+      resolved.push(plugin);
+    } else {
+      console.error(`  Unknown source "${id}", skipping`);
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Fetch (and optionally summarize) one source. Errors are logged and produce no items,
+ * so one broken outlet never fails the run. Fetched items get a `timestamp`, and items
+ * older than `ctx.maxAgeHours` (see recency.js) or mentioning a muted interest (see
+ * interests.js) are dropped before summarizing.
+ * @param {Object} plugin - Source plugin
+ * @param {Object} config - Podcast configuration
+ * @param {Object} ctx - { maxAgeHours } resolved by the caller for this source
+ * @returns {Promise<{items: Array, usage: Object|null}>}
+ */
+async function runSource(plugin, config, ctx = {}) {
+  try {
+    const fetched = (await plugin.fetch(config, ctx)).map(withTimestamp);
+    const recent = filterByAge(fetched, ctx.maxAgeHours, { timezone: config?.location?.timezone });
+    if (recent.length < fetched.length) {
+      console.log(`  Dropped ${fetched.length - recent.length} ${plugin.name} item(s) older than the ${ctx.maxAgeHours}h window`);
+    }
+    const { items, removed } = removeMuted(recent, config);
+    if (removed > 0) {
+      console.log(`  Dropped ${removed} muted ${plugin.name} item(s)`);
+    }
+    if (!plugin.summarize || items.length === 0) {
+      return { items, usage: null };
+    }
+    return await plugin.summarize(items, config, ctx);
+  } catch (error) {
+    console.error(`Error fetching ${plugin.name}:`, error.message);
+    return { items: [], usage: null };
+  }
+}
+
+/**
+ * Collect raw items for a feed-driven section: its inline `feeds` plus any `sources` ids
+ * @param {Object} section - Section config ({ feeds, sources, maxAgeHours })
+ * @param {Object} config - Podcast configuration
+ * @param {number} maxItemsPerFeed - Cap for inline feeds without their own maxItems
+ */
+async function fetchSectionItems(section, config, maxItemsPerFeed) {
+  const feedSources = (section?.feeds || []).map(feed =>
+    createSource({ type: 'rss', ...feed, maxItems: feed.maxItems || maxItemsPerFeed })
+  );
+  const plugins = [...feedSources, ...resolveSources(section?.sources || [], config)];
+
+  const allItems = [];
+  for (const plugin of plugins) {
+    const { items } = await runSource(plugin, config, { maxAgeHours: sourceMaxAgeHours(plugin, section) });
+    allItems.push(...items);
+  }
+  return allItems;
+}
+
+/**
+ * Recency window for a source: its own declared `maxAgeHours`, then the config section's,
+ * then the plugin's built-in default. Undefined means no window.
+ * @param {Object} plugin - Source plugin
+ * @param {Object} section - Config section the source is listed in (e.g. content.aiNews)
+ */
+function sourceMaxAgeHours(plugin, section) {
+  return plugin.maxAgeHours ?? section?.maxAgeHours ?? plugin.defaultMaxAgeHours;
+}
+
+/**
+ * Count how many items have each standard field filled in (for --test-source)
+ * @param {Array<Object>} items - Items returned by a source's fetch()
+ * @returns {{title: number, summary: number, date: number, url: number}}
+ */
+function fieldCoverage(items) {
+  const coverage = { title: 0, summary: 0, date: 0, url: 0 };
+  for (const item of items) {
+    for (const field of Object.keys(coverage)) {
+      if (item[field]) coverage[field]++;
+    }
+  }
+  return coverage;
+}
+
+module.exports = {
+  registerSource,
+  registerSourceType,
+  getSource,
+  listSources,
+  createSource,
+  resolveSources,
+  runSource,
+  fetchSectionItems,
+  sourceMaxAgeHours,
+  fieldCoverage
+};
@@ -1,158 +1,339 @@
 /**
- * Fetch surf conditions from Surfline API
- * Returns wave height, period, swell direction, wind quality for Santa Barbara County
+ * Surf forecasts
+ * Compares every configured spot over today's daylight hours: each hour gets a simple
+ * quality rating from wave size, how squarely the swell hits the spot, and the wind
+ * relative to the way the spot faces. The report names the best spot, window and tide
+ * to paddle out on, followed by a line per spot. Forecasts come from the providers in
+ * surfProviders.js (Surfline, with NOAA buoys and tide predictions as the fallback).
  */
 
-const https = require('https');
+const { localDateKey } = require('./recency');
+const { SURF_PROVIDERS } = require('./surfProviders');
+
+// Local hours considered for a session (6am up to 7pm)
+const DAYLIGHT = { from: 6, to: 19 };
+const RATINGS = ['flat', 'poor', 'poor to fair', 'fair', 'fair to good', 'good'];
 
 /**
- * Fetch surf forecast from Surfline API
- * @param {Array<string>} spotIds - Array of Surfline spot IDs
- * @param {string} location - Location name for error messages
- * @returns {Promise<Object>} Surf conditions summary
+ * Spots from a surfConditions config section. `spots` carry a name, the compass
+ * bearing the spot faces and each provider's ids; the older `spotIds` list gives
+ * unnamed Surfline spots without one.
+ * @param {Object} section - content.surfConditions
+ * @returns {Array<{id?: string, buoyId?: string, tideStation?: string, name: string, facing?: number}>}
  */
-async function fetchSurflineConditions(spotIds, location) {
-  if (!spotIds || spotIds.length === 0) {
-    console.log('⚠️  No Surfline spot IDs configured, skipping surf conditions');
-    return { summary: 'Surf conditions unavailable (no spots configured)' };
+function surfSpots(section) {
+  if (section?.spots?.length) {
+    return section.spots;
   }
+  const ids = section?.spotIds || [];
+  return ids.map((id, i) => ({
+    id,
+    name: ids.length === 1 && section.location ? section.location : `Spot ${i + 1}`
+  }));
+}
 
-  try {
-    const spotId = spotIds[0]; // Use first spot ID for now
+/**
+ * Fetch today's forecast for every spot and recommend where and when to surf
+ * @param {Array<Object>} spots - Spots from surfSpots()
+ * @param {string} location - Area name for logs and messages
+ * @param {Object} options
+ * @param {string} options.provider - Provider id from surfProviders.js (default 'surfline')
+ * @param {string} options.fallback - Provider id to try for a spot when the first one fails
+ * @param {string} options.timezone - IANA timezone of the podcast
+ * @param {Date} options.now - Reference time (default: now)
+ * @returns {Promise<Object>} { summary, items, spots, best } with a recommendation item and one item per spot
+ */
+async function fetchSurfConditions(spots, location, { provider = 'surfline', fallback, timezone, now = new Date() } = {}) {
+  if (!spots || spots.length === 0) {
+    console.log('⚠️  No surf spots configured, skipping surf conditions');
+    return unavailable('Surf conditions unavailable (no spots configured)');
+  }
 
-    // Surfline API endpoints (public)
-    const waveUrl = `https://services.surfline.com/kbyg/spots/forecasts/wave?spotId=${spotId}&days=1`;
-    const windUrl = `https://services.surfline.com/kbyg/spots/forecasts/wind?spotId=${spotId}&days=1`;
-    const tideUrl = `https://services.surfline.com/kbyg/spots/forecasts/tides?spotId=${spotId}&days=1`;
+  console.log(`📊 Fetching surf forecasts for ${spots.length} ${location} spot${spots.length !== 1 ? 's' : ''}...`);
 
-    console.log(`📊 Fetching surf conditions for ${location}...`);
+  const providerIds = [provider, fallback].filter((id, i, ids) => id && ids.indexOf(id) === i);
+  const forecasts = await Promise.all(spots.map(spot => fetchSpotForecast(spot, providerIds, { timezone, now })));
 
-    // Fetch all forecasts in parallel
-    const [waveData, windData, tideData] = await Promise.all([
-      fetchJson(waveUrl),
-      fetchJson(windUrl),
-      fetchJson(tideUrl)
-    ]);
+  const reports = spots
+    .map((spot, i) => forecasts[i] && spotReport(spot, forecasts[i], { timezone, now }))
+    .filter(Boolean);
 
-    // Parse current/next forecast
-    const surfSummary = parseSurfForecast(waveData, windData, tideData, location);
+  if (reports.length === 0) {
+    return unavailable(`Surf conditions unavailable for ${location} (API error)`);
+  }
 
-    console.log(`✅ Surf conditions fetched: ${surfSummary.summary}`);
-    return surfSummary;
+  const best = bestSpot(reports);
+  const recommendation = recommend(best);
+  const timestamp = new Date().toISOString();
 
-  } catch (error) {
-    console.error(`❌ Failed to fetch surf conditions for ${location}:`, error.message);
-    return {
-      summary: `Surf conditions unavailable for ${location} (API error)`,
-      error: error.message
-    };
-  }
+  console.log(`✅ Surf forecast: ${recommendation}`);
+  return {
+    summary: [recommendation, ...reports.map(r => r.summary)].join('\n'),
+    items: [
+      { title: 'Surf Recommendation', summary: recommendation, timestamp, source: best.source },
+      ...reports.map(r => ({ title: `Surf: ${r.name}`, summary: r.summary, timestamp, source: r.source }))
+    ],
+    spots: reports,
+    best
+  };
 }
 
 /**
- * Parse Surfline API response into readable summary
+ * Forecast for one spot from the first provider that can serve it and answers
+ * @returns {Promise<Object|null>} Provider forecast plus `source` (provider name), null when all fail
  */
-function parseSurfForecast(waveData, windData, tideData, location) {
-  try {
-    // Get current wave forecast
-    const wave = waveData?.data?.wave?.[0];
-    if (!wave) {
-      return { summary: `No wave data available for ${location}` };
+async function fetchSpotForecast(spot, providerIds, options) {
+  for (const id of providerIds) {
+    const provider = SURF_PROVIDERS[id];
+    if (!provider || !spot[provider.spotField]) continue;
+    try {
+      return { ...(await provider.fetchForecast(spot, options)), source: provider.name };
+    } catch (error) {
+      console.error(`❌ ${provider.name} forecast failed for ${spot.name}:`, error.message);
     }
+  }
+  return null;
+}
+
+// ─────────────────────────────────────────────
+// Rating
+// ─────────────────────────────────────────────
+
+/**
+ * Rate one forecast hour at a spot (0 = flat ... 5 = good)
+ * @param {Object} hour - { surfMax, swell: { period, direction }, wind: { speed, direction, directionType } }
+ * @param {number} facing - Compass bearing the spot faces (unknown: every swell counts, wind uses the provider's label).
+ *   A swell without a direction (e.g. a buoy that didn't report one) also counts in full.
+ * @returns {{score: number, rating: string, windType: string}}
+ */
+function rateHour(hour, facing) {
+  const size = hour.surfMax < 1 ? 0 : hour.surfMax < 2 ? 1 : hour.surfMax < 4 ? 2 : 3;
+  const exposure = facing === undefined || hour.swell?.direction == null
+    ? 1
+    : swellExposure(angleBetween(hour.swell.direction, facing));
+  const wind = windType(hour.wind, facing);
 
-    const waveHeight = wave.surf?.max
-      ? `${Math.round(wave.surf.min)}-${Math.round(wave.surf.max)} ft`
-      : 'unknown';
-
-    const swellHeight = wave.swells?.[0]?.height
-      ? `${wave.swells[0].height.toFixed(1)} ft`
-      : 'unknown';
-
-    const swellPeriod = wave.swells?.[0]?.period
-      ? `${Math.round(wave.swells[0].period)}s`
-      : 'unknown';
-
-    const swellDirection = wave.swells?.[0]?.direction
-      ? degreesToDirection(wave.swells[0].direction)
-      : 'unknown';
-
-    // Get wind conditions
-    const wind = windData?.data?.wind?.[0];
-    const windSpeed = wind?.speed
-      ? `${Math.round(wind.speed)} mph`
-      : 'unknown';
-
-    const windDirection = wind?.direction
-      ? degreesToDirection(wind.direction)
-      : 'unknown';
-
-    // Get tide info
-    const tide = tideData?.data?.tides?.[0];
-    const tideType = tide?.type || 'unknown';
-    const tideHeight = tide?.height
-      ? `${tide.height.toFixed(1)} ft`
-      : 'unknown';
-
-    // Build summary
-    const summary = `${location}: ${waveHeight} waves, ${swellHeight} @ ${swellPeriod} from ${swellDirection}. ` +
-                    `Wind: ${windSpeed} ${windDirection}. Tide: ${tideType} at ${tideHeight}.`;
-
-    return {
-      summary,
-      details: {
-        waveHeight,
-        swellHeight,
-        swellPeriod,
-        swellDirection,
-        windSpeed,
-        windDirection,
-        tideType,
-        tideHeight
-      }
-    };
-
-  } catch (error) {
-    console.error('Error parsing surf forecast:', error.message);
-    return { summary: `Error parsing surf data for ${location}` };
+  let score = 0;
+  if (size > 0 && exposure > 0) {
+    score = Math.round(size * exposure);
+    if (hour.swell?.period >= 12) score += 1;
+    if (wind === 'glassy' || wind === 'offshore') score += 1;
+    if (wind === 'onshore' || hour.wind?.speed > 15) score -= 1;
   }
+
+  score = Math.max(0, Math.min(RATINGS.length - 1, score));
+  return { score, rating: RATINGS[score], windType: wind };
 }
 
 /**
- * Convert degrees to cardinal direction
+ * How squarely a swell hits the spot: 1 within 45° of where it faces, 0.5 within 90°, else blocked
  */
-function degreesToDirection(degrees) {
-  const directions = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
-                     'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
-  const index = Math.round(degrees / 22.5) % 16;
-  return directions[index];
+function swellExposure(offset) {
+  return offset <= 45 ? 1 : offset <= 90 ? 0.5 : 0;
 }
 
 /**
- * Fetch JSON from URL using https module
+ * 'glassy' (under 5 mph), or 'offshore' / 'cross-shore' / 'onshore' relative to the spot
  */
-function fetchJson(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, (res) => {
-      let data = '';
+function windType(wind, facing) {
+  if (!wind) return 'unknown';
+  if (wind.speed < 5) return 'glassy';
+  if (facing === undefined) {
+    return wind.directionType ? wind.directionType.toLowerCase() : 'unknown';
+  }
+  // Wind direction is where it blows from: from the sea is onshore, from the land offshore
+  const offset = angleBetween(wind.direction, facing);
+  return offset <= 45 ? 'onshore' : offset >= 135 ? 'offshore' : 'cross-shore';
+}
 
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
+/**
+ * Smallest angle between two compass bearings (0-180)
+ */
+function angleBetween(a, b) {
+  const diff = Math.abs(a - b) % 360;
+  return diff > 180 ? 360 - diff : diff;
+}
+
+// ─────────────────────────────────────────────
+// Reports
+// ─────────────────────────────────────────────
+
+/**
+ * Today's daylight outlook for one spot
+ * @returns {Object|null} { name, summary, score, rating, window, windowText, tide, source }, null without daylight hours
+ */
+function spotReport(spot, forecast, { timezone, now = new Date() } = {}) {
+  const today = localDateKey(now, timezone);
+  const rated = forecast.hours
+    .filter(hour => localDateKey(hour.time, timezone) === today && isDaylight(hour.time, timezone))
+    .map(hour => ({ ...hour, ...rateHour(hour, spot.facing) }));
+
+  if (rated.length === 0) {
+    return null;
+  }
+
+  const window = bestWindow(rated);
+  const peak = window.hours[0];
+  const surfMin = Math.round(Math.min(...rated.map(h => h.surfMin)));
+  const surfMax = Math.round(Math.max(...rated.map(h => h.surfMax)));
+  const tide = describeTide(forecast.tides, peak.time);
+
+  const parts = [`${spot.name}: ${surfMin}-${surfMax} ft`];
+  if (peak.swell) {
+    const from = peak.swell.direction == null ? '' : ` from ${degreesToDirection(peak.swell.direction)}`;
+    parts[0] += `, ${peak.swell.height.toFixed(1)} ft @ ${Math.round(peak.swell.period)}s${from}`;
+  }
+  const conditions = [describeWind(peak), tide].filter(Boolean).join(', ');
+  const windowText = formatWindow(window, timezone);
+  parts.push(`Best ${window.rating} ${windowText}${conditions ? ` (${conditions})` : ''}`);
+  const extremes = tideExtremes(forecast.tides, today, timezone);
+  if (extremes) {
+    parts.push(`Tides: ${extremes}`);
+  }
+  if (forecast.note) {
+    parts.push(forecast.note);
+  }
+
+  return {
+    name: spot.name,
+    summary: `${parts.join('. ')}.`,
+    score: window.score,
+    rating: window.rating,
+    window: { start: window.start, end: window.end },
+    windowText,
+    tide,
+    source: forecast.source
+  };
+}
+
+/**
+ * Longest run of consecutive hours at the day's best rating
+ * @param {Array<Object>} rated - Hours in order, each with score and rating
+ * @returns {{score: number, rating: string, start: Date, end: Date, hours: Array<Object>}}
+ */
+function bestWindow(rated) {
+  const top = Math.max(...rated.map(h => h.score));
+  let best = [];
+  let run = [];
+
+  for (const hour of rated) {
+    run = hour.score === top ? [...run, hour] : [];
+    if (run.length > best.length) best = run;
+  }
 
-      res.on('end', () => {
-        try {
-          resolve(JSON.parse(data));
-        } catch (error) {
-          reject(new Error(`Failed to parse JSON: ${error.message}`));
-        }
-      });
+  const last = best[best.length - 1];
+  return {
+    score: top,
+    rating: RATINGS[top],
+    start: best[0].time,
+    end: new Date(last.time.getTime() + 60 * 60 * 1000),
+    hours: best
+  };
+}
 
-    }).on('error', (error) => {
-      reject(error);
-    });
+/**
+ * Highest-rated spot, preferring the longer window on a tie
+ */
+function bestSpot(reports) {
+  return reports.reduce((best, report) => {
+    if (report.score !== best.score) return report.score > best.score ? report : best;
+    return windowLength(report) > windowLength(best) ? report : best;
   });
 }
 
+/**
+ * "Best bet: Rincon, 7:00 AM–10:00 AM on a rising mid tide at 2.1 ft (fair to good)."
+ */
+function recommend(best) {
+  if (best.score === 0) {
+    return 'Flat at every spot today.';
+  }
+  const verdict = best.score <= 1 ? 'Not much to paddle out for; the pick is' : 'Best bet:';
+  return `${verdict} ${best.name}, ${best.windowText}${best.tide ? ` on a ${best.tide}` : ''} (${best.rating}).`;
+}
+
+/**
+ * "rising mid tide at 2.1 ft" at a given time, from the reading nearest to it
+ */
+function describeTide(tides, time) {
+  if (!tides?.length) return null;
+
+  const nearest = tides.reduce((a, b) => (Math.abs(b.time - time) < Math.abs(a.time - time) ? b : a));
+  const next = tides.find(t => t.time > time && (t.type === 'HIGH' || t.type === 'LOW'));
+  const heights = tides.map(t => t.height);
+  const [low, high] = [Math.min(...heights), Math.max(...heights)];
+  const position = high > low ? (nearest.height - low) / (high - low) : 0.5;
+  const level = position < 1 / 3 ? 'low' : position < 2 / 3 ? 'mid' : 'high';
+  const trend = next ? (next.type === 'HIGH' ? 'rising ' : 'falling ') : '';
+
+  return `${trend}${level} tide at ${nearest.height.toFixed(1)} ft`;
+}
+
+/**
+ * "low 5:12 AM 0.4 ft, high 11:40 AM 4.2 ft" for today's turning points
+ */
+function tideExtremes(tides, today, timezone) {
+  const extremes = (tides || [])
+    .filter(t => (t.type === 'HIGH' || t.type === 'LOW') && localDateKey(t.time, timezone) === today)
+    .map(t => `${t.type.toLowerCase()} ${formatTime(t.time, timezone)} ${t.height.toFixed(1)} ft`);
+  return extremes.length > 0 ? extremes.join(', ') : null;
+}
+
+/**
+ * "offshore wind 8 mph" for a rated hour
+ */
+function describeWind(hour) {
+  if (!hour.wind) return null;
+  if (hour.windType === 'glassy') return 'glassy';
+  const type = hour.windType === 'unknown' ? '' : `${hour.windType} `;
+  return `${type}wind ${Math.round(hour.wind.speed)} mph`;
+}
+
+// ─────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────
+
+function isDaylight(time, timezone) {
+  const hour = Number(time.toLocaleString('en-US', { timeZone: timezone, hour: 'numeric', hourCycle: 'h23' }));
+  return hour >= DAYLIGHT.from && hour < DAYLIGHT.to;
+}
+
+function formatTime(time, timezone) {
+  return time.toLocaleTimeString('en-US', { timeZone: timezone, hour: 'numeric', minute: '2-digit' });
+}
+
+function formatWindow(window, timezone) {
+  return `${formatTime(window.start, timezone)}–${formatTime(window.end, timezone)}`;
+}
+
+function windowLength(report) {
+  return report.window.end - report.window.start;
+}
+
+function unavailable(summary) {
+  return {
+    summary,
+    items: [{ title: 'Surf Conditions', summary, timestamp: new Date().toISOString(), source: 'Surf Forecast' }],
+    spots: [],
+    best: null
+  };
+}
+
+/**
+ * Convert degrees to cardinal direction
+ */
+function degreesToDirection(degrees) {
+  const directions = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+                     'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+  const index = Math.round(degrees / 22.5) % 16;
+  return directions[index];
+}
+
 module.exports = {
-  fetchSurflineConditions
+  surfSpots,
+  fetchSurfConditions,
+  rateHour,
+  bestWindow,
+  spotReport,
+  describeTide
 };
@@ -0,0 +1,213 @@
+/**
+ * Surf Forecast Providers
+ *
+ * Every provider turns a configured spot into the same forecast shape:
+ *   { hours: [{ time, surfMin, surfMax, swell: { height, period, direction }, wind: { speed, direction, directionType } }],
+ *     tides: [{ time, type: 'HIGH' | 'LOW' | 'NORMAL', height }], note? }
+ * with heights in feet, wind in mph and directions in compass degrees (where it comes from).
+ *
+ * - surfline: Surfline's (unofficial) hourly wave, wind and tide forecasts, by spot `id`
+ * - noaa: the latest reading from an NDBC buoy (`buoyId`), held through the day, plus
+ *   NOAA Tides & Currents predictions (`tideStation`); the fallback when Surfline is down
+ *
+ * Requests go through httpGet/getJson with a shorter timeout than the default, and a response
+ * that arrives without the expected data throws like a failed request, so the caller
+ * can move on to the next provider.
+ */
+
+const { httpGet, getJson } = require('./http');
+const { localDateKey } = require('./recency');
+const { providers: PROVIDERS } = require('./data/surfProviders.json');
+
+const SURF_TIMEOUT_MS = 8000;
+const KTS_TO_MPH = 1.15078;
+const KPH_TO_MPH = 0.621371;
+const MPS_TO_MPH = 2.23694;
+const METERS_TO_FEET = 3.28084;
+const HOUR_MS = 60 * 60 * 1000;
+
+// ─────────────────────────────────────────────
+// Surfline
+// ─────────────────────────────────────────────
+
+/**
+ * Fetch a spot's wave, wind and tide forecasts for today from Surfline
+ */
+async function fetchSurflineForecast(spot) {
+  const base = 'https://services.surfline.com/kbyg/spots/forecasts';
+  const [waveData, windData, tideData] = await Promise.all([
+    getJson(`${base}/wave?spotId=${spot.id}&days=1`, { label: 'Surfline', timeout: SURF_TIMEOUT_MS }),
+    getJson(`${base}/wind?spotId=${spot.id}&days=1`, { label: 'Surfline', timeout: SURF_TIMEOUT_MS }),
+    getJson(`${base}/tides?spotId=${spot.id}&days=1`, { label: 'Surfline', timeout: SURF_TIMEOUT_MS })
+  ]);
+
+  if (!waveData?.data?.wave?.length) {
+    throw new Error(`Surfline returned no wave forecast${waveData?.message ? ` (${waveData.message})` : ''}`);
+  }
+  return parseSurflineForecast(waveData, windData, tideData);
+}
+
+/**
+ * Normalize Surfline responses into hourly points and tide readings
+ */
+function parseSurflineForecast(waveData, windData, tideData) {
+  const winds = windData?.data?.wind || [];
+  const windUnits = windData?.associated?.units?.windSpeed;
+  const toMph = speed => (windUnits === 'KTS' ? speed * KTS_TO_MPH : windUnits === 'KPH' ? speed * KPH_TO_MPH : speed);
+
+  const hours = (waveData?.data?.wave || []).map((wave, i) => {
+    const wind = winds.find(w => w.timestamp === wave.timestamp) || winds[i];
+    return {
+      time: new Date(wave.timestamp * 1000),
+      surfMin: wave.surf?.min ?? 0,
+      surfMax: wave.surf?.max ?? 0,
+      swell: primarySwell(wave.swells),
+      wind: wind ? { speed: toMph(wind.speed || 0), direction: wind.direction, directionType: wind.directionType } : null
+    };
+  });
+
+  const tides = (tideData?.data?.tides || []).map(tide => ({
+    time: new Date(tide.timestamp * 1000),
+    type: tide.type,
+    height: tide.height
+  }));
+
+  return { hours, tides };
+}
+
+/**
+ * Largest swell in a Surfline hour (ignores empty swell slots)
+ */
+function primarySwell(swells) {
+  const real = (swells || []).filter(s => s.height > 0);
+  if (real.length === 0) return null;
+  const swell = real.reduce((a, b) => (b.height > a.height ? b : a));
+  return { height: swell.height, period: swell.period, direction: swell.direction };
+}
+
+// ─────────────────────────────────────────────
+// NOAA
+// ─────────────────────────────────────────────
+
+/**
+ * Build a day of hours from a spot's buoy and its tide station's predictions
+ */
+async function fetchNoaaForecast(spot, { timezone, now = new Date() } = {}) {
+  const [buoyText, tides] = await Promise.all([
+    fetchText(`https://www.ndbc.noaa.gov/data/realtime2/${spot.buoyId}.txt`, 'NDBC'),
+    spot.tideStation
+      ? fetchTidePredictions(spot.tideStation, { now }).catch(error => {
+        console.error(`  ⚠️  Tide predictions failed for station ${spot.tideStation}:`, error.message);
+        return [];
+      })
+      : []
+  ]);
+
+  const reading = parseBuoyReading(buoyText);
+  if (!reading) {
+    throw new Error(`NDBC buoy ${spot.buoyId} has no recent wave reading`);
+  }
+
+  // A buoy only reports what it measured: hold the latest reading for the next day of hours
+  const first = Math.floor(reading.time.getTime() / HOUR_MS) * HOUR_MS;
+  const hours = Array.from({ length: 24 }, (_, i) => ({
+    time: new Date(first + i * HOUR_MS),
+    surfMin: reading.waveHeight * 0.7,
+    surfMax: reading.waveHeight,
+    swell: { height: reading.waveHeight, period: reading.period, direction: reading.waveDirection },
+    wind: reading.wind
+  }));
+
+  const time = reading.time.toLocaleTimeString('en-US', { timeZone: timezone, hour: 'numeric', minute: '2-digit' });
+  return { hours, tides, note: `From the ${time} reading at NOAA buoy ${spot.buoyId}, no forecast` };
+}
+
+/**
+ * Latest wave and wind reading from an NDBC realtime2 standard meteorological file.
+ * Rows are newest first, whitespace-separated, with "MM" for missing values; waves are
+ * measured less often than wind, so each comes from its own latest row.
+ * @param {string} text - File contents (two header rows, then data)
+ * @returns {Object|null} { time, waveHeight (ft), period (s), waveDirection, wind: { speed (mph), direction } }
+ */
+function parseBuoyReading(text) {
+  const lines = String(text || '').split('\n');
+  const columns = (lines[0] || '').replace(/^#/, '').trim().split(/\s+/);
+  const rows = lines
+    .filter(line => line.trim() && !line.startsWith('#'))
+    .map(line => Object.fromEntries(line.trim().split(/\s+/).map((value, i) => [columns[i], value])));
+  const number = value => (value === undefined || value === 'MM' ? null : Number(value));
+
+  const waves = rows.find(row => number(row.WVHT) !== null && number(row.DPD) !== null);
+  if (!waves) return null;
+  const winds = rows.find(row => number(row.WSPD) !== null && number(row.WDIR) !== null);
+
+  return {
+    time: new Date(Date.UTC(Number(waves.YY), Number(waves.MM) - 1, Number(waves.DD), Number(waves.hh), Number(waves.mm))),
+    waveHeight: number(waves.WVHT) * METERS_TO_FEET,
+    period: number(waves.DPD),
+    waveDirection: number(waves.MWD),
+    wind: winds ? { speed: number(winds.WSPD) * MPS_TO_MPH, direction: number(winds.WDIR) } : null
+  };
+}
+
+/**
+ * Hourly heights plus high/low turning points around today from NOAA Tides & Currents
+ * (GMT times, feet above MLLW)
+ */
+async function fetchTidePredictions(station, { now = new Date() } = {}) {
+  const beginDate = localDateKey(new Date(now.getTime() - 24 * HOUR_MS), 'UTC');
+  const url = interval => 'https://api.tidesandcurrents.noaa.gov/api/prod/datagetter?product=predictions' +
+    `&application=daily-podcast&begin_date=${beginDate}&range=72&datum=MLLW&station=${station}` +
+    `&time_zone=gmt&units=english&interval=${interval}&format=json`;
+
+  const [hourly, turns] = await Promise.all([
+    getJson(url('h'), { label: 'NOAA Tides & Currents', timeout: SURF_TIMEOUT_MS }),
+    getJson(url('hilo'), { label: 'NOAA Tides & Currents', timeout: SURF_TIMEOUT_MS })
+  ]);
+  for (const response of [hourly, turns]) {
+    if (!Array.isArray(response?.predictions)) {
+      throw new Error(`NOAA Tides & Currents returned no predictions${response?.error?.message ? ` (${response.error.message})` : ''}`);
+    }
+  }
+
+  const TYPES = { H: 'HIGH', L: 'LOW' };
+  return [...hourly.predictions, ...turns.predictions]
+    .map(p => ({ time: new Date(`${p.t.replace(' ', 'T')}:00Z`), type: TYPES[p.type] || 'NORMAL', height: Number(p.v) }))
+    .sort((a, b) => a.time - b.time);
+}
+
+// ─────────────────────────────────────────────
+// Registry
+// ─────────────────────────────────────────────
+
+/**
+ * Surf providers by config id. Names and `spotField` (the spot setting a provider needs
+ * to forecast it; spots without one are left to the other provider) live in
+ * data/surfProviders.json, which config validation reads too.
+ */
+const SURF_PROVIDERS = {
+  surfline: { ...PROVIDERS.surfline, fetchForecast: fetchSurflineForecast },
+  noaa: { ...PROVIDERS.noaa, fetchForecast: fetchNoaaForecast }
+};
+
+const SURF_PROVIDER_IDS = Object.keys(SURF_PROVIDERS);
+
+// ─────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────
+
+async function fetchText(url, provider) {
+  const { data } = await httpGet(url, { timeout: SURF_TIMEOUT_MS });
+  if (data === undefined || data === null || data === '') {
+    throw new Error(`${provider} returned an empty response`);
+  }
+  return data;
+}
+
+module.exports = {
+  SURF_PROVIDERS,
+  SURF_PROVIDER_IDS,
+  parseSurflineForecast,
+  parseBuoyReading,
+  fetchTidePredictions
+};
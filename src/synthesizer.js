@@ -1,48 +1,14 @@
 /**
  * Script Synthesizer
  *
- * Uses Gemini API (or Claude API) to generate a spoken-word audio script with Chicago weather integration
+ * Uses Gemini API (or Claude API) to generate a spoken-word audio script with local weather integration
  */
 
 // const Anthropic = require('@anthropic-ai/sdk');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
-const axios = require('axios');
-
-/**
- * Fetch current weather from Open-Meteo API (free, no key needed)
- * @param {Object} config - Podcast configuration with location data
- */
-async function fetchWeather(config) {
-  const { latitude, longitude, timezone, city, state } = config.location;
-  const url = 'https://api.open-meteo.com/v1/forecast'
-    + `?latitude=${latitude}&longitude=${longitude}`
-    + '&current=temperature_2m,weathercode,windspeed_10m'
-    + '&daily=temperature_2m_max,temperature_2m_min,precipitation_probability_max'
-    + `&temperature_unit=fahrenheit&wind_speed_unit=mph&timezone=${encodeURIComponent(timezone)}&forecast_days=1`;
-
-  const { data } = await axios.get(url);
-  const c = data.current;
-  const d = data.daily;
-
-  // WMO weather code → human description
-  const conditions = {
-    0: 'clear skies', 1: 'mainly clear', 2: 'partly cloudy', 3: 'overcast',
-    45: 'foggy', 48: 'icy fog', 51: 'light drizzle', 61: 'light rain',
-    63: 'moderate rain', 65: 'heavy rain', 71: 'light snow', 80: 'rain showers',
-    95: 'thunderstorms',
-  };
-  const description = conditions[c.weathercode] ?? 'mixed conditions';
-
-  return {
-    current: Math.round(c.temperature_2m),
-    high: Math.round(d.temperature_2m_max[0]),
-    low: Math.round(d.temperature_2m_min[0]),
-    precip: d.precipitation_probability_max[0],
-    description,
-    wind: Math.round(c.windspeed_10m),
-    location: `${city}, ${state}`,
-  };
-}
+const { interestsPrompt, scrubScript } = require('./interests');
+const { liveEvents, eventThemes } = require('./events');
+const { fetchWeather, formatWeatherForSpeech } = require('./weather');
 
 /**
  * Synthesize audio script from content bundle using Gemini
@@ -70,9 +36,8 @@ async function synthesizeScriptGemini(contentBundle, episodeMemory = null, confi
 
   // Fetch weather for configured location
   const weather = await fetchWeather(config);
-  const weatherSummary = `${weather.description}, currently ${weather.current}°F, `
-    + `high of ${weather.high}°F, low of ${weather.low}°F, `
-    + `${weather.precip}% chance of rain, winds at ${weather.wind} mph`;
+  const weatherSummary = formatWeatherForSpeech(weather);
+  const place = `${config.location.city}, ${config.location.state}`;
 
   const memoryContext = episodeMemory
     ? `═══════════════════════════════════════════════
@@ -108,19 +73,22 @@ ${episodeMemory}
   }
   if (config.content.sports?.enabled) {
     const teamNames = config.content.sports.teams?.map(t => t.name).join('/') || 'sports';
-    additionalSources.push(`Sports Recaps (${teamNames} game results)`);
+    additionalSources.push(`Sports Recaps (${teamNames} game results, today's games and standings)`);
   }
   if (config.content.internationalRelations?.enabled) {
-    const focus = config.content.internationalRelations.focus || 'international';
-    additionalSources.push(`International Relations (${focus}-centered news)`);
+    additionalSources.push(`International Relations (analyst briefings on ${regionNames(config)})`);
   }
   if (config.content.news?.enabled) {
     const feedNames = config.content.news.feeds?.map(f => f.name).join(', ') || 'News feeds';
     additionalSources.push(`General News (${feedNames})`);
   }
+  const events = liveEvents(config).map(({ ctx }) => ctx.live.name);
+  if (events.length > 0) {
+    additionalSources.push(`Scheduled Events (${events.join(', ')})`);
+  }
   if (config.content.surfConditions?.enabled) {
     const location = config.content.surfConditions.location || 'local';
-    additionalSources.push(`Surf Report (${location} conditions)`);
+    additionalSources.push(`Surf Report (${location} spot forecasts and best window)`);
   }
 
   if (additionalSources.length > 0) {
@@ -148,33 +116,31 @@ ${episodeMemory}
   }
   if (config.content.sports?.enabled) {
     const teamNames = config.content.sports.teams?.map(t => t.name).join(' or ') || 'team';
-    mandatoryThemes.push(`- "Sports Desk": Quick recaps of ${teamNames} games from yesterday.`);
+    const preview = config.content.sports.includeOutlook !== false
+      ? ' Then preview tonight\'s games (opponent, start time, TV, probable starters) and where each team stands, using the "Outlook" items.'
+      : '';
+    const playerWatch = config.content.sports.players?.length
+      ? ' Close with a quick "player watch" on the followed players from playerWatch (stat lines, injuries, news).'
+      : '';
+    mandatoryThemes.push(`- "Sports Desk": Quick recaps of ${teamNames} games since the last episode.${preview}${playerWatch}`);
   }
   if (config.content.internationalRelations?.enabled) {
-    const focus = config.content.internationalRelations.focus || 'international';
-    mandatoryThemes.push(`- "Global Affairs": International relations updates, specifically centered on ${focus}.`);
+    mandatoryThemes.push(`- "Global Affairs": A short briefing per region (${regionNames(config)}), using each region's analyst briefing in internationalRelations.`);
   }
   if (config.content.news?.enabled) {
     const feedFocuses = config.content.news.feeds?.map(f => f.focus || f.name).join(', ') || 'general news';
     mandatoryThemes.push(`- "News Briefing": Coverage of ${feedFocuses}.`);
   }
   if (config.content.newsletters?.enabled) {
-    mandatoryThemes.push(`- "Local & Regional": ${weather.location} news from newsletters.`);
+    mandatoryThemes.push(`- "Local & Regional": ${place} news from newsletters.`);
     mandatoryThemes.push('- "Energy & Policy": Future of Energy and politics.');
   }
   if (config.content.surfConditions?.enabled) {
     const location = config.content.surfConditions.location || 'local';
-    mandatoryThemes.push(`- "Surf Report": ${location} surf conditions and forecast.`);
-  }
-  if (config.content.sports?.events) {
-    const eventTypes = config.content.sports.events
-      .filter(e => e.enabled)
-      .map(e => e.type.charAt(0).toUpperCase() + e.type.slice(1))
-      .join(' or ');
-    if (eventTypes) {
-      mandatoryThemes.push(`- "${eventTypes} Coverage": Updates and highlights from ongoing ${eventTypes} events.`);
-    }
+    mandatoryThemes.push(`- "Surf Report": Where and when to paddle out around ${location} — lead with the Surf Recommendation (spot, window, tide), then a quick word on each other spot.`);
   }
+  // Only events that are on today get a theme
+  mandatoryThemes.push(...eventThemes(config));
 
   const themesText = mandatoryThemes.length > 0
     ? `Mandatory Themes (if data exists):\n${mandatoryThemes.join('\n')}`
@@ -194,9 +160,9 @@ ${episodeMemory}
 
   const prompt = `
 You are writing the script for "${config.metadata.title}," a two-host personal morning podcast for ${recipientName}.
-Today is ${today}. ${recipientName} is based in ${weather.location}.
+Today is ${today}. ${recipientName} is based in ${place}.
 
-${weather.location} weather right now: ${weatherSummary}
+${place} weather right now: ${weatherSummary}
 
 ${memoryContext}The show has two hosts:
 - HOST: The primary anchor. Drives the agenda, delivers the main stories, and keeps the episode moving.
@@ -204,6 +170,7 @@ ${memoryContext}The show has two hosts:
 
 ${contentSourcesText}
 
+${interestsPrompt(config)}
 YOUR TASK:
 Produce a complete, ready-to-record two-speaker podcast script for a ${minDuration}–${maxDuration} minute episode (${minWords.toLocaleString()}–${maxWords.toLocaleString()} words). This word count is a hard requirement — write to fill the time with depth and analysis, not brevity.
 
@@ -231,7 +198,7 @@ STRUCTURE (follow this exactly):
 [COLD OPEN — 15–30 seconds]
 - HOST greets ${recipientName} by name.
 - One sentence on what today's episode covers (the "headline of headlines").
-- COHOST reacts and weaves in the ${weather.location} weather naturally.
+- COHOST reacts and weaves in the ${place} weather naturally, starting with any weather alert or highlight (and the 3-day outlook when there is one).
 
 [THEME SEGMENTS — ${minSegments} to ${maxSegments} segments, each ~2 minutes]
 Cluster today's news into themes. Choose names that fit the actual news.
@@ -269,6 +236,8 @@ STYLE RULES:
 - Conversational and smart — like two well-informed colleagues riffing on the news.
 - The banter should feel natural, not forced. Don't overdo the back-and-forth — let each host make substantive points.
 - Do NOT pad with filler. If today is a slow news day, go deeper on fewer items rather than skimming many.
+- Within each section of the raw content, items are listed most important first. Lead with the top stories.
+- Items with several entries in "sources" were reported by multiple outlets. Cover each such story once; wide coverage is a sign it matters.
 - The ONLY bracketed labels allowed are [HOST] and [COHOST] at the start of each speaker turn.
   No other stage directions, segment headers, or bracketed labels.
 
@@ -285,12 +254,18 @@ Return ONLY the two-speaker script with [HOST] and [COHOST] tags. No other label
   try {
     const result = await modelPro.generateContent(prompt);
     const response = await result.response;
-    const script = response.text();
 
-    if (!script) {
+    if (!response.text()) {
       throw new Error('Empty response from Gemini API');
     }
 
+    // Muted topics must never be spoken, even if the model ignored the instruction; a script
+    // with no turns left throws rather than publishing silence
+    const { script, removed } = scrubScript(response.text(), config);
+    if (removed.length > 0) {
+      console.log(`  Removed ${removed.length} speaker turn(s) mentioning muted interests: ${[...new Set(removed)].join(', ')}`);
+    }
+
     const wordCount = script.split(/\s+/).length;
     console.log(`  Generated script: ${wordCount} words`);
 
@@ -327,6 +302,15 @@ Return ONLY the two-speaker script with [HOST] and [COHOST] tags. No other label
   }
 }
 
+/**
+ * Names of the configured international relations regions, for prompts
+ */
+function regionNames(config) {
+  const section = config.content.internationalRelations;
+  const names = section.regions?.length ? section.regions.map(r => r.name) : [section.focus || 'international'];
+  return names.join(', ');
+}
+
 /**
  * Synthesize audio script from content bundle (wrapper)
  * @param {Object} contentBundle - Content from all sources
@@ -337,4 +321,4 @@ async function synthesizeScript(contentBundle, episodeMemory = null, config) {
   return synthesizeScriptGemini(contentBundle, episodeMemory, config);
 }
 
-module.exports = { synthesizeScript, fetchWeather };
+module.exports = { synthesizeScript };
@@ -0,0 +1,228 @@
+/**
+ * Major soccer tournaments
+ *
+ * Shared by every international soccer tournament ESPN covers (World Cup, Euros,
+ * Copa América, ...). A tournament is one entry in data/tournaments.json: its type,
+ * name, ESPN league path and exact dates. While it is on, two ESPN requests (the
+ * scoreboard across the tournament so far, and the standings) give yesterday's
+ * results with scorers, today's fixtures, group standings and the knockout run of
+ * each followed nation.
+ */
+
+const { getJson } = require('./http');
+const { recapDates, localDateKey } = require('./recency');
+const { espnUrl, standingsUrl } = require('./leagues');
+const { tournaments: TOURNAMENTS } = require('./data/tournaments.json');
+
+// Enough for every match of a 48-team tournament
+const SCOREBOARD_LIMIT = 200;
+const GROUP_LEADERS = 2;
+
+/**
+ * The tournament of a type that is on today, if any
+ * @param {string} type - Tournament type from data/tournaments.json (e.g. 'worldcup')
+ * @param {Object} options
+ * @param {Date} options.now - Reference time (default: now)
+ * @param {string} options.timezone - IANA timezone of the podcast
+ * @returns {Object|null} The tournament entry
+ */
+function activeTournament(type, { now = new Date(), timezone } = {}) {
+  const today = localDateKey(now, timezone);
+  // Tournament dates are calendar dates, which parse as UTC midnight
+  return TOURNAMENTS.find(t => t.type === type && today >= localDateKey(new Date(t.start), 'UTC') && today <= localDateKey(new Date(t.end), 'UTC')) || null;
+}
+
+/**
+ * Fetch results, fixtures, standings and knockout progress for a tournament
+ * @param {Object} tournament - Entry from data/tournaments.json
+ * @param {Object} options
+ * @param {Array<string>} options.nations - Followed nations (names or abbreviations, e.g. 'USA')
+ * @param {string} options.timezone - IANA timezone of the podcast
+ * @returns {Promise<Array<Object>>} Items titled "<name> Results", "Today", "Standings" and "Knockout Progress"
+ */
+async function fetchTournamentUpdates(tournament, { nations = [], timezone, now = new Date() } = {}) {
+  const league = { sport: 'soccer', path: tournament.league };
+  const today = localDateKey(now, timezone);
+  const start = localDateKey(new Date(tournament.start), 'UTC');
+  const [yesterday] = recapDates(null, { now, timezone });
+
+  console.log(`📊 Fetching ${tournament.name} updates...`);
+
+  const [scoreboard, standings] = await Promise.all([
+    getJson(espnUrl(league, 'scoreboard', { dates: `${start}-${today}`, limit: SCOREBOARD_LIMIT })).catch(fetchFailed(tournament, 'scoreboard')),
+    getJson(standingsUrl(league)).catch(fetchFailed(tournament, 'standings'))
+  ]);
+
+  const matches = (scoreboard?.events || []).slice().sort((a, b) => new Date(a.date) - new Date(b.date));
+  const onDay = (match, key) => localDateKey(new Date(match.date), timezone) === key;
+
+  const results = matches.filter(m => onDay(m, yesterday) && isFinished(m)).map(describeResult);
+  const fixtures = matches.filter(m => onDay(m, today) && !isFinished(m)).map(m => describeFixture(m, timezone));
+  const table = groupStandings(standings, nations);
+  const knockout = nations
+    .map(nation => knockoutProgress(matches, nation, timezone))
+    .filter(Boolean);
+
+  const items = [];
+  const add = (suffix, lines) => {
+    if (lines.length > 0) {
+      items.push({ title: `${tournament.name} ${suffix}`, summary: lines.join('\n'), timestamp: new Date().toISOString(), source: tournament.name });
+    }
+  };
+  add('Results', results);
+  add('Today', fixtures);
+  add('Standings', table);
+  add('Knockout Progress', knockout);
+
+  console.log(`✅ ${tournament.name}: ${results.length} results, ${fixtures.length} fixtures today`);
+  return items;
+}
+
+// ─────────────────────────────────────────────
+// Matches
+// ─────────────────────────────────────────────
+
+/**
+ * "Group B: United States 2-1 Wales (Pulisic 23', Weah 70'; Bale 82' pen)"
+ */
+function describeResult(match) {
+  const [home, away] = sides(match);
+  const notes = [];
+
+  const scorers = [home, away].map(side => goalsFor(match, side).join(', ')).filter(Boolean).join('; ');
+  if (scorers) notes.push(scorers);
+  if (home.shootoutScore !== undefined && away.shootoutScore !== undefined) {
+    const [high, low] = [home.shootoutScore, away.shootoutScore].sort((a, b) => b - a);
+    notes.push(`${winnerName(match)} win ${high}-${low} on penalties`);
+  }
+
+  return `${stagePrefix(match)}${home.team.displayName} ${home.score}-${away.score} ${away.team.displayName}` +
+    `${notes.length > 0 ? ` (${notes.join('; ')})` : ''}`;
+}
+
+/**
+ * "Round of 16: Brazil vs Japan at 2:00 PM CDT"
+ */
+function describeFixture(match, timezone) {
+  const [home, away] = sides(match);
+  const time = new Date(match.date).toLocaleTimeString('en-US', { timeZone: timezone, hour: 'numeric', minute: '2-digit', timeZoneName: 'short' });
+  return `${stagePrefix(match)}${home.team.displayName} vs ${away.team.displayName} at ${time}`;
+}
+
+/**
+ * A followed nation's knockout matches so far and its next one
+ * @returns {string|null} e.g. "United States: Round of 32 beat Colombia 2-1; Round of 16 vs France on Jul 4" (null before the knockouts)
+ */
+function knockoutProgress(matches, nation, timezone) {
+  const theirs = matches.filter(m => isKnockout(m) && sides(m).some(side => isNation(side, nation)));
+  if (theirs.length === 0) return null;
+
+  const steps = theirs.map(match => {
+    const ours = sides(match).find(side => isNation(side, nation));
+    const other = sides(match).find(side => side !== ours);
+    if (!isFinished(match)) {
+      const day = new Date(match.date).toLocaleDateString('en-US', { timeZone: timezone, month: 'short', day: 'numeric' });
+      return `${stage(match)} vs ${other.team.displayName} on ${day}`;
+    }
+    const won = ours.winner === true;
+    const penalties = ours.shootoutScore !== undefined ? ` (${ours.shootoutScore}-${other.shootoutScore} pens)` : '';
+    return `${stage(match)} ${won ? 'beat' : 'lost to'} ${other.team.displayName} ${ours.score}-${other.score}${penalties}${won ? '' : ', eliminated'}`;
+  });
+
+  const name = sides(theirs[0]).find(side => isNation(side, nation)).team.displayName;
+  return `${name}: ${steps.join('; ')}`;
+}
+
+/**
+ * Goals a side scored, as "Scorer 23'" (own goals and penalties marked)
+ */
+function goalsFor(match, side) {
+  return (match.competitions?.[0]?.details || [])
+    .filter(d => d.scoringPlay && String(d.team?.id) === String(side.team.id))
+    .map(d => {
+      const scorer = d.athletesInvolved?.[0]?.shortName || d.athletesInvolved?.[0]?.displayName || 'Unknown';
+      const note = d.ownGoal ? ' og' : d.penaltyKick ? ' pen' : '';
+      return `${scorer} ${d.clock?.displayValue || ''}${note}`.replace(/\s+/g, ' ').trim();
+    });
+}
+
+// ─────────────────────────────────────────────
+// Standings
+// ─────────────────────────────────────────────
+
+/**
+ * Groups with a followed nation in full; without followed nations, each group's leaders
+ * @returns {Array<string>} e.g. "Group B: 1. England 7 pts (2-1-0), 2. United States 5 pts (1-2-0)" (wins-draws-losses)
+ */
+function groupStandings(standings, nations = []) {
+  const groups = standings?.children || [];
+  return groups
+    .filter(group => nations.length === 0 || group.standings?.entries?.some(e => nations.some(n => isNation(e, n))))
+    .map(group => {
+      const entries = (group.standings?.entries || []).slice(0, nations.length === 0 ? GROUP_LEADERS : undefined);
+      const rows = entries.map((entry, i) => {
+        const stat = name => entry.stats?.find(s => s.name === name)?.displayValue || '0';
+        return `${i + 1}. ${entry.team.displayName} ${stat('points')} pts (${stat('wins')}-${stat('ties')}-${stat('losses')})`;
+      });
+      return `${group.name}: ${rows.join(', ')}`;
+    });
+}
+
+// ─────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────
+
+function sides(match) {
+  const competitors = match.competitions?.[0]?.competitors || [];
+  const home = competitors.find(c => c.homeAway === 'home') || competitors[0];
+  const away = competitors.find(c => c !== home);
+  return [home, away];
+}
+
+function stage(match) {
+  return match.competitions?.[0]?.notes?.[0]?.headline || '';
+}
+
+function stagePrefix(match) {
+  return stage(match) ? `${stage(match)}: ` : '';
+}
+
+function isKnockout(match) {
+  return Boolean(stage(match)) && !/^group/i.test(stage(match));
+}
+
+function isFinished(match) {
+  return match.status?.type?.completed === true;
+}
+
+function winnerName(match) {
+  return sides(match).find(side => side.winner)?.team.displayName || 'Winner';
+}
+
+/**
+ * Whether a competitor or standings entry is a followed nation (by name or abbreviation)
+ */
+function isNation(competitor, nation) {
+  const wanted = nation.toLowerCase();
+  return [competitor.team?.displayName, competitor.team?.name, competitor.team?.abbreviation]
+    .some(value => value && value.toLowerCase() === wanted);
+}
+
+/**
+ * Log a failed request and carry on without its data
+ */
+function fetchFailed(tournament, label) {
+  return error => {
+    console.error(`❌ Failed to fetch ${tournament.name} ${label}:`, error.message);
+    return null;
+  };
+}
+
+module.exports = {
+  activeTournament,
+  fetchTournamentUpdates,
+  describeResult,
+  describeFixture,
+  knockoutProgress,
+  groupStandings
+};
@@ -1,82 +1,369 @@
 /**
- * Weather Fetcher
+ * Weather
  *
- * Fetches current weather and forecast for Chicago, IL
+ * Today's forecast for the podcast's config.location, in the units it asks for
+ * (location.units: "imperial" or "metric"). Open-Meteo is the main provider and wttr.in
+ * the fallback; both are normalized to the same shape:
+ *   { provider, units, current: { temperature, feelsLike, windSpeed, description },
+ *     hours: [{ date, hour, temperature, feelsLike, precipChance, windSpeed }],
+ *     days: [{ date, high, low, precipChance, description }] }
+ * with dates and hours in the location's local time. Active National Weather Service
+ * alerts for the point are added for US locations.
  */
 
-const axios = require('axios');
+const { getJson } = require('./http');
+const { localDateKey, localWeekday } = require('./recency');
+
+// Per unit system: labels, Open-Meteo query parameters, wttr.in field names, and the wind
+// chill thresholds (only at or below `chillAt`, when it feels at least `chillGap` colder)
+const { units: UNITS } = require('./data/weatherUnits.json');
+
+// WMO weather interpretation codes (used by Open-Meteo)
+const WMO_CODES = {
+  0: 'clear skies',
+  1: 'mainly clear',
+  2: 'partly cloudy',
+  3: 'overcast',
+  45: 'foggy',
+  48: 'freezing fog',
+  51: 'light drizzle',
+  53: 'drizzle',
+  55: 'heavy drizzle',
+  56: 'light freezing drizzle',
+  57: 'freezing drizzle',
+  61: 'light rain',
+  63: 'moderate rain',
+  65: 'heavy rain',
+  66: 'light freezing rain',
+  67: 'freezing rain',
+  71: 'light snow',
+  73: 'moderate snow',
+  75: 'heavy snow',
+  77: 'snow grains',
+  80: 'light rain showers',
+  81: 'rain showers',
+  82: 'violent rain showers',
+  85: 'light snow showers',
+  86: 'heavy snow showers',
+  95: 'thunderstorms',
+  96: 'thunderstorms with light hail',
+  99: 'thunderstorms with heavy hail'
+};
+
+// Local hours [start, end) checked for rain on the way to and from work
+const COMMUTES = [
+  { name: 'morning', start: 7, end: 9 },
+  { name: 'evening', start: 16, end: 19 }
+];
+const RAIN_LIKELY_PERCENT = 40;
+const OUTLOOK_DAYS = 3;
+
+// State and territory codes the National Weather Service issues alerts for
+const NWS_STATES = [
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY',
+  'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND',
+  'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY',
+  'DC', 'PR', 'GU', 'VI', 'AS', 'MP'
+];
+
+// ─────────────────────────────────────────────
+// Providers
+// ─────────────────────────────────────────────
 
 /**
- * Get weather for Chicago, IL
+ * Forecast from Open-Meteo (free, no key needed)
  */
-async function getChicagoWeather() {
-  console.log('Fetching Chicago weather...');
-
-  try {
-    // Using wttr.in - free weather API, no key needed
-    const response = await axios.get('https://wttr.in/Chicago,IL?format=j1', {
-      timeout: 5000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0'
-      }
-    });
-
-    const data = response.data;
-    const current = data.current_condition[0];
-    const today = data.weather[0];
-
-    const weather = {
-      temperature: current.temp_F,
-      feelsLike: current.FeelsLikeF,
-      condition: current.weatherDesc[0].value,
-      high: today.maxtempF,
-      low: today.mintempF,
-      humidity: current.humidity,
-      chanceOfRain: today.hourly[4]?.chanceofrain || '0', // Midday rain chance
-    };
-
-    console.log(`  Current: ${weather.temperature}°F, ${weather.condition}`);
-    console.log(`  High: ${weather.high}°F, Low: ${weather.low}°F`);
-
-    return weather;
-
-  } catch (error) {
-    console.error('  ⚠️  Weather fetch failed:', error.message);
-
-    // Return fallback data
-    return {
-      temperature: 'unknown',
-      condition: 'unavailable',
-      high: 'unknown',
-      low: 'unknown',
-      chanceOfRain: '0',
-      error: true
-    };
+async function fetchOpenMeteo(location, units) {
+  const url = 'https://api.open-meteo.com/v1/forecast'
+    + `?latitude=${location.latitude}&longitude=${location.longitude}`
+    + '&current=temperature_2m,apparent_temperature,weather_code,wind_speed_10m'
+    + '&hourly=temperature_2m,apparent_temperature,precipitation_probability,wind_speed_10m'
+    + '&daily=weather_code,temperature_2m_max,temperature_2m_min,precipitation_probability_max'
+    + `${UNITS[units].openMeteo}&timezone=${encodeURIComponent(location.timezone)}&forecast_days=${OUTLOOK_DAYS + 1}`;
+
+  const data = await getJson(url, { label: 'Open-Meteo' });
+  if (!data?.current || !data?.hourly?.time || !data?.daily?.time) {
+    throw new Error(`Open-Meteo returned no forecast${data?.reason ? ` (${data.reason})` : ''}`);
   }
+  return parseOpenMeteo(data, units);
 }
 
 /**
- * Format weather for natural speech
+ * Normalize an Open-Meteo response (times already local to the requested timezone)
  */
-function formatWeatherForSpeech(weather) {
-  if (weather.error) {
-    return "Weather data unavailable today";
+function parseOpenMeteo(data, units) {
+  const { current, hourly, daily } = data;
+  return {
+    provider: 'Open-Meteo',
+    units,
+    current: {
+      temperature: current.temperature_2m,
+      feelsLike: current.apparent_temperature ?? current.temperature_2m,
+      windSpeed: current.wind_speed_10m,
+      description: describeWmoCode(current.weather_code)
+    },
+    hours: hourly.time.map((time, i) => ({
+      date: time.slice(0, 10),
+      hour: Number(time.slice(11, 13)),
+      temperature: hourly.temperature_2m[i],
+      feelsLike: hourly.apparent_temperature?.[i] ?? hourly.temperature_2m[i],
+      precipChance: hourly.precipitation_probability?.[i] ?? 0,
+      windSpeed: hourly.wind_speed_10m?.[i] ?? 0
+    })),
+    days: daily.time.map((date, i) => ({
+      date,
+      high: daily.temperature_2m_max[i],
+      low: daily.temperature_2m_min[i],
+      precipChance: daily.precipitation_probability_max?.[i] ?? 0,
+      description: describeWmoCode(daily.weather_code?.[i])
+    }))
+  };
+}
+
+/**
+ * Forecast from wttr.in (free, no key needed; three days in three-hour steps)
+ */
+async function fetchWttr(location, units) {
+  const data = await getJson(`https://wttr.in/${location.latitude},${location.longitude}?format=j1`, { label: 'wttr.in' });
+  if (!data?.current_condition?.length || !data?.weather?.length) {
+    throw new Error('wttr.in returned no forecast');
+  }
+  return parseWttr(data, units);
+}
+
+/**
+ * Normalize a wttr.in j1 response (hourly "time" is local HHMM, e.g. "900")
+ */
+function parseWttr(data, units) {
+  const keys = UNITS[units].wttr;
+  const current = data.current_condition[0];
+  const description = entry => (entry?.weatherDesc?.[0]?.value || '').trim().toLowerCase() || 'mixed conditions';
+
+  return {
+    provider: 'wttr.in',
+    units,
+    current: {
+      temperature: Number(current[keys.current]),
+      feelsLike: Number(current[keys.feelsLike]),
+      windSpeed: Number(current[keys.wind]),
+      description: description(current)
+    },
+    hours: data.weather.flatMap(day => (day.hourly || []).map(hour => ({
+      date: day.date,
+      hour: Math.floor(Number(hour.time) / 100),
+      temperature: Number(hour[keys.temperature]),
+      feelsLike: Number(hour[keys.feelsLike]),
+      precipChance: Number(hour.chanceofrain || 0),
+      windSpeed: Number(hour[keys.wind] || 0)
+    }))),
+    days: data.weather.map(day => ({
+      date: day.date,
+      high: Number(day[keys.max]),
+      low: Number(day[keys.min]),
+      precipChance: Math.max(0, ...(day.hourly || []).map(hour => Number(hour.chanceofrain || 0))),
+      // Midday conditions stand for the whole day
+      description: description(day.hourly?.[4] || day.hourly?.[0])
+    }))
+  };
+}
+
+/**
+ * Whether the National Weather Service covers a location: `country` when set,
+ * otherwise a US state or territory code in `state`
+ */
+function hasNwsAlerts(location) {
+  if (location.country) return location.country === 'US';
+  return NWS_STATES.includes(String(location.state).toUpperCase());
+}
+
+/**
+ * Active National Weather Service alerts for a point (US only; see hasNwsAlerts())
+ * @returns {Promise<Array<{event: string, severity: string, ends: Date|null}>>}
+ */
+async function fetchAlerts(location) {
+  const data = await getJson(
+    `https://api.weather.gov/alerts/active?point=${location.latitude},${location.longitude}&status=actual`,
+    { label: 'National Weather Service', headers: { Accept: 'application/geo+json' } }
+  );
+  return (data?.features || []).map(({ properties: p }) => ({
+    event: p.event,
+    severity: p.severity,
+    ends: p.ends || p.expires ? new Date(p.ends || p.expires) : null
+  }));
+}
+
+const WEATHER_PROVIDERS = [
+  { name: 'Open-Meteo', fetchForecast: fetchOpenMeteo },
+  { name: 'wttr.in', fetchForecast: fetchWttr }
+];
+
+// ─────────────────────────────────────────────
+// Forecast
+// ─────────────────────────────────────────────
+
+/**
+ * Fetch today's weather for the podcast's location, falling back to the next provider
+ * when one fails. Alerts, commute and wind chill highlights and (on Fridays) a
+ * 3-day outlook are added to the forecast.
+ * @param {Object} config - Podcast configuration with location data
+ * @param {Object} options
+ * @param {Date} options.now - Reference time (default: now)
+ * @returns {Promise<Object|null>} Forecast, or null when every provider failed
+ */
+async function fetchWeather(config, { now = new Date() } = {}) {
+  const { location } = config;
+  const units = location.units || 'imperial';
+  const place = `${location.city}, ${location.state}`;
+  console.log(`🌤️  Fetching weather for ${place}...`);
+
+  // NWS only covers the US, so elsewhere no alert request is made
+  const alerts = hasNwsAlerts(location)
+    ? fetchAlerts(location).catch(error => {
+      console.error('  ⚠️  Weather alerts unavailable:', error.message);
+      return [];
+    })
+    : Promise.resolve([]);
+
+  for (const provider of WEATHER_PROVIDERS) {
+    try {
+      const forecast = await provider.fetchForecast(location, units);
+      const clock = localClock(now, location.timezone);
+      const today = forecast.days.find(day => day.date === clock.date) || forecast.days[0];
+      const weather = {
+        ...forecast,
+        location: place,
+        timezone: location.timezone,
+        today,
+        alerts: await alerts,
+        highlights: weatherHighlights(forecast, clock),
+        outlook: localWeekday(now, location.timezone) === 'Fri'
+          ? forecast.days.filter(day => day.date > clock.date).slice(0, OUTLOOK_DAYS)
+          : []
+      };
+      console.log(`  ✅ ${weather.current.description}, ${Math.round(weather.current.temperature)}${UNITS[units].temperature} (${provider.name})`);
+      return weather;
+    } catch (error) {
+      console.error(`  ⚠️  ${provider.name} weather failed:`, error.message);
+    }
+  }
+
+  await alerts;
+  console.error(`  ❌ No weather available for ${place}`);
+  return null;
+}
+
+/**
+ * Notable hours left in the day: rain during a commute that hasn't finished yet, and
+ * the hour the wind chill bites hardest.
+ * @param {Object} forecast - Normalized forecast
+ * @param {Object} clock - { date: 'YYYY-MM-DD', hour } local now
+ * @returns {Array<string>}
+ */
+function weatherHighlights(forecast, { date, hour }) {
+  const { temperature, chillAt, chillGap } = UNITS[forecast.units];
+  const today = forecast.hours.filter(h => h.date === date);
+  const highlights = [];
+
+  for (const commute of COMMUTES) {
+    if (commute.end <= hour) continue;
+    const wettest = today
+      .filter(h => h.hour >= commute.start && h.hour < commute.end)
+      .reduce((a, b) => (!a || b.precipChance > a.precipChance ? b : a), null);
+    if (wettest && wettest.precipChance >= RAIN_LIKELY_PERCENT) {
+      highlights.push(`Rain likely for the ${commute.name} commute (${wettest.precipChance}% around ${formatHour(wettest.hour)})`);
+    }
   }
 
-  let speech = `It's currently ${weather.temperature} degrees`;
+  const chilly = today.filter(h => h.hour >= Math.max(hour, 6) && h.hour <= 21
+    && h.temperature <= chillAt && h.temperature - h.feelsLike >= chillGap);
+  if (chilly.length > 0) {
+    const coldest = chilly.reduce((a, b) => (b.feelsLike < a.feelsLike ? b : a));
+    highlights.push(`Wind chill makes it feel like ${Math.round(coldest.feelsLike)}${temperature} around ${formatHour(coldest.hour)}`
+      + ` (actual ${Math.round(coldest.temperature)}${temperature})`);
+  }
+
+  return highlights;
+}
+
+// ─────────────────────────────────────────────
+// Formatting
+// ─────────────────────────────────────────────
 
-  if (weather.condition.toLowerCase() !== 'unknown') {
-    speech += ` and ${weather.condition.toLowerCase()}`;
+/**
+ * Format weather for the script prompt: conditions, then any alerts, highlights and outlook
+ * @param {Object|null} weather - Result of fetchWeather()
+ * @returns {string}
+ */
+function formatWeatherForSpeech(weather) {
+  if (!weather) {
+    return 'Weather data unavailable today';
   }
 
-  speech += ` in Chicago. Today's high will be ${weather.high} with a low of ${weather.low}`;
+  const { temperature, wind } = UNITS[weather.units];
+  const degrees = value => `${Math.round(value)}${temperature}`;
+  const { current, today } = weather;
+
+  let text = `${capitalize(current.description)}, currently ${degrees(current.temperature)}`;
+  if (Math.round(current.feelsLike) !== Math.round(current.temperature)) {
+    text += ` (feels like ${degrees(current.feelsLike)})`;
+  }
+  if (today) {
+    text += `, high of ${degrees(today.high)}, low of ${degrees(today.low)}, ${today.precipChance}% chance of rain`;
+  }
+  text += `, winds at ${Math.round(current.windSpeed)} ${wind}.`;
 
-  const rainChance = parseInt(weather.chanceOfRain);
-  if (rainChance > 30) {
-    speech += `, and there's a ${rainChance} percent chance of rain`;
+  const lines = [text];
+  if (weather.alerts?.length) {
+    const alerts = weather.alerts.map(alert => (alert.ends
+      ? `${alert.event} until ${alert.ends.toLocaleString('en-US', { weekday: 'short', hour: 'numeric', timeZone: weather.timezone })}`
+      : alert.event));
+    lines.push(`Weather alerts: ${alerts.join('; ')}.`);
+  }
+  if (weather.highlights?.length) {
+    lines.push(`Highlights: ${weather.highlights.join('. ')}.`);
+  }
+  if (weather.outlook?.length) {
+    const days = weather.outlook.map(day => `${weekdayName(day.date)} ${day.description}, `
+      + `${degrees(day.high)}/${degrees(day.low)}, ${day.precipChance}% chance of rain`);
+    lines.push(`3-day outlook: ${days.join('; ')}.`);
   }
+  return lines.join('\n');
+}
+
+// ─────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────
+
+function describeWmoCode(code) {
+  return WMO_CODES[code] ?? 'mixed conditions';
+}
+
+/**
+ * Local date (YYYY-MM-DD) and hour at `now` in `timezone`
+ */
+function localClock(now, timezone) {
+  const key = localDateKey(now, timezone);
+  const hour = Number(new Intl.DateTimeFormat('en-US', { timeZone: timezone, hourCycle: 'h23', hour: 'numeric' }).format(now));
+  return { date: `${key.slice(0, 4)}-${key.slice(4, 6)}-${key.slice(6)}`, hour };
+}
+
+function formatHour(hour) {
+  return `${hour % 12 || 12} ${hour < 12 ? 'AM' : 'PM'}`;
+}
+
+function weekdayName(date) {
+  return new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+}
 
-  return speech;
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
 }
 
-module.exports = { getChicagoWeather, formatWeatherForSpeech };
+module.exports = {
+  WMO_CODES,
+  fetchWeather,
+  parseOpenMeteo,
+  parseWttr,
+  weatherHighlights,
+  formatWeatherForSpeech
+};
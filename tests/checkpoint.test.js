@@ -0,0 +1,73 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { RunCheckpoint } = require('../src/checkpoint');
+
+const config = { id: 'testpod', location: { timezone: 'America/Chicago' } };
+const NOW = new Date('2026-10-19T13:05:09Z'); // 08:05:09 in Chicago
+
+let runsDir;
+
+beforeEach(() => {
+  runsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'runs-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(runsDir, { recursive: true, force: true });
+});
+
+describe('RunCheckpoint.create()', () => {
+  test('names the run after the podcast and local start time', () => {
+    const checkpoint = RunCheckpoint.create(config, NOW, runsDir);
+    expect(checkpoint.runId).toBe('testpod-20261019-080509');
+    expect(fs.existsSync(checkpoint.manifestPath)).toBe(true);
+  });
+
+  test('fixes the episode date and time in the manifest', () => {
+    const { episode, completedStages } = RunCheckpoint.create(config, NOW, runsDir).readManifest();
+    expect(episode.dateStr).toBe('2026-10-19');
+    expect(episode.timeStr).toBe('080509');
+    expect(completedStages).toEqual([]);
+  });
+});
+
+describe('RunCheckpoint stages', () => {
+  test('saves and reloads a stage output', () => {
+    const checkpoint = RunCheckpoint.create(config, NOW, runsDir);
+    checkpoint.save('script', { script: '[HOST]\nHello', summary: 'Hi' });
+
+    const reopened = RunCheckpoint.open(checkpoint.runId, runsDir);
+    expect(reopened.has('script')).toBe(true);
+    expect(reopened.load('script')).toEqual({ script: '[HOST]\nHello', summary: 'Hi' });
+  });
+
+  test('reports stages that have not run', () => {
+    const checkpoint = RunCheckpoint.create(config, NOW, runsDir);
+    checkpoint.save('content', {});
+    expect(checkpoint.has('content')).toBe(true);
+    expect(checkpoint.has('audio')).toBe(false);
+  });
+
+  test('rejects unknown stage names', () => {
+    const checkpoint = RunCheckpoint.create(config, NOW, runsDir);
+    expect(() => checkpoint.save('mastering', {})).toThrow('Unknown pipeline stage: mastering');
+  });
+
+  test('invalidate() clears the stage and every later stage', () => {
+    const checkpoint = RunCheckpoint.create(config, NOW, runsDir);
+    for (const stage of ['content', 'script', 'audio', 'feed']) {
+      checkpoint.save(stage, {});
+    }
+    checkpoint.invalidate('audio');
+    expect(checkpoint.readManifest().completedStages).toEqual(['content', 'script']);
+  });
+});
+
+describe('RunCheckpoint.open()', () => {
+  test('throws for an unknown run id', () => {
+    expect(() => RunCheckpoint.open('missing-run', runsDir)).toThrow('No checkpointed run found');
+  });
+});
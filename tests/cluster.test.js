@@ -0,0 +1,99 @@
+'use strict';
+
+const { clusterContent, clusterItems, titleSimilarity } = require('../src/cluster');
+
+// ─────────────────────────────────────────────
+// Matching
+// ─────────────────────────────────────────────
+
+describe('clusterItems()', () => {
+  test('merges items with nearly identical titles', () => {
+    const { items, merged, stories } = clusterItems([
+      { title: 'Apple announces the M5 chip', summary: 'Short', source: 'The Verge AI' },
+      { title: 'Apple announces M5 chip', summary: 'A longer summary of the chip', source: 'TechCrunch AI' },
+    ]);
+    expect(merged).toBe(1);
+    expect(stories).toBe(1);
+    expect(items).toEqual([{
+      title: 'Apple announces M5 chip',
+      summary: 'A longer summary of the chip',
+      source: 'TechCrunch AI',
+      sources: ['The Verge AI', 'TechCrunch AI'],
+    }]);
+  });
+
+  test('merges items that link to the same page', () => {
+    const { items } = clusterItems([
+      { title: 'Show HN: a tool', summary: '', source: 'Hacker News', url: 'https://www.example.com/post/?utm_source=hn' },
+      { title: 'A completely different headline', summary: 'Body', source: 'Newsletter', url: 'https://example.com/post' },
+    ]);
+    expect(items).toHaveLength(1);
+    expect(items[0].sources).toEqual(['Hacker News', 'Newsletter']);
+  });
+
+  test('merges reworded headlines that name the same entities', () => {
+    const { items } = clusterItems([
+      { title: 'OpenAI launches GPT-5 with better reasoning', summary: 'OpenAI released GPT-5.', source: 'The Verge AI', url: 'https://theverge.com/gpt5' },
+      { title: "GPT-5 is here: OpenAI's new model", summary: 'The model from OpenAI, GPT-5, arrives with longer context.', source: 'TechCrunch AI' },
+    ]);
+    expect(items).toHaveLength(1);
+    expect(items[0].title).toBe("GPT-5 is here: OpenAI's new model");
+    expect(items[0].url).toBe('https://theverge.com/gpt5');
+  });
+
+  test('keeps different stories about the same companies apart', () => {
+    const { items, merged } = clusterItems([
+      { title: 'Microsoft and OpenAI renegotiate their deal', summary: 'Microsoft OpenAI', source: 'The Verge AI' },
+      { title: 'Microsoft unveils Copilot update for OpenAI models', summary: 'Microsoft OpenAI Copilot', source: 'TechCrunch AI' },
+    ]);
+    expect(merged).toBe(0);
+    expect(items.map(i => i.sources)).toEqual([['The Verge AI'], ['TechCrunch AI']]);
+  });
+
+  test('honours a custom title similarity threshold', () => {
+    const items = [
+      { title: 'Nvidia earnings beat expectations', source: 'A' },
+      { title: 'Nvidia earnings beat forecasts again', source: 'B' },
+    ];
+    expect(clusterItems(items).merged).toBe(0);
+    expect(clusterItems(items, { titleSimilarity: 0.5 }).merged).toBe(1);
+  });
+});
+
+describe('titleSimilarity()', () => {
+  test('ignores case, punctuation, possessives and stopwords', () => {
+    expect(titleSimilarity("Google's Gemini: the update", 'google gemini update')).toBe(1);
+    expect(titleSimilarity('Rates rise', 'Chips fall')).toBe(0);
+  });
+});
+
+// ─────────────────────────────────────────────
+// Content bundle
+// ─────────────────────────────────────────────
+
+describe('clusterContent()', () => {
+  test('clusters across AI news and newsletters and leaves other sections alone', () => {
+    const bundle = {
+      aiNews: [
+        { title: 'Anthropic raises new funding round', summary: 'Details', source: 'TechCrunch AI' },
+        { title: 'Robotics startup ships humanoid', summary: 'Robots', source: 'The Verge AI' },
+      ],
+      newsletters: [
+        { title: 'Anthropic raises funding round', summary: 'More details from the newsletter', source: 'Axios Newsletters' },
+      ],
+      additionalSourcing: { news: [{ title: 'Anthropic raises funding round', source: 'News' }] },
+    };
+
+    const { contentBundle, merged, stories } = clusterContent(bundle);
+    expect(merged).toBe(1);
+    expect(stories).toBe(1);
+    expect(contentBundle.aiNews.map(i => i.title)).toEqual(['Robotics startup ships humanoid']);
+    expect(contentBundle.newsletters).toEqual([{
+      title: 'Anthropic raises funding round',
+      summary: 'More details from the newsletter',
+      source: 'Axios Newsletters',
+      sources: ['TechCrunch AI', 'Axios Newsletters'],
+    }]);
+    expect(contentBundle.additionalSourcing).toBe(bundle.additionalSourcing);
+  });
+});
@@ -0,0 +1,456 @@
+'use strict';
+
+const {
+  loadConfig,
+  resolveConfig,
+  mergeConfig,
+  interpolateEnv,
+  validateConfig,
+  collectConfigErrors,
+} = require('../src/config');
+const { sources: BUILTIN_SOURCES } = require('../src/data/sources.json');
+
+// Private feed URLs referenced by the shipped configs
+const SHIPPED_ENV = {
+  BENPOD_NEWSLETTER_FEED_URL: 'https://kill-the-newsletter.com/feeds/benpod.xml',
+  BENPOD_AI_FEED_URL: 'https://kill-the-newsletter.com/feeds/benpod-ai.xml',
+  BENPOD_ARTICLES_FEED_URL: 'https://kill-the-newsletter.com/feeds/benpod-articles.xml',
+  MATCHMASS_NEWSLETTER_FEED_URL: 'https://kill-the-newsletter.com/feeds/matchmass.xml',
+  MICAHPOD_NEWSLETTER_FEED_URL: 'https://kill-the-newsletter.com/feeds/micahpod.xml',
+};
+
+// Minimal config that satisfies every required field
+function makeConfig(overrides = {}) {
+  return {
+    id: 'testpod',
+    metadata: {
+      title: 'Test Pod',
+      author: 'Tester',
+      description: 'A test podcast',
+      email: 'test@example.com',
+    },
+    location: {
+      city: 'Chicago',
+      state: 'IL',
+      latitude: 41.8781,
+      longitude: -87.6298,
+      timezone: 'America/Chicago',
+    },
+    paths: {
+      feedFile: 'testpod.xml',
+      episodesDir: 'testpod',
+      episodeMemoryFile: 'testpod-memory.json',
+      artworkFile: 'testpod-artwork.jpg',
+    },
+    content: {},
+    voices: {
+      host: { languageCode: 'en-US', name: 'en-US-Studio-O' },
+      cohost: { languageCode: 'en-US', name: 'en-US-Studio-Q' },
+    },
+    ...overrides,
+  };
+}
+
+// ─────────────────────────────────────────────
+// Shipped configs
+// ─────────────────────────────────────────────
+
+describe('loadConfig() — shipped configs', () => {
+  test.each(['benpod', 'matchmass', 'micahpod'])('%s.json is valid', (id) => {
+    expect(() => loadConfig(id, { env: SHIPPED_ENV })).not.toThrow();
+  });
+
+  test('validates without the fetchers loaded', () => {
+    jest.isolateModules(() => {
+      const { loadConfig: loadFresh } = require('../src/config');
+      expect(() => loadFresh('benpod', { env: SHIPPED_ENV })).not.toThrow();
+      expect(require('../src/sources').listSources()).toEqual([]);
+    });
+  });
+
+  test('reports private feed URLs missing from the environment', () => {
+    expect(() => loadConfig('matchmass', { env: {} }))
+      .toThrow('content.newsletters.killTheNewsletterFeedUrl: environment variable MATCHMASS_NEWSLETTER_FEED_URL is not set');
+  });
+
+  test('throws when the config file does not exist', () => {
+    expect(() => loadConfig('does-not-exist')).toThrow('Configuration file not found');
+  });
+});
+
+// ─────────────────────────────────────────────
+// collectConfigErrors
+// ─────────────────────────────────────────────
+
+describe('collectConfigErrors()', () => {
+  test('returns no errors for a minimal valid config', () => {
+    expect(collectConfigErrors(makeConfig(), 'testpod.json')).toEqual([]);
+  });
+
+  test('reports missing required fields with their path', () => {
+    const config = makeConfig();
+    delete config.metadata.email;
+    const errors = collectConfigErrors(config, 'testpod.json');
+    expect(errors).toEqual(['testpod.json: metadata.email: missing required field']);
+  });
+
+  test('reports unknown keys with a suggestion', () => {
+    const config = makeConfig({
+      content: { news: { enabled: true, feeds: [], maxItemPerFeed: 5 } },
+    });
+    const errors = collectConfigErrors(config, 'testpod.json');
+    expect(errors).toEqual([
+      'testpod.json: content.news.maxItemPerFeed: unknown key (did you mean "maxItemsPerFeed"?)',
+    ]);
+  });
+
+  test('reports typos inside array items with an index', () => {
+    const config = makeConfig({
+      content: { sports: { enabled: true, teams: [{ leauge: 'nba', name: 'Warriors' }] } },
+    });
+    const errors = collectConfigErrors(config, 'testpod.json');
+    expect(errors).toContain('testpod.json: content.sports.teams[0].leauge: unknown key (did you mean "league"?)');
+    expect(errors).toContain('testpod.json: content.sports.teams[0].league: missing required field');
+  });
+
+  test('rejects values outside an enum', () => {
+    const config = makeConfig({
+      content: { surfConditions: { enabled: true, provider: 'magicseaweed' } },
+    });
+    const errors = collectConfigErrors(config, 'testpod.json');
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toContain('content.surfConditions.provider: "magicseaweed" is not one of');
+  });
+
+  test('rejects wrong types', () => {
+    const config = makeConfig({ preferredDurationMinutes: '10' });
+    expect(collectConfigErrors(config, 'testpod.json')).toEqual([
+      'testpod.json: preferredDurationMinutes: expected integer, got string',
+    ]);
+  });
+
+  test('rejects out-of-range latitude and invalid timezone', () => {
+    const config = makeConfig();
+    config.location.latitude = 120;
+    config.location.timezone = 'America/Nowhere';
+    const errors = collectConfigErrors(config, 'testpod.json');
+    expect(errors).toHaveLength(2);
+    expect(errors[0]).toContain('location.latitude: 120 is above the maximum of 90');
+    expect(errors[1]).toContain('location.timezone: "America/Nowhere" is not a valid timezone');
+  });
+
+  test('accepts metric or imperial weather units only', () => {
+    const config = makeConfig();
+    config.location.units = 'metric';
+    expect(collectConfigErrors(config, 'testpod.json')).toEqual([]);
+    config.location.units = 'kelvin';
+    expect(collectConfigErrors(config, 'testpod.json')[0]).toContain('location.units: "kelvin" is not one of');
+  });
+
+  test('takes the location country as a two-letter code', () => {
+    const config = makeConfig();
+    config.location.country = 'CA';
+    expect(collectConfigErrors(config, 'testpod.json')).toEqual([]);
+    config.location.country = 'Canada';
+    expect(collectConfigErrors(config, 'testpod.json')[0]).toContain('location.country: "Canada" does not match');
+  });
+
+  test('validates every value of a map-style object', () => {
+    const config = makeConfig({
+      content: { ranking: { sourceWeights: { anthropic: 2, hackernews: -1 }, tokenBudgets: { default: 'lots' } } },
+    });
+    expect(collectConfigErrors(config, 'testpod.json')).toEqual([
+      'testpod.json: content.ranking.sourceWeights.hackernews: -1 is below the minimum of 0',
+      'testpod.json: content.ranking.tokenBudgets.default: expected integer, got string',
+    ]);
+  });
+
+  test('reports every error at once', () => {
+    const config = makeConfig({ extra: true });
+    delete config.voices.host.name;
+    config.paths.feedFile = '';
+    expect(collectConfigErrors(config, 'testpod.json')).toHaveLength(3);
+  });
+});
+
+// ─────────────────────────────────────────────
+// validateConfig
+// ─────────────────────────────────────────────
+
+describe('collectConfigErrors() — sources', () => {
+  const wired = { id: 'wired', type: 'rss', url: 'https://www.wired.com/feed/tag/ai/latest/rss' };
+
+  test('accepts built-in and declared source ids', () => {
+    const config = makeConfig({
+      content: {
+        sources: [wired],
+        aiNews: { enabled: true, sources: ['openai', 'wired'] },
+        news: { enabled: true, sources: ['wired'] },
+      },
+    });
+    expect(collectConfigErrors(config, 'testpod.json')).toEqual([]);
+  });
+
+  test('accepts every built-in source id', () => {
+    const config = makeConfig({ content: { aiNews: { enabled: true, sources: Object.keys(BUILTIN_SOURCES) } } });
+    expect(collectConfigErrors(config, 'testpod.json')).toEqual([]);
+  });
+
+  test('reports unknown source ids with a suggestion', () => {
+    const config = makeConfig({
+      content: { sources: [wired], aiNews: { enabled: true, sources: ['openai', 'wird', 'nytimes'] } },
+    });
+    expect(collectConfigErrors(config, 'testpod.json')).toEqual([
+      'testpod.json: content.aiNews.sources[1]: unknown source "wird" (did you mean "wired"?)',
+      'testpod.json: content.aiNews.sources[2]: unknown source "nytimes"',
+    ]);
+  });
+
+  test('checks source ids listed under international relations regions', () => {
+    const config = makeConfig({
+      content: {
+        sources: [wired],
+        internationalRelations: {
+          enabled: true,
+          regions: [{ name: 'Iran', sources: ['wired'] }, { name: 'China', sources: ['foreignpolicy'] }],
+        },
+      },
+    });
+    expect(collectConfigErrors(config, 'testpod.json')).toEqual([
+      'testpod.json: content.internationalRelations.regions[1].sources[0]: unknown source "foreignpolicy"',
+    ]);
+  });
+
+  test('rejects declared ids that shadow a built-in or repeat', () => {
+    const config = makeConfig({
+      content: { sources: [wired, { ...wired }, { ...wired, id: 'verge' }] },
+    });
+    expect(collectConfigErrors(config, 'testpod.json')).toEqual([
+      'testpod.json: content.sources[1].id: "wired" is already defined',
+      'testpod.json: content.sources[2].id: "verge" is already defined',
+    ]);
+  });
+
+  test('requires selectors for scrape sources and fields for json sources', () => {
+    const config = makeConfig({
+      content: {
+        sources: [
+          { id: 'blog', type: 'scrape', url: 'https://example.com/blog' },
+          { id: 'api', type: 'json', url: 'https://example.com/api' },
+        ],
+      },
+    });
+    expect(collectConfigErrors(config, 'testpod.json')).toEqual([
+      'testpod.json: content.sources[0]: scrape sources need selectors',
+      'testpod.json: content.sources[1]: json sources need fields',
+    ]);
+  });
+});
+
+describe('collectConfigErrors() — events', () => {
+  const keynote = {
+    type: 'custom', enabled: true, name: 'Apple Keynote',
+    windows: [{ start: '2026-09-09', end: '2026-09-09' }],
+    feeds: [{ url: 'https://www.macrumors.com/macrumors.xml', name: 'MacRumors' }],
+  };
+
+  test('accepts built-in and custom events, including the older sports.events', () => {
+    const config = makeConfig({
+      content: {
+        events: [{ type: 'olympics', enabled: true, countries: ['USA'] }, keynote],
+        sports: { enabled: true, teams: [], events: [{ type: 'worldcup', enabled: true, onlyDuringEvent: true, nations: ['USA'] }] },
+      },
+    });
+    expect(collectConfigErrors(config, 'testpod.json')).toEqual([]);
+  });
+
+  test('requires a name and valid windows for custom events', () => {
+    const config = makeConfig({
+      content: {
+        events: [
+          { type: 'custom', enabled: true },
+          { ...keynote, windows: [{ start: '2026-09-10', end: '2026-09-09' }] },
+          { ...keynote, windows: [{ start: 'Sept 9', end: '2026-09-09' }] },
+        ],
+      },
+    });
+    expect(collectConfigErrors(config, 'testpod.json')).toEqual([
+      'testpod.json: content.events[2].windows[0].start: "Sept 9" does not match ^\\d{4}-\\d{2}-\\d{2}$',
+    ]);
+    config.content.events.pop();
+    expect(collectConfigErrors(config, 'testpod.json')).toEqual([
+      'testpod.json: content.events[0]: custom events need a name',
+      'testpod.json: content.events[0]: custom events need windows',
+      'testpod.json: content.events[1].windows[0]: ends before it starts',
+    ]);
+  });
+
+  test('checks source ids listed under events', () => {
+    const config = makeConfig({ content: { events: [{ ...keynote, sources: ['hackernews', 'macrumors'] }] } });
+    expect(collectConfigErrors(config, 'testpod.json')).toEqual([
+      'testpod.json: content.events[0].sources[1]: unknown source "macrumors"',
+    ]);
+  });
+
+  test('rejects unknown event types', () => {
+    const config = makeConfig({ content: { events: [{ type: 'superbowl', enabled: true }] } });
+    expect(collectConfigErrors(config, 'testpod.json')[0]).toMatch(/^testpod\.json: content\.events\[0\]\.type: "superbowl" is not one of olympics, worldcup/);
+  });
+});
+
+describe('collectConfigErrors() — surf spots', () => {
+  const surf = (settings) => makeConfig({ content: { surfConditions: { enabled: true, ...settings } } });
+
+  test('requires the id each provider needs, counting the fallback', () => {
+    const spots = [
+      { id: '5842041f4e65fad6a7708814', name: 'Rincon' },
+      { name: 'Buoy only', buoyId: '46053' },
+    ];
+    expect(collectConfigErrors(surf({ spots }), 'testpod.json')).toEqual([
+      'testpod.json: content.surfConditions.spots[1]: needs id for surfline',
+    ]);
+    expect(collectConfigErrors(surf({ spots, fallback: 'noaa' }), 'testpod.json')).toEqual([]);
+    expect(collectConfigErrors(surf({ spots, provider: 'noaa' }), 'testpod.json')).toEqual([
+      'testpod.json: content.surfConditions.spots[0]: needs buoyId for noaa',
+    ]);
+  });
+});
+
+describe('validateConfig()', () => {
+  test('does not throw for a valid config', () => {
+    expect(() => validateConfig(makeConfig(), 'testpod')).not.toThrow();
+  });
+
+  test('throws with all messages and exposes them on error.errors', () => {
+    const config = makeConfig();
+    delete config.metadata.title;
+    config.location.longitude = -200;
+
+    let thrown;
+    try {
+      validateConfig(config, 'testpod');
+    } catch (error) {
+      thrown = error;
+    }
+
+    expect(thrown.message).toContain('Invalid configuration testpod.json (2 errors)');
+    expect(thrown.errors).toHaveLength(2);
+  });
+});
+
+// ─────────────────────────────────────────────
+// mergeConfig
+// ─────────────────────────────────────────────
+
+describe('mergeConfig()', () => {
+  test('deep-merges nested objects', () => {
+    const base = { metadata: { author: 'Ben', email: 'a@b.com' } };
+    const result = mergeConfig(base, { metadata: { author: 'Matt' } });
+    expect(result).toEqual({ metadata: { author: 'Matt', email: 'a@b.com' } });
+  });
+
+  test('plain arrays replace the base array', () => {
+    const result = mergeConfig({ sources: ['openai', 'verge'] }, { sources: ['hackernews'] });
+    expect(result.sources).toEqual(['hackernews']);
+  });
+
+  test('$append adds to the end of the base array', () => {
+    const result = mergeConfig({ sources: ['openai'] }, { sources: { $append: ['verge'] } });
+    expect(result.sources).toEqual(['openai', 'verge']);
+  });
+
+  test('$prepend adds to the front of the base array', () => {
+    const result = mergeConfig({ sources: ['openai'] }, { sources: { $prepend: ['verge'] } });
+    expect(result.sources).toEqual(['verge', 'openai']);
+  });
+
+  test('$replace replaces the base array', () => {
+    const result = mergeConfig({ sources: ['openai'] }, { sources: { $replace: ['verge'] } });
+    expect(result.sources).toEqual(['verge']);
+  });
+
+  test('directives with no base value resolve to their array', () => {
+    const result = mergeConfig({}, { feeds: { $append: [{ url: 'https://x.com/feed', name: 'X' }] } });
+    expect(result.feeds).toEqual([{ url: 'https://x.com/feed', name: 'X' }]);
+  });
+
+  test('throws when a directive is not given an array', () => {
+    expect(() => mergeConfig({ sources: [] }, { sources: { $append: 'verge' } })).toThrow('$append expects an array');
+  });
+
+  test('does not mutate its inputs', () => {
+    const base = { content: { aiNews: { sources: ['openai'] } } };
+    const override = { content: { aiNews: { sources: { $append: ['verge'] } } } };
+    const before = JSON.stringify([base, override]);
+    mergeConfig(base, override);
+    expect(JSON.stringify([base, override])).toBe(before);
+  });
+});
+
+// ─────────────────────────────────────────────
+// resolveConfig
+// ─────────────────────────────────────────────
+
+describe('resolveConfig()', () => {
+  test('inherits shared voices from _base.json', () => {
+    const config = resolveConfig('matchmass');
+    expect(config.voices.host.name).toBe('en-US-Studio-O');
+    expect(config.extends).toBeUndefined();
+  });
+
+  test('own values override inherited ones', () => {
+    const config = resolveConfig('matchmass');
+    expect(config.metadata.author).toBe('Matt');
+    expect(config.content.aiNews.sources).toEqual(['verge', 'techcrunch', 'venturebeat', 'hackernews']);
+  });
+});
+
+// ─────────────────────────────────────────────
+// interpolateEnv
+// ─────────────────────────────────────────────
+
+describe('interpolateEnv()', () => {
+  test('replaces placeholders anywhere in the tree', () => {
+    const { value, errors } = interpolateEnv(
+      { metadata: { email: '${EMAIL}' }, feeds: [{ url: 'https://x.com/${TOKEN}.xml' }] },
+      { EMAIL: 'me@example.com', TOKEN: 'abc123' }
+    );
+    expect(errors).toEqual([]);
+    expect(value.metadata.email).toBe('me@example.com');
+    expect(value.feeds[0].url).toBe('https://x.com/abc123.xml');
+  });
+
+  test('uses the default when the variable is unset or empty', () => {
+    const { value, errors } = interpolateEnv({ a: '${A:-one}', b: '${B:-two}' }, { B: '' });
+    expect(errors).toEqual([]);
+    expect(value).toEqual({ a: 'one', b: 'two' });
+  });
+
+  test('reports missing required variables with their config path', () => {
+    const { errors } = interpolateEnv({ content: { news: { feeds: [{ url: '${FEED_URL}' }] } } }, {});
+    expect(errors).toEqual([
+      { path: 'content.news.feeds[0].url', message: 'environment variable FEED_URL is not set' },
+    ]);
+  });
+
+  test('includes the custom message from ${VAR:?message}', () => {
+    const { errors } = interpolateEnv({ url: '${FEED_URL:?add it as a GitHub secret}' }, {});
+    expect(errors[0].message).toBe('environment variable FEED_URL is not set (add it as a GitHub secret)');
+  });
+
+  test('leaves non-string values untouched', () => {
+    const input = { enabled: true, max: 5, list: [1, 2] };
+    expect(interpolateEnv(input, {}).value).toEqual(input);
+  });
+});
+
+describe('collectConfigErrors() with unresolved placeholders', () => {
+  test('reports a missing variable once instead of also as an invalid format', () => {
+    const config = makeConfig();
+    config.metadata.email = '${EMAIL}';
+    const errors = collectConfigErrors(config, 'testpod.json', [
+      { path: 'metadata.email', message: 'environment variable EMAIL is not set' },
+    ]);
+    expect(errors).toEqual(['testpod.json: metadata.email: environment variable EMAIL is not set']);
+  });
+});
@@ -3,6 +3,8 @@
 const {
   addEpisodeToMemory,
   formatMemoryForPrompt,
+  getRecentTopics,
+  getLastEpisodeDate,
 } = require('../src/episodeMemory');
 
 // ─────────────────────────────────────────────
@@ -162,3 +164,49 @@ describe('formatMemoryForPrompt()', () => {
     expect(lines[1]).toContain('2026-02-18');
   });
 });
+
+// ─────────────────────────────────────────────
+// getRecentTopics
+// ─────────────────────────────────────────────
+
+describe('getRecentTopics()', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-02-20T12:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('collects key topics from episodes inside the window', () => {
+    const memory = {
+      episodes: [
+        { date: '2026-02-19', summary: 'Yesterday', keyTopics: ['OpenAI o3 launch', 'Fed rate decision'] },
+        { date: '2026-02-17', summary: 'No topics' },
+        { date: '2026-01-01', summary: 'Long ago', keyTopics: ['Old story'] },
+      ],
+    };
+    expect(getRecentTopics(memory, 7)).toEqual(['OpenAI o3 launch', 'Fed rate decision']);
+  });
+
+  test('returns an empty list without memory', () => {
+    expect(getRecentTopics(null)).toEqual([]);
+    expect(getRecentTopics({ episodes: [] })).toEqual([]);
+  });
+});
+
+// ─────────────────────────────────────────────
+// getLastEpisodeDate
+// ─────────────────────────────────────────────
+
+describe('getLastEpisodeDate()', () => {
+  test('returns the newest episode date', () => {
+    const memory = { episodes: [{ date: '2026-02-16' }, { date: '2026-02-20' }, { date: '2026-02-19' }] };
+    expect(getLastEpisodeDate(memory)).toBe('2026-02-20');
+  });
+
+  test('returns null before the first episode', () => {
+    expect(getLastEpisodeDate({ episodes: [] })).toBeNull();
+    expect(getLastEpisodeDate(null)).toBeNull();
+  });
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+jest.mock('../src/http', () => ({ httpGet: jest.fn(), getJson: jest.fn() }));
+
+const { httpGet, getJson } = require('../src/http');
+const { registerSource } = require('../src/sources');
+const {
+  registerEventType, listEventTypes, configuredEvents, liveEvents, fetchEventUpdates, eventThemes,
+} = require('../src/events');
+const { EVENT_TYPES } = require('../src/configSchema');
+
+const CHICAGO = 'America/Chicago';
+
+registerSource({
+  id: 'keynote-live',
+  name: 'Keynote Live Blog',
+  fetch: async () => [{ title: 'iPhone 18 announced', summary: 'Thinner again.', timestamp: '2026-09-09T17:30:00Z' }],
+});
+
+const keynote = {
+  type: 'custom', enabled: true, name: 'Apple Keynote',
+  windows: [{ start: '2026-09-09', end: '2026-09-09' }],
+  sources: ['keynote-live'],
+  theme: 'What Apple announced and what it costs.',
+};
+
+function makeConfig(content) {
+  return { location: { timezone: CHICAGO }, content };
+}
+
+// ─────────────────────────────────────────────
+// Registry
+// ─────────────────────────────────────────────
+
+describe('registerEventType()', () => {
+  test('registers the Olympics, every tournament and custom events', () => {
+    expect(listEventTypes()).toEqual(expect.arrayContaining(['olympics', 'worldcup', 'womensworldcup', 'euro', 'custom']));
+  });
+
+  test('registers exactly the types the config schema accepts', () => {
+    expect([...listEventTypes()].sort()).toEqual([...EVENT_TYPES].sort());
+  });
+
+  test('rejects incomplete or duplicate types', () => {
+    expect(() => registerEventType({ type: 'masters' })).toThrow('Event types need a type');
+    expect(() => registerEventType({ type: 'olympics', live: () => null, fetch: async () => [] })).toThrow('already registered: olympics');
+  });
+});
+
+// ─────────────────────────────────────────────
+// Live events
+// ─────────────────────────────────────────────
+
+describe('configuredEvents() / liveEvents()', () => {
+  const config = makeConfig({
+    events: [keynote, { type: 'olympics', enabled: true }, { ...keynote, name: 'WWDC', enabled: false }],
+    sports: { enabled: true, events: [{ type: 'worldcup', enabled: true }] },
+  });
+  const liveNames = now => liveEvents(config, { now }).map(({ ctx }) => ctx.live.name);
+
+  test('reads enabled events from content.events and content.sports.events', () => {
+    expect(configuredEvents(config).map(e => e.name || e.type)).toEqual(['Apple Keynote', 'olympics', 'worldcup']);
+  });
+
+  test('only includes events that are on today in the podcast timezone', () => {
+    expect(liveNames(new Date('2026-02-14T12:00:00Z'))).toEqual(['Milan Cortina 2026']);
+    expect(liveNames(new Date('2026-06-20T12:00:00Z'))).toEqual(['2026 FIFA World Cup']);
+    // 9pm on Sept 8 in Chicago is already Sept 9 in UTC
+    expect(liveNames(new Date('2026-09-09T02:00:00Z'))).toEqual([]);
+    expect(liveNames(new Date('2026-09-09T20:00:00Z'))).toEqual(['Apple Keynote']);
+    expect(liveNames(new Date('2026-10-19T12:00:00Z'))).toEqual([]);
+  });
+});
+
+describe('eventThemes()', () => {
+  test('gives a theme per live event only', () => {
+    const config = makeConfig({ events: [keynote, { type: 'worldcup', enabled: true, nations: ['USA'] }] });
+    expect(eventThemes(config, { now: new Date('2026-10-19T12:00:00Z') })).toEqual([]);
+    expect(eventThemes(config, { now: new Date('2026-09-09T20:00:00Z') })).toEqual([
+      '- "Apple Keynote": What Apple announced and what it costs. Use the additionalSourcing.events items for Apple Keynote.',
+    ]);
+    expect(eventThemes(config, { now: new Date('2026-06-20T12:00:00Z') })[0])
+      .toMatch(/^- "2026 FIFA World Cup": Yesterday's results, today's fixtures and the group tables, following USA's run\./);
+  });
+});
+
+// ─────────────────────────────────────────────
+// Fetching
+// ─────────────────────────────────────────────
+
+describe('fetchEventUpdates()', () => {
+  test('fetches a live custom event\'s sources and tags its items', async () => {
+    const { items } = await fetchEventUpdates(makeConfig({ events: [keynote] }), { now: new Date('2026-09-09T20:00:00Z') });
+    expect(items).toEqual([expect.objectContaining({ title: 'iPhone 18 announced', event: 'Apple Keynote' })]);
+  });
+
+  test('makes no requests for events that are not on', async () => {
+    const config = makeConfig({ events: [keynote, { type: 'olympics', enabled: true }, { type: 'worldcup', enabled: true }] });
+    expect(await fetchEventUpdates(config, { now: new Date('2026-10-19T12:00:00Z') })).toEqual({ items: [], usage: null });
+    expect(httpGet).not.toHaveBeenCalled();
+    expect(getJson).not.toHaveBeenCalled();
+  });
+
+  test('drops items that mention a muted interest', async () => {
+    registerEventType({
+      type: 'muted-test',
+      live: () => ({ name: 'Test Games' }),
+      fetch: async () => [{ title: 'USA wins relay gold' }, { title: 'Crypto sponsor pulls out of the Games' }],
+    });
+    const config = { ...makeConfig({ events: [{ type: 'muted-test', enabled: true }] }), interests: { muted: { topics: ['crypto'] } } };
+    const { items } = await fetchEventUpdates(config, { now: new Date('2026-09-09T20:00:00Z') });
+    expect(items.map(i => i.title)).toEqual(['USA wins relay gold']);
+  });
+
+  test('logs a failing event and keeps the others', async () => {
+    registerEventType({
+      type: 'broken', live: () => ({ name: 'Broken Event' }), fetch: async () => { throw new Error('boom'); },
+    });
+    const config = makeConfig({ events: [{ type: 'broken', enabled: true }, keynote] });
+    const { items } = await fetchEventUpdates(config, { now: new Date('2026-09-09T20:00:00Z') });
+    expect(items.map(i => i.event)).toEqual(['Apple Keynote']);
+  });
+});
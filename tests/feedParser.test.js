@@ -0,0 +1,197 @@
+'use strict';
+
+const { parseFeed, normalizeDate, stripHtml } = require('../src/feedParser');
+
+const RSS2 = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>Example News</title>
+    <item>
+      <title>Chips &amp; models</title>
+      <link>https://example.com/chips</link>
+      <description>&lt;p&gt;A &lt;b&gt;short&lt;/b&gt; teaser&lt;/p&gt;</description>
+      <content:encoded><![CDATA[<p>The full story.</p>]]></content:encoded>
+      <dc:creator>Ada Lovelace</dc:creator>
+      <category>AI</category>
+      <category>Hardware</category>
+      <pubDate>Mon, 19 Oct 2026 08:30:00 -0500</pubDate>
+    </item>
+    <item>
+      <title>Permalink only</title>
+      <guid isPermaLink="true">https://example.com/guid</guid>
+      <pubDate>not a date</pubDate>
+    </item>
+  </channel>
+</rss>`;
+
+const RDF = `<?xml version="1.0"?>
+<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns="http://purl.org/rss/1.0/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel rdf:about="https://export.arxiv.org/rss/cs.AI"><title>cs.AI updates</title></channel>
+  <item rdf:about="https://arxiv.org/abs/2610.00001">
+    <title>Scaling laws revisited</title>
+    <description>We revisit scaling laws.</description>
+    <dc:creator>Grace Hopper</dc:creator>
+    <dc:subject>cs.AI</dc:subject>
+    <dc:date>2026-10-19T04:00:00Z</dc:date>
+  </item>
+</rdf:RDF>`;
+
+const ATOM = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Release notes</title>
+  <entry>
+    <title type="html">v2.0 &lt;em&gt;released&lt;/em&gt;</title>
+    <link rel="replies" href="https://example.com/v2/comments"/>
+    <link href="https://example.com/v2"/>
+    <content type="html">&lt;p&gt;Read &lt;a href="https://example.com/notes?a=1&amp;amp;b=2"&gt;the notes&lt;/a&gt;&lt;/p&gt;</content>
+    <author><name>Release Bot</name></author>
+    <category term="releases"/>
+    <updated>2026-10-18T22:15:00Z</updated>
+  </entry>
+  <entry>
+    <title>Inline</title>
+    <content type="xhtml"><div xmlns="http://www.w3.org/1999/xhtml"><p>Inline <b>markup</b></p></div></content>
+    <published>2026-10-17T10:00:00+02:00</published>
+    <updated>2026-10-18T10:00:00Z</updated>
+  </entry>
+</feed>`;
+
+const JSON_FEED = {
+  version: 'https://jsonfeed.org/version/1.1',
+  title: 'JSON Blog',
+  items: [{
+    id: '1',
+    title: 'Hello JSON',
+    url: 'https://example.com/hello',
+    content_html: '<p>Body text</p>',
+    authors: [{ name: 'Linus' }],
+    tags: ['meta'],
+    date_published: '2026-10-19T12:00:00Z',
+  }],
+};
+
+// ─────────────────────────────────────────────
+// Formats
+// ─────────────────────────────────────────────
+
+describe('parseFeed() — RSS 2.0', () => {
+  const feed = parseFeed(RSS2);
+
+  test('detects the format and feed title', () => {
+    expect(feed.format).toBe('rss');
+    expect(feed.title).toBe('Example News');
+  });
+
+  test('extracts every field of an item', () => {
+    expect(feed.items[0]).toEqual({
+      title: 'Chips & models',
+      link: 'https://example.com/chips',
+      summary: 'A short teaser',
+      content: '<p>The full story.</p>',
+      author: 'Ada Lovelace',
+      categories: ['AI', 'Hardware'],
+      date: '2026-10-19T13:30:00.000Z',
+      rawDate: 'Mon, 19 Oct 2026 08:30:00 -0500',
+    });
+  });
+
+  test('falls back to a permalink guid and keeps unparseable dates raw', () => {
+    expect(feed.items[1].link).toBe('https://example.com/guid');
+    expect(feed.items[1].date).toBeNull();
+    expect(feed.items[1].rawDate).toBe('not a date');
+  });
+});
+
+describe('parseFeed() — RSS 1.0 / RDF', () => {
+  test('reads items that sit beside the channel', () => {
+    const feed = parseFeed(RDF);
+    expect(feed.format).toBe('rdf');
+    expect(feed.title).toBe('cs.AI updates');
+    expect(feed.items).toEqual([expect.objectContaining({
+      title: 'Scaling laws revisited',
+      link: 'https://arxiv.org/abs/2610.00001',
+      summary: 'We revisit scaling laws.',
+      author: 'Grace Hopper',
+      categories: ['cs.AI'],
+      date: '2026-10-19T04:00:00.000Z',
+    })]);
+  });
+});
+
+describe('parseFeed() — Atom', () => {
+  const feed = parseFeed(ATOM);
+
+  test('uses the alternate link, HTML title and author name', () => {
+    expect(feed.format).toBe('atom');
+    expect(feed.items[0]).toEqual(expect.objectContaining({
+      title: 'v2.0 released',
+      link: 'https://example.com/v2',
+      author: 'Release Bot',
+      categories: ['releases'],
+      date: '2026-10-18T22:15:00.000Z',
+    }));
+  });
+
+  test('summarizes from content when there is no summary element', () => {
+    expect(feed.items[0].summary).toBe('Read the notes');
+    expect(feed.items[0].content).toContain('href="https://example.com/notes?a=1&amp;b=2"');
+  });
+
+  test('keeps xhtml content as markup and prefers published over updated', () => {
+    expect(feed.items[1].content).toContain('<b>markup</b>');
+    expect(feed.items[1].summary).toBe('Inline markup');
+    expect(feed.items[1].date).toBe('2026-10-17T08:00:00.000Z');
+  });
+});
+
+describe('parseFeed() — JSON Feed', () => {
+  test.each([
+    ['a parsed object', JSON_FEED],
+    ['a JSON string', JSON.stringify(JSON_FEED)],
+  ])('accepts %s', (_, body) => {
+    const feed = parseFeed(body);
+    expect(feed.format).toBe('json');
+    expect(feed.items).toEqual([{
+      title: 'Hello JSON',
+      link: 'https://example.com/hello',
+      summary: 'Body text',
+      content: '<p>Body text</p>',
+      author: 'Linus',
+      categories: ['meta'],
+      date: '2026-10-19T12:00:00.000Z',
+      rawDate: '2026-10-19T12:00:00Z',
+    }]);
+  });
+});
+
+describe('parseFeed() — errors', () => {
+  test('rejects HTML pages', () => {
+    expect(() => parseFeed('<html><body>Not a feed</body></html>')).toThrow('Unrecognized feed format (<html>)');
+  });
+
+  test('rejects JSON that is not a JSON Feed', () => {
+    expect(() => parseFeed({ hits: [] })).toThrow('JSON without a JSON Feed version');
+  });
+});
+
+// ─────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────
+
+describe('normalizeDate()', () => {
+  test('parses RFC 822 and ISO 8601 dates to UTC ISO strings', () => {
+    expect(normalizeDate('Sun, 18 Oct 2026 23:00:00 GMT')).toBe('2026-10-18T23:00:00.000Z');
+    expect(normalizeDate('2026-10-19T06:00:00+09:00')).toBe('2026-10-18T21:00:00.000Z');
+  });
+
+  test('returns null for missing or invalid dates', () => {
+    expect(normalizeDate('')).toBeNull();
+    expect(normalizeDate('yesterday')).toBeNull();
+  });
+});
+
+describe('stripHtml()', () => {
+  test('removes tags, decodes entities and collapses whitespace', () => {
+    expect(stripHtml('<p>Fish &amp;\n  <i>chips</i></p>')).toBe('Fish & chips');
+  });
+});
@@ -0,0 +1,157 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('axios');
+const axios = require('axios');
+const { httpGet, getJson, configureHttpCache, getRequestCount, clearRequestCache } = require('../src/http');
+
+let cacheDir;
+
+beforeEach(() => {
+  cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-cache-test-'));
+  configureHttpCache({ enabled: true, dir: cacheDir, ttlSeconds: 3600 });
+  clearRequestCache();
+  axios.get.mockReset();
+});
+
+afterEach(() => {
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+
+// ─────────────────────────────────────────────
+// In-process sharing
+// ─────────────────────────────────────────────
+
+describe('httpGet() — in-process sharing', () => {
+  test('returns an axios-style response', async () => {
+    axios.get.mockResolvedValue({ data: '<rss/>', status: 200, headers: {} });
+    const response = await httpGet('https://example.com/feed');
+    expect(response.data).toBe('<rss/>');
+    expect(response.status).toBe(200);
+    expect(response.fromCache).toBe(false);
+  });
+
+  test('fetches identical URLs only once', async () => {
+    axios.get.mockResolvedValue({ data: 'x', status: 200, headers: {} });
+    await Promise.all([
+      httpGet('https://example.com/feed'),
+      httpGet('https://example.com/feed'),
+    ]);
+    await httpGet('https://example.com/feed');
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(getRequestCount()).toBe(1);
+  });
+
+  test('does not remember failed requests', async () => {
+    axios.get
+      .mockRejectedValueOnce(new Error('timeout'))
+      .mockResolvedValueOnce({ data: 'ok', status: 200, headers: {} });
+
+    await expect(httpGet('https://example.com/feed')).rejects.toThrow('timeout');
+    const response = await httpGet('https://example.com/feed');
+    expect(response.data).toBe('ok');
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+
+  test('sends a browser User-Agent and default timeout', async () => {
+    axios.get.mockResolvedValue({ data: '', status: 200, headers: {} });
+    await httpGet('https://example.com/page');
+    const [, options] = axios.get.mock.calls[0];
+    expect(options.headers['User-Agent']).toMatch(/Mozilla/);
+    expect(options.timeout).toBe(10000);
+  });
+});
+
+// ─────────────────────────────────────────────
+// Disk cache
+// ─────────────────────────────────────────────
+
+describe('httpGet() — disk cache', () => {
+  test('serves a fresh entry from disk in a later run', async () => {
+    axios.get.mockResolvedValue({ data: { events: [] }, status: 200, headers: {} });
+    await httpGet('https://example.com/scoreboard');
+
+    clearRequestCache(); // simulate a new process / retry
+    const response = await httpGet('https://example.com/scoreboard');
+
+    expect(response.fromCache).toBe(true);
+    expect(response.data).toEqual({ events: [] });
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+
+  test('revalidates a stale entry with ETag and Last-Modified', async () => {
+    axios.get.mockResolvedValueOnce({
+      data: '<rss>old</rss>',
+      status: 200,
+      headers: { etag: '"abc"', 'last-modified': 'Mon, 19 Oct 2026 10:00:00 GMT' },
+    });
+    await httpGet('https://example.com/feed');
+
+    configureHttpCache({ ttlSeconds: 0 });
+    clearRequestCache();
+    axios.get.mockResolvedValueOnce({ data: '', status: 304, headers: {} });
+    const response = await httpGet('https://example.com/feed');
+
+    const [, options] = axios.get.mock.calls[1];
+    expect(options.headers['If-None-Match']).toBe('"abc"');
+    expect(options.headers['If-Modified-Since']).toBe('Mon, 19 Oct 2026 10:00:00 GMT');
+    expect(response.data).toBe('<rss>old</rss>');
+    expect(response.fromCache).toBe(true);
+  });
+
+  test('replaces a stale entry when the server returns new content', async () => {
+    axios.get.mockResolvedValueOnce({ data: 'v1', status: 200, headers: { etag: '"1"' } });
+    await httpGet('https://example.com/feed');
+
+    configureHttpCache({ ttlSeconds: 0 });
+    clearRequestCache();
+    axios.get.mockResolvedValueOnce({ data: 'v2', status: 200, headers: { etag: '"2"' } });
+    const response = await httpGet('https://example.com/feed');
+
+    expect(response.data).toBe('v2');
+    expect(response.fromCache).toBe(false);
+  });
+
+  test('bypasses the disk cache when disabled', async () => {
+    configureHttpCache({ enabled: false });
+    axios.get.mockResolvedValue({ data: 'x', status: 200, headers: {} });
+
+    await httpGet('https://example.com/feed');
+    clearRequestCache();
+    await httpGet('https://example.com/feed');
+
+    expect(axios.get).toHaveBeenCalledTimes(2);
+    expect(fs.readdirSync(cacheDir)).toEqual([]);
+  });
+});
+
+// ─────────────────────────────────────────────
+// JSON
+// ─────────────────────────────────────────────
+
+describe('getJson()', () => {
+  test('returns parsed bodies and parses JSON sent as text', async () => {
+    axios.get.mockResolvedValueOnce({ data: { ok: true }, status: 200, headers: {} });
+    axios.get.mockResolvedValueOnce({ data: '{"ok":true}', status: 200, headers: { 'content-type': 'text/plain' } });
+    expect(await getJson('https://example.com/a.json')).toEqual({ ok: true });
+    expect(await getJson('https://example.com/b.json')).toEqual({ ok: true });
+  });
+
+  test('shares requests and the disk cache with httpGet', async () => {
+    axios.get.mockResolvedValue({ data: { ok: true }, status: 200, headers: {} });
+    await Promise.all([getJson('https://example.com/a.json'), httpGet('https://example.com/a.json')]);
+    clearRequestCache();
+    await getJson('https://example.com/a.json');
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+
+  test('names the source in errors for empty and invalid bodies', async () => {
+    axios.get.mockResolvedValueOnce({ data: '', status: 200, headers: {} });
+    await expect(getJson('https://example.com/empty')).rejects.toThrow('example.com returned an empty response');
+    axios.get.mockResolvedValueOnce({ data: '<html>', status: 200, headers: {} });
+    await expect(getJson('https://example.com/html', { label: 'Open-Meteo' })).rejects.toThrow('Open-Meteo returned invalid JSON');
+  });
+});
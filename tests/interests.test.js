@@ -0,0 +1,119 @@
+'use strict';
+
+const {
+  getInterests,
+  mentions,
+  findMutedTerm,
+  removeMuted,
+  mentionsEntity,
+  interestsPrompt,
+  scrubScript,
+} = require('../src/interests');
+
+const config = {
+  interests: {
+    topics: ['robotics'],
+    entities: ['Databricks'],
+    muted: { topics: ['crypto'], people: ['Elon Musk'], companies: ['Acme Corp'] },
+  },
+};
+
+// ─────────────────────────────────────────────
+// Matching
+// ─────────────────────────────────────────────
+
+describe('getInterests()', () => {
+  test('flattens every muted list', () => {
+    expect(getInterests(config)).toEqual({
+      topics: ['robotics'],
+      entities: ['Databricks'],
+      muted: ['crypto', 'Elon Musk', 'Acme Corp'],
+    });
+  });
+
+  test('defaults to empty lists', () => {
+    expect(getInterests({})).toEqual({ topics: [], entities: [], muted: [] });
+  });
+});
+
+describe('mentions()', () => {
+  test('matches whole words and phrases, ignoring case and spacing', () => {
+    expect(mentions('New AI chips', 'ai')).toBe(true);
+    expect(mentions('Chair of the board', 'ai')).toBe(false);
+    expect(mentions('ELON  musk tweets', 'Elon Musk')).toBe(true);
+    expect(mentions('C++ 26 ships', 'C++')).toBe(true);
+  });
+});
+
+describe('findMutedTerm() / removeMuted()', () => {
+  test('checks titles, summaries and categories', () => {
+    expect(findMutedTerm({ title: 'Markets rally', summary: 'Acme Corp beats estimates' }, config)).toBe('Acme Corp');
+    expect(findMutedTerm({ title: 'Weekly roundup', categories: ['Crypto'] }, config)).toBe('crypto');
+    expect(findMutedTerm({ title: 'Cryptography advances' }, config)).toBeNull();
+  });
+
+  test('drops muted items and counts them', () => {
+    const items = [{ title: 'Robotics startup raises' }, { title: 'Elon Musk says things' }];
+    expect(removeMuted(items, config)).toEqual({ items: [items[0]], removed: 1 });
+  });
+
+  test('returns the same list when nothing is muted', () => {
+    const items = [{ title: 'A' }];
+    expect(removeMuted(items, {}).items).toBe(items);
+  });
+});
+
+describe('mentionsEntity()', () => {
+  test('finds must-include entities', () => {
+    expect(mentionsEntity({ title: 'Databricks ships a new runtime' }, config)).toBe(true);
+    expect(mentionsEntity({ title: 'Snowflake earnings' }, config)).toBe(false);
+  });
+});
+
+// ─────────────────────────────────────────────
+// Prompts and scripts
+// ─────────────────────────────────────────────
+
+describe('interestsPrompt()', () => {
+  test('lists topics, must-include entities and mutes', () => {
+    const prompt = interestsPrompt(config);
+    expect(prompt).toContain('especially interested in: robotics');
+    expect(prompt).toContain('Always include any story about: Databricks');
+    expect(prompt).toContain('Never mention or allude to: crypto, Elon Musk, Acme Corp');
+  });
+
+  test('is empty without interests', () => {
+    expect(interestsPrompt({})).toBe('');
+  });
+});
+
+describe('scrubScript()', () => {
+  const script = [
+    '[HOST]', 'Good morning!', '',
+    '[COHOST]', 'Did you see what Elon Musk posted?', '',
+    '[HOST]', 'Let us talk robotics instead.',
+  ].join('\n');
+
+  test('removes speaker turns that mention a muted term', () => {
+    const { script: cleaned, removed } = scrubScript(script, config);
+    expect(removed).toEqual(['Elon Musk']);
+    expect(cleaned).toBe('[HOST]\nGood morning!\n\n[HOST]\nLet us talk robotics instead.');
+  });
+
+  test('finds turns whose tags are inline', () => {
+    const inline = '[HOST] Good morning.\n[COHOST] Elon Musk posted again.\n[HOST] Weather next.';
+    expect(scrubScript(inline, config)).toEqual({
+      script: '[HOST] Good morning.\n[HOST] Weather next.',
+      removed: ['Elon Musk'],
+    });
+  });
+
+  test('throws when no speaker turn is left', () => {
+    expect(() => scrubScript('[HOST]\nElon Musk again.\n\n[COHOST]\n', config))
+      .toThrow('Every speaker turn mentioned a muted interest (Elon Musk); nothing left to record');
+  });
+
+  test('leaves the script alone when nothing is muted', () => {
+    expect(scrubScript(script, {})).toEqual({ script, removed: [] });
+  });
+});
@@ -0,0 +1,256 @@
+'use strict';
+
+jest.mock('../src/http', () => ({ httpGet: jest.fn() }));
+
+const { httpGet } = require('../src/http');
+const {
+  getLeague, espnUrl, summaryUrl, recapPrompt, standingsUrl, teamId, isTeam,
+  findUpcomingGame, describeUpcomingGame, findStanding, describeStanding,
+} = require('../src/leagues');
+const { fetchSportsGame, fetchTeamOutlook, fetchTeamNews } = require('../src/fetcher');
+
+// ─────────────────────────────────────────────
+// Registry
+// ─────────────────────────────────────────────
+
+describe('getLeague()', () => {
+  test('looks leagues up case-insensitively', () => {
+    expect(getLeague('NHL')).toEqual({ name: 'NHL', sport: 'hockey', path: 'nhl' });
+    expect(getLeague('cricket')).toBeNull();
+  });
+});
+
+describe('espnUrl() / summaryUrl()', () => {
+  test('builds ESPN site API URLs from the league path', () => {
+    expect(espnUrl(getLeague('epl'), 'scoreboard', { dates: '20261018' }))
+      .toBe('https://site.api.espn.com/apis/site/v2/sports/soccer/eng.1/scoreboard?dates=20261018');
+    expect(espnUrl(getLeague('wnba'), 'news', { team: '14', limit: 10 }))
+      .toBe('https://site.api.espn.com/apis/site/v2/sports/basketball/wnba/news?team=14&limit=10');
+  });
+
+  test('asks college scoreboards for every team, not just the ranked ones', () => {
+    expect(espnUrl(getLeague('ncaaf'), 'scoreboard', { dates: '20261018' }))
+      .toBe('https://site.api.espn.com/apis/site/v2/sports/football/college-football/scoreboard?dates=20261018&groups=80');
+    expect(espnUrl(getLeague('ncaaf'), 'news', { team: '25' })).not.toContain('groups');
+  });
+
+  test('uses the league\'s summary endpoint', () => {
+    expect(summaryUrl(getLeague('mlb'), '401'))
+      .toBe('https://site.api.espn.com/apis/site/v2/sports/baseball/mlb/scoreboard/summary?event=401');
+    expect(summaryUrl(getLeague('nhl'), '401'))
+      .toBe('https://site.api.espn.com/apis/site/v2/sports/hockey/nhl/summary?event=401');
+  });
+});
+
+describe('recapPrompt()', () => {
+  test('uses the sport\'s prompt with the league name', () => {
+    const prompt = recapPrompt(getLeague('mls'), { boxscore: {} });
+    expect(prompt).toMatch(/^Analyze the provided MLS match JSON data/);
+    expect(prompt).toContain('including a draw');
+    expect(prompt).toContain('JSON Data:\n{"boxscore":{}}');
+  });
+
+  test('recaps several games together', () => {
+    const prompt = recapPrompt(getLeague('nba'), [{ id: 1 }, { id: 2 }]);
+    expect(prompt).toContain('played 2 games since the last episode');
+    expect(prompt).toContain('Game 1 JSON Data:\n{"id":1}\n\nGame 2 JSON Data:\n{"id":2}');
+  });
+});
+
+// ─────────────────────────────────────────────
+// Team matching
+// ─────────────────────────────────────────────
+
+describe('teamId() / isTeam()', () => {
+  const giantsFootball = { team: { id: '19', name: 'Giants', displayName: 'New York Giants' } };
+
+  test('matches by ESPN team id when configured', () => {
+    expect(isTeam(giantsFootball, { name: 'Giants', espnTeamId: '26' })).toBe(false);
+    expect(isTeam(giantsFootball, { name: 'Giants', espnTeamId: '19' })).toBe(true);
+  });
+
+  test('reads the older espnNewsId as the team id', () => {
+    expect(teamId({ name: 'Giants', espnNewsId: '26' })).toBe('26');
+  });
+
+  test('falls back to names without an id', () => {
+    expect(isTeam(giantsFootball, { name: 'New York Giants' })).toBe(true);
+    expect(isTeam(giantsFootball, { name: 'Jets' })).toBe(false);
+  });
+});
+
+describe('fetchSportsGame()', () => {
+  test('finds the configured team\'s game by id', async () => {
+    httpGet.mockImplementation(async url => {
+      if (url.includes('/scoreboard?')) {
+        return {
+          data: {
+            events: [
+              { id: '1', name: 'Seattle Kraken at Vancouver Canucks', date: '2026-10-18T02:00Z', status: { type: { detail: 'Final' } },
+                competitions: [{ competitors: [{ team: { id: '124292', name: 'Kraken' } }, { team: { id: '22', name: 'Canucks' } }] }] },
+              { id: '2', name: 'San Jose Sharks at Anaheim Ducks', date: '2026-10-18T03:00Z', status: { type: { detail: 'Final/OT' } },
+                competitions: [{ competitors: [{ team: { id: '18', name: 'Sharks' } }, { team: { id: '25', name: 'Ducks' } }] }] },
+            ],
+          },
+        };
+      }
+      return { data: { boxscore: {} } };
+    });
+
+    const { items } = await fetchSportsGame({ league: 'nhl', name: 'Sharks', espnTeamId: '18' });
+    expect(items).toEqual([{
+      title: 'Sharks Game: San Jose Sharks at Anaheim Ducks',
+      summary: 'Final/OT',
+      timestamp: '2026-10-18T03:00:00.000Z',
+      source: 'ESPN',
+    }]);
+    expect(httpGet).toHaveBeenCalledWith('https://site.api.espn.com/apis/site/v2/sports/hockey/nhl/summary?event=2');
+  });
+
+  test('covers every date it is given and returns each finished game', async () => {
+    const game = (id, date, state) => ({
+      id, name: `Game ${id}`, date, status: { type: { state, completed: state === 'post', detail: state === 'post' ? 'Final' : 'Scheduled' } },
+      competitions: [{ competitors: [{ team: { id: '18' } }, { team: { id: '25' } }] }],
+    });
+    httpGet.mockImplementation(async url => ({
+      data: url.includes('/scoreboard?')
+        ? { events: [game('3', '2026-10-18T23:00Z', 'post'), game('4', '2026-10-19T02:00Z', 'pre'), game('1', '2026-10-17T02:00Z', 'post')] }
+        : {},
+    }));
+
+    const { items, games } = await fetchSportsGame({ league: 'nhl', name: 'Sharks', espnTeamId: '18' }, null, ['20261016', '20261017', '20261018']);
+    expect(httpGet).toHaveBeenCalledWith('https://site.api.espn.com/apis/site/v2/sports/hockey/nhl/scoreboard?dates=20261016-20261018');
+    expect(items.map(i => i.title)).toEqual(['Sharks Game: Game 1', 'Sharks Game: Game 3']);
+    expect(games.map(g => g.event.id)).toEqual(['1', '3']);
+  });
+
+  test('defaults to yesterday in the podcast timezone', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-20T03:00:00Z') }); // still the 19th in Los Angeles
+    httpGet.mockResolvedValue({ data: { events: [] } });
+    try {
+      await fetchSportsGame({ league: 'nhl', name: 'Sharks', espnTeamId: '18' }, { location: { timezone: 'America/Los_Angeles' } });
+    } finally {
+      jest.useRealTimers();
+    }
+    expect(httpGet).toHaveBeenCalledWith('https://site.api.espn.com/apis/site/v2/sports/hockey/nhl/scoreboard?dates=20261018');
+  });
+});
+
+// ─────────────────────────────────────────────
+// Previews
+// ─────────────────────────────────────────────
+
+const giants = { league: 'mlb', name: 'Giants', espnTeamId: '26' };
+
+const SCOREBOARD = {
+  events: [
+    { id: '10', date: '2026-10-19T17:05Z', status: { type: { state: 'post', detail: 'Final' } },
+      competitions: [{ competitors: [{ homeAway: 'home', team: { id: '26' } }, { homeAway: 'away', team: { id: '19' } }] }] },
+    { id: '11', date: '2026-10-20T02:15Z', status: { type: { state: 'pre', detail: 'Mon, October 19th at 7:15 PM PDT' } },
+      competitions: [{
+        broadcasts: [{ names: ['NBCS-BA'] }, { names: ['MLB.TV'] }],
+        competitors: [
+          { homeAway: 'home', team: { id: '26', displayName: 'San Francisco Giants' }, probables: [{ athlete: { displayName: 'Logan Webb' } }] },
+          { homeAway: 'away', team: { id: '19', displayName: 'Los Angeles Dodgers' }, records: [{ summary: '90-65' }],
+            probables: [{ athlete: { displayName: 'Clayton Kershaw' } }] },
+        ],
+      }] },
+  ],
+};
+
+const STANDINGS = {
+  children: [
+    { name: 'American League', standings: { entries: [{ team: { id: '11' }, stats: [] }] } },
+    { name: 'National League', standings: { entries: [{
+      team: { id: '26' },
+      stats: [
+        { name: 'wins', displayValue: '84' }, { name: 'losses', displayValue: '72' },
+        { name: 'playoffSeed', displayValue: '5' }, { name: 'gamesBehind', displayValue: '6.5' },
+        { name: 'streak', displayValue: 'W3' },
+      ],
+    }] } },
+  ],
+};
+
+describe('findUpcomingGame() / describeUpcomingGame()', () => {
+  test('skips finished games and describes the next one in local time', () => {
+    const game = findUpcomingGame(SCOREBOARD, giants);
+    expect(game.id).toBe('11');
+    expect(describeUpcomingGame(game, giants, 'America/Chicago')).toBe(
+      'Giants host Los Angeles Dodgers (90-65) at 9:15 PM CDT on NBCS-BA, MLB.TV. Probable starters: Logan Webb vs Clayton Kershaw.'
+    );
+  });
+
+  test('describes road games and leaves out what ESPN does not list', () => {
+    const event = {
+      date: '2026-10-20T00:00Z',
+      status: { type: { state: 'pre', detail: 'TBD' } },
+      competitions: [{ competitors: [{ homeAway: 'away', team: { id: '26' } }, { homeAway: 'home', team: { displayName: 'Colorado Rockies' } }] }],
+    };
+    expect(describeUpcomingGame(event, giants, 'America/Chicago')).toBe('Giants visit Colorado Rockies, time TBD.');
+  });
+});
+
+describe('findStanding() / describeStanding()', () => {
+  test('finds the team in nested groups and summarizes its place', () => {
+    const standing = findStanding(STANDINGS, giants);
+    expect(standing.group).toBe('National League');
+    expect(describeStanding(standing, getLeague('mlb')))
+      .toBe('National League: 84-72, playoff seed 5, 6.5 games back, streak W3');
+  });
+
+  test('lists soccer records as wins-draws-losses with points and table position', () => {
+    const standing = {
+      group: 'Premier League',
+      entry: { stats: [
+        { name: 'wins', displayValue: '6' }, { name: 'ties', displayValue: '2' }, { name: 'losses', displayValue: '1' },
+        { name: 'points', displayValue: '20' }, { name: 'rank', displayValue: '2' },
+      ] },
+    };
+    expect(describeStanding(standing, getLeague('epl'))).toBe('Premier League: 6-2-1, 20 pts, 2nd place');
+  });
+});
+
+describe('fetchTeamOutlook()', () => {
+  const config = { location: { timezone: 'America/Los_Angeles' } };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T14:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('combines today\'s game and the standings into one item', async () => {
+    httpGet.mockImplementation(async url => ({ data: url === standingsUrl(getLeague('mlb')) ? STANDINGS : SCOREBOARD }));
+
+    const { items } = await fetchTeamOutlook(giants, config);
+    expect(httpGet).toHaveBeenCalledWith('https://site.api.espn.com/apis/site/v2/sports/baseball/mlb/scoreboard?dates=20261019');
+    expect(httpGet).toHaveBeenCalledWith('https://site.api.espn.com/apis/v2/sports/baseball/mlb/standings');
+    expect(items).toHaveLength(1);
+    expect(items[0].title).toBe('Giants Outlook');
+    expect(items[0].summary).toBe([
+      'Today: Giants host Los Angeles Dodgers (90-65) at 7:15 PM PDT on NBCS-BA, MLB.TV. Probable starters: Logan Webb vs Clayton Kershaw.',
+      'Standings: National League: 84-72, playoff seed 5, 6.5 games back, streak W3',
+    ].join('\n'));
+  });
+
+  test('returns nothing when ESPN has neither', async () => {
+    httpGet.mockRejectedValue(new Error('Request failed with status code 404'));
+    expect((await fetchTeamOutlook(giants, config)).items).toEqual([]);
+  });
+});
+
+describe('fetchTeamNews()', () => {
+  test('leaves muted stories out of the articles it hands on', async () => {
+    httpGet.mockResolvedValue({ data: { articles: [
+      { headline: 'Giants extend Logan Webb' },
+      { headline: 'Giants partner with crypto exchange', description: 'A new sponsorship deal' },
+    ] } });
+    const config = { interests: { muted: { topics: ['crypto'] } } };
+
+    const { articles } = await fetchTeamNews(giants, config);
+    expect(articles.map(a => a.headline)).toEqual(['Giants extend Logan Webb']);
+  });
+});
@@ -0,0 +1,134 @@
+'use strict';
+
+jest.mock('../src/http', () => ({ getJson: jest.fn() }));
+
+const { getJson } = require('../src/http');
+const { areOlympicsActive, fetchOlympicsUpdates, medalTable, yesterdaysResults, marqueeEvents } = require('../src/olympics');
+
+const CHICAGO = 'America/Chicago';
+const filters = (countries = [], sports = []) => ({ countries, sports: sports.map(s => s.toLowerCase()) });
+
+const MEDALS = {
+  medalStandings: {
+    medalsTable: ['NOR', 'GER', 'USA', 'ITA', 'CAN', 'SUI', 'JPN'].map((noc, i) => ({
+      organisation: noc,
+      description: { NOR: 'Norway', GER: 'Germany', USA: 'United States', ITA: 'Italy', CAN: 'Canada', SUI: 'Switzerland', JPN: 'Japan' }[noc],
+      rank: i + 1,
+      medalsNumber: [{ type: 'Total', gold: 7 - i, silver: 3, bronze: 2, total: 12 - i }],
+    })),
+  },
+};
+
+const unit = (overrides) => ({
+  disciplineName: 'Figure Skating',
+  eventUnitName: "Men's Free Skating",
+  startDate: '2026-02-13T19:00:00+01:00',
+  status: 'FINISHED',
+  medalFlag: 1,
+  competitors: [],
+  ...overrides,
+});
+
+const medalist = (noc, name, position, medalType, mark) => ({ noc, name, results: { position: String(position), medalType, mark } });
+
+// ─────────────────────────────────────────────
+// Dates
+// ─────────────────────────────────────────────
+
+describe('areOlympicsActive()', () => {
+  test('uses the exact Games dates in the podcast timezone', () => {
+    expect(areOlympicsActive({ now: new Date('2026-02-06T12:00:00Z'), timezone: CHICAGO })).toMatchObject({ active: true, type: 'winter', year: 2026 });
+    // 11pm on Feb 22 in Chicago is already Feb 23 in UTC
+    expect(areOlympicsActive({ now: new Date('2026-02-23T05:00:00Z'), timezone: CHICAGO }).active).toBe(true);
+    expect(areOlympicsActive({ now: new Date('2026-02-23T12:00:00Z'), timezone: CHICAGO }).active).toBe(false);
+  });
+
+  test('knows the 2028 Summer Games', () => {
+    expect(areOlympicsActive({ now: new Date('2028-07-20T18:00:00Z'), timezone: CHICAGO })).toMatchObject({ active: true, type: 'summer' });
+  });
+});
+
+// ─────────────────────────────────────────────
+// Parsing
+// ─────────────────────────────────────────────
+
+describe('medalTable()', () => {
+  test('lists the leaders plus followed countries further down', () => {
+    const table = medalTable(MEDALS, ['JPN']);
+    expect(table).toHaveLength(6);
+    expect(table[0]).toBe('1. Norway — 7 gold, 3 silver, 2 bronze (12 total)');
+    expect(table[5]).toBe('7. Japan — 1 gold, 3 silver, 2 bronze (6 total)');
+  });
+});
+
+describe('yesterdaysResults()', () => {
+  const units = [
+    unit({ competitors: [
+      medalist('JPN', 'Kagiyama Y', 2, 'ME_SILVER'),
+      medalist('USA', 'Malinin I', 1, 'ME_GOLD', '310.47'),
+      medalist('FRA', 'Siao Him Fa A', 3, 'ME_BRONZE'),
+      medalist('CAN', 'Someone', 4, null),
+    ] }),
+    unit({ disciplineName: 'Curling', eventUnitName: "Women's Round Robin", medalFlag: 0 }),
+    unit({ disciplineName: 'Biathlon', eventUnitName: "Men's 20km Individual", competitors: [medalist('NOR', 'Boe J', 1, 'ME_GOLD')] }),
+  ];
+
+  test('lists medalists of finished medal events in order', () => {
+    expect(yesterdaysResults(units, filters())).toEqual([
+      "Figure Skating, Men's Free Skating: gold Malinin I (USA) 310.47, silver Kagiyama Y (JPN), bronze Siao Him Fa A (FRA)",
+      "Biathlon, Men's 20km Individual: gold Boe J (NOR)",
+    ]);
+  });
+
+  test('keeps events with a followed country or sport', () => {
+    expect(yesterdaysResults(units, filters(['USA']))).toHaveLength(1);
+    expect(yesterdaysResults(units, filters([], ['Biathlon']))[0]).toMatch(/^Biathlon/);
+    expect(yesterdaysResults(units, filters(['KOR']))).toEqual([]);
+  });
+});
+
+describe('marqueeEvents()', () => {
+  test('lists upcoming medal events in local time, flagging followed countries', () => {
+    const units = [
+      unit({ status: 'SCHEDULED', startDate: '2026-02-14T20:30:00+01:00', disciplineName: 'Speed Skating', eventUnitName: "Women's 500m",
+        competitors: [{ noc: 'USA' }, { noc: 'NED' }] }),
+      unit({ status: 'SCHEDULED', startDate: '2026-02-14T10:00:00+01:00', disciplineName: 'Alpine Skiing', eventUnitName: "Men's Downhill",
+        competitors: [{ noc: 'SUI' }] }),
+      unit({ status: 'SCHEDULED', medalFlag: 0, competitors: [{ noc: 'USA' }] }),
+    ];
+    expect(marqueeEvents(units, filters(['USA']), CHICAGO)).toEqual(["1:30 PM CST — Speed Skating, Women's 500m (USA competing)"]);
+    expect(marqueeEvents(units, filters(), CHICAGO)).toEqual([
+      "3:00 AM CST — Alpine Skiing, Men's Downhill",
+      "1:30 PM CST — Speed Skating, Women's 500m",
+    ]);
+  });
+});
+
+// ─────────────────────────────────────────────
+// Fetching
+// ─────────────────────────────────────────────
+
+describe('fetchOlympicsUpdates()', () => {
+  test('returns nothing outside the Games', async () => {
+    expect(await fetchOlympicsUpdates({ now: new Date('2026-10-19T12:00:00Z'), timezone: CHICAGO })).toEqual({ items: [], active: false });
+    expect(getJson).not.toHaveBeenCalled();
+  });
+
+  test('builds medal table, results and today items from the Games endpoints', async () => {
+    getJson.mockImplementation(async url => {
+      if (url.includes('CIS_MedalNOCs')) return MEDALS;
+      if (url.endsWith('/2026-02-13')) {
+        return { units: [unit({ competitors: [medalist('USA', 'Malinin I', 1, 'ME_GOLD')] })] };
+      }
+      return { units: [] };
+    });
+
+    const { active, items } = await fetchOlympicsUpdates({
+      countries: ['usa'], now: new Date('2026-02-14T12:00:00Z'), timezone: CHICAGO,
+    });
+    expect(active).toBe(true);
+    expect(getJson).toHaveBeenCalledWith('https://sph-s-api.olympics.com/winter/schedules/api/ENG/schedule/day/2026-02-14');
+    expect(items.map(i => i.title)).toEqual(['Milan Cortina 2026 Medal Table', 'Milan Cortina 2026 Results']);
+    expect(items[1].summary).toBe("Figure Skating, Men's Free Skating: gold Malinin I (USA)");
+  });
+});
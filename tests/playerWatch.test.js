@@ -0,0 +1,105 @@
+'use strict';
+
+const { buildPlayerWatch, boxScoreLine, injuryStatus, newsMentions } = require('../src/playerWatch');
+
+const curry = { id: '3975', name: 'Stephen Curry' };
+const green = { id: '6589', name: 'Draymond Green' };
+
+const summary = (stats) => ({
+  boxscore: {
+    players: [{
+      team: { displayName: 'Golden State Warriors' },
+      statistics: [{
+        labels: ['MIN', 'PTS', 'REB', 'AST'],
+        athletes: [
+          { athlete: { id: '3975', displayName: 'Stephen Curry' }, stats },
+          { athlete: { id: '6589', displayName: 'Draymond Green' }, stats: [], didNotPlay: true, reason: 'COACH\'S DECISION' },
+        ],
+      }],
+    }],
+  },
+  injuries: [{ injuries: [{ athlete: { id: '6589' }, status: 'Day-To-Day', details: { type: 'Back' } }] }],
+});
+
+// ─────────────────────────────────────────────
+// Game summaries
+// ─────────────────────────────────────────────
+
+describe('boxScoreLine()', () => {
+  test('pairs each stat with its label', () => {
+    expect(boxScoreLine(summary(['34', '31', '6', '8']), '3975')).toBe('MIN 34, PTS 31, REB 6, AST 8');
+  });
+
+  test('reports players who did not play', () => {
+    expect(boxScoreLine(summary([]), '6589')).toBe("did not play (COACH'S DECISION)");
+  });
+
+  test('names each stat group when a player is in several', () => {
+    const twoWay = {
+      boxscore: {
+        players: [{
+          statistics: [
+            { type: 'batting', labels: ['AB', 'H'], athletes: [{ athlete: { id: '1' }, stats: ['4', '2'] }] },
+            { type: 'pitching', labels: ['IP', 'ER'], athletes: [{ athlete: { id: '1' }, stats: ['6.0', '1'] }] },
+          ],
+        }],
+      },
+    };
+    expect(boxScoreLine(twoWay, '1')).toBe('batting: AB 4, H 2; pitching: IP 6.0, ER 1');
+  });
+
+  test('returns null for players not in the game', () => {
+    expect(boxScoreLine(summary([]), '999')).toBeNull();
+    expect(boxScoreLine({}, '3975')).toBeNull();
+  });
+});
+
+describe('injuryStatus()', () => {
+  test('reads the injury report', () => {
+    expect(injuryStatus(summary([]), '6589')).toBe('Day-To-Day (Back)');
+    expect(injuryStatus(summary([]), '3975')).toBeNull();
+  });
+});
+
+// ─────────────────────────────────────────────
+// News
+// ─────────────────────────────────────────────
+
+describe('newsMentions()', () => {
+  const articles = [
+    { headline: 'Warriors extend winning streak', categories: [{ type: 'athlete', athleteId: 3975 }] },
+    { headline: 'Stephen Curry reaches 4,000 threes' },
+    { headline: 'Stephen Curry stars in crypto ad', categories: [{ type: 'athlete', athleteId: 3975 }] },
+    { headline: 'Kuminga trade talk heats up', categories: [{ type: 'athlete', athleteId: 4433247 }] },
+  ];
+
+  test('matches athlete tags and names, skipping muted stories', () => {
+    const config = { interests: { muted: { topics: ['crypto'] } } };
+    expect(newsMentions(articles, curry, config)).toEqual(['Warriors extend winning streak', 'Stephen Curry reaches 4,000 threes']);
+  });
+});
+
+// ─────────────────────────────────────────────
+// Block
+// ─────────────────────────────────────────────
+
+describe('buildPlayerWatch()', () => {
+  test('uses each player\'s latest game and lists injuries and news', () => {
+    const games = [
+      { event: { name: 'Warriors at Bulls' }, summary: summary(['30', '18', '4', '5']) },
+      { event: { name: 'Warriors at Bucks' }, summary: summary(['34', '31', '6', '8']) },
+    ];
+    const articles = [{ headline: 'Draymond Green fined by the league' }];
+
+    const [item] = buildPlayerWatch([curry, green, { id: '1', name: 'Nobody' }], { games, articles });
+    expect(item.title).toBe('Player Watch');
+    expect(item.summary).toBe([
+      'Stephen Curry — Warriors at Bucks: MIN 34, PTS 31, REB 6, AST 8.',
+      "Draymond Green — Warriors at Bucks: did not play (COACH'S DECISION). Injury: Day-To-Day (Back). News: Draymond Green fined by the league.",
+    ].join('\n'));
+  });
+
+  test('returns nothing when no player turned up', () => {
+    expect(buildPlayerWatch([curry], { games: [], articles: [] })).toEqual([]);
+  });
+});
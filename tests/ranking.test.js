@@ -0,0 +1,157 @@
+'use strict';
+
+// Registers the built-in sources, so weights can be keyed by source id
+require('../src/fetcher');
+const { rankContent, rankItems, scoreItem, fillBudget, estimateTokens } = require('../src/ranking');
+
+const NOW = new Date('2026-10-20T13:00:00Z');
+
+const context = (overrides = {}) => ({
+  now: NOW.getTime(),
+  sourceWeights: new Map(),
+  interests: [],
+  recentTopics: [],
+  ...overrides,
+});
+
+const hoursAgo = hours => new Date(NOW.getTime() - hours * 60 * 60 * 1000).toISOString();
+
+// ─────────────────────────────────────────────
+// Scoring
+// ─────────────────────────────────────────────
+
+describe('scoreItem()', () => {
+  test('a brand-new, novel item from one outlet scores 2', () => {
+    expect(scoreItem({ title: 'Story', timestamp: NOW.toISOString(), source: 'A' }, context())).toBeCloseTo(2);
+  });
+
+  test('recency halves every 24 hours and undated items count as half', () => {
+    expect(scoreItem({ title: 'Story', timestamp: hoursAgo(24), source: 'A' }, context())).toBeCloseTo(1.5);
+    expect(scoreItem({ title: 'Story', timestamp: null, source: 'A' }, context())).toBeCloseTo(1.5);
+  });
+
+  test('extra outlets and interest topics add points', () => {
+    const item = { title: 'Robotics and chips', timestamp: NOW.toISOString(), sources: ['A', 'B', 'C'] };
+    expect(scoreItem(item, context({ interests: ['robotics', 'chips', 'energy'] }))).toBeCloseTo(2 + 1 + 1.5);
+  });
+
+  test('stories already covered this week lose their novelty', () => {
+    const recentTopics = [new Set(['openai', 'o3', 'launch'])];
+    expect(scoreItem({ title: 'OpenAI o3 launch recap', timestamp: NOW.toISOString(), source: 'A' }, context({ recentTopics })))
+      .toBeCloseTo(1);
+  });
+
+  test('source weight multiplies the score, using the best outlet for merged stories', () => {
+    const sourceWeights = new Map([['Hacker News', 0.5], ['Anthropic News', 2]]);
+    expect(scoreItem({ title: 'x', timestamp: NOW.toISOString(), source: 'Hacker News' }, context({ sourceWeights }))).toBeCloseTo(1);
+    expect(scoreItem({ title: 'x', timestamp: NOW.toISOString(), sources: ['Hacker News', 'Anthropic News'] }, context({ sourceWeights })))
+      .toBeCloseTo(2 * 2.5);
+  });
+});
+
+describe('rankItems()', () => {
+  test('orders by score and keeps the original order for ties', () => {
+    const items = [
+      { title: 'old', timestamp: hoursAgo(72), source: 'A' },
+      { title: 'tie one', timestamp: NOW.toISOString(), source: 'A' },
+      { title: 'tie two', timestamp: NOW.toISOString(), source: 'A' },
+    ];
+    expect(rankItems(items, context()).map(i => i.title)).toEqual(['tie one', 'tie two', 'old']);
+  });
+});
+
+// ─────────────────────────────────────────────
+// Budgets
+// ─────────────────────────────────────────────
+
+describe('fillBudget()', () => {
+  const items = [{ title: 'a'.repeat(100) }, { title: 'b'.repeat(100) }, { title: 'c'.repeat(100) }];
+  const each = estimateTokens(items[0]);
+
+  test('keeps items until the budget is spent', () => {
+    const { items: kept, tokens } = fillBudget(items, each * 2 + 1);
+    expect(kept).toHaveLength(2);
+    expect(tokens).toBe(each * 2);
+  });
+
+  test('always keeps the top item', () => {
+    expect(fillBudget(items, 1).items).toEqual([items[0]]);
+  });
+
+  test('keeps pinned items past the budget', () => {
+    const pinned = item => item.title.startsWith('c');
+    expect(fillBudget(items, 1, pinned).items).toEqual([items[0], items[2]]);
+  });
+
+  test('keeps everything without a budget', () => {
+    expect(fillBudget(items, undefined).items).toHaveLength(3);
+  });
+});
+
+// ─────────────────────────────────────────────
+// Content bundle
+// ─────────────────────────────────────────────
+
+describe('rankContent()', () => {
+  test('ranks every segment with configured weights, interests and budgets', () => {
+    const config = {
+      interests: { topics: ['Robotics'] },
+      content: {
+        sources: [{ id: 'wired', type: 'rss', url: 'https://www.wired.com/feed/rss', name: 'Wired' }],
+        ranking: { sourceWeights: { hackernews: 0.1, wired: 3 }, tokenBudgets: { default: 10000, newsletters: 1 } },
+      },
+    };
+    const bundle = {
+      aiNews: [
+        { title: 'HN thread', timestamp: NOW.toISOString(), source: 'Hacker News' },
+        { title: 'Plain story', timestamp: NOW.toISOString(), source: 'The Verge AI' },
+        { title: 'Wired piece', timestamp: hoursAgo(48), source: 'Wired' },
+      ],
+      newsletters: [
+        { title: 'Morning brief', timestamp: NOW.toISOString(), source: 'Axios' },
+        { title: 'Robotics brief', timestamp: NOW.toISOString(), source: 'Axios' },
+      ],
+      additionalSourcing: { sports: [], surf: [{ title: 'Surf', source: 'Surfline' }] },
+      articles: [{ title: 'Essay' }],
+    };
+
+    const { contentBundle, segments } = rankContent(bundle, { config, episodeMemory: { episodes: [] }, now: NOW });
+    expect(contentBundle.aiNews.map(i => i.title)).toEqual(['Wired piece', 'Plain story', 'HN thread']);
+    expect(contentBundle.newsletters.map(i => i.title)).toEqual(['Robotics brief']);
+    expect(contentBundle.additionalSourcing.sports).toEqual([]);
+    expect(contentBundle.articles).toBe(bundle.articles);
+    expect(segments.map(({ segment, kept, total, budget }) => ({ segment, kept, total, budget }))).toEqual([
+      { segment: 'aiNews', kept: 3, total: 3, budget: 10000 },
+      { segment: 'newsletters', kept: 1, total: 2, budget: 1 },
+      { segment: 'surf', kept: 1, total: 1, budget: null },
+    ]);
+  });
+
+  test('leaves segments outside the headlines alone unless they have their own budget', () => {
+    const recaps = [{ title: 'Warriors recap', summary: 'x'.repeat(400) }, { title: 'Warriors outlook', summary: 'x'.repeat(400) }];
+    const bundle = { additionalSourcing: { news: recaps, sports: recaps, surf: recaps } };
+    const config = { content: { ranking: { tokenBudgets: { default: 1, surf: 1 } } } };
+
+    const { contentBundle } = rankContent(bundle, { config, now: NOW });
+    expect(contentBundle.additionalSourcing.news).toHaveLength(1);
+    expect(contentBundle.additionalSourcing.sports).toHaveLength(2);
+    expect(contentBundle.additionalSourcing.surf).toHaveLength(1);
+  });
+
+  test('puts must-include entities first and never trims them', () => {
+    const config = {
+      interests: { entities: ['Databricks'] },
+      content: { ranking: { tokenBudgets: { default: 1 } } },
+    };
+    const bundle = {
+      aiNews: [
+        { title: 'Big launch', timestamp: NOW.toISOString(), sources: ['A', 'B', 'C'] },
+        { title: 'Databricks acquires a startup', timestamp: hoursAgo(72), source: 'D' },
+        { title: 'Databricks docs update', timestamp: hoursAgo(96), source: 'D' },
+      ],
+    };
+
+    const { contentBundle } = rankContent(bundle, { config, now: NOW });
+    expect(contentBundle.aiNews.map(i => i.title)).toEqual(['Databricks acquires a startup', 'Databricks docs update']);
+  });
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+const { withTimestamp, windowStart, filterByAge, startOfLocalDay, recapDates, localDateKey } = require('../src/recency');
+
+const CHICAGO = 'America/Chicago';
+
+// ─────────────────────────────────────────────
+// Timestamps
+// ─────────────────────────────────────────────
+
+describe('withTimestamp()', () => {
+  test('parses the item date into an ISO timestamp', () => {
+    expect(withTimestamp({ title: 'A', date: 'Mon, 19 Oct 2026 08:30:00 -0500' }))
+      .toEqual({ title: 'A', date: 'Mon, 19 Oct 2026 08:30:00 -0500', timestamp: '2026-10-19T13:30:00.000Z' });
+  });
+
+  test('keeps a timestamp the fetcher already set', () => {
+    const item = { title: 'A', date: '10/19/2026', timestamp: '2026-10-19T15:00:00.000Z' };
+    expect(withTimestamp(item)).toBe(item);
+  });
+
+  test('uses null when there is no usable date', () => {
+    expect(withTimestamp({ title: 'A', date: 'Yesterday' }).timestamp).toBeNull();
+    expect(withTimestamp({ title: 'A' }).timestamp).toBeNull();
+  });
+});
+
+// ─────────────────────────────────────────────
+// Windows
+// ─────────────────────────────────────────────
+
+describe('windowStart()', () => {
+  // Tuesday 2026-10-20, 8am in Chicago (CDT, UTC-5)
+  const tuesdayMorning = new Date('2026-10-20T13:00:00Z');
+
+  test('rounds the cutoff down to local midnight', () => {
+    expect(windowStart(24, { now: tuesdayMorning, timezone: CHICAGO }).toISOString()).toBe('2026-10-19T05:00:00.000Z');
+  });
+
+  test('0 hours means today only', () => {
+    expect(windowStart(0, { now: tuesdayMorning, timezone: CHICAGO }).toISOString()).toBe('2026-10-20T05:00:00.000Z');
+  });
+
+  test('Monday windows reach back over the weekend', () => {
+    const mondayMorning = new Date('2026-10-19T12:00:00Z');
+    expect(windowStart(24, { now: mondayMorning, timezone: CHICAGO }).toISOString()).toBe('2026-10-16T05:00:00.000Z');
+  });
+
+  test('"today" follows the podcast timezone, not UTC', () => {
+    // 10pm Tuesday in Chicago is already Wednesday in UTC
+    const tuesdayNight = new Date('2026-10-21T03:00:00Z');
+    expect(windowStart(0, { now: tuesdayNight, timezone: CHICAGO }).toISOString()).toBe('2026-10-20T05:00:00.000Z');
+    expect(windowStart(0, { now: tuesdayNight, timezone: 'UTC' }).toISOString()).toBe('2026-10-21T00:00:00.000Z');
+  });
+});
+
+describe('startOfLocalDay()', () => {
+  test('uses the offset in effect at midnight across a DST change', () => {
+    // US daylight saving time ends at 2am on Sunday 2026-11-01
+    expect(startOfLocalDay(new Date('2026-11-01T20:00:00Z'), CHICAGO).toISOString()).toBe('2026-11-01T05:00:00.000Z');
+    expect(startOfLocalDay(new Date('2026-11-02T20:00:00Z'), CHICAGO).toISOString()).toBe('2026-11-02T06:00:00.000Z');
+  });
+});
+
+describe('recapDates()', () => {
+  // Monday 2026-10-19, 1am in Chicago
+  const now = new Date('2026-10-19T06:00:00Z');
+
+  test('covers every day from the last episode through yesterday', () => {
+    expect(recapDates('2026-10-16', { now, timezone: CHICAGO })).toEqual(['20261016', '20261017', '20261018']);
+  });
+
+  test('covers yesterday without an earlier episode or when re-running today', () => {
+    expect(recapDates(null, { now, timezone: CHICAGO })).toEqual(['20261018']);
+    expect(recapDates('2026-10-19', { now, timezone: CHICAGO })).toEqual(['20261018']);
+  });
+
+  test('uses the local calendar, not UTC', () => {
+    // Still Sunday evening in Los Angeles
+    expect(recapDates(null, { now, timezone: 'America/Los_Angeles' })).toEqual(['20261017']);
+  });
+
+  test('caps long gaps at maxDays', () => {
+    expect(recapDates('2026-09-01', { now, timezone: CHICAGO, maxDays: 3 })).toEqual(['20261016', '20261017', '20261018']);
+  });
+});
+
+describe('localDateKey()', () => {
+  test('uses the calendar day in the podcast timezone', () => {
+    expect(localDateKey(new Date('2026-10-20T03:00:00Z'), CHICAGO)).toBe('20261019');
+    expect(localDateKey(new Date('2026-10-20T06:00:00Z'), CHICAGO)).toBe('20261020');
+  });
+});
+
+describe('filterByAge()', () => {
+  const options = { now: new Date('2026-10-20T13:00:00Z'), timezone: CHICAGO };
+  const items = [
+    { title: 'fresh', timestamp: '2026-10-20T11:00:00.000Z' },
+    { title: 'yesterday', timestamp: '2026-10-19T06:00:00.000Z' },
+    { title: 'stale', timestamp: '2026-10-12T09:00:00.000Z' },
+    { title: 'undated', timestamp: null },
+  ];
+
+  test('drops items older than the window and keeps undated ones', () => {
+    expect(filterByAge(items, 24, options).map(i => i.title)).toEqual(['fresh', 'yesterday', 'undated']);
+    expect(filterByAge(items, 0, options).map(i => i.title)).toEqual(['fresh', 'undated']);
+  });
+
+  test('keeps everything when no window is set', () => {
+    expect(filterByAge(items, undefined, options)).toBe(items);
+  });
+});
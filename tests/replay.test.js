@@ -0,0 +1,235 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Modules read these at load time
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-test-'));
+process.env.PODCAST_RUNS_DIR = path.join(workDir, 'runs');
+process.env.PAGES_BASE_URL = 'https://example.github.io/pod';
+process.env.GITHUB_REPOSITORY = 'example/pod';
+process.env.GITHUB_TOKEN = 'test-token';
+process.env.GOOGLE_API_KEY = 'test-key';
+
+const axios = require('axios');
+const { GenerativeModel } = require('@google/generative-ai');
+const { TextToSpeechClient } = require('@google-cloud/text-to-speech');
+
+const { configureHttpCache, clearRequestCache } = require('../src/http');
+const { startRecording, startReplay, stopRecorder, getRecorderMode } = require('../src/recorder');
+const { run } = require('../src/index');
+
+const RECORDED_AT = new Date('2026-03-02T14:00:00Z');
+
+const config = {
+  id: 'replaytest',
+  metadata: {
+    title: 'Replay Test',
+    author: 'Tester',
+    description: 'Record/replay fixture show',
+    email: 'test@example.com',
+    recipientName: 'Tester'
+  },
+  location: { city: 'Chicago', state: 'IL', latitude: 41.88, longitude: -87.63, timezone: 'America/Chicago' },
+  paths: {
+    feedFile: 'replaytest.xml',
+    episodesDir: 'episodes/replaytest',
+    episodeMemoryFile: 'replaytest-memory.json',
+    artworkFile: 'artwork.jpg'
+  },
+  content: {
+    aiNews: { enabled: true, sources: ['verge'] },
+    newsletters: { enabled: false },
+    sports: {
+      enabled: true,
+      teams: [{ league: 'nba', name: 'Warriors', espnApiName: 'Golden State Warriors' }]
+    }
+  },
+  voices: {
+    host: { languageCode: 'en-US', name: 'en-US-Studio-O', ssmlGender: 'FEMALE' },
+    cohost: { languageCode: 'en-US', name: 'en-US-Studio-Q', ssmlGender: 'MALE' }
+  },
+  preferredDurationMinutes: 5
+};
+
+const RSS = `<?xml version="1.0"?><rss version="2.0"><channel><title>AI</title>
+<item><title>New model released</title><link>https://example.com/model</link>
+<description>A lab shipped a model.</description><pubDate>Mon, 02 Mar 2026 10:00:00 GMT</pubDate></item>
+</channel></rss>`;
+
+const SCOREBOARD = {
+  events: [{
+    id: '401',
+    name: 'Golden State Warriors at Chicago Bulls',
+    status: { type: { detail: 'Final' } },
+    competitions: [{ competitors: [{ team: { name: 'Warriors', displayName: 'Golden State Warriors' } }] }]
+  }]
+};
+
+const WEATHER = {
+  current: { temperature_2m: 40, apparent_temperature: 33, weather_code: 3, wind_speed_10m: 12 },
+  hourly: { time: ['2026-03-02T08:00'], temperature_2m: [40], apparent_temperature: [33], precipitation_probability: [20], wind_speed_10m: [12] },
+  daily: { time: ['2026-03-02'], weather_code: [3], temperature_2m_max: [45], temperature_2m_min: [30], precipitation_probability_max: [20] }
+};
+
+// ─────────────────────────────────────────────
+// Fake network: stands in for the real services while recording
+// ─────────────────────────────────────────────
+
+function fakeResponse(config, status, data) {
+  const response = { data, status, statusText: '', headers: {}, config, request: null };
+  if (status >= 400) {
+    return Promise.reject(new axios.AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_REQUEST', config, null, response));
+  }
+  return Promise.resolve(response);
+}
+
+function fakeAdapter(config) {
+  const url = axios.getUri(config);
+  if (config.method === 'put') return fakeResponse(config, 201, '{}');
+  if (url.startsWith('https://api.github.com/')) return fakeResponse(config, 404, '{}');
+  if (url.includes('/scoreboard?')) return fakeResponse(config, 200, JSON.stringify(SCOREBOARD));
+  if (url.includes('/summary?event=401')) return fakeResponse(config, 200, '{"boxscore":{}}');
+  if (url.includes('api.open-meteo.com')) return fakeResponse(config, 200, JSON.stringify(WEATHER));
+  if (url.includes('theverge.com')) return fakeResponse(config, 200, RSS);
+  return fakeResponse(config, 404, 'not found');
+}
+
+function fakeGenerateContent(prompt) {
+  let text = 'Warriors won a close one in Chicago.';
+  if (prompt.includes('two-speaker script')) {
+    text = '[HOST] Good morning, it is a cloudy day. [COHOST] The Warriors won and a new model shipped.';
+  } else if (prompt.includes('JSON array')) {
+    text = '["Warriors beat Bulls", "New model released"]';
+  } else if (prompt.includes('summarize the key topics')) {
+    text = 'Warriors news and a new AI model.';
+  }
+  return Promise.resolve({
+    response: { text: () => text, usageMetadata: { promptTokenCount: 1000, candidatesTokenCount: 100 } }
+  });
+}
+
+function fakeSynthesizeSpeech(request) {
+  return Promise.resolve([{ audioContent: Buffer.from(`mp3:${request.input.text}`) }]);
+}
+
+function offline() {
+  throw new Error('Network access attempted during replay');
+}
+
+const realTransports = {
+  adapter: axios.defaults.adapter,
+  generateContent: GenerativeModel.prototype.generateContent,
+  synthesizeSpeech: TextToSpeechClient.prototype.synthesizeSpeech
+};
+
+function useTransports({ adapter, generateContent, synthesizeSpeech }) {
+  axios.defaults.adapter = adapter;
+  GenerativeModel.prototype.generateContent = generateContent;
+  TextToSpeechClient.prototype.synthesizeSpeech = synthesizeSpeech;
+}
+
+/**
+ * Run the pipeline and collect what it produced
+ */
+async function runPipeline() {
+  clearRequestCache();
+  const summary = await run({ config });
+  const runId = fs.readdirSync(process.env.PODCAST_RUNS_DIR)[0];
+  const runDir = path.join(process.env.PODCAST_RUNS_DIR, runId);
+  const { script } = JSON.parse(fs.readFileSync(path.join(runDir, 'script.json'), 'utf-8'));
+  const { feedXml } = JSON.parse(fs.readFileSync(path.join(runDir, 'feed.json'), 'utf-8'));
+  const { audioPath } = JSON.parse(fs.readFileSync(path.join(runDir, 'audio.json'), 'utf-8'));
+  const audio = fs.readFileSync(audioPath);
+
+  fs.rmSync(process.env.PODCAST_RUNS_DIR, { recursive: true, force: true });
+  fs.rmSync(audioPath, { force: true });
+  return { runId, script, feedXml, audio, costs: summary.costs };
+}
+
+beforeAll(() => {
+  configureHttpCache({ enabled: false });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+});
+
+afterEach(() => {
+  stopRecorder();
+  useTransports(realTransports);
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+  configureHttpCache({ enabled: true });
+  fs.rmSync(workDir, { recursive: true, force: true });
+  fs.rmSync('/tmp/replaytest-2026-03-02-script.txt', { force: true });
+});
+
+describe('record / replay', () => {
+  test('replays a recorded run offline with identical output', async () => {
+    const tapeDir = path.join(workDir, 'tape');
+
+    useTransports({ adapter: fakeAdapter, generateContent: fakeGenerateContent, synthesizeSpeech: fakeSynthesizeSpeech });
+    startRecording(tapeDir, RECORDED_AT);
+    expect(getRecorderMode()).toBe('record');
+    const recordedRun = await runPipeline();
+    stopRecorder();
+
+    useTransports({ adapter: offline, generateContent: offline, synthesizeSpeech: offline });
+    startReplay(tapeDir);
+    expect(getRecorderMode()).toBe('replay');
+    const replayedRun = await runPipeline();
+
+    expect(recordedRun.runId).toBe('replaytest-20260302-080000');
+    expect(recordedRun.script).toContain('[COHOST] The Warriors won');
+    expect(recordedRun.feedXml).toContain('Warriors news and a new AI model.');
+    expect(replayedRun.runId).toBe(recordedRun.runId);
+    expect(replayedRun.script).toBe(recordedRun.script);
+    expect(replayedRun.feedXml).toBe(recordedRun.feedXml);
+    expect(replayedRun.audio.equals(recordedRun.audio)).toBe(true);
+    expect(replayedRun.costs).toEqual(recordedRun.costs);
+  });
+
+  test('records every kind of external call', async () => {
+    const tapeDir = path.join(workDir, 'kinds');
+
+    useTransports({ adapter: fakeAdapter, generateContent: fakeGenerateContent, synthesizeSpeech: fakeSynthesizeSpeech });
+    startRecording(tapeDir, RECORDED_AT);
+    await runPipeline();
+    stopRecorder();
+
+    expect(fs.readdirSync(tapeDir).sort()).toEqual(['gemini', 'http', 'tape.json', 'tts']);
+    const requests = fs.readdirSync(path.join(tapeDir, 'http'))
+      .map(file => JSON.parse(fs.readFileSync(path.join(tapeDir, 'http', file), 'utf-8')).request);
+    expect(requests).toContainEqual({
+      method: 'GET',
+      url: 'https://site.api.espn.com/apis/site/v2/sports/basketball/nba/scoreboard?dates=20260301'
+    });
+    expect(requests.some(r => r.method === 'PUT' && r.url.startsWith('https://api.github.com/repos/example/pod/contents/'))).toBe(true);
+  });
+
+  test('fails clearly when a replayed request was never recorded', async () => {
+    const tapeDir = path.join(workDir, 'empty');
+    startRecording(tapeDir, RECORDED_AT);
+    stopRecorder();
+
+    useTransports({ adapter: offline, generateContent: offline, synthesizeSpeech: offline });
+    startReplay(tapeDir);
+    await expect(axios.get('https://example.com/feed.xml'))
+      .rejects.toThrow('No recorded http response for GET https://example.com/feed.xml');
+  });
+
+  test('startReplay() rejects a directory without a recording', () => {
+    expect(() => startReplay(path.join(workDir, 'missing'))).toThrow('No recording found');
+  });
+
+  test('stopRecorder() restores the real clock', () => {
+    startRecording(path.join(workDir, 'clock'), RECORDED_AT);
+    expect(new Date().toISOString()).toBe(RECORDED_AT.toISOString());
+    expect(new Date('2020-01-01T00:00:00Z').getUTCFullYear()).toBe(2020);
+    stopRecorder();
+    expect(Date.now()).toBeGreaterThan(RECORDED_AT.getTime());
+  });
+});
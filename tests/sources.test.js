@@ -0,0 +1,416 @@
+'use strict';
+
+jest.mock('../src/http', () => ({ httpGet: jest.fn() }));
+
+const { httpGet } = require('../src/http');
+const {
+  registerSource,
+  registerSourceType,
+  getSource,
+  listSources,
+  createSource,
+  resolveSources,
+  runSource,
+  fieldCoverage,
+} = require('../src/sources');
+const { sources: BUILTIN_SOURCES } = require('../src/data/sources.json');
+const { fetchSourceList, fetchInternationalRelations, combineUsage } = require('../src/fetcher');
+
+beforeEach(() => {
+  httpGet.mockReset();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// ─────────────────────────────────────────────
+// Registry
+// ─────────────────────────────────────────────
+
+describe('registry', () => {
+  test('fetcher registers every source in data/sources.json', () => {
+    const ids = listSources().map(plugin => plugin.id).sort();
+    expect(ids).toEqual(['anthropic', 'deepmind', 'hackernews', 'killthenewsletter', 'meta', 'openai', 'techcrunch', 'venturebeat', 'verge']);
+    expect(ids).toEqual(Object.keys(BUILTIN_SOURCES).sort());
+    expect(getSource('openai')).toMatchObject({ name: 'OpenAI Blog', category: 'ai' });
+  });
+
+  test('lists sources by category', () => {
+    expect(listSources('ai').map(plugin => plugin.id)).not.toContain('killthenewsletter');
+    expect(listSources('newsletters').map(plugin => plugin.id)).toEqual(['killthenewsletter']);
+  });
+
+  test('rejects plugins without an id or fetch function', () => {
+    expect(() => registerSource({ id: 'broken' })).toThrow('need an id and a fetch');
+  });
+
+  test('rejects duplicate ids', () => {
+    expect(() => registerSource({ id: 'hackernews', fetch: async () => [] })).toThrow('already registered: hackernews');
+  });
+
+  test('registered plugins default their name to the id', () => {
+    registerSource({ id: 'test-plain', fetch: async () => [] });
+    expect(getSource('test-plain').name).toBe('test-plain');
+  });
+});
+
+describe('createSource()', () => {
+  test('builds a plugin with the factory for its type', () => {
+    const factory = jest.fn(() => ({ fetch: async () => [] }));
+    registerSourceType('test-type', factory);
+    const plugin = createSource({ id: 'custom', type: 'test-type', url: 'https://example.com' });
+    expect(plugin.id).toBe('custom');
+    expect(plugin.name).toBe('custom');
+    expect(factory).toHaveBeenCalledWith({ id: 'custom', type: 'test-type', url: 'https://example.com' });
+  });
+
+  test('throws for an unknown type', () => {
+    expect(() => createSource({ id: 'x', type: 'graphql' })).toThrow('Unknown source type "graphql"');
+  });
+});
+
+describe('resolveSources()', () => {
+  test('prefers declared sources, then the registry, and skips unknown ids', () => {
+    const config = {
+      content: { sources: [{ id: 'wired', type: 'rss', url: 'https://www.wired.com/feed/rss', name: 'Wired' }] },
+    };
+    const plugins = resolveSources(['wired', 'HackerNews', 'nope'], config);
+    expect(plugins.map(p => p.name)).toEqual(['Wired', 'Hacker News']);
+  });
+});
+
+describe('runSource()', () => {
+  test('returns fetched items with no usage when there is no summarize step', async () => {
+    const plugin = { name: 'Plain', fetch: async () => [{ title: 'A' }] };
+    expect(await runSource(plugin, {})).toEqual({ items: [{ title: 'A', timestamp: null }], usage: null });
+  });
+
+  test('passes fetched items through summarize', async () => {
+    const usage = { geminiFlash: { promptTokens: 10, candidatesTokens: 2 } };
+    const plugin = {
+      name: 'Summarized',
+      fetch: async () => [{ title: 'A' }, { title: 'B' }],
+      summarize: async items => ({ items: [{ title: `${items.length} stories` }], usage }),
+    };
+    expect(await runSource(plugin, {})).toEqual({ items: [{ title: '2 stories' }], usage });
+  });
+
+  test('drops items outside ctx.maxAgeHours before summarizing', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-20T13:00:00Z') });
+    const summarize = jest.fn(async items => ({ items, usage: null }));
+    const plugin = {
+      name: 'Dated',
+      fetch: async () => [{ title: 'New', date: '2026-10-20T09:00:00Z' }, { title: 'Old', date: '2026-10-01T09:00:00Z' }],
+      summarize,
+    };
+
+    const { items } = await runSource(plugin, { location: { timezone: 'America/Chicago' } }, { maxAgeHours: 24 });
+    expect(items.map(i => i.title)).toEqual(['New']);
+    expect(summarize.mock.calls[0][0]).toHaveLength(1);
+    jest.useRealTimers();
+  });
+
+  test('drops items mentioning a muted interest', async () => {
+    const plugin = { name: 'Feed', fetch: async () => [{ title: 'Crypto rally' }, { title: 'Chip news' }] };
+    const config = { interests: { muted: { topics: ['crypto'] } } };
+    expect((await runSource(plugin, config)).items.map(i => i.title)).toEqual(['Chip news']);
+  });
+
+  test('turns a failing source into an empty result', async () => {
+    const plugin = { name: 'Flaky', fetch: async () => { throw new Error('boom'); } };
+    expect(await runSource(plugin, {})).toEqual({ items: [], usage: null });
+  });
+});
+
+// ─────────────────────────────────────────────
+// Generic config-declared sources
+// ─────────────────────────────────────────────
+
+describe('fetchSourceList() with declared sources', () => {
+  test('rss sources read feed items', async () => {
+    httpGet.mockResolvedValue({
+      data: '<rss><channel><item><title>Story</title><description>Body</description></item></channel></rss>',
+    });
+    const config = { content: { sources: [{ id: 'feed', type: 'rss', url: 'https://example.com/rss', name: 'Feed' }] } };
+
+    const { items } = await fetchSourceList(['feed'], config);
+    expect(items).toEqual([{ title: 'Story', summary: 'Body', date: '', timestamp: null, source: 'Feed' }]);
+  });
+
+  test('rss sources also read Atom feeds', async () => {
+    httpGet.mockResolvedValue({
+      data: `<feed xmlns="http://www.w3.org/2005/Atom"><entry><title>Post</title><link href="https://example.substack.com/p/post"/>
+             <summary>Teaser</summary><author><name>Writer</name></author><published>2026-10-19T11:00:00Z</published></entry></feed>`,
+    });
+    const config = { content: { sources: [{ id: 'stack', type: 'rss', url: 'https://example.substack.com/feed', name: 'Stack' }] } };
+
+    const { items } = await fetchSourceList(['stack'], config);
+    expect(items).toEqual([{
+      title: 'Post',
+      summary: 'Teaser',
+      date: '2026-10-19T11:00:00.000Z',
+      timestamp: '2026-10-19T11:00:00.000Z',
+      source: 'Stack',
+      url: 'https://example.substack.com/p/post',
+      author: 'Writer',
+    }]);
+  });
+
+  test('scrape sources apply selectors and resolve relative links', async () => {
+    httpGet.mockResolvedValue({
+      data: `<div class="post"><h2>First</h2><p>Intro</p><a href="/posts/1">more</a></div>
+             <div class="post"><h2>Second</h2><p>Other</p><a href="/posts/2">more</a></div>`,
+    });
+    const config = {
+      content: {
+        sources: [{
+          id: 'blog',
+          type: 'scrape',
+          url: 'https://example.com/blog',
+          name: 'Blog',
+          maxItems: 1,
+          selectors: { container: '.post', title: 'h2', summary: 'p', link: 'a' },
+        }],
+      },
+    };
+
+    const { items } = await fetchSourceList(['blog'], config);
+    expect(items).toEqual([{ title: 'First', summary: 'Intro', date: '', source: 'Blog', url: 'https://example.com/posts/1', timestamp: null }]);
+  });
+
+  test('a malformed scraped link only drops that post\'s url', async () => {
+    httpGet.mockResolvedValue({
+      data: `<div class="post"><h2>Broken</h2><a href="https://[oops">more</a></div>
+             <div class="post"><h2>Fine</h2><a href="/posts/2">more</a></div>`,
+    });
+    const config = {
+      content: {
+        sources: [{ id: 'blog', type: 'scrape', url: 'https://example.com/blog', selectors: { container: '.post', title: 'h2', link: 'a' } }],
+      },
+    };
+
+    const { items } = await fetchSourceList(['blog'], config);
+    expect(items.map(i => [i.title, i.url])).toEqual([['Broken', undefined], ['Fine', 'https://example.com/posts/2']]);
+  });
+
+  test('scrape sources read <time datetime> and honour baseUrl', async () => {
+    httpGet.mockResolvedValue({
+      data: '<a class="card" href="2026/launch"><h3>Launch</h3><time datetime="2026-10-18">Yesterday</time></a>',
+    });
+    const config = {
+      content: {
+        sources: [{
+          id: 'cards',
+          type: 'scrape',
+          url: 'https://example.com/news',
+          baseUrl: 'https://cdn.example.com/posts/',
+          selectors: { container: 'a.card', title: 'h3', date: 'time' },
+        }],
+      },
+    };
+
+    const { items } = await fetchSourceList(['cards'], config);
+    expect(items).toEqual([{
+      title: 'Launch',
+      summary: '',
+      date: '2026-10-18',
+      timestamp: '2026-10-18T00:00:00.000Z',
+      source: 'cards',
+      url: 'https://cdn.example.com/posts/2026/launch',
+    }]);
+  });
+
+  test('built-in blogs are declarative scrape sources', async () => {
+    httpGet.mockResolvedValue({ data: '<article><h2>GPT news</h2><p>Text</p><a href="/index/gpt">Read</a></article>' });
+
+    const { items } = await fetchSourceList(['openai'], {});
+    expect(httpGet).toHaveBeenCalledWith('https://openai.com/blog');
+    expect(items).toEqual([{
+      title: 'GPT news', summary: 'Text', date: '', source: 'OpenAI Blog', url: 'https://openai.com/index/gpt', timestamp: null,
+    }]);
+  });
+
+  test('json sources map fields by dot path', async () => {
+    httpGet.mockResolvedValue({
+      data: { data: { hits: [
+        { story: { title: 'Model launch' }, text: '<p>Details</p>', created: '2026-10-19', link: 'https://example.com/a' },
+        { story: {}, text: 'untitled entries are skipped' },
+      ] } },
+    });
+    const config = {
+      content: {
+        sources: [{
+          id: 'api',
+          type: 'json',
+          url: 'https://example.com/api',
+          name: 'API',
+          itemsPath: 'data.hits',
+          fields: { title: 'story.title', summary: 'text', date: 'created', link: 'link' },
+        }],
+      },
+    };
+
+    const { items, usage } = await fetchSourceList(['api'], config);
+    expect(items).toEqual([{
+      title: 'Model launch',
+      summary: 'Details',
+      date: '2026-10-19',
+      timestamp: '2026-10-19T00:00:00.000Z',
+      source: 'API',
+      url: 'https://example.com/a',
+    }]);
+    expect(usage).toBeNull();
+  });
+});
+
+describe('fetchSourceList() recency windows', () => {
+  const FEED = `<rss><channel>
+    <item><title>Today</title><pubDate>Tue, 20 Oct 2026 06:00:00 -0500</pubDate></item>
+    <item><title>Saturday</title><pubDate>Sat, 17 Oct 2026 10:00:00 -0500</pubDate></item>
+    <item><title>Last week</title><pubDate>Mon, 12 Oct 2026 10:00:00 -0500</pubDate></item>
+  </channel></rss>`;
+  const base = { location: { timezone: 'America/Chicago' } };
+
+  beforeEach(() => {
+    httpGet.mockResolvedValue({ data: FEED });
+    jest.useFakeTimers({ now: new Date('2026-10-20T13:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const titles = result => result.items.map(i => i.title);
+
+  test('applies the section maxAgeHours to its sources', async () => {
+    const config = { ...base, content: { sources: [{ id: 'feed', type: 'rss', url: 'https://example.com/rss' }] } };
+    expect(titles(await fetchSourceList(['feed'], config, { maxAgeHours: 24 }))).toEqual(['Today']);
+    expect(titles(await fetchSourceList(['feed'], config, { maxAgeHours: 96 }))).toEqual(['Today', 'Saturday']);
+  });
+
+  test('takes maxItems from the entries inside the window', async () => {
+    const stale = '<item><title>Pinned</title><pubDate>Mon, 05 Oct 2026 10:00:00 -0500</pubDate></item>';
+    httpGet.mockResolvedValue({ data: FEED.replace('<channel>', `<channel>${stale}`) });
+    const config = { ...base, content: { sources: [{ id: 'feed', type: 'rss', url: 'https://example.com/rss', maxItems: 2 }] } };
+    expect(titles(await fetchSourceList(['feed'], config, { maxAgeHours: 96 }))).toEqual(['Today', 'Saturday']);
+  });
+
+  test('scrape sources take maxItems from the posts inside the window', async () => {
+    httpGet.mockResolvedValue({
+      data: ['2026-10-05', '2026-10-20', '2026-10-19'].map(date => `<article><h2>${date}</h2><time>${date}</time></article>`).join(''),
+    });
+    const config = {
+      ...base,
+      content: { sources: [{ id: 'blog', type: 'scrape', url: 'https://example.com/blog', maxItems: 1, selectors: { container: 'article', title: 'h2', date: 'time' } }] },
+    };
+    expect(titles(await fetchSourceList(['blog'], config, { maxAgeHours: 24 }))).toEqual(['2026-10-20']);
+  });
+
+  test('json sources take maxItems from the entries inside the window', async () => {
+    httpGet.mockResolvedValue({ data: [{ title: 'Pinned', date: '2026-10-05' }, { title: 'Fresh', date: '2026-10-20' }] });
+    const config = {
+      ...base,
+      content: { sources: [{ id: 'api', type: 'json', url: 'https://example.com/api', maxItems: 1, fields: { title: 'title', date: 'date' } }] },
+    };
+    expect(titles(await fetchSourceList(['api'], config, { maxAgeHours: 24 }))).toEqual(['Fresh']);
+  });
+
+  test('a declared maxAgeHours overrides the section', async () => {
+    const config = { ...base, content: { sources: [{ id: 'feed', type: 'rss', url: 'https://example.com/rss', maxAgeHours: 24 * 14 }] } };
+    expect(titles(await fetchSourceList(['feed'], config, { maxAgeHours: 24 }))).toEqual(['Today', 'Saturday', 'Last week']);
+  });
+
+  test('Kill The Newsletter keeps today\'s issues, or the weekend\'s on Mondays', async () => {
+    const config = { ...base, content: { newsletters: { enabled: true, killTheNewsletterFeedUrl: 'https://example.com/ktn.xml' } } };
+    expect(titles(await fetchSourceList(['killthenewsletter'], config))).toEqual(['Today']);
+
+    jest.setSystemTime(new Date('2026-10-19T12:00:00Z'));
+    expect(titles(await fetchSourceList(['killthenewsletter'], config))).toEqual(['Today', 'Saturday']);
+  });
+});
+
+describe('Hacker News source', () => {
+  const stories = {
+    1: { title: 'Show HN: an LLM for spreadsheets', time: 1792358400 },
+    2: { title: 'The chair that fixed my back', time: 1792358400 },
+    3: { title: 'Humanoid robotics company goes public', time: 1792358400 },
+  };
+
+  beforeEach(() => {
+    httpGet.mockImplementation(async url => {
+      if (url.endsWith('topstories.json')) return { data: [1, 2, 3] };
+      return { data: stories[url.match(/item\/(\d+)/)[1]] };
+    });
+  });
+
+  test('matches whole-word AI keywords', async () => {
+    const { items } = await fetchSourceList(['hackernews'], {});
+    expect(items.map(i => i.title)).toEqual(['Show HN: an LLM for spreadsheets']);
+    expect(items[0].timestamp).toBe('2026-10-18T21:20:00.000Z');
+  });
+
+  test('also picks up listener interest topics', async () => {
+    const { items } = await fetchSourceList(['hackernews'], { interests: { topics: ['robotics'] } });
+    expect(items.map(i => i.title)).toEqual(['Show HN: an LLM for spreadsheets', 'Humanoid robotics company goes public']);
+  });
+});
+
+describe('fetchInternationalRelations()', () => {
+  beforeEach(() => {
+    httpGet.mockImplementation(async url => ({
+      data: `<rss><channel><item><title>Story from ${url}</title><description>Body</description></item></channel></rss>`,
+    }));
+  });
+
+  test('reads the legacy focus and sources as one region', async () => {
+    const { items } = await fetchInternationalRelations({
+      enabled: true,
+      focus: 'Iran',
+      sources: [{ type: 'rss', url: 'https://example.com/iran', name: 'Foreign Policy' }],
+    });
+    expect(items).toEqual([expect.objectContaining({
+      title: 'Story from https://example.com/iran', source: 'Foreign Policy', region: 'Iran',
+    })]);
+  });
+
+  test('fetches each region\'s feeds and news searches', async () => {
+    const { items } = await fetchInternationalRelations({
+      enabled: true,
+      regions: [
+        { name: 'Iran', feeds: [{ url: 'https://example.com/iran', name: 'Foreign Policy' }] },
+        { name: 'China', search: ['China Taiwan'] },
+      ],
+    });
+    expect(items.map(i => [i.region, i.source])).toEqual([
+      ['Iran', 'Foreign Policy'],
+      ['China', 'News search: China Taiwan'],
+    ]);
+    expect(httpGet).toHaveBeenCalledWith('https://news.google.com/rss/search?q=China%20Taiwan&hl=en-US&gl=US&ceid=US:en');
+  });
+});
+
+describe('fieldCoverage()', () => {
+  test('counts items with each field filled in', () => {
+    expect(fieldCoverage([
+      { title: 'A', summary: 'x', date: '', url: 'https://example.com/a' },
+      { title: 'B', summary: '', date: '' },
+    ])).toEqual({ title: 2, summary: 1, date: 0, url: 1 });
+  });
+});
+
+describe('combineUsage()', () => {
+  test('sums Gemini Flash tokens and ignores empty entries', () => {
+    expect(combineUsage([
+      { geminiFlash: { promptTokens: 10, candidatesTokens: 1 } },
+      null,
+      { geminiFlash: { promptTokens: 5, candidatesTokens: 4 } },
+    ])).toEqual({ geminiFlash: { promptTokens: 15, candidatesTokens: 5 } });
+  });
+
+  test('returns null when nothing used the LLM', () => {
+    expect(combineUsage([null, undefined])).toBeNull();
+  });
+});
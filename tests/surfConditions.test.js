@@ -0,0 +1,220 @@
+'use strict';
+
+jest.mock('../src/http', () => ({ httpGet: jest.fn(), getJson: jest.fn() }));
+
+const { httpGet, getJson } = require('../src/http');
+const { surfSpots, fetchSurfConditions, rateHour, bestWindow, spotReport, describeTide } = require('../src/surfConditions');
+const { parseSurflineForecast } = require('../src/surfProviders');
+
+const LA = 'America/Los_Angeles';
+const NOW = new Date('2026-10-19T13:00:00Z'); // 6am in Los Angeles
+const RINCON = { id: '5842041f4e65fad6a7708814', name: 'Rincon', facing: 225 };
+const LEO = { id: '5842041f4e65fad6a7708813', name: 'Leadbetter', facing: 180 };
+const BUOY = '#YY  MM DD hh mm WDIR WSPD GST  WVHT   DPD   APD MWD   PRES  ATMP  WTMP  DEWP  VIS PTDY  TIDE\n' +
+  '#yr  mo dy hr mn degT m/s  m/s     m   sec   sec degT   hPa  degC  degC  degC  nmi  hPa    ft\n' +
+  '2026 10 19 12 50  20  1.5  2.0    MM    MM    MM  MM 1016.1  14.2  17.0  11.0   MM   MM    MM\n' +
+  '2026 10 19 12 40  20  1.8  2.2  0.9   13    8.1 250 1016.1  14.2  17.0  11.0   MM   MM    MM\n';
+
+// Unix seconds for a local hour on Oct 19 (PDT = UTC-7)
+const at = (hour, minute = 0) => Date.UTC(2026, 9, 19, hour + 7, minute) / 1000;
+
+// Surfline responses for a day with a WSW swell, glassy at dawn and onshore from late morning
+function surflineDay({ swellDirection = 250, size = hour => (hour < 12 ? 3 : 2) } = {}) {
+  const hours = Array.from({ length: 24 }, (_, hour) => hour);
+  return {
+    wave: {
+      data: {
+        wave: hours.map(hour => ({
+          timestamp: at(hour),
+          surf: { min: size(hour) - 1, max: size(hour) },
+          swells: [
+            { height: 0, period: 0, direction: 0 },
+            { height: 2.8, period: 14, direction: swellDirection },
+            { height: 1.1, period: 8, direction: 190 },
+          ],
+        })),
+      },
+    },
+    wind: {
+      associated: { units: { windSpeed: 'KTS' } },
+      data: {
+        wind: hours.map(hour => ({
+          timestamp: at(hour),
+          speed: hour < 7 ? 2 : hour < 11 ? 6 : 12,
+          direction: hour < 11 ? 30 : 250,
+          directionType: hour < 11 ? 'Offshore' : 'Onshore',
+        })),
+      },
+    },
+    tides: {
+      data: {
+        tides: [
+          { timestamp: at(5, 12), type: 'LOW', height: 0.4 },
+          { timestamp: at(8), type: 'NORMAL', height: 2.1 },
+          { timestamp: at(11, 40), type: 'HIGH', height: 4.2 },
+          { timestamp: at(18, 5), type: 'LOW', height: 1.0 },
+        ],
+      },
+    },
+  };
+}
+
+function mockSurfline(days, { buoy } = {}) {
+  // Buoy readings are text; everything else is JSON
+  httpGet.mockImplementation(async () => {
+    if (!buoy) throw new Error('Request failed with status code 404');
+    return { data: buoy };
+  });
+  getJson.mockImplementation(async url => {
+    const spotId = new URL(url).searchParams.get('spotId');
+    const day = days[spotId];
+    if (!day) throw new Error('Request failed with status code 500');
+    if (url.includes('/wave?')) return day.wave;
+    if (url.includes('/wind?')) return day.wind;
+    return day.tides;
+  });
+}
+
+const forecastFor = day => parseSurflineForecast(day.wave, day.wind, day.tides);
+
+// ─────────────────────────────────────────────
+// Config
+// ─────────────────────────────────────────────
+
+describe('surfSpots()', () => {
+  test('uses named spots when configured', () => {
+    expect(surfSpots({ spots: [RINCON], spotIds: ['x'] })).toEqual([RINCON]);
+  });
+
+  test('names the older spotIds after the location', () => {
+    expect(surfSpots({ location: 'Santa Barbara County', spotIds: [RINCON.id] })).toEqual([{ id: RINCON.id, name: 'Santa Barbara County' }]);
+    expect(surfSpots({ spotIds: ['a', 'b'] }).map(s => s.name)).toEqual(['Spot 1', 'Spot 2']);
+  });
+});
+
+// ─────────────────────────────────────────────
+// Rating
+// ─────────────────────────────────────────────
+
+describe('rateHour()', () => {
+  const hour = (overrides = {}) => ({
+    surfMax: 3, swell: { height: 2.8, period: 14, direction: 270 }, wind: { speed: 8, direction: 45 }, ...overrides,
+  });
+
+  test('rewards a long-period swell into the spot with offshore wind', () => {
+    expect(rateHour(hour(), 225)).toEqual({ score: 4, rating: 'fair to good', windType: 'offshore' });
+  });
+
+  test('marks down onshore and strong wind', () => {
+    expect(rateHour(hour({ wind: { speed: 12, direction: 230 } }), 225)).toMatchObject({ score: 2, windType: 'onshore' });
+    expect(rateHour(hour({ wind: { speed: 20, direction: 130 } }), 225)).toMatchObject({ score: 2, windType: 'cross-shore' });
+  });
+
+  test('halves a swell from the side and blocks one from behind', () => {
+    expect(rateHour(hour({ swell: { height: 2.8, period: 9, direction: 135 }, wind: { speed: 3 } }), 225))
+      .toMatchObject({ score: 2, windType: 'glassy' });
+    expect(rateHour(hour({ swell: { height: 2.8, period: 14, direction: 45 } }), 225)).toMatchObject({ score: 0, rating: 'flat' });
+  });
+
+  test('counts a swell of unknown direction in full', () => {
+    expect(rateHour(hour({ swell: { height: 2.8, period: 14, direction: null } }), 225)).toMatchObject({ score: 4 });
+  });
+
+  test('uses Surfline\'s wind label when the spot\'s facing is unknown', () => {
+    expect(rateHour(hour({ wind: { speed: 10, direction: 0, directionType: 'Cross-shore' } }))).toMatchObject({ windType: 'cross-shore' });
+  });
+});
+
+describe('bestWindow()', () => {
+  test('picks the longest run at the day\'s top score', () => {
+    const rated = [1, 3, 2, 3, 3, 3, 1].map((score, i) => ({ score, time: new Date(Date.UTC(2026, 9, 19, 13 + i)) }));
+    const window = bestWindow(rated);
+    expect(window).toMatchObject({ score: 3, rating: 'fair', start: rated[3].time, end: new Date(Date.UTC(2026, 9, 19, 19)) });
+    expect(window.hours).toHaveLength(3);
+  });
+});
+
+describe('describeTide()', () => {
+  test('gives the level and direction at a time', () => {
+    const { tides } = forecastFor(surflineDay());
+    expect(describeTide(tides, new Date(at(8) * 1000))).toBe('rising mid tide at 2.1 ft');
+    expect(describeTide(tides, new Date(at(17) * 1000))).toBe('falling low tide at 1.0 ft');
+    expect(describeTide([], new Date())).toBeNull();
+  });
+});
+
+// ─────────────────────────────────────────────
+// Reports
+// ─────────────────────────────────────────────
+
+describe('spotReport()', () => {
+  test('summarizes the day, best window and tides in local time', () => {
+    const report = spotReport(RINCON, forecastFor(surflineDay()), { timezone: LA, now: NOW });
+    expect(report).toMatchObject({ name: 'Rincon', score: 4, rating: 'fair to good', windowText: '6:00 AM–11:00 AM' });
+    expect(report.summary).toBe(
+      'Rincon: 1-3 ft, 2.8 ft @ 14s from WSW. ' +
+      'Best fair to good 6:00 AM–11:00 AM (glassy, rising low tide at 0.4 ft). ' +
+      'Tides: low 5:12 AM 0.4 ft, high 11:40 AM 4.2 ft, low 6:05 PM 1.0 ft.'
+    );
+  });
+});
+
+describe('fetchSurfConditions()', () => {
+  test('compares every spot and recommends the best one', async () => {
+    mockSurfline({
+      [RINCON.id]: surflineDay(),
+      // A WNW swell is blocked at a south-facing beach
+      [LEO.id]: surflineDay({ swellDirection: 300 }),
+    });
+
+    const result = await fetchSurfConditions([LEO, RINCON], 'Santa Barbara County', { timezone: LA, now: NOW });
+
+    expect(getJson).toHaveBeenCalledWith(
+      `https://services.surfline.com/kbyg/spots/forecasts/wave?spotId=${LEO.id}&days=1`, { label: 'Surfline', timeout: 8000 }
+    );
+    expect(result.items.map(i => i.source)).toEqual(['Surfline', 'Surfline', 'Surfline']);
+    expect(result.best.name).toBe('Rincon');
+    expect(result.items.map(i => i.title)).toEqual(['Surf Recommendation', 'Surf: Leadbetter', 'Surf: Rincon']);
+    expect(result.items[0].summary).toBe('Best bet: Rincon, 6:00 AM–11:00 AM on a rising low tide at 0.4 ft (fair to good).');
+  });
+
+  test('skips spots that fail and reports when none are left', async () => {
+    mockSurfline({ [RINCON.id]: surflineDay() });
+    const partial = await fetchSurfConditions([LEO, RINCON], 'Santa Barbara County', { timezone: LA, now: NOW });
+    expect(partial.spots.map(s => s.name)).toEqual(['Rincon']);
+
+    mockSurfline({});
+    const none = await fetchSurfConditions([LEO], 'Santa Barbara County', { timezone: LA, now: NOW });
+    expect(none.items).toEqual([expect.objectContaining({ summary: 'Surf conditions unavailable for Santa Barbara County (API error)' })]);
+  });
+
+  test('falls back to the NOAA buoy for a spot Surfline cannot serve', async () => {
+    mockSurfline({}, { buoy: BUOY });
+    const spots = [{ ...RINCON, buoyId: '46053' }, { name: 'Buoy only', buoyId: '46053', facing: 225 }];
+    const { items } = await fetchSurfConditions(spots, 'Santa Barbara County', { fallback: 'noaa', timezone: LA, now: NOW });
+
+    expect(httpGet).toHaveBeenCalledWith('https://www.ndbc.noaa.gov/data/realtime2/46053.txt', { timeout: 8000 });
+    expect(items.map(i => `${i.title} (${i.source})`)).toEqual([
+      'Surf Recommendation (NOAA)', 'Surf: Rincon (NOAA)', 'Surf: Buoy only (NOAA)',
+    ]);
+    expect(items[1].summary).toMatch(/^Rincon: 2-3 ft, 3\.0 ft @ 13s from WSW\. Best fair to good 6:00 AM–7:00 PM \(glassy\)\. From the 5:40 AM reading at NOAA buoy 46053, no forecast\.$/);
+  });
+
+  test('leaves out the swell direction when the buoy did not report it', async () => {
+    mockSurfline({}, { buoy: BUOY.replace(' 250 1016.1', '  MM 1016.1') });
+    const { items } = await fetchSurfConditions([{ ...RINCON, buoyId: '46053' }], 'Santa Barbara County', { fallback: 'noaa', timezone: LA, now: NOW });
+    expect(items[1].summary).toMatch(/^Rincon: 2-3 ft, 3\.0 ft @ 13s\. Best fair to good /);
+  });
+
+  test('only uses the providers it is given', async () => {
+    mockSurfline({}, { buoy: BUOY });
+    const { spots } = await fetchSurfConditions([{ ...RINCON, buoyId: '46053' }], 'Santa Barbara County', { timezone: LA, now: NOW });
+    expect(spots).toEqual([]);
+  });
+
+  test('says so when every spot is flat', async () => {
+    mockSurfline({ [RINCON.id]: surflineDay({ size: () => 0.5 }) });
+    const { items } = await fetchSurfConditions([RINCON], 'Santa Barbara County', { timezone: LA, now: NOW });
+    expect(items[0].summary).toBe('Flat at every spot today.');
+  });
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+jest.mock('../src/http', () => ({ httpGet: jest.fn(), getJson: jest.fn() }));
+
+const { httpGet, getJson } = require('../src/http');
+const {
+  SURF_PROVIDERS, SURF_PROVIDER_IDS, parseSurflineForecast, parseBuoyReading, fetchTidePredictions,
+} = require('../src/surfProviders');
+
+const LA = 'America/Los_Angeles';
+const NOW = new Date('2026-10-19T13:00:00Z');
+
+const BUOY = [
+  '#YY  MM DD hh mm WDIR WSPD GST  WVHT   DPD   APD MWD   PRES  ATMP  WTMP  DEWP  VIS PTDY  TIDE',
+  '#yr  mo dy hr mn degT m/s  m/s     m   sec   sec degT   hPa  degC  degC  degC  nmi  hPa    ft',
+  '2026 10 19 12 50  20  4.0  5.0    MM    MM    MM  MM 1016.1  14.2  17.0  11.0   MM   MM    MM',
+  '2026 10 19 12 40  MM   MM   MM  1.2   14    8.1 265 1016.1  14.2  17.0  11.0   MM   MM    MM',
+  '2026 10 19 11 40 300  6.0  7.0  1.1   13    8.0 260 1016.0  14.1  17.0  11.0   MM   MM    MM',
+].join('\n');
+
+// ─────────────────────────────────────────────
+// Surfline
+// ─────────────────────────────────────────────
+
+describe('parseSurflineForecast()', () => {
+  test('gives hourly points with the largest swell and wind in mph', () => {
+    const wave = { data: { wave: [{ timestamp: 1792400400, surf: { min: 2, max: 3 }, swells: [
+      { height: 0, period: 0, direction: 0 }, { height: 1.1, period: 8, direction: 190 }, { height: 2.8, period: 14, direction: 250 },
+    ] }] } };
+    const wind = { associated: { units: { windSpeed: 'KTS' } }, data: { wind: [{ timestamp: 1792400400, speed: 10, direction: 30, directionType: 'Offshore' }] } };
+    const tides = { data: { tides: [{ timestamp: 1792400400, type: 'HIGH', height: 4.2 }] } };
+
+    expect(parseSurflineForecast(wave, wind, tides)).toEqual({
+      hours: [{
+        time: new Date(1792400400 * 1000),
+        surfMin: 2,
+        surfMax: 3,
+        swell: { height: 2.8, period: 14, direction: 250 },
+        wind: { speed: expect.closeTo(11.5, 1), direction: 30, directionType: 'Offshore' },
+      }],
+      tides: [{ time: new Date(1792400400 * 1000), type: 'HIGH', height: 4.2 }],
+    });
+  });
+
+  test('treats a response without wave data as a failure', async () => {
+    getJson.mockResolvedValue({ message: 'Spot not found' });
+    await expect(SURF_PROVIDERS.surfline.fetchForecast({ id: 'abc' }))
+      .rejects.toThrow('Surfline returned no wave forecast (Spot not found)');
+  });
+});
+
+// ─────────────────────────────────────────────
+// NOAA
+// ─────────────────────────────────────────────
+
+describe('parseBuoyReading()', () => {
+  test('takes waves and wind from their latest complete rows, in feet and mph', () => {
+    expect(parseBuoyReading(BUOY)).toEqual({
+      time: new Date('2026-10-19T12:40:00Z'),
+      waveHeight: expect.closeTo(3.94, 2),
+      period: 14,
+      waveDirection: 265,
+      wind: { speed: expect.closeTo(8.95, 2), direction: 20 },
+    });
+  });
+
+  test('leaves the wave direction unknown when the buoy did not report it', () => {
+    const noDirection = [
+      ...BUOY.split('\n').slice(0, 2),
+      '2026 10 19 12 40  20  4.0  5.0  1.2   14    8.1  MM 1016.1  14.2  17.0  11.0   MM   MM    MM',
+    ].join('\n');
+    expect(parseBuoyReading(noDirection)).toMatchObject({ period: 14, waveDirection: null });
+  });
+
+  test('is null without a wave reading', () => {
+    expect(parseBuoyReading(BUOY.split('\n').slice(0, 3).join('\n'))).toBeNull();
+    expect(parseBuoyReading('')).toBeNull();
+  });
+});
+
+describe('fetchTidePredictions()', () => {
+  test('merges hourly heights with high and low turning points', async () => {
+    getJson.mockImplementation(async url => (url.includes('interval=hilo')
+      ? { predictions: [{ t: '2026-10-19 12:12', v: '0.412', type: 'L' }] }
+      : { predictions: [{ t: '2026-10-19 12:00', v: '0.450' }, { t: '2026-10-19 13:00', v: '0.700' }] }));
+
+    expect(await fetchTidePredictions('9411340', { now: NOW })).toEqual([
+      { time: new Date('2026-10-19T12:00:00Z'), type: 'NORMAL', height: 0.45 },
+      { time: new Date('2026-10-19T12:12:00Z'), type: 'LOW', height: 0.412 },
+      { time: new Date('2026-10-19T13:00:00Z'), type: 'NORMAL', height: 0.7 },
+    ]);
+    expect(getJson).toHaveBeenCalledWith(
+      'https://api.tidesandcurrents.noaa.gov/api/prod/datagetter?product=predictions&application=daily-podcast' +
+      '&begin_date=20261018&range=72&datum=MLLW&station=9411340&time_zone=gmt&units=english&interval=hilo&format=json',
+      { label: 'NOAA Tides & Currents', timeout: 8000 }
+    );
+  });
+
+  test('reports NOAA error bodies', async () => {
+    getJson.mockResolvedValue({ error: { message: 'No Predictions data was found.' } });
+    await expect(fetchTidePredictions('0000000', { now: NOW })).rejects.toThrow('(No Predictions data was found.)');
+  });
+});
+
+describe('NOAA provider', () => {
+  test('holds the buoy reading through the day and keeps going without tides', async () => {
+    httpGet.mockResolvedValue({ data: BUOY });
+    getJson.mockRejectedValue(new Error('Request failed with status code 503'));
+
+    const forecast = await SURF_PROVIDERS.noaa.fetchForecast({ buoyId: '46053', tideStation: '9411340' }, { timezone: LA, now: NOW });
+    expect(forecast.hours).toHaveLength(24);
+    expect(forecast.hours[0].time).toEqual(new Date('2026-10-19T12:00:00Z'));
+    expect(forecast.hours[23].swell).toEqual({ height: expect.closeTo(3.94, 2), period: 14, direction: 265 });
+    expect(forecast.tides).toEqual([]);
+    expect(forecast.note).toBe('From the 5:40 AM reading at NOAA buoy 46053, no forecast');
+  });
+});
+
+describe('SURF_PROVIDER_IDS', () => {
+  test('lists every provider', () => {
+    expect(SURF_PROVIDER_IDS).toEqual(['surfline', 'noaa']);
+  });
+});
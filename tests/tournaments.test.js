@@ -0,0 +1,153 @@
+'use strict';
+
+jest.mock('../src/http', () => ({ getJson: jest.fn() }));
+
+const { getJson } = require('../src/http');
+const {
+  activeTournament, fetchTournamentUpdates, describeResult, describeFixture, knockoutProgress, groupStandings,
+} = require('../src/tournaments');
+
+const CHICAGO = 'America/Chicago';
+
+const team = (id, displayName, abbreviation) => ({ id, displayName, abbreviation });
+const USA = team('660', 'United States', 'USA');
+const WAL = team('578', 'Wales', 'WAL');
+const COL = team('208', 'Colombia', 'COL');
+const FRA = team('478', 'France', 'FRA');
+
+const match = ({ date, stage, home, away, score = [], winner, shootout, completed = true, details = [] }) => ({
+  date,
+  status: { type: { completed } },
+  competitions: [{
+    notes: stage ? [{ headline: stage }] : [],
+    details,
+    competitors: [
+      { homeAway: 'home', team: home, score: score[0], winner: winner === 'home', ...(shootout && { shootoutScore: shootout[0] }) },
+      { homeAway: 'away', team: away, score: score[1], winner: winner === 'away', ...(shootout && { shootoutScore: shootout[1] }) },
+    ],
+  }],
+});
+
+const goal = (teamId, name, minute, extra = {}) => ({
+  scoringPlay: true, team: { id: teamId }, clock: { displayValue: minute }, athletesInvolved: [{ shortName: name }], ...extra,
+});
+
+// ─────────────────────────────────────────────
+// Dates
+// ─────────────────────────────────────────────
+
+describe('activeTournament()', () => {
+  test('uses the exact tournament dates', () => {
+    expect(activeTournament('worldcup', { now: new Date('2026-06-10T18:00:00Z'), timezone: CHICAGO })).toBeNull();
+    expect(activeTournament('worldcup', { now: new Date('2026-06-11T18:00:00Z'), timezone: CHICAGO }).name).toBe('2026 FIFA World Cup');
+    expect(activeTournament('worldcup', { now: new Date('2026-07-19T18:00:00Z'), timezone: CHICAGO })).not.toBeNull();
+    expect(activeTournament('worldcup', { now: new Date('2026-07-21T18:00:00Z'), timezone: CHICAGO })).toBeNull();
+  });
+
+  test('covers other tournaments with the same data', () => {
+    expect(activeTournament('euro', { now: new Date('2028-06-20T18:00:00Z'), timezone: CHICAGO }).league).toBe('uefa.euro');
+  });
+});
+
+// ─────────────────────────────────────────────
+// Matches
+// ─────────────────────────────────────────────
+
+describe('describeResult()', () => {
+  test('lists the score and scorers for each side', () => {
+    const result = match({
+      date: '2026-06-12T19:00Z', stage: 'Group B', home: USA, away: WAL, score: ['2', '1'], winner: 'home',
+      details: [goal('660', 'C. Pulisic', "23'"), goal('578', 'G. Bale', "82'", { penaltyKick: true }), goal('660', 'T. Weah', "70'")],
+    });
+    expect(describeResult(result)).toBe("Group B: United States 2-1 Wales (C. Pulisic 23', T. Weah 70'; G. Bale 82' pen)");
+  });
+
+  test('notes penalty shootouts', () => {
+    const result = match({ date: '2026-07-01T19:00Z', stage: 'Round of 32', home: COL, away: USA, score: ['1', '1'], winner: 'away', shootout: [3, 4] });
+    expect(describeResult(result)).toBe('Round of 32: Colombia 1-1 United States (United States win 4-3 on penalties)');
+  });
+});
+
+describe('describeFixture()', () => {
+  test('gives the kickoff in the podcast timezone', () => {
+    const fixture = match({ date: '2026-07-04T20:00Z', stage: 'Round of 16', home: USA, away: FRA, completed: false });
+    expect(describeFixture(fixture, CHICAGO)).toBe('Round of 16: United States vs France at 3:00 PM CDT');
+  });
+});
+
+describe('knockoutProgress()', () => {
+  const matches = [
+    match({ date: '2026-06-12T19:00Z', stage: 'Group B', home: USA, away: WAL, score: ['2', '1'], winner: 'home' }),
+    match({ date: '2026-07-01T19:00Z', stage: 'Round of 32', home: COL, away: USA, score: ['1', '2'], winner: 'away' }),
+    match({ date: '2026-07-04T20:00Z', stage: 'Round of 16', home: USA, away: FRA, completed: false }),
+  ];
+
+  test('lists a followed nation\'s knockout results and next match', () => {
+    expect(knockoutProgress(matches, 'usa', CHICAGO)).toBe('United States: Round of 32 beat Colombia 2-1; Round of 16 vs France on Jul 4');
+  });
+
+  test('marks elimination', () => {
+    expect(knockoutProgress(matches, 'Colombia', CHICAGO)).toBe('Colombia: Round of 32 lost to United States 1-2, eliminated');
+  });
+
+  test('is null before the knockouts', () => {
+    expect(knockoutProgress(matches.slice(0, 1), 'USA', CHICAGO)).toBeNull();
+  });
+});
+
+// ─────────────────────────────────────────────
+// Standings
+// ─────────────────────────────────────────────
+
+const entry = (t, points, wins, ties, losses) => ({
+  team: t,
+  stats: [{ name: 'points', displayValue: points }, { name: 'wins', displayValue: wins }, { name: 'ties', displayValue: ties }, { name: 'losses', displayValue: losses }],
+});
+
+const STANDINGS = {
+  children: [
+    { name: 'Group A', standings: { entries: [entry(team('1', 'Mexico', 'MEX'), '9', '3', '0', '0'), entry(team('2', 'Korea', 'KOR'), '4', '1', '1', '1'), entry(team('3', 'Ghana', 'GHA'), '1', '0', '1', '2')] } },
+    { name: 'Group B', standings: { entries: [entry(USA, '7', '2', '1', '0'), entry(WAL, '4', '1', '1', '1')] } },
+  ],
+};
+
+describe('groupStandings()', () => {
+  test('shows followed nations\' groups in full', () => {
+    expect(groupStandings(STANDINGS, ['USA'])).toEqual(['Group B: 1. United States 7 pts (2-1-0), 2. Wales 4 pts (1-1-1)']);
+  });
+
+  test('shows every group\'s leaders without followed nations', () => {
+    expect(groupStandings(STANDINGS)).toEqual([
+      'Group A: 1. Mexico 9 pts (3-0-0), 2. Korea 4 pts (1-1-1)',
+      'Group B: 1. United States 7 pts (2-1-0), 2. Wales 4 pts (1-1-1)',
+    ]);
+  });
+});
+
+// ─────────────────────────────────────────────
+// Fetching
+// ─────────────────────────────────────────────
+
+describe('fetchTournamentUpdates()', () => {
+  test('builds results, fixtures, standings and knockout items from two requests', async () => {
+    const scoreboard = {
+      events: [
+        match({ date: '2026-07-04T20:00Z', stage: 'Round of 16', home: USA, away: FRA, completed: false }),
+        match({ date: '2026-07-03T23:00Z', stage: 'Round of 32', home: COL, away: USA, score: ['1', '2'], winner: 'away' }),
+      ],
+    };
+    getJson.mockImplementation(async url => (url.includes('/standings') ? STANDINGS : scoreboard));
+
+    const tournament = activeTournament('worldcup', { now: new Date('2026-07-04T13:00:00Z'), timezone: CHICAGO });
+    const items = await fetchTournamentUpdates(tournament, { nations: ['USA'], timezone: CHICAGO, now: new Date('2026-07-04T13:00:00Z') });
+
+    expect(getJson).toHaveBeenCalledWith('https://site.api.espn.com/apis/site/v2/sports/soccer/fifa.world/scoreboard?dates=20260611-20260704&limit=200');
+    expect(getJson).toHaveBeenCalledWith('https://site.api.espn.com/apis/v2/sports/soccer/fifa.world/standings');
+    expect(Object.fromEntries(items.map(i => [i.title, i.summary]))).toEqual({
+      '2026 FIFA World Cup Results': 'Round of 32: Colombia 1-2 United States',
+      '2026 FIFA World Cup Today': 'Round of 16: United States vs France at 3:00 PM CDT',
+      '2026 FIFA World Cup Standings': 'Group B: 1. United States 7 pts (2-1-0), 2. Wales 4 pts (1-1-1)',
+      '2026 FIFA World Cup Knockout Progress': 'United States: Round of 32 beat Colombia 2-1; Round of 16 vs France on Jul 4',
+    });
+  });
+});
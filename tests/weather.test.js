@@ -1,136 +1,214 @@
 'use strict';
 
-const { formatWeatherForSpeech } = require('../src/weather');
+jest.mock('../src/http', () => ({ getJson: jest.fn() }));
+
+const { getJson } = require('../src/http');
+const {
+  WMO_CODES, fetchWeather, parseOpenMeteo, parseWttr, weatherHighlights, formatWeatherForSpeech,
+} = require('../src/weather');
+
+const CHICAGO = { city: 'Chicago', state: 'IL', latitude: 41.8781, longitude: -87.6298, timezone: 'America/Chicago' };
+const FRIDAY = new Date('2026-10-23T11:30:00Z'); // 6:30 AM in Chicago
+const DATES = ['2026-10-23', '2026-10-24', '2026-10-25', '2026-10-26'];
+
+// Open-Meteo day: cold and breezy at dawn, showers through the evening commute
+function openMeteoDay() {
+  const hours = Array.from({ length: 24 }, (_, hour) => hour);
+  return {
+    current: { time: '2026-10-23T06:30', temperature_2m: 38.4, apparent_temperature: 31.2, weather_code: 3, wind_speed_10m: 14.2 },
+    hourly: {
+      time: hours.map(hour => `2026-10-23T${String(hour).padStart(2, '0')}:00`),
+      temperature_2m: hours.map(hour => (hour < 10 ? 38 : 52)),
+      apparent_temperature: hours.map(hour => (hour === 7 ? 28 : hour < 10 ? 32 : 50)),
+      precipitation_probability: hours.map(hour => (hour === 17 ? 65 : hour >= 15 ? 45 : 5)),
+      wind_speed_10m: hours.map(() => 14),
+    },
+    daily: {
+      time: DATES,
+      weather_code: [80, 0, 2, 61],
+      temperature_2m_max: [54.2, 60.1, 58, 49.6],
+      temperature_2m_min: [36.8, 41, 44.3, 39],
+      precipitation_probability_max: [65, 0, 10, 70],
+    },
+  };
+}
+
+const WTTR = {
+  current_condition: [{ temp_C: '4', temp_F: '39', FeelsLikeC: '0', FeelsLikeF: '32', windspeedKmph: '22', windspeedMiles: '14', weatherDesc: [{ value: 'Overcast ' }] }],
+  weather: DATES.slice(0, 3).map((date, d) => ({
+    date,
+    maxtempC: String(12 + d), maxtempF: String(54 + d), mintempC: '3', mintempF: '37',
+    hourly: ['0', '300', '600', '900', '1200', '1500', '1800', '2100'].map((time, i) => ({
+      time,
+      tempC: '5', tempF: '41', FeelsLikeC: '2', FeelsLikeF: '35', windspeedKmph: '20', windspeedMiles: '12',
+      chanceofrain: String(d === 0 && i === 6 ? 70 : 0),
+      weatherDesc: [{ value: i === 4 ? 'Light rain shower' : 'Cloudy' }],
+    })),
+  })),
+};
+
+const ALERTS = {
+  features: [{ properties: { event: 'Wind Advisory', severity: 'Moderate', ends: '2026-10-23T23:00:00Z', expires: '2026-10-23T15:00:00Z' } }],
+};
+
+function mockWeather({ openMeteo = openMeteoDay(), wttr = WTTR, alerts = ALERTS } = {}) {
+  getJson.mockImplementation(async url => {
+    const data = url.includes('open-meteo') ? openMeteo : url.includes('wttr.in') ? wttr : alerts;
+    if (!data) throw new Error('Request failed with status code 503');
+    return data;
+  });
+}
+
+beforeEach(() => {
+  getJson.mockReset();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// ─────────────────────────────────────────────
+// Providers
+// ─────────────────────────────────────────────
+
+describe('parseOpenMeteo()', () => {
+  test('normalizes current conditions, local hours and days', () => {
+    const forecast = parseOpenMeteo(openMeteoDay(), 'imperial');
+    expect(forecast.current).toEqual({ temperature: 38.4, feelsLike: 31.2, windSpeed: 14.2, description: 'overcast' });
+    expect(forecast.hours[17]).toEqual({ date: '2026-10-23', hour: 17, temperature: 52, feelsLike: 50, precipChance: 65, windSpeed: 14 });
+    expect(forecast.days.map(d => d.description)).toEqual(['light rain showers', 'clear skies', 'partly cloudy', 'light rain']);
+  });
+
+  test('covers every WMO code and falls back for unknown ones', () => {
+    expect(Object.keys(WMO_CODES)).toHaveLength(28);
+    const data = openMeteoDay();
+    data.current.weather_code = 42;
+    expect(parseOpenMeteo(data, 'imperial').current.description).toBe('mixed conditions');
+  });
+});
+
+describe('parseWttr()', () => {
+  test('reads the fields for the requested units', () => {
+    const forecast = parseWttr(WTTR, 'metric');
+    expect(forecast.current).toEqual({ temperature: 4, feelsLike: 0, windSpeed: 22, description: 'overcast' });
+    expect(forecast.hours[6]).toMatchObject({ date: '2026-10-23', hour: 18, temperature: 5, precipChance: 70 });
+    expect(forecast.days[0]).toEqual({ date: '2026-10-23', high: 12, low: 3, precipChance: 70, description: 'light rain shower' });
+  });
+});
+
+// ─────────────────────────────────────────────
+// Highlights
+// ─────────────────────────────────────────────
+
+describe('weatherHighlights()', () => {
+  const forecast = parseOpenMeteo(openMeteoDay(), 'imperial');
+
+  test('flags commute rain and the worst wind chill still ahead', () => {
+    expect(weatherHighlights(forecast, { date: '2026-10-23', hour: 6 })).toEqual([
+      'Rain likely for the evening commute (65% around 5 PM)',
+      'Wind chill makes it feel like 28°F around 7 AM (actual 38°F)',
+    ]);
+  });
+
+  test('skips hours that have already passed', () => {
+    expect(weatherHighlights(forecast, { date: '2026-10-23', hour: 10 })).toEqual([
+      'Rain likely for the evening commute (65% around 5 PM)',
+    ]);
+  });
+
+  test('flags morning commute rain', () => {
+    const wet = { ...forecast, hours: forecast.hours.map(h => ({ ...h, precipChance: h.hour === 8 ? 40 : 0 })) };
+    expect(weatherHighlights(wet, { date: '2026-10-23', hour: 6 })[0]).toBe('Rain likely for the morning commute (40% around 8 AM)');
+  });
+});
+
+// ─────────────────────────────────────────────
+// Forecast
+// ─────────────────────────────────────────────
+
+describe('fetchWeather()', () => {
+  test('uses Open-Meteo in the configured units, with alerts and a Friday outlook', async () => {
+    mockWeather();
+    const weather = await fetchWeather({ location: CHICAGO }, { now: FRIDAY });
+
+    expect(getJson).toHaveBeenCalledWith(expect.stringMatching(
+      /^https:\/\/api\.open-meteo\.com\/v1\/forecast\?latitude=41\.8781&longitude=-87\.6298&.*&temperature_unit=fahrenheit&wind_speed_unit=mph&precipitation_unit=inch&timezone=America%2FChicago&forecast_days=4$/
+    ), { label: 'Open-Meteo' });
+    expect(weather).toMatchObject({ provider: 'Open-Meteo', units: 'imperial', location: 'Chicago, IL', today: { date: '2026-10-23', high: 54.2 } });
+    expect(weather.alerts).toEqual([{ event: 'Wind Advisory', severity: 'Moderate', ends: new Date('2026-10-23T23:00:00Z') }]);
+    expect(weather.highlights).toHaveLength(2);
+    expect(weather.outlook.map(d => d.date)).toEqual(DATES.slice(1));
+  });
+
+  test('has no outlook on other days', async () => {
+    mockWeather();
+    const weather = await fetchWeather({ location: CHICAGO }, { now: new Date('2026-10-22T11:30:00Z') });
+    expect(weather.outlook).toEqual([]);
+  });
+
+  test('asks Open-Meteo for metric units when configured', async () => {
+    mockWeather();
+    await fetchWeather({ location: { ...CHICAGO, units: 'metric' } }, { now: FRIDAY });
+    expect(getJson.mock.calls[1][0]).not.toContain('fahrenheit');
+  });
+
+  test('falls back to wttr.in and keeps going without alerts', async () => {
+    mockWeather({ openMeteo: { error: true, reason: 'Rate limited' }, alerts: null });
+    const weather = await fetchWeather({ location: CHICAGO }, { now: FRIDAY });
+
+    expect(getJson).toHaveBeenCalledWith('https://wttr.in/41.8781,-87.6298?format=j1', { label: 'wttr.in' });
+    expect(console.error).toHaveBeenCalledWith('  ⚠️  Open-Meteo weather failed:', 'Open-Meteo returned no forecast (Rate limited)');
+    expect(weather).toMatchObject({ provider: 'wttr.in', alerts: [], highlights: [
+      'Rain likely for the evening commute (70% around 6 PM)',
+      'Wind chill makes it feel like 35°F around 6 AM (actual 41°F)',
+    ] });
+    expect(weather.outlook.map(d => d.date)).toEqual(DATES.slice(1, 3));
+  });
+
+  test('only asks the National Weather Service about US locations', async () => {
+    mockWeather();
+    const toronto = { city: 'Toronto', state: 'ON', latitude: 43.6532, longitude: -79.3832, timezone: 'America/Toronto' };
+
+    for (const location of [toronto, { ...CHICAGO, country: 'CA' }]) {
+      const weather = await fetchWeather({ location }, { now: FRIDAY });
+      expect(weather.alerts).toEqual([]);
+    }
+    expect(getJson.mock.calls.map(([url]) => url)).not.toContainEqual(expect.stringContaining('api.weather.gov'));
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  test('is null when every provider fails', async () => {
+    mockWeather({ openMeteo: null, wttr: null, alerts: null });
+    expect(await fetchWeather({ location: CHICAGO }, { now: FRIDAY })).toBeNull();
+  });
+});
+
+// ─────────────────────────────────────────────
+// Formatting
+// ─────────────────────────────────────────────
 
 describe('formatWeatherForSpeech()', () => {
-  // ─────────────────────────────────────────────
-  // Error / unavailable weather
-  // ─────────────────────────────────────────────
-
-  test('returns unavailability message when weather.error is true', () => {
-    const result = formatWeatherForSpeech({ error: true });
-    expect(result).toBe('Weather data unavailable today');
-  });
-
-  // ─────────────────────────────────────────────
-  // Normal weather — base output structure
-  // ─────────────────────────────────────────────
-
-  test('includes current temperature', () => {
-    const result = formatWeatherForSpeech({
-      temperature: '72',
-      condition: 'Sunny',
-      high: '80',
-      low: '60',
-      chanceOfRain: '10',
-    });
-    expect(result).toContain("It's currently 72 degrees");
-  });
-
-  test('includes condition in lowercase', () => {
-    const result = formatWeatherForSpeech({
-      temperature: '72',
-      condition: 'Partly Cloudy',
-      high: '80',
-      low: '60',
-      chanceOfRain: '0',
-    });
-    expect(result).toContain('and partly cloudy');
-  });
-
-  test('includes high and low temperatures', () => {
-    const result = formatWeatherForSpeech({
-      temperature: '72',
-      condition: 'Clear',
-      high: '85',
-      low: '55',
-      chanceOfRain: '0',
-    });
-    expect(result).toContain("Today's high will be 85 with a low of 55");
-  });
-
-  test('includes "in Austin" location reference', () => {
-    const result = formatWeatherForSpeech({
-      temperature: '72',
-      condition: 'Sunny',
-      high: '80',
-      low: '60',
-      chanceOfRain: '0',
-    });
-    expect(result).toContain('in Austin');
-  });
-
-  // ─────────────────────────────────────────────
-  // Rain chance thresholds
-  // ─────────────────────────────────────────────
-
-  test('omits rain mention when chance is below threshold (10%)', () => {
-    const result = formatWeatherForSpeech({
-      temperature: '72',
-      condition: 'Sunny',
-      high: '80',
-      low: '60',
-      chanceOfRain: '10',
-    });
-    expect(result).not.toContain('percent chance of rain');
-  });
-
-  test('omits rain mention at exactly 30% (boundary — not > 30)', () => {
-    const result = formatWeatherForSpeech({
-      temperature: '72',
-      condition: 'Cloudy',
-      high: '75',
-      low: '60',
-      chanceOfRain: '30',
-    });
-    expect(result).not.toContain('percent chance of rain');
-  });
-
-  test('includes rain mention at 31% (just above boundary)', () => {
-    const result = formatWeatherForSpeech({
-      temperature: '68',
-      condition: 'Overcast',
-      high: '74',
-      low: '58',
-      chanceOfRain: '31',
-    });
-    expect(result).toContain('31 percent chance of rain');
-  });
-
-  test('includes rain mention when chance is high (80%)', () => {
-    const result = formatWeatherForSpeech({
-      temperature: '65',
-      condition: 'Rainy',
-      high: '70',
-      low: '58',
-      chanceOfRain: '80',
-    });
-    expect(result).toContain('80 percent chance of rain');
-  });
-
-  // ─────────────────────────────────────────────
-  // Condition edge cases
-  // ─────────────────────────────────────────────
-
-  test('omits condition phrase when condition is "unknown"', () => {
-    const result = formatWeatherForSpeech({
-      temperature: '70',
-      condition: 'unknown',
-      high: '78',
-      low: '62',
-      chanceOfRain: '0',
-    });
-    expect(result).not.toContain('and unknown');
-  });
-
-  test('omits condition phrase regardless of case when condition is "Unknown"', () => {
-    const result = formatWeatherForSpeech({
-      temperature: '70',
-      condition: 'Unknown',
-      high: '78',
-      low: '62',
-      chanceOfRain: '0',
-    });
-    expect(result).not.toContain('and');
+  test('returns unavailability message without a forecast', () => {
+    expect(formatWeatherForSpeech(null)).toBe('Weather data unavailable today');
+  });
+
+  test('gives conditions, alerts, highlights and the outlook', async () => {
+    mockWeather();
+    const weather = await fetchWeather({ location: CHICAGO }, { now: FRIDAY });
+
+    expect(formatWeatherForSpeech(weather)).toBe([
+      'Overcast, currently 38°F (feels like 31°F), high of 54°F, low of 37°F, 65% chance of rain, winds at 14 mph.',
+      'Weather alerts: Wind Advisory until Fri, 6 PM.',
+      'Highlights: Rain likely for the evening commute (65% around 5 PM). Wind chill makes it feel like 28°F around 7 AM (actual 38°F).',
+      '3-day outlook: Saturday clear skies, 60°F/41°F, 0% chance of rain; Sunday partly cloudy, 58°F/44°F, 10% chance of rain; '
+        + 'Monday light rain, 50°F/39°F, 70% chance of rain.',
+    ].join('\n'));
+  });
+
+  test('uses metric units', () => {
+    const weather = { ...parseWttr(WTTR, 'metric'), today: null };
+    expect(formatWeatherForSpeech(weather)).toBe('Overcast, currently 4°C (feels like 0°C), winds at 22 km/h.');
   });
 });